@@ -0,0 +1,129 @@
+/**
+ * Comment Moderation Queue Lambda Function
+ *
+ * This Lambda function lists the reported comments that are waiting for an
+ * admin, oldest report first. Each comment comes with the title of the post
+ * it was written on, so admins can judge it in context.
+ *
+ * Learning points:
+ * - Sparse indexes as work queues: only items with the key attribute are indexed
+ * - Checking group membership for admin-only endpoints
+ * - Joining items from another table with BatchGetItem
+ */
+
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Auth helpers (backend/layers/auth, mounted under /opt by the shared layer)
+const auth = require('/opt/auth');
+
+// Request schemas (backend/layers/validation, mounted under /opt by the shared layer)
+const validation = require('/opt/validation');
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+const COMMENTS_TABLE = process.env.COMMENTS_TABLE;
+const USER_POOL_ID = process.env.USER_POOL_ID;
+
+/**
+ * Lambda function to list the comment moderation queue
+ *
+ * @param {Object} event - API Gateway event with optional limit and nextToken query parameters
+ * @returns {Object} - API Gateway response object with the reported comments
+ */
+exports.handler = async (event) => {
+  try {
+    const username = event.requestContext.authorizer.claims['cognito:username'];
+    
+    if (!(await auth.isUserInGroup(USER_POOL_ID, username, 'Admins'))) {
+      return {
+        statusCode: 403,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Unauthorized: Admin privileges required' })
+      };
+    }
+    
+    // The commentQueue schema gives the default page size and caps it
+    const { query: queryParams, error } = validation.parseQuery(event, 'commentQueue');
+    if (error) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(error)
+      };
+    }
+    const { limit } = queryParams;
+    
+    const params = {
+      TableName: COMMENTS_TABLE,
+      IndexName: 'reportStatusReportedAtIndex',
+      KeyConditionExpression: 'reportStatus = :open',
+      ExpressionAttributeValues: { ':open': 'OPEN' },
+      ScanIndexForward: true, // Oldest reports first
+      Limit: limit
+    };
+    
+    if (queryParams.nextToken) {
+      try {
+        params.ExclusiveStartKey = JSON.parse(decodeURIComponent(queryParams.nextToken));
+      } catch (error) {
+        return {
+          statusCode: 400,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message: 'Invalid nextToken' })
+        };
+      }
+    }
+    
+    const result = await dynamodb.query(params).promise();
+    
+    // Look up the titles of the posts the comments belong to
+    const blogIds = [...new Set(result.Items.map(comment => comment.blogId))];
+    const titles = {};
+    if (blogIds.length > 0) {
+      const blogs = await dynamodb.batchGet({
+        RequestItems: {
+          [BLOGS_TABLE]: {
+            Keys: blogIds.map(blogId => ({ blogId })),
+            ProjectionExpression: 'blogId, title'
+          }
+        }
+      }).promise();
+      blogs.Responses[BLOGS_TABLE].forEach(blog => {
+        titles[blog.blogId] = blog.title;
+      });
+    }
+    
+    const items = result.Items.map(comment => ({
+      blogId: comment.blogId,
+      blogTitle: titles[comment.blogId],
+      commentId: comment.commentId,
+      userId: comment.userId,
+      username: comment.username,
+      content: comment.content,
+      createdAt: comment.createdAt,
+      editedAt: comment.editedAt,
+      reportCount: comment.reportCount,
+      reportedAt: comment.reportedAt
+    }));
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        items,
+        count: items.length,
+        nextToken: result.LastEvaluatedKey
+          ? encodeURIComponent(JSON.stringify(result.LastEvaluatedKey))
+          : null
+      })
+    };
+  } catch (error) {
+    console.error('Error listing reported comments:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error listing reported comments', error: error.message })
+    };
+  }
+};
@@ -0,0 +1,87 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Comment helpers (backend/layers/comments, mounted under /opt by the shared layer)
+const comments = require('/opt/comments');
+
+// Auth helpers (backend/layers/auth, mounted under /opt by the shared layer)
+const auth = require('/opt/auth');
+
+// Request schemas (backend/layers/validation, mounted under /opt by the shared layer)
+const validation = require('/opt/validation');
+
+// Get parameters from environment variables
+const COMMENTS_TABLE = process.env.COMMENTS_TABLE;
+const USER_POOL_ID = process.env.USER_POOL_ID;
+
+/**
+ * Lambda function to resolve a reported comment
+ * 'dismiss' keeps the comment and drops it from the queue, 'remove' takes it out of the thread
+ * Dismissed comments can't be reported again by the same people
+ */
+exports.handler = async (event) => {
+  try {
+    // Get blog and comment ID from path parameters
+    const { blogId, commentId } = event.pathParameters;
+    
+    const username = event.requestContext.authorizer.claims['cognito:username'];
+    
+    // The moderateComment schema lists the actions
+    const { body, error } = validation.parseBody(event, 'moderateComment');
+    if (error) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(error)
+      };
+    }
+    
+    if (!(await auth.isUserInGroup(USER_POOL_ID, username, 'Admins'))) {
+      return {
+        statusCode: 403,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Unauthorized: Admin privileges required' })
+      };
+    }
+    
+    const comment = await comments.getComment(blogId, commentId);
+    if (!comment || comment.deletedAt) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Comment not found' })
+      };
+    }
+    
+    if (body.action === 'remove') {
+      await comments.removeComment(comment, 'admin');
+    } else {
+      await dynamodb.update({
+        TableName: COMMENTS_TABLE,
+        Key: { blogId, commentId },
+        UpdateExpression: 'SET reviewedAt = :now, reviewedBy = :username REMOVE reportStatus',
+        ExpressionAttributeValues: {
+          ':now': new Date().toISOString(),
+          ':username': username
+        }
+      }).promise();
+    }
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        message: body.action === 'remove' ? 'Comment removed' : 'Report dismissed',
+        blogId,
+        commentId
+      })
+    };
+  } catch (error) {
+    console.error('Error moderating comment:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error moderating comment', error: error.message })
+    };
+  }
+};
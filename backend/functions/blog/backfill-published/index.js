@@ -0,0 +1,84 @@
+/**
+ * Published Backfill Lambda Function
+ *
+ * This Lambda function gives posts written before drafts and scheduling the
+ * fields the public feed and public listing query by. Those posts have no
+ * status (they count as published everywhere) and no publishedAt, so the sparse
+ * visibilityPublishedAtIndex leaves them out. The backfill sets their status to
+ * PUBLISHED and their publishedAt to the time they were created.
+ *
+ * It is invoked by hand once after upgrading, e.g.:
+ *   aws lambda invoke --function-name <BackfillPublishedFunction> out.json
+ * A run that times out can be continued by passing the returned nextKey as the
+ * event's startKey. Running it again is harmless: posts that already have the
+ * fields are skipped.
+ *
+ * Learning points:
+ * - Backfilling the key of a sparse GSI for items written before it existed
+ * - Conditional updates that never overwrite a value another request just set
+ */
+
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+
+// Stop scanning when less time than this is left, so the run can report where it got to
+const TIME_RESERVE_MS = 30 * 1000;
+
+/**
+ * Lambda function to backfill the status and publishedAt of older posts
+ *
+ * @param {Object} event - Optional startKey to continue an earlier run
+ * @param {Object} context - Lambda context, for the remaining time
+ * @returns {Object} - Summary of the run, with nextKey if it didn't finish
+ */
+exports.handler = async (event = {}, context) => {
+  let lastEvaluatedKey = event.startKey;
+  let updated = 0;
+  let skipped = 0;
+  
+  do {
+    // Posts without a status, or published ones without a publishedAt
+    const result = await dynamodb.scan({
+      TableName: BLOGS_TABLE,
+      FilterExpression: 'attribute_not_exists(#status) OR (#status = :published AND attribute_not_exists(publishedAt))',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':published': 'PUBLISHED' },
+      ProjectionExpression: 'blogId, createdAt',
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+    
+    for (const blog of result.Items) {
+      // The status is only set where there is none, so a post that was just
+      // saved as a draft stays one; publishedAt only where it's still missing
+      // Lifecycle changes aren't content edits, so the version stays the same
+      try {
+        await dynamodb.update({
+          TableName: BLOGS_TABLE,
+          Key: { blogId: blog.blogId },
+          UpdateExpression: 'SET #status = if_not_exists(#status, :published), publishedAt = if_not_exists(publishedAt, :publishedAt)',
+          ConditionExpression: 'attribute_exists(blogId) AND (attribute_not_exists(#status) OR #status = :published)',
+          ExpressionAttributeNames: { '#status': 'status' },
+          ExpressionAttributeValues: {
+            ':published': 'PUBLISHED',
+            ':publishedAt': blog.createdAt || new Date().toISOString()
+          }
+        }).promise();
+        updated++;
+      } catch (error) {
+        // Deleted for good, or given another status, since the scan read it
+        if (error.code !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+        skipped++;
+      }
+    }
+    
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey && (!context || context.getRemainingTimeInMillis() > TIME_RESERVE_MS));
+  
+  console.log(`Published backfill: ${updated} updated, ${skipped} skipped${lastEvaluatedKey ? ', not finished' : ''}`);
+  return { updated, skipped, nextKey: lastEvaluatedKey || null };
+};
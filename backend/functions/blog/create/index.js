@@ -1,15 +1,14 @@
 /**
  * Blog Post Creation Lambda Function
  * 
- * This Lambda function handles the creation of new blog posts, including text content
- * and image uploads. It demonstrates how to work with multiple AWS services
- * (DynamoDB, S3) in a serverless application.
+ * This Lambda function handles the creation of new blog posts. Images are not part
+ * of the request: the browser uploads them straight to S3 with presigned URLs
+ * (media/upload-url) and attaches them afterwards (media/confirm).
  * 
  * Learning points:
- * - Handling file uploads in serverless applications
  * - Working with DynamoDB for data storage
- * - Using S3 for media storage
  * - Input validation and error handling
+ * - Sanitizing user-provided HTML before storing it
  * - Using environment variables for configuration
  * - Publishing custom CloudWatch metrics for monitoring
  */
@@ -17,13 +16,19 @@
 const AWS = require('aws-sdk');
 const { v4: uuidv4 } = require('uuid');
 const dynamodb = new AWS.DynamoDB.DocumentClient();
-const s3 = new AWS.S3();
 const cloudwatch = new AWS.CloudWatch();
 
+// HTML sanitizer (backend/layers/sanitize, mounted under /opt by the shared layer)
+const sanitize = require('/opt/sanitize');
+
+// Request schemas (backend/layers/validation, mounted under /opt by the shared layer)
+// The createBlog schema lists the allowed statuses, visibilities and field limits
+const validation = require('/opt/validation');
+
 // Get parameters from environment variables
 // This allows for different configurations in different environments
 const BLOGS_TABLE = process.env.BLOGS_TABLE;
-const MEDIA_BUCKET = process.env.MEDIA_BUCKET;
+const REVISIONS_TABLE = process.env.REVISIONS_TABLE;
 
 /**
  * Lambda function to create a new blog post
@@ -35,16 +40,56 @@ exports.handler = async (event) => {
   const startTime = Date.now();
   
   try {
-    // Parse request body to get blog post data
-    const body = JSON.parse(event.body);
-    const { title, content, imageBase64, visibility = 'private', tags = [], mood } = body;
+    // Parse and validate the request body
+    const { body, error } = validation.parseBody(event, 'createBlog');
+    if (error) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(error)
+      };
+    }
+    const { title, visibility = 'private', tags = [], mood, publishAt } = body;
+    
+    // Editor HTML is stored with only the markup the editors produce; scripts, event handlers and the like are dropped
+    const content = sanitize.sanitizeContent(body.content || '');
+    const status = body.status || (publishAt ? 'SCHEDULED' : 'PUBLISHED');
     
-    // Validate required fields
-    if (!title || !content) {
+    // Drafts may be saved before any content has been written
+    // Content that was nothing but disallowed markup counts as empty
+    if (!content && status !== 'DRAFT') {
       return {
         statusCode: 400,
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ message: 'Title and content are required' })
+        body: JSON.stringify(validation.toErrorBody([{ location: 'body', field: 'content', message: 'is required' }]))
+      };
+    }
+    
+    // Images used to be sent inline; they now go directly to S3
+    if (body.imageBase64) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Inline images are no longer supported. Upload them with POST /media/upload-url' })
+      };
+    }
+    
+    // Sharing is managed with share grants rather than an email list on the post
+    if (body.sharedWith !== undefined) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'sharedWith is no longer supported. Share posts with POST /blogs/{blogId}/shares' })
+      };
+    }
+    
+    // Scheduled posts need a valid publish date in the future
+    // The publish-scheduled function flips them to PUBLISHED once it has passed
+    if (status === 'SCHEDULED' && !(Date.parse(publishAt) > Date.now())) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(validation.toErrorBody([{ location: 'body', field: 'publishAt', message: 'must be a date in the future for scheduled posts' }]))
       };
     }
     
@@ -58,32 +103,8 @@ exports.handler = async (event) => {
     const blogId = uuidv4();
     const timestamp = new Date().toISOString();
     
-    // Handle image upload if provided
-    // Images are sent as base64-encoded strings and uploaded to S3
-    let imageUrls = [];
-    let totalImageSize = 0;
-    
-    if (imageBase64) {
-      if (Array.isArray(imageBase64)) {
-        // Handle multiple images
-        for (const imgBase64 of imageBase64) {
-          const imageUrl = await uploadImage(imgBase64, blogId);
-          if (imageUrl) {
-            imageUrls.push(imageUrl);
-            // Calculate image size for metrics
-            totalImageSize += Buffer.from(imgBase64.replace(/^data:image\/\w+;base64,/, ''), 'base64').length;
-          }
-        }
-      } else {
-        // Handle single image
-        const imageUrl = await uploadImage(imageBase64, blogId);
-        if (imageUrl) {
-          imageUrls.push(imageUrl);
-          // Calculate image size for metrics
-          totalImageSize += Buffer.from(imageBase64.replace(/^data:image\/\w+;base64,/, ''), 'base64').length;
-        }
-      }
-    }
+    // Posts start without images; media/confirm attaches them once uploaded
+    const images = [];
     
     // Create blog post item for DynamoDB
     // This defines the schema for our blog posts
@@ -93,38 +114,74 @@ exports.handler = async (event) => {
       username,              // Username for display purposes
       title,                 // Blog post title
       content,               // Blog post content (markdown or HTML)
-      imageUrls,             // Array of S3 keys for uploaded images
-      visibility,            // 'private', 'shared', or 'public'
+      images,                // Image objects: { key, caption, altText, order }
+      visibility,            // 'private', 'shared', 'unlisted' or 'public'
       tags,                  // Array of tags for categorization
       mood,                  // Optional mood indicator
       createdAt: timestamp,  // Creation timestamp (for sorting)
       updatedAt: timestamp,  // Last update timestamp
-      status: 'PUBLISHED'    // Status flag (could be DRAFT, PUBLISHED, etc.)
+      status,                // Lifecycle state: DRAFT, SCHEDULED, PUBLISHED or ARCHIVED
+      revision: 1,           // Latest revision number (see the revisions table)
+      version: 1             // Concurrency version, bumped on every write
     };
     
-    // Save the blog post to DynamoDB
-    await dynamodb.put({
-      TableName: BLOGS_TABLE,
-      Item: blogItem
+    // Record when the post goes (or went) live
+    // publishAt is only stored for scheduled posts so the status index stays sparse
+    if (status === 'SCHEDULED') {
+      blogItem.publishAt = new Date(publishAt).toISOString();
+    } else if (status === 'PUBLISHED') {
+      blogItem.publishedAt = timestamp;
+    }
+    
+    // Save the blog post to DynamoDB together with its initial revision, so the
+    // first edit can always be diffed and undone
+    // A transaction means there is never a post without its base revision
+    await dynamodb.transactWrite({
+      TransactItems: [
+        {
+          Put: {
+            TableName: BLOGS_TABLE,
+            Item: blogItem
+          }
+        },
+        {
+          Put: {
+            TableName: REVISIONS_TABLE,
+            Item: {
+              blogId,
+              revision: 1,
+              action: 'create',
+              userId,
+              username,
+              createdAt: timestamp,
+              changedFields: ['title', 'content', 'images', 'visibility', 'tags', 'mood'],
+              snapshot: { title, content, images, visibility, tags, mood }
+            }
+          }
+        }
+      ]
     }).promise();
     
     // Publish custom metrics to CloudWatch
     await publishMetrics({
       userId,
       contentLength: content.length,
-      hasImages: imageUrls.length > 0,
-      imageCount: imageUrls.length,
-      totalImageSize,
       processingTime: Date.now() - startTime
     });
     
     // Return success response with the new blog ID
+    // The version doubles as an ETag so clients can send it back in If-Match
     return {
       statusCode: 201,
-      headers: { 'Content-Type': 'application/json' },
+      headers: {
+        'Content-Type': 'application/json',
+        'ETag': '"1"'
+      },
       body: JSON.stringify({
         message: 'Blog post created successfully',
         blogId,
+        status,
+        version: 1,
         createdAt: timestamp
       })
     };
@@ -155,45 +212,6 @@ exports.handler = async (event) => {
   }
 };
 
-/**
- * Helper function to upload an image to S3
- * 
- * @param {string} imageBase64 - Base64-encoded image data
- * @param {string} blogId - ID of the blog post the image belongs to
- * @returns {string|null} - S3 key of the uploaded image or null if upload failed
- */
-async function uploadImage(imageBase64, blogId) {
-  try {
-    // Convert base64 string to buffer
-    // Remove the data URL prefix (e.g., "data:image/jpeg;base64,")
-    const buffer = Buffer.from(
-      imageBase64.replace(/^data:image\/\w+;base64,/, ''),
-      'base64'
-    );
-    
-    // Generate a unique key for the image
-    // We organize images by blog ID to keep related images together
-    const imageKey = `blogs/${blogId}/${uuidv4()}.jpg`;
-    
-    // Upload the image to S3
-    await s3.putObject({
-      Bucket: MEDIA_BUCKET,
-      Key: imageKey,
-      Body: buffer,
-      ContentType: 'image/jpeg',
-      ACL: 'private'  // Keep images private by default
-    }).promise();
-    
-    // Return the S3 key (not the full URL)
-    // The frontend can construct the URL using the configured S3 bucket
-    return imageKey;
-  } catch (error) {
-    // Log the error but don't fail the entire request
-    console.error('Error uploading image:', error);
-    return null;
-  }
-}
-
 /**
  * Publishes custom metrics to CloudWatch for monitoring
  * 
@@ -228,23 +246,6 @@ async function publishMetrics(metrics) {
       }
     ];
     
-    // Add image metrics if images were uploaded
-    if (metrics.hasImages) {
-      metricData.push({
-        MetricName: 'ImageUploads',
-        Value: metrics.imageCount,
-        Unit: 'Count',
-        Timestamp: new Date()
-      });
-      
-      metricData.push({
-        MetricName: 'ImageUploadSize',
-        Value: metrics.totalImageSize,
-        Unit: 'Bytes',
-        Timestamp: new Date()
-      });
-    }
-    
     await cloudwatch.putMetricData({
       Namespace: 'Q_Blog',
       MetricData: metricData
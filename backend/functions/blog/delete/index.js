@@ -1,13 +1,18 @@
 const AWS = require('aws-sdk');
 const dynamodb = new AWS.DynamoDB.DocumentClient();
-const s3 = new AWS.S3();
+
+// Trash helpers (backend/layers/trash, mounted under /opt by the shared layer)
+const trash = require('/opt/trash');
 
 // Get parameters from environment variables
 const BLOGS_TABLE = process.env.BLOGS_TABLE;
-const MEDIA_BUCKET = process.env.MEDIA_BUCKET;
 
 /**
  * Lambda function to delete a blog post
+ *
+ * Deleting moves the post to the trash by setting deletedAt. It can be restored
+ * from there until it is purged, either with POST /blogs/{blogId}/purge or by
+ * the scheduled purge once the retention window has passed.
  */
 exports.handler = async (event) => {
   try {
@@ -24,7 +29,8 @@ exports.handler = async (event) => {
     }).promise();
     
     // Check if blog post exists
-    if (!result.Item) {
+    // Posts that are already in the trash count as deleted
+    if (!result.Item || result.Item.deletedAt) {
       return {
         statusCode: 404,
         headers: { 'Content-Type': 'application/json' },
@@ -42,30 +48,41 @@ exports.handler = async (event) => {
       };
     }
     
-    // Delete associated images from S3
-    if (blog.imageUrls && blog.imageUrls.length > 0) {
-      const deletePromises = blog.imageUrls.map(imageUrl => {
-        return s3.deleteObject({
-          Bucket: MEDIA_BUCKET,
-          Key: imageUrl
-        }).promise();
-      });
-      
-      await Promise.all(deletePromises);
+    // Move the post to the trash
+    // Bumping the version makes open editors with a stale copy see a conflict
+    const deletedAt = new Date().toISOString();
+    try {
+      await dynamodb.update({
+        TableName: BLOGS_TABLE,
+        Key: { blogId },
+        UpdateExpression: 'SET deletedAt = :deletedAt, updatedAt = :deletedAt, version = if_not_exists(version, :zero) + :one',
+        ConditionExpression: 'attribute_not_exists(deletedAt)',
+        ExpressionAttributeValues: {
+          ':deletedAt': deletedAt,
+          ':zero': 0,
+          ':one': 1
+        }
+      }).promise();
+    } catch (error) {
+      // Deleted by another request in the meantime
+      if (error.code === 'ConditionalCheckFailedException') {
+        return {
+          statusCode: 404,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message: 'Blog post not found' })
+        };
+      }
+      throw error;
     }
     
-    // Delete blog post from DynamoDB
-    await dynamodb.delete({
-      TableName: BLOGS_TABLE,
-      Key: { blogId }
-    }).promise();
-    
     return {
       statusCode: 200,
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
-        message: 'Blog post deleted successfully',
-        blogId
+        message: 'Blog post moved to trash',
+        blogId,
+        deletedAt,
+        purgeAt: trash.getPurgeAt(deletedAt)
       })
     };
   } catch (error) {
@@ -0,0 +1,327 @@
+/**
+ * Revision Diff Lambda Function
+ *
+ * This Lambda function compares two stored revisions of a blog post and
+ * returns a field-by-field diff, with a line-level side-by-side diff for
+ * the post content.
+ *
+ * Learning points:
+ * - Reading several items with a single BatchGet call
+ * - Computing a longest common subsequence (LCS) diff without external libraries
+ * - Shaping a response so the frontend can render it without further processing
+ */
+
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Shared media helpers (backend/layers/media, mounted under /opt by the shared layer)
+const media = require('/opt/media');
+
+// Request schemas (backend/layers/validation, mounted under /opt by the shared layer)
+const validation = require('/opt/validation');
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+const REVISIONS_TABLE = process.env.REVISIONS_TABLE;
+
+// Fields that hold lists and are diffed as added/removed entries
+// sharedWith only appears in revisions recorded before share grants replaced it
+const LIST_FIELDS = ['tags', 'sharedWith'];
+
+// Fields that hold a single value and are diffed as before/after
+const VALUE_FIELDS = ['title', 'mood', 'visibility'];
+
+// Upper bound on the LCS table size; larger diffs fall back to a full replacement
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Lambda function to diff two revisions of a blog post
+ *
+ * @param {Object} event - API Gateway event containing request data
+ * @returns {Object} - API Gateway response object with the diff
+ */
+exports.handler = async (event) => {
+  try {
+    // Get blog ID from path parameters
+    const blogId = event.pathParameters.blogId;
+    
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Get blog post to check ownership
+    const result = await dynamodb.get({
+      TableName: BLOGS_TABLE,
+      Key: { blogId }
+    }).promise();
+    
+    // Check if blog post exists
+    // Posts in the trash count as deleted until they are restored
+    if (!result.Item || result.Item.deletedAt) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Blog post not found' })
+      };
+    }
+    
+    // Only the owner may see earlier versions of a post
+    if (result.Item.userId !== userId) {
+      return {
+        statusCode: 403,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'You do not have permission to view the history of this blog post' })
+      };
+    }
+    
+    // Parse and validate query parameters
+    // By default compare the latest revision with the one before it
+    const { query: queryParams, error } = validation.parseQuery(event, 'diffRevisions');
+    if (error) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(error)
+      };
+    }
+    const to = queryParams.to || result.Item.revision;
+    const from = queryParams.from || to - 1;
+    
+    if (!from || !to || from < 1 || to < 1) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Valid "from" and "to" revision numbers are required' })
+      };
+    }
+    
+    // Load both revisions in one round trip
+    const revisions = await dynamodb.batchGet({
+      RequestItems: {
+        [REVISIONS_TABLE]: {
+          Keys: [...new Set([from, to])].map(revision => ({ blogId, revision }))
+        }
+      }
+    }).promise();
+    
+    const items = revisions.Responses[REVISIONS_TABLE] || [];
+    const fromRevision = items.find(item => item.revision === from);
+    const toRevision = items.find(item => item.revision === to);
+    
+    if (!fromRevision || !toRevision) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Revision not found' })
+      };
+    }
+    
+    const before = fromRevision.snapshot || {};
+    const after = toRevision.snapshot || {};
+    const fields = {};
+    
+    VALUE_FIELDS.forEach(field => {
+      if (before[field] !== after[field]) {
+        fields[field] = { from: before[field], to: after[field] };
+      }
+    });
+    
+    LIST_FIELDS.forEach(field => {
+      const beforeList = before[field] || [];
+      const afterList = after[field] || [];
+      const added = afterList.filter(value => !beforeList.includes(value));
+      const removed = beforeList.filter(value => !afterList.includes(value));
+      
+      if (added.length > 0 || removed.length > 0) {
+        fields[field] = { added, removed, from: beforeList, to: afterList };
+      }
+    });
+    
+    const imageDiff = diffImages(media.getImages(before), media.getImages(after));
+    if (imageDiff) {
+      fields.images = imageDiff;
+    }
+    
+    if ((before.content || '') !== (after.content || '')) {
+      fields.content = { rows: diffLines(before.content || '', after.content || '') };
+    }
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        blogId,
+        from: describeRevision(fromRevision),
+        to: describeRevision(toRevision),
+        changedFields: Object.keys(fields),
+        fields
+      })
+    };
+  } catch (error) {
+    console.error('Error diffing blog post revisions:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error diffing blog post revisions', error: error.message })
+    };
+  }
+};
+
+/**
+ * Strip the snapshot from a revision for the response header
+ */
+function describeRevision(revision) {
+  const { snapshot, ...details } = revision;
+  return details;
+}
+
+/**
+ * Compare two image lists by key
+ *
+ * Reports added and removed keys, caption and alt text edits on images present
+ * in both, and whether those images changed places. Returns null if nothing changed.
+ *
+ * @param {Array} beforeImages - Image objects of the older revision, in display order
+ * @param {Array} afterImages - Image objects of the newer revision, in display order
+ * @returns {Object|null} - Image diff
+ */
+function diffImages(beforeImages, afterImages) {
+  const beforeKeys = beforeImages.map(image => image.key);
+  const afterKeys = afterImages.map(image => image.key);
+  const added = afterKeys.filter(key => !beforeKeys.includes(key));
+  const removed = beforeKeys.filter(key => !afterKeys.includes(key));
+  
+  const edited = [];
+  afterImages.forEach(image => {
+    const previous = beforeImages.find(candidate => candidate.key === image.key);
+    if (previous && (previous.caption !== image.caption || previous.altText !== image.altText)) {
+      edited.push({
+        key: image.key,
+        from: { caption: previous.caption, altText: previous.altText },
+        to: { caption: image.caption, altText: image.altText }
+      });
+    }
+  });
+  
+  // Only the images kept on both sides count towards reordering
+  const keptBefore = beforeKeys.filter(key => afterKeys.includes(key));
+  const keptAfter = afterKeys.filter(key => beforeKeys.includes(key));
+  const reordered = keptBefore.some((key, index) => keptAfter[index] !== key);
+  
+  if (added.length === 0 && removed.length === 0 && edited.length === 0 && !reordered) {
+    return null;
+  }
+  
+  return { added, removed, edited, reordered, from: beforeImages, to: afterImages };
+}
+
+/**
+ * Compute a side-by-side line diff between two texts
+ *
+ * Each row has a type (equal, removed, added or changed) and the left/right
+ * line it represents, so it can be rendered as two aligned columns.
+ *
+ * @param {string} oldText - Content of the older revision
+ * @param {string} newText - Content of the newer revision
+ * @returns {Array} - Diff rows
+ */
+function diffLines(oldText, newText) {
+  const oldLines = oldText.split('\n');
+  const newLines = newText.split('\n');
+  
+  // Trim the common prefix and suffix so the LCS table only covers the changed region
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+  
+  const ops = [];
+  for (let i = 0; i < start; i++) {
+    ops.push({ type: 'equal', oldIndex: i, newIndex: i });
+  }
+  
+  const oldMiddle = oldLines.slice(start, oldEnd);
+  const newMiddle = newLines.slice(start, newEnd);
+  const n = oldMiddle.length;
+  const m = newMiddle.length;
+  
+  if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) {
+    // Too large to diff line by line; show the changed region as replaced
+    oldMiddle.forEach((line, i) => ops.push({ type: 'removed', oldIndex: start + i }));
+    newMiddle.forEach((line, j) => ops.push({ type: 'added', newIndex: start + j }));
+  } else {
+    // lengths[i * (m + 1) + j] holds the LCS length of oldMiddle[i..] and newMiddle[j..]
+    const lengths = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i * (m + 1) + j] = oldMiddle[i] === newMiddle[j]
+          ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+      }
+    }
+    
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && oldMiddle[i] === newMiddle[j]) {
+        ops.push({ type: 'equal', oldIndex: start + i, newIndex: start + j });
+        i++;
+        j++;
+      } else if (j < m && (i === n || lengths[i * (m + 1) + j + 1] >= lengths[(i + 1) * (m + 1) + j])) {
+        ops.push({ type: 'added', newIndex: start + j });
+        j++;
+      } else {
+        ops.push({ type: 'removed', oldIndex: start + i });
+        i++;
+      }
+    }
+  }
+  
+  for (let k = 0; k < oldLines.length - oldEnd; k++) {
+    ops.push({ type: 'equal', oldIndex: oldEnd + k, newIndex: newEnd + k });
+  }
+  
+  // Pair runs of removed and added lines into "changed" rows for side-by-side display
+  const rows = [];
+  let k = 0;
+  while (k < ops.length) {
+    if (ops[k].type === 'equal') {
+      rows.push({
+        type: 'equal',
+        left: { number: ops[k].oldIndex + 1, text: oldLines[ops[k].oldIndex] },
+        right: { number: ops[k].newIndex + 1, text: newLines[ops[k].newIndex] }
+      });
+      k++;
+      continue;
+    }
+    
+    const removed = [];
+    const added = [];
+    while (k < ops.length && ops[k].type !== 'equal') {
+      if (ops[k].type === 'removed') {
+        removed.push(ops[k].oldIndex);
+      } else {
+        added.push(ops[k].newIndex);
+      }
+      k++;
+    }
+    
+    for (let r = 0; r < Math.max(removed.length, added.length); r++) {
+      const left = r < removed.length ? { number: removed[r] + 1, text: oldLines[removed[r]] } : null;
+      const right = r < added.length ? { number: added[r] + 1, text: newLines[added[r]] } : null;
+      rows.push({
+        type: left && right ? 'changed' : left ? 'removed' : 'added',
+        left,
+        right
+      });
+    }
+  }
+  
+  return rows;
+}
@@ -0,0 +1,134 @@
+/**
+ * Public Feed Lambda Function
+ *
+ * This Lambda function returns the latest published public blog posts from all
+ * users, newest first. It backs the "Latest Posts" list on the home page and is
+ * served without the Cognito authorizer, so visitors who aren't signed in can
+ * read it too.
+ *
+ * Learning points:
+ * - Querying a GSI instead of scanning the whole table
+ * - Cursor-based pagination with LastEvaluatedKey
+ * - Shaping items for a public response so private attributes never leave the API
+ */
+
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Shared media access helpers (backend/layers/media, mounted under /opt by the shared layer)
+const media = require('/opt/media');
+
+// Request schemas (backend/layers/validation, mounted under /opt by the shared layer)
+const validation = require('/opt/validation');
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+
+/**
+ * Pick the attributes of a post that are safe to show to anyone
+ * sharedWith holds email addresses, and the bookkeeping fields are of no use to readers
+ *
+ * @param {Object} blog - Blog post item with signed media URLs
+ * @returns {Object} - Feed entry with the author's details grouped under author
+ */
+function toFeedItem(blog) {
+  return {
+    blogId: blog.blogId,
+    title: blog.title,
+    content: blog.content,
+    images: blog.images,
+    imageRenditions: blog.imageRenditions,
+    mediaUrls: blog.mediaUrls,
+    tags: blog.tags,
+    mood: blog.mood,
+    createdAt: blog.createdAt,
+    publishedAt: blog.publishedAt,
+    reactionCounts: blog.reactionCounts || {},
+    author: {
+      userId: blog.userId,
+      username: blog.username
+    }
+  };
+}
+
+/**
+ * Lambda function to list the public feed
+ *
+ * @param {Object} event - API Gateway event containing request data
+ * @returns {Object} - API Gateway response object with the feed page
+ */
+exports.handler = async (event) => {
+  // Parse and validate query parameters
+  // The feed schema gives the default page size and caps it
+  const { query: queryParams, error } = validation.parseQuery(event, 'feed');
+  if (error) {
+    return {
+      statusCode: 400,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(error)
+    };
+  }
+  const { limit } = queryParams;
+  
+  // The cursor is the LastEvaluatedKey of the previous page
+  // Anyone can call this endpoint, so a malformed cursor is a client error rather than a crash
+  let lastEvaluatedKey;
+  if (queryParams.nextToken) {
+    try {
+      lastEvaluatedKey = JSON.parse(decodeURIComponent(queryParams.nextToken));
+    } catch (error) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Invalid nextToken' })
+      };
+    }
+  }
+  
+  try {
+    // Only posts that have been published carry a publishedAt, so drafts and
+    // scheduled posts never reach the index (older posts get theirs from backfill-published)
+    // Archived and trashed posts keep theirs and are filtered out here
+    const result = await dynamodb.query({
+      TableName: BLOGS_TABLE,
+      IndexName: 'visibilityPublishedAtIndex',
+      KeyConditionExpression: 'visibility = :visibility',
+      FilterExpression: '#status = :published AND attribute_not_exists(deletedAt)',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':visibility': 'public',
+        ':published': 'PUBLISHED'
+      },
+      ScanIndexForward: false, // Newest first
+      Limit: limit,
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+    
+    const blogs = await Promise.all(result.Items.map(media.withMediaUrls));
+    
+    // Prepare the response object
+    // A page can hold fewer than limit items when some were filtered out;
+    // keep following nextToken until it is missing
+    const response = {
+      items: blogs.map(toFeedItem),
+      count: result.Count
+    };
+    
+    if (result.LastEvaluatedKey) {
+      response.nextToken = encodeURIComponent(JSON.stringify(result.LastEvaluatedKey));
+    }
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(response)
+    };
+  } catch (error) {
+    console.error('Error loading public feed:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error loading public feed', error: error.message })
+    };
+  }
+};
@@ -1,8 +1,18 @@
 const AWS = require('aws-sdk');
 const dynamodb = new AWS.DynamoDB.DocumentClient();
 
+// Shared media access helpers (backend/layers/media, mounted under /opt by the shared layer)
+const media = require('/opt/media');
+
+// Sharing helpers (backend/layers/shares, mounted under /opt by the shared layer)
+const shares = require('/opt/shares');
+
+// Reaction helpers (backend/layers/reactions, mounted under /opt by the shared layer)
+const reactions = require('/opt/reactions');
+
 // Get parameters from environment variables
 const BLOGS_TABLE = process.env.BLOGS_TABLE;
+const BOOKMARKS_TABLE = process.env.BOOKMARKS_TABLE;
 
 /**
  * Lambda function to get a single blog post
@@ -22,7 +32,8 @@ exports.handler = async (event) => {
     }).promise();
     
     // Check if blog post exists
-    if (!result.Item) {
+    // Posts in the trash count as deleted until they are restored
+    if (!result.Item || result.Item.deletedAt) {
       return {
         statusCode: 404,
         headers: { 'Content-Type': 'application/json' },
@@ -30,9 +41,22 @@ exports.handler = async (event) => {
       };
     }
     
-    // Check if user has permission to view this blog post
+    // Drafts, scheduled and archived posts are only visible to their owner
+    // Respond as if the post doesn't exist so unpublished work isn't revealed
+    // Posts created before the lifecycle was introduced have no status and count as published
     const blog = result.Item;
-    if (blog.visibility === 'private' && blog.userId !== userId) {
+    if ((blog.status || 'PUBLISHED') !== 'PUBLISHED' && blog.userId !== userId) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Blog post not found' })
+      };
+    }
+    
+    // Check if user has permission to view this blog post
+    // Shared posts need an active share grant; revoked or expired grants stop working right away
+    const access = await shares.getAccess(blog, userId);
+    if (!access) {
       return {
         statusCode: 403,
         headers: { 'Content-Type': 'application/json' },
@@ -40,22 +64,38 @@ exports.handler = async (event) => {
       };
     }
     
-    // If shared, check if user is in the sharedWith list
-    if (blog.visibility === 'shared' && blog.userId !== userId) {
-      const userEmail = event.requestContext.authorizer.claims.email;
-      if (!blog.sharedWith || !blog.sharedWith.includes(userEmail)) {
-        return {
-          statusCode: 403,
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ message: 'You do not have permission to view this blog post' })
-        };
-      }
-    }
+    // What the viewer has done with the post: their reactions and whether they bookmarked it
+    // The reaction totals are kept on the post itself in reactionCounts
+    const [myReactions, bookmark] = await Promise.all([
+      reactions.getUserReactions(blogId, userId),
+      dynamodb.get({
+        TableName: BOOKMARKS_TABLE,
+        Key: { userId, blogId }
+      }).promise()
+    ]);
+    
+    // Expose the version as an ETag for conditional updates (If-Match)
+    // Posts written before versioning was introduced start at version 0
+    // The viewer may see the post, so include signed URLs for its images
+    // access tells the client what the viewer may do ('owner', 'read', 'comment' or 'public')
+    // The legacy sharedWith email list is never shown to anyone
+    const { sharedWith, ...visibleBlog } = blog;
+    const body = await media.withMediaUrls({
+      ...visibleBlog,
+      version: blog.version || 0,
+      access,
+      reactionCounts: blog.reactionCounts || {},
+      myReactions,
+      bookmarked: Boolean(bookmark.Item)
+    });
     
     return {
       statusCode: 200,
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(blog)
+      headers: {
+        'Content-Type': 'application/json',
+        'ETag': `"${blog.version || 0}"`
+      },
+      body: JSON.stringify(body)
     };
   } catch (error) {
     console.error('Error getting blog post:', error);
@@ -0,0 +1,56 @@
+/**
+ * Search Indexing Lambda Function
+ *
+ * This Lambda function follows the blogs table stream and keeps the search
+ * index in step with the posts: new and edited posts are (re)indexed, posts
+ * moved to the trash or purged are removed. Writes that don't change anything
+ * searchable, such as reaction counts, are skipped.
+ *
+ * Learning points:
+ * - Reacting to table changes with DynamoDB Streams
+ * - Keeping a derived data structure up to date incrementally
+ * - Idempotent processing, since stream records can be delivered more than once
+ */
+
+const AWS = require('aws-sdk');
+
+// Search helpers (backend/layers/search, mounted under /opt by the shared layer)
+const search = require('/opt/search');
+
+/**
+ * Lambda function to index changed blog posts
+ *
+ * @param {Object} event - DynamoDB stream event (NEW_AND_OLD_IMAGES)
+ * @returns {Object} - Summary of the indexed and removed posts
+ */
+exports.handler = async (event) => {
+  const index = search.getIndex();
+  let indexed = 0;
+  let removed = 0;
+  let skipped = 0;
+  
+  // Records of one post arrive in order, so handle them one after the other
+  // An error fails the batch and the stream retries it; indexing is safe to repeat
+  for (const record of event.Records) {
+    const newBlog = record.dynamodb.NewImage ? AWS.DynamoDB.Converter.unmarshall(record.dynamodb.NewImage) : null;
+    const oldBlog = record.dynamodb.OldImage ? AWS.DynamoDB.Converter.unmarshall(record.dynamodb.OldImage) : null;
+    
+    if (!newBlog || newBlog.deletedAt) {
+      // Trashed posts can't be found until they are restored
+      if (!oldBlog || !oldBlog.deletedAt) {
+        await search.removeBlog(index, (newBlog || oldBlog).blogId);
+        removed++;
+      } else {
+        skipped++;
+      }
+    } else if (oldBlog && !oldBlog.deletedAt && !search.needsReindex(oldBlog, newBlog)) {
+      skipped++;
+    } else {
+      await search.indexBlog(index, newBlog);
+      indexed++;
+    }
+  }
+  
+  console.log(`Search index updated: ${indexed} indexed, ${removed} removed, ${skipped} skipped`);
+  return { indexed, removed, skipped };
+};
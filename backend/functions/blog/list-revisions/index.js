@@ -0,0 +1,120 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Request schemas (backend/layers/validation, mounted under /opt by the shared layer)
+const validation = require('/opt/validation');
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+const REVISIONS_TABLE = process.env.REVISIONS_TABLE;
+
+/**
+ * Lambda function to list the revision history of a blog post
+ */
+exports.handler = async (event) => {
+  try {
+    // Get blog ID from path parameters
+    const blogId = event.pathParameters.blogId;
+    
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Parse and validate query parameters
+    const { query: queryParams, error } = validation.parseQuery(event, 'listRevisions');
+    if (error) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(error)
+      };
+    }
+    const { limit } = queryParams;
+    
+    let lastEvaluatedKey;
+    if (queryParams.nextToken) {
+      try {
+        lastEvaluatedKey = JSON.parse(decodeURIComponent(queryParams.nextToken));
+      } catch (error) {
+        return {
+          statusCode: 400,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message: 'Invalid nextToken' })
+        };
+      }
+    }
+    
+    // Get blog post to check ownership
+    const result = await dynamodb.get({
+      TableName: BLOGS_TABLE,
+      Key: { blogId }
+    }).promise();
+    
+    // Check if blog post exists
+    // Posts in the trash count as deleted until they are restored
+    if (!result.Item || result.Item.deletedAt) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Blog post not found' })
+      };
+    }
+    
+    // Only the owner may see earlier versions of a post
+    if (result.Item.userId !== userId) {
+      return {
+        statusCode: 403,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'You do not have permission to view the history of this blog post' })
+      };
+    }
+    
+    // Query revisions newest first
+    // The snapshot is left out to keep the listing small; use the diff endpoint for contents
+    // 'action' is a DynamoDB reserved word, hence the attribute name placeholder
+    const params = {
+      TableName: REVISIONS_TABLE,
+      KeyConditionExpression: 'blogId = :blogId',
+      ExpressionAttributeValues: {
+        ':blogId': blogId
+      },
+      ExpressionAttributeNames: {
+        '#action': 'action'
+      },
+      ProjectionExpression: 'blogId, revision, #action, userId, username, createdAt, changedFields, restoredFrom',
+      ScanIndexForward: false,
+      Limit: limit
+    };
+    
+    // Add pagination token if provided
+    if (lastEvaluatedKey) {
+      params.ExclusiveStartKey = lastEvaluatedKey;
+    }
+    
+    const revisions = await dynamodb.query(params).promise();
+    
+    // Prepare response
+    const response = {
+      items: revisions.Items,
+      count: revisions.Count,
+      currentRevision: result.Item.revision
+    };
+    
+    // Add pagination token if more results exist
+    if (revisions.LastEvaluatedKey) {
+      response.nextToken = encodeURIComponent(JSON.stringify(revisions.LastEvaluatedKey));
+    }
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(response)
+    };
+  } catch (error) {
+    console.error('Error listing blog post revisions:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error listing blog post revisions', error: error.message })
+    };
+  }
+};
@@ -0,0 +1,82 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Trash helpers (backend/layers/trash, mounted under /opt by the shared layer)
+const trash = require('/opt/trash');
+
+// Request schemas (backend/layers/validation, mounted under /opt by the shared layer)
+const validation = require('/opt/validation');
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+
+/**
+ * Lambda function to list the blog posts in the current user's trash
+ * Most recently deleted posts come first
+ */
+exports.handler = async (event) => {
+  try {
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Parse and validate query parameters
+    const { query: queryParams, error } = validation.parseQuery(event, 'listTrash');
+    if (error) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(error)
+      };
+    }
+    const { limit } = queryParams;
+    
+    let lastEvaluatedKey;
+    if (queryParams.nextToken) {
+      try {
+        lastEvaluatedKey = JSON.parse(decodeURIComponent(queryParams.nextToken));
+      } catch (error) {
+        return {
+          statusCode: 400,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message: 'Invalid nextToken' })
+        };
+      }
+    }
+    
+    // Only deleted posts carry a deletedAt, so this index holds nothing but the trash
+    const result = await dynamodb.query({
+      TableName: BLOGS_TABLE,
+      IndexName: 'userIdDeletedAtIndex',
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+      ScanIndexForward: false,
+      Limit: limit,
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+    
+    // Prepare response
+    const response = {
+      items: result.Items.map(blog => ({ ...blog, purgeAt: trash.getPurgeAt(blog.deletedAt) })),
+      count: result.Count,
+      retentionDays: trash.TRASH_RETENTION_DAYS
+    };
+    
+    // Add pagination token if more results exist
+    if (result.LastEvaluatedKey) {
+      response.nextToken = encodeURIComponent(JSON.stringify(result.LastEvaluatedKey));
+    }
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(response)
+    };
+  } catch (error) {
+    console.error('Error listing trash:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error listing trash', error: error.message })
+    };
+  }
+};
@@ -16,6 +16,13 @@
 const AWS = require('aws-sdk');
 const dynamodb = new AWS.DynamoDB.DocumentClient();
 
+// Shared media access helpers (backend/layers/media, mounted under /opt by the shared layer)
+// The media bucket is private, so image keys alone can't be loaded by the browser
+const media = require('/opt/media');
+
+// Request schemas (backend/layers/validation, mounted under /opt by the shared layer)
+const validation = require('/opt/validation');
+
 // Get parameters from environment variables
 const BLOGS_TABLE = process.env.BLOGS_TABLE;
 
@@ -31,18 +38,36 @@ exports.handler = async (event) => {
     // This is used to filter posts by the current user
     const userId = event.requestContext.authorizer.claims.sub;
     
-    // Parse query parameters with defaults
-    // These parameters allow for flexible querying of blog posts
-    const queryParams = event.queryStringParameters || {};
-    const limit = parseInt(queryParams.limit) || 10;  // Number of items per page
-    const lastEvaluatedKey = queryParams.nextToken 
-      ? JSON.parse(decodeURIComponent(queryParams.nextToken)) 
-      : undefined;  // Pagination token
-    const visibility = queryParams.visibility || 'all';  // Filter by visibility
+    // Parse and validate query parameters
+    // These parameters allow for flexible querying of blog posts; the listBlogs
+    // schema gives the defaults, caps the page size and lists the allowed filters
+    const { query: queryParams, error } = validation.parseQuery(event, 'listBlogs');
+    if (error) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(error)
+      };
+    }
+    const limit = queryParams.limit;  // Number of items per page
+    let lastEvaluatedKey;  // Pagination token
+    if (queryParams.nextToken) {
+      try {
+        lastEvaluatedKey = JSON.parse(decodeURIComponent(queryParams.nextToken));
+      } catch (error) {
+        return {
+          statusCode: 400,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message: 'Invalid nextToken' })
+        };
+      }
+    }
+    const visibility = queryParams.visibility;  // Filter by visibility
     const tag = queryParams.tag;  // Filter by tag
     const startDate = queryParams.startDate;  // Filter by date range start
     const endDate = queryParams.endDate;  // Filter by date range end
     const mood = queryParams.mood;  // Filter by mood
+    const status = queryParams.status;  // Filter by lifecycle status
     
     // Build the DynamoDB query parameters
     let params = {
@@ -66,14 +91,36 @@ exports.handler = async (event) => {
         params.ExpressionAttributeValues[':visibility'] = visibility;
       }
     } else if (visibility === 'public') {
-      // For public posts, use a filter expression
-      // Note: In a production app, you might want a GSI for public posts
-      params.FilterExpression = 'visibility = :visibility';
+      // Public posts from all users come from the visibility index, newest first
+      // Only published posts have a publishedAt, so the index skips drafts and scheduled posts
+      // (posts from before drafts existed get theirs from backfill-published)
+      // GET /feed serves the same posts to visitors who aren't signed in
+      params.IndexName = 'visibilityPublishedAtIndex';
+      params.KeyConditionExpression = 'visibility = :visibility';
+      params.ScanIndexForward = false;
       params.ExpressionAttributeValues = {
         ':visibility': 'public'
       };
     }
     
+    // Add lifecycle status filter
+    // Other users' posts are only ever visible once published, so the public
+    // listing always restricts to PUBLISHED (archived posts stay in the index)
+    // 'status' is a reserved word in DynamoDB, hence the attribute name placeholder
+    if (visibility === 'public') {
+      params.FilterExpression = '#status = :status';
+      params.ExpressionAttributeNames = { '#status': 'status' };
+      params.ExpressionAttributeValues[':status'] = 'PUBLISHED';
+    } else if (status !== 'all') {
+      if (params.FilterExpression) {
+        params.FilterExpression += ' AND #status = :status';
+      } else {
+        params.FilterExpression = '#status = :status';
+      }
+      params.ExpressionAttributeNames = { '#status': 'status' };
+      params.ExpressionAttributeValues[':status'] = status;
+    }
+    
     // Add date range filter if provided
     // This demonstrates building complex filter expressions
     if (startDate && endDate) {
@@ -107,6 +154,11 @@ exports.handler = async (event) => {
       params.ExpressionAttributeValues[':mood'] = mood;
     }
     
+    // Posts in the trash are only listed by GET /blogs/trash
+    params.FilterExpression = params.FilterExpression
+      ? `${params.FilterExpression} AND attribute_not_exists(deletedAt)`
+      : 'attribute_not_exists(deletedAt)';
+    
     // Add pagination token if provided
     // This enables retrieving results beyond the initial query limit
     if (lastEvaluatedKey) {
@@ -118,7 +170,7 @@ exports.handler = async (event) => {
     
     // Prepare the response object
     const response = {
-      items: result.Items,  // The blog posts
+      items: await Promise.all(result.Items.map(media.withMediaUrls)),  // The blog posts, with signed image URLs
       count: result.Count   // Number of items returned
     };
     
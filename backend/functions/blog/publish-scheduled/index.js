@@ -0,0 +1,86 @@
+/**
+ * Scheduled Publishing Lambda Function
+ *
+ * This Lambda function runs on a schedule (EventBridge rule) and publishes
+ * blog posts whose publishAt date has passed. It demonstrates how to run
+ * background jobs in a serverless application without any servers or cron hosts.
+ *
+ * Learning points:
+ * - Triggering Lambda functions on a schedule with EventBridge
+ * - Using a sparse GSI to find due work efficiently instead of scanning
+ * - Conditional updates to avoid overwriting concurrent changes
+ */
+
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+
+/**
+ * Lambda function to publish scheduled blog posts that are due
+ *
+ * @param {Object} event - EventBridge scheduled event
+ * @returns {Object} - Summary of the posts that were published
+ */
+exports.handler = async (event) => {
+  const now = new Date().toISOString();
+  let published = 0;
+  let skipped = 0;
+  let lastEvaluatedKey;
+  
+  do {
+    // Only scheduled posts carry a publishAt, so this index holds nothing but pending work
+    const result = await dynamodb.query({
+      TableName: BLOGS_TABLE,
+      IndexName: 'statusPublishAtIndex',
+      KeyConditionExpression: '#status = :scheduled AND publishAt <= :now',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':scheduled': 'SCHEDULED',
+        ':now': now
+      },
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+    
+    for (const blog of result.Items) {
+      try {
+        // The condition guards against the owner rescheduling or unpublishing
+        // the post between the query and this update, and skips posts in the trash
+        // Bumping the version makes open editors with a stale copy see a conflict
+        await dynamodb.update({
+          TableName: BLOGS_TABLE,
+          Key: { blogId: blog.blogId },
+          UpdateExpression: 'SET #status = :published, publishedAt = :publishedAt, updatedAt = :now, version = if_not_exists(version, :zero) + :one REMOVE publishAt',
+          ConditionExpression: '#status = :scheduled AND publishAt = :publishAt AND attribute_not_exists(deletedAt)',
+          ExpressionAttributeNames: { '#status': 'status' },
+          ExpressionAttributeValues: {
+            ':published': 'PUBLISHED',
+            ':scheduled': 'SCHEDULED',
+            ':publishAt': blog.publishAt,
+            ':publishedAt': blog.publishAt,
+            ':now': now,
+            ':zero': 0,
+            ':one': 1
+          }
+        }).promise();
+        
+        published++;
+      } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+          skipped++;
+          continue;
+        }
+        
+        // Log and move on so one bad item doesn't block the rest of the batch
+        console.error(`Error publishing scheduled blog post ${blog.blogId}:`, error);
+      }
+    }
+    
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+  
+  console.log(`Published ${published} scheduled blog posts (${skipped} changed since they were queued)`);
+  
+  return { published, skipped };
+};
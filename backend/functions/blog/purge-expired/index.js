@@ -0,0 +1,69 @@
+/**
+ * Scheduled Trash Purge Lambda Function
+ *
+ * This Lambda function runs on a schedule (EventBridge rule) and permanently
+ * deletes blog posts that have been in the trash for longer than the retention
+ * window (TRASH_RETENTION_DAYS). Purging removes the post, its revision history
+ * and its media in S3.
+ *
+ * Learning points:
+ * - Soft deletes: keeping deleted data around for a while before removing it
+ * - Scanning a sparse GSI that only holds the items a background job cares about
+ * - Conditional writes so a post restored at the last moment is never purged
+ */
+
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Trash helpers (backend/layers/trash, mounted under /opt by the shared layer)
+const trash = require('/opt/trash');
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+
+/**
+ * Lambda function to purge trashed blog posts past the retention window
+ *
+ * @param {Object} event - EventBridge scheduled event
+ * @returns {Object} - Summary of the posts that were purged
+ */
+exports.handler = async (event) => {
+  const cutoff = new Date(Date.now() - trash.TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  let purged = 0;
+  let skipped = 0;
+  let failed = 0;
+  let lastEvaluatedKey;
+  
+  do {
+    // Only deleted posts carry a deletedAt, so this index holds nothing but the trash
+    const result = await dynamodb.scan({
+      TableName: BLOGS_TABLE,
+      IndexName: 'userIdDeletedAtIndex',
+      FilterExpression: 'deletedAt <= :cutoff',
+      ExpressionAttributeValues: { ':cutoff': cutoff },
+      ProjectionExpression: 'blogId',
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+    
+    for (const blog of result.Items) {
+      try {
+        if (await trash.purgeBlog(blog.blogId, cutoff)) {
+          purged++;
+        } else {
+          skipped++;
+        }
+      } catch (error) {
+        // Log and move on so one bad item doesn't block the rest of the batch
+        // The post stays in the trash until its data is gone, so the next run tries again
+        console.error(`Error purging blog post ${blog.blogId}:`, error);
+        failed++;
+      }
+    }
+    
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+  
+  console.log(`Purged ${purged} blog posts deleted before ${cutoff} (${skipped} restored since they were queued, ${failed} failed)`);
+  
+  return { purged, skipped, failed };
+};
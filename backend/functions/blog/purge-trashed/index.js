@@ -0,0 +1,81 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Trash helpers (backend/layers/trash, mounted under /opt by the shared layer)
+const trash = require('/opt/trash');
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+
+/**
+ * Lambda function to permanently delete a blog post from the trash
+ * Removes the post, its revision history and its media without waiting for the scheduled purge
+ */
+exports.handler = async (event) => {
+  try {
+    // Get blog ID from path parameters
+    const blogId = event.pathParameters.blogId;
+    
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Get existing blog post
+    const result = await dynamodb.get({
+      TableName: BLOGS_TABLE,
+      Key: { blogId }
+    }).promise();
+    
+    // Check if blog post exists
+    if (!result.Item) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Blog post not found' })
+      };
+    }
+    
+    // Check if user owns this blog post
+    const blog = result.Item;
+    if (blog.userId !== userId) {
+      return {
+        statusCode: 403,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'You do not have permission to delete this blog post' })
+      };
+    }
+    
+    // Only posts in the trash can be purged, so nothing is lost by a single request
+    if (!blog.deletedAt) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Move the blog post to the trash before purging it' })
+      };
+    }
+    
+    const purged = await trash.purgeBlog(blogId);
+    if (!purged) {
+      return {
+        statusCode: 409,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Blog post is no longer in the trash' })
+      };
+    }
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        message: 'Blog post permanently deleted',
+        blogId
+      })
+    };
+  } catch (error) {
+    console.error('Error purging blog post:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error purging blog post', error: error.message })
+    };
+  }
+};
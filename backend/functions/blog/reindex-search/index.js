@@ -0,0 +1,65 @@
+/**
+ * Search Reindex Lambda Function
+ *
+ * This Lambda function builds the search index from the whole blogs table. The
+ * stream only carries changes, so run it once after deploying search to index
+ * the existing posts, and again whenever the analyzer changes (for example a
+ * new stemming rule) so old entries use the same terms as new queries.
+ *
+ * It is invoked by hand, e.g.:
+ *   aws lambda invoke --function-name <ReindexSearchFunction> out.json
+ * A run that times out can be continued by passing the returned nextKey as the
+ * event's startKey.
+ *
+ * Learning points:
+ * - Backfilling data that is otherwise maintained from a stream
+ * - Paginated scans that can resume where they stopped
+ */
+
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Search helpers (backend/layers/search, mounted under /opt by the shared layer)
+const search = require('/opt/search');
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+
+// Stop scanning when less time than this is left, so the run can report where it got to
+const TIME_RESERVE_MS = 30 * 1000;
+
+/**
+ * Lambda function to index every blog post
+ *
+ * @param {Object} event - Optional startKey to continue an earlier run
+ * @param {Object} context - Lambda context, for the remaining time
+ * @returns {Object} - Summary of the run, with nextKey if it didn't finish
+ */
+exports.handler = async (event = {}, context) => {
+  const index = search.getIndex();
+  let lastEvaluatedKey = event.startKey;
+  let indexed = 0;
+  let removed = 0;
+  
+  do {
+    const result = await dynamodb.scan({
+      TableName: BLOGS_TABLE,
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+    
+    for (const blog of result.Items) {
+      if (blog.deletedAt) {
+        await search.removeBlog(index, blog.blogId);
+        removed++;
+      } else {
+        await search.indexBlog(index, blog);
+        indexed++;
+      }
+    }
+    
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey && (!context || context.getRemainingTimeInMillis() > TIME_RESERVE_MS));
+  
+  console.log(`Search reindex: ${indexed} indexed, ${removed} removed${lastEvaluatedKey ? ', not finished' : ''}`);
+  return { indexed, removed, nextKey: lastEvaluatedKey || null };
+};
@@ -0,0 +1,242 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Shared media helpers (backend/layers/media, mounted under /opt by the shared layer)
+const media = require('/opt/media');
+
+// HTML sanitizer (backend/layers/sanitize, mounted under /opt by the shared layer)
+const sanitize = require('/opt/sanitize');
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+const REVISIONS_TABLE = process.env.REVISIONS_TABLE;
+
+// Fields captured in each revision snapshot (kept in sync with blog/update)
+const REVISION_FIELDS = ['title', 'content', 'images', 'visibility', 'tags', 'mood'];
+
+/**
+ * Lambda function to restore a blog post to an earlier revision
+ *
+ * Restoring never rewrites history: the restored state is stored as a new
+ * revision on top of the existing ones, so the restore itself can be undone.
+ */
+exports.handler = async (event) => {
+  try {
+    // Get blog ID and revision number from path parameters
+    const blogId = event.pathParameters.blogId;
+    const rev = parseInt(event.pathParameters.rev);
+    
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    const username = event.requestContext.authorizer.claims['cognito:username'];
+    
+    if (!rev || rev < 1) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'A valid revision number is required' })
+      };
+    }
+    
+    // Get existing blog post
+    const result = await dynamodb.get({
+      TableName: BLOGS_TABLE,
+      Key: { blogId }
+    }).promise();
+    
+    // Check if blog post exists
+    // Posts in the trash count as deleted until they are restored
+    if (!result.Item || result.Item.deletedAt) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Blog post not found' })
+      };
+    }
+    
+    // Check if user owns this blog post
+    const blog = result.Item;
+    if (blog.userId !== userId) {
+      return {
+        statusCode: 403,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'You do not have permission to restore this blog post' })
+      };
+    }
+    
+    // Get the revision to restore
+    const revisionResult = await dynamodb.get({
+      TableName: REVISIONS_TABLE,
+      Key: { blogId, revision: rev }
+    }).promise();
+    
+    if (!revisionResult.Item) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Revision not found' })
+      };
+    }
+    
+    // Compare image objects on both sides, also for revisions that stored a bare imageUrls array
+    const current = { ...blog, images: media.getImages(blog) };
+    const { imageUrls, ...snapshot } = revisionResult.Item.snapshot || {};
+    snapshot.images = media.getImages({ imageUrls, ...snapshot });
+    
+    // Revisions from before content was sanitized on save may hold any HTML
+    if (snapshot.content !== undefined) {
+      snapshot.content = sanitize.sanitizeContent(snapshot.content);
+    }
+    
+    // Removed images are deleted from S3, so a revision can refer to images that are gone
+    const imagesExist = await Promise.all(snapshot.images.map(image => media.imageExists(image.key)));
+    snapshot.images = snapshot.images
+      .filter((image, index) => imagesExist[index])
+      .map((image, order) => ({ ...image, order }));
+    
+    const changedFields = REVISION_FIELDS.filter(
+      field => JSON.stringify(current[field]) !== JSON.stringify(snapshot[field])
+    );
+    
+    // Nothing to do if the post already matches the revision
+    if (changedFields.length === 0) {
+      return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          message: 'Blog post already matches this revision',
+          blogId,
+          revision: blog.revision
+        })
+      };
+    }
+    
+    const timestamp = new Date().toISOString();
+    const revision = (blog.revision || 0) + 1;
+    const currentVersion = blog.version || 0;
+    const version = currentVersion + 1;
+    
+    // Apply the snapshot to the blog post
+    // Fields missing from the snapshot didn't exist at that revision and are removed
+    let setExpression = 'SET updatedAt = :updatedAt, revision = :revision, version = :version';
+    const removeAttributes = [];
+    const expressionAttributeValues = {
+      ':updatedAt': timestamp,
+      ':revision': revision,
+      ':version': version
+    };
+    
+    changedFields.forEach(field => {
+      if (snapshot[field] === undefined) {
+        removeAttributes.push(field);
+      } else {
+        setExpression += `, ${field} = :${field}`;
+        expressionAttributeValues[`:${field}`] = snapshot[field];
+      }
+    });
+    
+    // Images the restored revision doesn't have are removed from the post, like in blog/update
+    const restoredKeys = new Set(snapshot.images.map(image => image.key));
+    const removedImages = current.images
+      .map(image => image.key)
+      .filter(key => !restoredKeys.has(key));
+    const expressionAttributeNames = {};
+    
+    if (changedFields.includes('images')) {
+      // Posts that still store a bare key array move to image objects
+      if (blog.imageUrls) {
+        removeAttributes.push('imageUrls');
+      }
+      
+      removedImages.forEach((key, index) => {
+        if (blog.imageRenditions && blog.imageRenditions[key]) {
+          removeAttributes.push(`imageRenditions.#removedImage${index}`);
+          expressionAttributeNames[`#removedImage${index}`] = key;
+        }
+      });
+    }
+    
+    const updateExpression = removeAttributes.length > 0
+      ? `${setExpression} REMOVE ${removeAttributes.join(', ')}`
+      : setExpression;
+    
+    if (currentVersion) {
+      expressionAttributeValues[':currentVersion'] = currentVersion;
+    }
+    
+    // Store the restored state as a new immutable revision and apply it in one transaction
+    // The conditions make sure a concurrent update can't claim the same revision or version
+    await dynamodb.transactWrite({
+      TransactItems: [
+        {
+          Put: {
+            TableName: REVISIONS_TABLE,
+            Item: {
+              blogId,
+              revision,
+              action: 'restore',
+              restoredFrom: rev,
+              userId,
+              username,
+              createdAt: timestamp,
+              changedFields,
+              snapshot
+            },
+            ConditionExpression: 'attribute_not_exists(revision)'
+          }
+        },
+        {
+          Update: {
+            TableName: BLOGS_TABLE,
+            Key: { blogId },
+            UpdateExpression: updateExpression,
+            ConditionExpression: currentVersion ? 'version = :currentVersion' : 'attribute_not_exists(version)',
+            ...(Object.keys(expressionAttributeNames).length > 0 && { ExpressionAttributeNames: expressionAttributeNames }),
+            ExpressionAttributeValues: expressionAttributeValues
+          }
+        }
+      ]
+    }).promise();
+    
+    // Clean up the objects of images that were dropped by the restore
+    if (removedImages.length > 0) {
+      try {
+        await media.deleteImageObjects(removedImages);
+      } catch (error) {
+        console.error('Error deleting removed images:', error);
+      }
+    }
+    
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'ETag': `"${version}"`
+      },
+      body: JSON.stringify({
+        message: 'Blog post restored successfully',
+        blogId,
+        revision,
+        version,
+        restoredFrom: rev,
+        changedFields
+      })
+    };
+  } catch (error) {
+    // Another update claimed the next revision or version first
+    if (error.code === 'TransactionCanceledException') {
+      return {
+        statusCode: 409,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Blog post was modified by another request. Please reload and try again.' })
+      };
+    }
+    
+    console.error('Error restoring blog post revision:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error restoring blog post revision', error: error.message })
+    };
+  }
+};
@@ -0,0 +1,98 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+
+/**
+ * Lambda function to restore a blog post from the trash
+ * The post comes back with the status and visibility it had when it was deleted
+ */
+exports.handler = async (event) => {
+  try {
+    // Get blog ID from path parameters
+    const blogId = event.pathParameters.blogId;
+    
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Get existing blog post
+    const result = await dynamodb.get({
+      TableName: BLOGS_TABLE,
+      Key: { blogId }
+    }).promise();
+    
+    // Check if blog post exists
+    if (!result.Item) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Blog post not found' })
+      };
+    }
+    
+    // Check if user owns this blog post
+    const blog = result.Item;
+    if (blog.userId !== userId) {
+      return {
+        statusCode: 403,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'You do not have permission to restore this blog post' })
+      };
+    }
+    
+    if (!blog.deletedAt) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Blog post is not in the trash' })
+      };
+    }
+    
+    // Take the post out of the trash
+    // The condition stops the update from recreating a post that was purged in the meantime,
+    // or bringing back one whose purge has started
+    const timestamp = new Date().toISOString();
+    const updated = await dynamodb.update({
+      TableName: BLOGS_TABLE,
+      Key: { blogId },
+      UpdateExpression: 'SET updatedAt = :updatedAt, version = if_not_exists(version, :zero) + :one REMOVE deletedAt',
+      ConditionExpression: 'attribute_exists(deletedAt) AND attribute_not_exists(purgingAt)',
+      ExpressionAttributeValues: {
+        ':updatedAt': timestamp,
+        ':zero': 0,
+        ':one': 1
+      },
+      ReturnValues: 'UPDATED_NEW'
+    }).promise();
+    
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'ETag': `"${updated.Attributes.version}"`
+      },
+      body: JSON.stringify({
+        message: 'Blog post restored from trash',
+        blogId,
+        version: updated.Attributes.version
+      })
+    };
+  } catch (error) {
+    // Restored or purged by another request in the meantime
+    if (error.code === 'ConditionalCheckFailedException') {
+      return {
+        statusCode: 409,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Blog post is no longer in the trash' })
+      };
+    }
+    
+    console.error('Error restoring blog post from trash:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error restoring blog post from trash', error: error.message })
+    };
+  }
+};
@@ -1,62 +1,213 @@
+/**
+ * Search Blog Posts Lambda Function
+ *
+ * This Lambda function answers full-text searches over blog posts
+ * (GET /blogs/search?q=...). Queries are looked up in the search index that the
+ * index-search function keeps up to date from the blogs table stream, so search
+ * no longer scans the table. Results are ranked by relevance and come with a
+ * snippet around the first match and the offsets of the matching words.
+ *
+ * Queries can use phrases, tag:, mood:, before: and after: filters and -exclusions,
+ * e.g. tag:travel mood:Happy before:2025-06-01 "exact phrase" -work
+ * (see backend/layers/search/query.js). The tag, mood, before and after filters
+ * can also be passed as parameters of their own. Along with the results come
+ * facets over all matching posts: tag and mood counts and posts per month.
+ *
+ * The first page of each search is also recorded as one of the user's recent
+ * searches (see functions/recent-searches).
+ *
+ * Learning points:
+ * - Inverted indexes: from terms to the documents containing them
+ * - Relevance ranking with BM25
+ * - Phrase queries with term positions
+ * - Faceted search
+ * - Cursor pagination over a computed ranking instead of a table key
+ */
+
 const AWS = require('aws-sdk');
 const dynamodb = new AWS.DynamoDB.DocumentClient();
 
+// Search helpers (backend/layers/search, mounted under /opt by the shared layer)
+const search = require('/opt/search');
+
+// Request schemas (backend/layers/validation, mounted under /opt by the shared layer)
+const validation = require('/opt/validation');
+
 // Get parameters from environment variables
 const BLOGS_TABLE = process.env.BLOGS_TABLE;
+const RECENT_SEARCHES_TABLE = process.env.RECENT_SEARCHES_TABLE;
+
+// Recent searches are forgotten after this many days
+const RECENT_SEARCH_RETENTION_DAYS = 90;
+
+// Parameters that make up a search, in the order of its searchKey
+const SEARCH_PARAMS = ['q', 'tag', 'mood', 'before', 'after'];
+
+/**
+ * Remember a search as one of the user's recent searches
+ * The key is the search's query string (e.g. q=alps&tag=travel), so repeating a
+ * search moves it to the top instead of listing it twice, and the frontend can
+ * run it again by opening /search?<searchKey>
+ */
+const recordRecentSearch = async (userId, queryParams) => {
+  const params = SEARCH_PARAMS
+    .filter(name => queryParams[name] && queryParams[name].trim())
+    .map(name => [name, queryParams[name].trim()]);
+  const filters = Object.fromEntries(params.filter(([name]) => name !== 'q'));
+  const now = new Date();
+  
+  await dynamodb.put({
+    TableName: RECENT_SEARCHES_TABLE,
+    Item: {
+      userId,
+      searchKey: new URLSearchParams(params).toString(),
+      q: (queryParams.q || '').trim(),
+      filters,
+      searchedAt: now.toISOString(),
+      // ttl is in epoch seconds for DynamoDB TTL
+      ttl: Math.ceil(now.getTime() / 1000) + RECENT_SEARCH_RETENTION_DAYS * 24 * 60 * 60
+    }
+  }).promise();
+};
+
+/**
+ * Whether a decoded nextToken has the fields search results are ordered by
+ */
+const isCursor = (cursor) =>
+  cursor !== null && typeof cursor === 'object' && !Array.isArray(cursor) &&
+  Number.isFinite(cursor.score) && typeof cursor.createdAt === 'string' && typeof cursor.blogId === 'string';
 
 /**
  * Lambda function to search blog posts
+ *
+ * @param {Object} event - API Gateway event with the query in q, optional tag, mood, before and after filters
+ * @returns {Object} - API Gateway response object with the matching posts, best match first
  */
 exports.handler = async (event) => {
-  try {
-    // Get user ID from Cognito authorizer
-    const userId = event.requestContext.authorizer.claims.sub;
-    
-    // Parse query parameters
-    const queryParams = event.queryStringParameters || {};
-    const searchTerm = queryParams.q || '';
-    const limit = parseInt(queryParams.limit) || 10;
-    const lastEvaluatedKey = queryParams.nextToken ? JSON.parse(decodeURIComponent(queryParams.nextToken)) : undefined;
-    
-    // Validate search term
-    if (!searchTerm) {
+  // Parse and validate query parameters
+  // The search schema caps the page size; BatchGetItem reads at most 100 keys, well above it
+  const { query: queryParams, error } = validation.parseQuery(event, 'search');
+  if (error) {
+    return {
+      statusCode: 400,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(error)
+    };
+  }
+  const searchTerm = (queryParams.q || '').trim();
+  const query = search.parseQuery(searchTerm, queryParams);
+  const { limit } = queryParams;
+  const status = queryParams.status;  // Optional lifecycle filter for the user's own posts
+  
+  // Validate the query
+  if (query.errors.length > 0) {
+    return {
+      statusCode: 400,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Invalid search query', errors: query.errors })
+    };
+  }
+  
+  if (!search.hasCriteria(query)) {
+    return {
+      statusCode: 400,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Search term is required' })
+    };
+  }
+  
+  // The cursor is the score, creation date and blogId of the last result of the previous page
+  let cursor;
+  if (queryParams.nextToken) {
+    try {
+      cursor = JSON.parse(decodeURIComponent(queryParams.nextToken));
+    } catch (error) {
+      cursor = null;
+    }
+    if (!isCursor(cursor)) {
       return {
         statusCode: 400,
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ message: 'Search term is required' })
+        body: JSON.stringify({ message: 'Invalid nextToken' })
       };
     }
+  }
+  
+  try {
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Losing a history entry is better than failing the search
+    if (RECENT_SEARCHES_TABLE && !cursor) {
+      await recordRecentSearch(userId, queryParams)
+        .catch(error => console.error('Error recording recent search:', error));
+    }
     
-    // Scan DynamoDB for matching items
-    // Note: In a production environment, consider using Amazon OpenSearch Service for better search capabilities
-    const params = {
-      TableName: BLOGS_TABLE,
-      FilterExpression: '(contains(title, :searchTerm) OR contains(content, :searchTerm) OR contains(tags, :searchTerm)) AND (userId = :userId OR visibility = :public)',
-      ExpressionAttributeValues: {
-        ':searchTerm': searchTerm,
-        ':userId': userId,
-        ':public': 'public'
-      },
-      Limit: limit
-    };
+    const result = await search.search(search.getIndex(), {
+      query,
+      userId,
+      status,
+      limit,
+      cursor
+    });
     
-    // Add pagination token if provided
-    if (lastEvaluatedKey) {
-      params.ExclusiveStartKey = lastEvaluatedKey;
+    // Load the posts of this page
+    // Retry whatever DynamoDB couldn't read because of throttling, so no post drops out of the page
+    const blogsById = {};
+    let requestItems = result.hits.length > 0
+      ? { [BLOGS_TABLE]: { Keys: result.hits.map(hit => ({ blogId: hit.blogId })) } }
+      : null;
+    while (requestItems && Object.keys(requestItems).length > 0) {
+      const batch = await dynamodb.batchGet({ RequestItems: requestItems }).promise();
+      (batch.Responses[BLOGS_TABLE] || []).forEach(blog => {
+        blogsById[blog.blogId] = blog;
+      });
+      requestItems = batch.UnprocessedKeys;
     }
     
-    // Execute the scan
-    const result = await dynamodb.scan(params).promise();
+    // The index trails the table by a moment; leave out posts that were deleted,
+    // trashed or hidden since they were last indexed
+    // Posts created before the lifecycle was introduced have no status and count as published
+    const items = result.hits
+      .filter(hit => {
+        const blog = blogsById[hit.blogId];
+        return blog && !blog.deletedAt &&
+          (blog.userId === userId || (blog.visibility === 'public' && (blog.status || 'PUBLISHED') === 'PUBLISHED'));
+      })
+      .map(hit => {
+        const { sharedWith, ...blog } = blogsById[hit.blogId];
+        const snippet = search.snippet(blog.content, result.terms);
+        return {
+          ...blog,
+          score: hit.score,
+          snippet: snippet.text,
+          highlights: {
+            title: search.highlight(blog.title, result.terms),
+            snippet: snippet.highlights
+          }
+        };
+      });
     
     // Prepare response
+    // A page can hold fewer than limit items when some were left out;
+    // keep following nextToken until it is missing
+    // filters echoes the filters in effect, whether they came from q or from parameters
     const response = {
-      items: result.Items,
-      count: result.Count
+      items,
+      count: items.length,
+      total: result.total,
+      facets: result.facets,
+      filters: {
+        tags: query.tags,
+        moods: query.moods,
+        before: query.before,
+        after: query.after
+      }
     };
     
     // Add pagination token if more results exist
-    if (result.LastEvaluatedKey) {
-      response.nextToken = encodeURIComponent(JSON.stringify(result.LastEvaluatedKey));
+    if (result.nextCursor) {
+      response.nextToken = encodeURIComponent(JSON.stringify(result.nextCursor));
     }
     
     return {
@@ -0,0 +1,72 @@
+/**
+ * Search Suggestions Lambda Function
+ *
+ * This Lambda function completes what the user is typing in the search box
+ * (GET /blogs/search/suggest?prefix=...): titles of posts and tags that
+ * continue the prefix. It reads the suggestions the index-search function
+ * stores next to the search terms, so each keystroke costs a single query.
+ *
+ * Learning points:
+ * - Prefix lookups in a key-value store by partitioning on the first letters
+ * - Keeping typeahead requests cheap
+ */
+
+// Search helpers (backend/layers/search, mounted under /opt by the shared layer)
+const search = require('/opt/search');
+
+// Request schemas (backend/layers/validation, mounted under /opt by the shared layer)
+const validation = require('/opt/validation');
+
+/**
+ * Lambda function to suggest completions for a search prefix
+ *
+ * @param {Object} event - API Gateway event with the typed text in prefix
+ * @returns {Object} - API Gateway response object with title and tag completions
+ */
+exports.handler = async (event) => {
+  // Parse and validate query parameters
+  // limit is per kind (titles and tags); the suggest schema gives its default and cap
+  const { query: queryParams, error } = validation.parseQuery(event, 'suggest');
+  if (error) {
+    return {
+      statusCode: 400,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(error)
+    };
+  }
+  const prefix = queryParams.prefix || '';
+  const { limit } = queryParams;
+  
+  if (!prefix.trim()) {
+    return {
+      statusCode: 400,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Prefix is required' })
+    };
+  }
+  
+  try {
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Prefixes shorter than two letters come back without suggestions
+    const suggestions = await search.suggest(search.getIndex(), { prefix, userId, limit });
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        prefix,
+        titles: suggestions.titles,
+        tags: suggestions.tags
+      })
+    };
+  } catch (error) {
+    console.error('Error suggesting searches:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error suggesting searches', error: error.message })
+    };
+  }
+};
@@ -1,11 +1,23 @@
 const AWS = require('aws-sdk');
 const dynamodb = new AWS.DynamoDB.DocumentClient();
-const s3 = new AWS.S3();
-const { v4: uuidv4 } = require('uuid');
+
+// Shared media helpers (backend/layers/media, mounted under /opt by the shared layer)
+const media = require('/opt/media');
+
+// HTML sanitizer (backend/layers/sanitize, mounted under /opt by the shared layer)
+const sanitize = require('/opt/sanitize');
+
+// Request schemas (backend/layers/validation, mounted under /opt by the shared layer)
+// The updateBlog schema lists the allowed statuses, visibilities and field and image limits
+const validation = require('/opt/validation');
 
 // Get parameters from environment variables
 const BLOGS_TABLE = process.env.BLOGS_TABLE;
-const MEDIA_BUCKET = process.env.MEDIA_BUCKET;
+const REVISIONS_TABLE = process.env.REVISIONS_TABLE;
+
+// Fields captured in each revision snapshot
+// Lifecycle changes (status, publishAt) are not content edits and aren't versioned
+const REVISION_FIELDS = ['title', 'content', 'images', 'visibility', 'tags', 'mood'];
 
 /**
  * Lambda function to update a blog post
@@ -17,10 +29,59 @@ exports.handler = async (event) => {
     
     // Get user ID from Cognito authorizer
     const userId = event.requestContext.authorizer.claims.sub;
+    const username = event.requestContext.authorizer.claims['cognito:username'];
+    
+    // Parse and validate the request body
+    // This is a partial update: fields left out of the body keep their current value
+    const { body, error } = validation.parseBody(event, 'updateBlog');
+    if (error) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(error)
+      };
+    }
+    const { title, images, visibility, tags, mood, publishAt, commentsEnabled } = body;
+    
+    // Editor HTML is stored with only the markup the editors produce, as on create
+    const content = sanitize.sanitizeContent(body.content);
+    const status = body.status || (publishAt ? 'SCHEDULED' : undefined);
+    
+    // Images are uploaded to S3 directly and attached with media/confirm
+    if (body.imageBase64) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Inline images are no longer supported. Upload them with POST /media/upload-url' })
+      };
+    }
     
-    // Parse request body
-    const body = JSON.parse(event.body);
-    const { title, content, imageBase64, visibility, tags, mood, sharedWith } = body;
+    // Sharing is managed with share grants rather than an email list on the post
+    if (body.sharedWith !== undefined) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'sharedWith is no longer supported. Share posts with POST /blogs/{blogId}/shares' })
+      };
+    }
+    
+    // Content that was nothing but disallowed markup counts as empty
+    if (content !== undefined && !content.trim()) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(validation.toErrorBody([{ location: 'body', field: 'content', message: 'cannot be empty' }]))
+      };
+    }
+    
+    // Validate the requested lifecycle transition before touching anything
+    if (status === 'SCHEDULED' && !(Date.parse(publishAt) > Date.now())) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(validation.toErrorBody([{ location: 'body', field: 'publishAt', message: 'must be a date in the future for scheduled posts' }]))
+      };
+    }
     
     // Get existing blog post
     const result = await dynamodb.get({
@@ -29,7 +90,8 @@ exports.handler = async (event) => {
     }).promise();
     
     // Check if blog post exists
-    if (!result.Item) {
+    // Posts in the trash count as deleted until they are restored
+    if (!result.Item || result.Item.deletedAt) {
       return {
         statusCode: 404,
         headers: { 'Content-Type': 'application/json' },
@@ -47,79 +109,234 @@ exports.handler = async (event) => {
       };
     }
     
-    // Handle image upload if provided
-    let imageUrls = blog.imageUrls || [];
-    if (imageBase64) {
-      if (Array.isArray(imageBase64)) {
-        // Handle multiple new images
-        for (const imgBase64 of imageBase64) {
-          const imageUrl = await uploadImage(imgBase64, blogId);
-          if (imageUrl) imageUrls.push(imageUrl);
-        }
-      } else {
-        // Handle single new image
-        const imageUrl = await uploadImage(imageBase64, blogId);
-        if (imageUrl) imageUrls.push(imageUrl);
-      }
+    // Optimistic concurrency control
+    // Clients send the version they edited, either as an If-Match header (ETag) or
+    // as expectedVersion in the body, and get the server copy back if it has moved on
+    const currentVersion = blog.version || 0;
+    const expectedVersion = getExpectedVersion(event, body);
+    if (expectedVersion !== undefined && expectedVersion !== currentVersion) {
+      return conflictResponse(blog);
     }
     
     // Prepare update expression
+    const timestamp = new Date().toISOString();
     let updateExpression = 'SET updatedAt = :updatedAt';
     const expressionAttributeValues = {
-      ':updatedAt': new Date().toISOString()
+      ':updatedAt': timestamp
     };
+    const expressionAttributeNames = {};
+    const removeAttributes = [];
     
     // Add fields to update expression if provided
-    if (title) {
+    // An empty list (or null) clears the tags, null or '' clears the mood
+    if (title !== undefined) {
       updateExpression += ', title = :title';
       expressionAttributeValues[':title'] = title;
     }
     
-    if (content) {
+    if (content !== undefined) {
       updateExpression += ', content = :content';
       expressionAttributeValues[':content'] = content;
     }
     
-    if (imageUrls.length > 0) {
-      updateExpression += ', imageUrls = :imageUrls';
-      expressionAttributeValues[':imageUrls'] = imageUrls;
-    }
-    
-    if (visibility) {
+    if (visibility !== undefined) {
       updateExpression += ', visibility = :visibility';
       expressionAttributeValues[':visibility'] = visibility;
     }
     
-    if (tags) {
+    // Turning comments off keeps the existing thread but stops new comments
+    // It's a setting rather than content, so it isn't versioned
+    if (commentsEnabled !== undefined) {
+      updateExpression += ', commentsEnabled = :commentsEnabled';
+      expressionAttributeValues[':commentsEnabled'] = commentsEnabled;
+    }
+    
+    if (tags !== undefined) {
       updateExpression += ', tags = :tags';
-      expressionAttributeValues[':tags'] = tags;
+      expressionAttributeValues[':tags'] = tags || [];
+    }
+    
+    if (mood !== undefined) {
+      if (mood) {
+        updateExpression += ', mood = :mood';
+        expressionAttributeValues[':mood'] = mood;
+      } else {
+        removeAttributes.push('mood');
+      }
+    }
+    
+    // The image list replaces the current one, so images are removed by leaving them
+    // out and reordered by their position (or explicit order)
+    // New images are only added by media/confirm once they have been uploaded
+    let removedImages = [];
+    if (images !== undefined) {
+      const imageUpdate = applyImageUpdate(media.getImages(blog), images);
+      if (imageUpdate.error) {
+        return {
+          statusCode: 400,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message: imageUpdate.error })
+        };
+      }
+      
+      updateExpression += ', images = :images';
+      expressionAttributeValues[':images'] = imageUpdate.images;
+      removedImages = imageUpdate.removed;
+      
+      // Posts that still store a bare key array move to image objects
+      if (blog.imageUrls) {
+        removeAttributes.push('imageUrls');
+      }
+      
+      // Image keys contain slashes, so their renditions are addressed through attribute names
+      removedImages.forEach((key, index) => {
+        if (blog.imageRenditions && blog.imageRenditions[key]) {
+          removeAttributes.push(`imageRenditions.#removedImage${index}`);
+          expressionAttributeNames[`#removedImage${index}`] = key;
+        }
+      });
+    }
+    
+    // Apply lifecycle transitions
+    // 'status' is a DynamoDB reserved word so it has to go through an attribute name
+    if (status) {
+      updateExpression += ', #status = :status';
+      expressionAttributeNames['#status'] = 'status';
+      expressionAttributeValues[':status'] = status;
+      
+      if (status === 'SCHEDULED') {
+        updateExpression += ', publishAt = :publishAt';
+        expressionAttributeValues[':publishAt'] = new Date(publishAt).toISOString();
+      } else {
+        // Only scheduled posts keep a publishAt so the status index stays sparse
+        removeAttributes.push('publishAt');
+      }
+      
+      if (status === 'PUBLISHED' && !blog.publishedAt) {
+        updateExpression += ', publishedAt = :publishedAt';
+        expressionAttributeValues[':publishedAt'] = timestamp;
+      }
+      
+      if (status === 'ARCHIVED') {
+        updateExpression += ', archivedAt = :archivedAt';
+        expressionAttributeValues[':archivedAt'] = timestamp;
+      } else {
+        removeAttributes.push('archivedAt');
+      }
     }
     
-    if (mood) {
-      updateExpression += ', mood = :mood';
-      expressionAttributeValues[':mood'] = mood;
+    // Work out which versioned fields actually change with this update
+    const currentSnapshot = buildSnapshot(blog);
+    const nextSnapshot = buildSnapshot(blog);
+    REVISION_FIELDS.forEach(field => {
+      if (`:${field}` in expressionAttributeValues) {
+        nextSnapshot[field] = expressionAttributeValues[`:${field}`];
+      } else if (removeAttributes.includes(field)) {
+        delete nextSnapshot[field];
+      }
+    });
+    const changedFields = REVISION_FIELDS.filter(
+      field => JSON.stringify(currentSnapshot[field]) !== JSON.stringify(nextSnapshot[field])
+    );
+    
+    // Store the new state as an immutable revision alongside the update
+    // Posts created before revisions existed get a baseline of their current state first
+    const transactItems = [];
+    let revision = blog.revision;
+    if (changedFields.length > 0) {
+      revision = blog.revision || 0;
+      
+      if (!blog.revision) {
+        revision = 1;
+        transactItems.push(buildRevisionPut(blogId, revision, currentSnapshot, {
+          action: 'create',
+          userId: blog.userId,
+          username: blog.username,
+          createdAt: blog.createdAt,
+          changedFields: Object.keys(currentSnapshot)
+        }));
+      }
+      
+      revision++;
+      transactItems.push(buildRevisionPut(blogId, revision, nextSnapshot, {
+        action: 'update',
+        userId,
+        username,
+        createdAt: timestamp,
+        changedFields
+      }));
+      
+      updateExpression += ', revision = :revision';
+      expressionAttributeValues[':revision'] = revision;
     }
     
-    if (sharedWith) {
-      updateExpression += ', sharedWith = :sharedWith';
-      expressionAttributeValues[':sharedWith'] = sharedWith;
+    // Every successful write bumps the version, including lifecycle-only changes
+    const version = currentVersion + 1;
+    updateExpression += ', version = :version';
+    expressionAttributeValues[':version'] = version;
+    
+    if (removeAttributes.length > 0) {
+      updateExpression += ` REMOVE ${removeAttributes.join(', ')}`;
     }
     
     // Update blog post in DynamoDB
-    await dynamodb.update({
+    // The condition rejects the write if anything else updated the post since it was read
+    const updateParams = {
       TableName: BLOGS_TABLE,
       Key: { blogId },
       UpdateExpression: updateExpression,
-      ExpressionAttributeValues: expressionAttributeValues,
-      ReturnValues: 'ALL_NEW'
-    }).promise();
+      ConditionExpression: currentVersion ? 'version = :currentVersion' : 'attribute_not_exists(version)',
+      ExpressionAttributeValues: expressionAttributeValues
+    };
+    
+    if (currentVersion) {
+      expressionAttributeValues[':currentVersion'] = currentVersion;
+    }
+    
+    if (Object.keys(expressionAttributeNames).length > 0) {
+      updateParams.ExpressionAttributeNames = expressionAttributeNames;
+    }
+    
+    // Write the revisions and the update atomically so neither can exist without the other
+    transactItems.push({ Update: updateParams });
+    
+    try {
+      await dynamodb.transactWrite({ TransactItems: transactItems }).promise();
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        // Lost the race against another update; return the copy that won
+        const latest = await dynamodb.get({
+          TableName: BLOGS_TABLE,
+          Key: { blogId }
+        }).promise();
+        return conflictResponse(latest.Item || blog);
+      }
+      throw error;
+    }
+    
+    // Nothing refers to removed images anymore, so their objects can go
+    // A failed cleanup only leaves orphans behind; the update itself has succeeded
+    if (removedImages.length > 0) {
+      try {
+        await media.deleteImageObjects(removedImages);
+      } catch (error) {
+        console.error('Error deleting removed images:', error);
+      }
+    }
     
     return {
       statusCode: 200,
-      headers: { 'Content-Type': 'application/json' },
+      headers: {
+        'Content-Type': 'application/json',
+        'ETag': `"${version}"`
+      },
       body: JSON.stringify({
         message: 'Blog post updated successfully',
-        blogId
+        blogId,
+        status: status || blog.status,
+        images: expressionAttributeValues[':images'],
+        revision,
+        version
       })
     };
   } catch (error) {
@@ -133,28 +350,123 @@ exports.handler = async (event) => {
 };
 
 /**
- * Helper function to upload an image to S3
+ * Helper function to copy the versioned fields of a blog post
+ * Images are always captured as image objects, also for posts that store a bare key array
  */
-async function uploadImage(imageBase64, blogId) {
-  try {
-    const buffer = Buffer.from(
-      imageBase64.replace(/^data:image\/\w+;base64,/, ''),
-      'base64'
-    );
-    
-    const imageKey = `blogs/${blogId}/${uuidv4()}.jpg`;
-    
-    await s3.putObject({
-      Bucket: MEDIA_BUCKET,
-      Key: imageKey,
-      Body: buffer,
-      ContentType: 'image/jpeg',
-      ACL: 'private'
-    }).promise();
-    
-    return imageKey;
-  } catch (error) {
-    console.error('Error uploading image:', error);
-    return null;
+function buildSnapshot(blog) {
+  const snapshot = {};
+  REVISION_FIELDS.forEach(field => {
+    if (blog[field] !== undefined) {
+      snapshot[field] = blog[field];
+    }
+  });
+  if (blog.imageUrls && !blog.images) {
+    snapshot.images = media.getImages(blog);
   }
+  return snapshot;
 }
+
+/**
+ * Helper function to apply a requested image list to the current images
+ * Entries need the key of an existing image; caption and altText are optional
+ * and keep their current value when left out (the updateBlog schema has
+ * already checked their types and lengths)
+ * Returns the new image list and the removed keys, or an error message
+ */
+function applyImageUpdate(currentImages, requested) {
+  const currentByKey = {};
+  currentImages.forEach(image => {
+    currentByKey[image.key] = image;
+  });
+  
+  const listed = new Set();
+  for (const item of requested) {
+    const key = item && item.key;
+    if (!currentByKey[key]) {
+      return { error: `Unknown image ${key}. Upload new images with POST /media/upload-url` };
+    }
+    if (listed.has(key)) {
+      return { error: `Image ${key} is listed more than once` };
+    }
+    listed.add(key);
+  }
+  
+  // An explicit order wins over the position in the list; orders are renumbered from 0
+  const images = requested
+    .map((item, index) => ({ item, index, position: typeof item.order === 'number' ? item.order : index }))
+    .sort((a, b) => a.position - b.position || a.index - b.index)
+    .map(({ item }, order) => ({
+      key: item.key,
+      caption: item.caption !== undefined ? item.caption : currentByKey[item.key].caption,
+      altText: item.altText !== undefined ? item.altText : currentByKey[item.key].altText,
+      order
+    }));
+  
+  const removed = currentImages
+    .filter(image => !listed.has(image.key))
+    .map(image => image.key);
+  
+  return { images, removed };
+}
+
+/**
+ * Helper function to build the transaction item that stores an immutable revision
+ * The condition makes sure an existing revision is never overwritten
+ */
+function buildRevisionPut(blogId, revision, snapshot, details) {
+  return {
+    Put: {
+      TableName: REVISIONS_TABLE,
+      Item: {
+        blogId,
+        revision,
+        ...details,
+        snapshot
+      },
+      ConditionExpression: 'attribute_not_exists(revision)'
+    }
+  };
+}
+
+/**
+ * Helper function to read the version the client based its edit on
+ * Accepts an If-Match header (a quoted or weak ETag) or expectedVersion in the body
+ * Returns undefined when the client didn't ask for a version check
+ */
+function getExpectedVersion(event, body) {
+  const headers = event.headers || {};
+  const ifMatch = headers['If-Match'] || headers['if-match'];
+  
+  // "*" matches any existing version, so it doesn't constrain the update
+  if (ifMatch && ifMatch.trim() !== '*') {
+    const match = ifMatch.match(/^(?:W\/)?"?(\d+)"?$/);
+    return match ? parseInt(match[1]) : NaN;
+  }
+  
+  if (body.expectedVersion !== undefined && body.expectedVersion !== null) {
+    return parseInt(body.expectedVersion);
+  }
+  
+  return undefined;
+}
+
+/**
+ * Helper function to build a 409 response carrying the current server copy
+ * The client uses it to let the user merge their changes instead of losing them
+ */
+function conflictResponse(blog) {
+  const currentVersion = blog.version || 0;
+  return {
+    statusCode: 409,
+    headers: {
+      'Content-Type': 'application/json',
+      'ETag': `"${currentVersion}"`
+    },
+    body: JSON.stringify({
+      message: 'Blog post was modified since you loaded it',
+      currentVersion,
+      current: blog
+    })
+  };
+}
+
@@ -0,0 +1,73 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Sharing helpers (backend/layers/shares, mounted under /opt by the shared layer)
+const shares = require('/opt/shares');
+
+// Get parameters from environment variables
+const BOOKMARKS_TABLE = process.env.BOOKMARKS_TABLE;
+
+/**
+ * Lambda function to bookmark a blog post (PUT /blogs/{blogId}/bookmark)
+ * Bookmarks are private to the user; bookmarking a post twice keeps the first bookmark
+ */
+exports.handler = async (event) => {
+  try {
+    // Get blog ID from path parameters
+    const blogId = event.pathParameters.blogId;
+    
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Only posts the user can read can be bookmarked
+    const { blog, access } = await shares.getPostAccess(blogId, userId);
+    if (!blog) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Blog post not found' })
+      };
+    }
+    
+    if (!access) {
+      return {
+        statusCode: 403,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'You do not have permission to view this blog post' })
+      };
+    }
+    
+    // The condition keeps the original bookmark date, which orders the bookmarks list
+    try {
+      await dynamodb.put({
+        TableName: BOOKMARKS_TABLE,
+        Item: {
+          userId,
+          blogId,
+          createdAt: new Date().toISOString()
+        },
+        ConditionExpression: 'attribute_not_exists(blogId)'
+      }).promise();
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+    }
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        blogId,
+        bookmarked: true
+      })
+    };
+  } catch (error) {
+    console.error('Error adding bookmark:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error adding bookmark', error: error.message })
+    };
+  }
+};
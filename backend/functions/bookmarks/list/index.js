@@ -0,0 +1,130 @@
+/**
+ * List Bookmarks Lambda Function
+ *
+ * This Lambda function lists the current user's bookmarked blog posts
+ * (GET /me/bookmarks), most recently bookmarked first. It reads the user's
+ * bookmarks through the createdAt index of the bookmarks table and then loads
+ * the posts they point to.
+ *
+ * Learning points:
+ * - Ordering a partition by another attribute with a local secondary index
+ * - Loading many items at once with BatchGetItem
+ * - Re-checking access on the joined items, since bookmarks outlive it
+ */
+
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Shared media helpers (backend/layers/media, mounted under /opt by the shared layer)
+const media = require('/opt/media');
+
+// Sharing helpers (backend/layers/shares, mounted under /opt by the shared layer)
+const shares = require('/opt/shares');
+
+// Request schemas (backend/layers/validation, mounted under /opt by the shared layer)
+const validation = require('/opt/validation');
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+const BOOKMARKS_TABLE = process.env.BOOKMARKS_TABLE;
+
+/**
+ * Lambda function to list the current user's bookmarks
+ *
+ * @param {Object} event - API Gateway event containing request data
+ * @returns {Object} - API Gateway response object with the bookmarked posts
+ */
+exports.handler = async (event) => {
+  try {
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Parse and validate query parameters
+    // The listBookmarks schema gives the default page size and caps it
+    // BatchGetItem reads at most 100 keys, well above the largest page
+    const { query: queryParams, error } = validation.parseQuery(event, 'listBookmarks');
+    if (error) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(error)
+      };
+    }
+    const { limit } = queryParams;
+    
+    let lastEvaluatedKey;
+    if (queryParams.nextToken) {
+      try {
+        lastEvaluatedKey = JSON.parse(decodeURIComponent(queryParams.nextToken));
+      } catch (error) {
+        return {
+          statusCode: 400,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message: 'Invalid nextToken' })
+        };
+      }
+    }
+    
+    const result = await dynamodb.query({
+      TableName: BOOKMARKS_TABLE,
+      IndexName: 'createdAtIndex',
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+      ScanIndexForward: false,
+      Limit: limit,
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+    
+    // Load the bookmarked posts
+    const blogsById = {};
+    if (result.Items.length > 0) {
+      const batch = await dynamodb.batchGet({
+        RequestItems: {
+          [BLOGS_TABLE]: { Keys: result.Items.map(bookmark => ({ blogId: bookmark.blogId })) }
+        }
+      }).promise();
+      batch.Responses[BLOGS_TABLE].forEach(blog => {
+        blogsById[blog.blogId] = blog;
+      });
+    }
+    
+    // Bookmarks stay when a post is purged, trashed, unpublished or no longer shared
+    // with the user; leave those out until the post is readable again
+    const items = (await Promise.all(result.Items.map(async (bookmark) => {
+      const blog = blogsById[bookmark.blogId];
+      if (!blog || blog.deletedAt || !(await shares.getAccess(blog, userId))) {
+        return null;
+      }
+      
+      const { sharedWith, ...visibleBlog } = await media.withMediaUrls(blog);
+      return {
+        ...visibleBlog,
+        bookmarkedAt: bookmark.createdAt
+      };
+    }))).filter(Boolean);
+    
+    // Prepare response
+    const response = {
+      items,
+      count: items.length
+    };
+    
+    // Add pagination token if more results exist
+    if (result.LastEvaluatedKey) {
+      response.nextToken = encodeURIComponent(JSON.stringify(result.LastEvaluatedKey));
+    }
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(response)
+    };
+  } catch (error) {
+    console.error('Error listing bookmarks:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error listing bookmarks', error: error.message })
+    };
+  }
+};
@@ -0,0 +1,41 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Get parameters from environment variables
+const BOOKMARKS_TABLE = process.env.BOOKMARKS_TABLE;
+
+/**
+ * Lambda function to remove a bookmark (DELETE /blogs/{blogId}/bookmark)
+ * Works for any bookmark of the user, also when the post is gone or no longer visible to them
+ */
+exports.handler = async (event) => {
+  try {
+    // Get blog ID from path parameters
+    const blogId = event.pathParameters.blogId;
+    
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Bookmarks are keyed by user, so nobody can remove someone else's
+    await dynamodb.delete({
+      TableName: BOOKMARKS_TABLE,
+      Key: { userId, blogId }
+    }).promise();
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        blogId,
+        bookmarked: false
+      })
+    };
+  } catch (error) {
+    console.error('Error removing bookmark:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error removing bookmark', error: error.message })
+    };
+  }
+};
@@ -0,0 +1,136 @@
+/**
+ * Comment Creation Lambda Function
+ *
+ * This Lambda function adds a comment to a blog post, either at the top of the
+ * thread or as a reply to another comment (parentId). Only the post owner and
+ * people it was shared with for commenting can write comments, and only while
+ * the owner hasn't turned comments off.
+ *
+ * Learning points:
+ * - Modelling threads with parent references instead of nested documents
+ * - Reusing the access rules of another endpoint through a layer
+ * - Validating references between items before writing
+ */
+
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Comment helpers (backend/layers/comments, mounted under /opt by the shared layer)
+const comments = require('/opt/comments');
+
+// Sharing helpers (backend/layers/shares, mounted under /opt by the shared layer)
+const shares = require('/opt/shares');
+
+// Request schemas (backend/layers/validation, mounted under /opt by the shared layer)
+const validation = require('/opt/validation');
+
+// Get parameters from environment variables
+const COMMENTS_TABLE = process.env.COMMENTS_TABLE;
+
+/**
+ * Lambda function to create a comment
+ *
+ * @param {Object} event - API Gateway event with { content, parentId } in the body
+ * @returns {Object} - API Gateway response object with the new comment
+ */
+exports.handler = async (event) => {
+  try {
+    // Get blog ID from path parameters
+    const blogId = event.pathParameters.blogId;
+    
+    // Get user info from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    const username = event.requestContext.authorizer.claims['cognito:username'];
+    
+    // Parse and validate the request body
+    const { body, error } = validation.parseBody(event, 'createComment');
+    if (error) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(error)
+      };
+    }
+    const { content, parentId } = body;
+    
+    const contentError = comments.validateContent(content);
+    if (contentError) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: contentError })
+      };
+    }
+    
+    // Check the post with the same rules blog/get applies
+    const { blog, access } = await shares.getPostAccess(blogId, userId);
+    if (!blog) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Blog post not found' })
+      };
+    }
+    
+    if (!comments.canComment(access)) {
+      return {
+        statusCode: 403,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'You do not have permission to comment on this blog post' })
+      };
+    }
+    
+    if (!comments.commentsEnabled(blog)) {
+      return {
+        statusCode: 403,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Comments are turned off for this blog post' })
+      };
+    }
+    
+    // Replies go to a comment of the same post that is still there
+    if (parentId !== undefined && parentId !== null) {
+      const parent = typeof parentId === 'string' ? await comments.getComment(blogId, parentId) : null;
+      if (!parent || parent.deletedAt) {
+        return {
+          statusCode: 400,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message: 'The comment you are replying to does not exist' })
+        };
+      }
+    }
+    
+    const timestamp = new Date().toISOString();
+    const comment = {
+      blogId,
+      commentId: uuidv4(),
+      userId,
+      username,
+      content: content.trim(),
+      createdAt: timestamp
+    };
+    
+    if (parentId) {
+      comment.parentId = parentId;
+    }
+    
+    await dynamodb.put({
+      TableName: COMMENTS_TABLE,
+      Item: comment
+    }).promise();
+    
+    return {
+      statusCode: 201,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(comments.toCommentResponse(comment))
+    };
+  } catch (error) {
+    console.error('Error creating comment:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error creating comment', error: error.message })
+    };
+  }
+};
@@ -0,0 +1,75 @@
+// Comment helpers (backend/layers/comments, mounted under /opt by the shared layer)
+const comments = require('/opt/comments');
+
+// Sharing helpers (backend/layers/shares, mounted under /opt by the shared layer)
+const shares = require('/opt/shares');
+
+// Auth helpers (backend/layers/auth, mounted under /opt by the shared layer)
+const auth = require('/opt/auth');
+
+// Get parameters from environment variables
+const USER_POOL_ID = process.env.USER_POOL_ID;
+
+/**
+ * Lambda function to delete a comment
+ * Authors can delete their own comments, post owners any comment on their post,
+ * and admins any comment at all. Replies to a deleted comment stay in the thread.
+ */
+exports.handler = async (event) => {
+  try {
+    // Get blog and comment ID from path parameters
+    const { blogId, commentId } = event.pathParameters;
+    
+    // Get user info from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    const username = event.requestContext.authorizer.claims['cognito:username'];
+    
+    const { blog, access } = await shares.getPostAccess(blogId, userId);
+    const comment = blog ? await comments.getComment(blogId, commentId) : null;
+    if (!comment || comment.deletedAt) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Comment not found' })
+      };
+    }
+    
+    // Work out in which role the comment is removed
+    // Admins are only looked up in Cognito when nothing else applies
+    let removedBy = null;
+    if (access && comment.userId === userId) {
+      removedBy = 'author';
+    } else if (access === 'owner') {
+      removedBy = 'owner';
+    } else if (await auth.isUserInGroup(USER_POOL_ID, username, 'Admins')) {
+      removedBy = 'admin';
+    }
+    
+    if (!removedBy) {
+      return {
+        statusCode: 403,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'You do not have permission to delete this comment' })
+      };
+    }
+    
+    await comments.removeComment(comment, removedBy);
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        message: 'Comment deleted successfully',
+        blogId,
+        commentId
+      })
+    };
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error deleting comment', error: error.message })
+    };
+  }
+};
@@ -0,0 +1,103 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Comment helpers (backend/layers/comments, mounted under /opt by the shared layer)
+const comments = require('/opt/comments');
+
+// Sharing helpers (backend/layers/shares, mounted under /opt by the shared layer)
+const shares = require('/opt/shares');
+
+// Get parameters from environment variables
+const COMMENTS_TABLE = process.env.COMMENTS_TABLE;
+
+/**
+ * Lambda function to list the comments of a blog post
+ * Returns the whole thread, oldest first; clients nest replies by parentId
+ */
+exports.handler = async (event) => {
+  try {
+    // Get blog ID from path parameters
+    const blogId = event.pathParameters.blogId;
+    
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Whoever may read the post may read its comments
+    const { blog, access } = await shares.getPostAccess(blogId, userId);
+    if (!blog) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Blog post not found' })
+      };
+    }
+    
+    if (!access) {
+      return {
+        statusCode: 403,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'You do not have permission to view this blog post' })
+      };
+    }
+    
+    // Threads are read in full so replies can be placed under their parents
+    const thread = [];
+    let lastEvaluatedKey;
+    do {
+      const page = await dynamodb.query({
+        TableName: COMMENTS_TABLE,
+        KeyConditionExpression: 'blogId = :blogId',
+        ExpressionAttributeValues: { ':blogId': blogId },
+        ExclusiveStartKey: lastEvaluatedKey
+      }).promise();
+      thread.push(...page.Items);
+      lastEvaluatedKey = page.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+    
+    const items = withoutDeadBranches(thread)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(comments.toCommentResponse);
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        items,
+        count: items.filter(comment => !comment.deleted).length,
+        commentsEnabled: comments.commentsEnabled(blog),
+        canComment: comments.canComment(access) && comments.commentsEnabled(blog)
+      })
+    };
+  } catch (error) {
+    console.error('Error listing comments:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error listing comments', error: error.message })
+    };
+  }
+};
+
+/**
+ * Helper function to drop removed comments that nobody replied to
+ * Removed comments only stay in the thread to hold the replies that are still there
+ */
+function withoutDeadBranches(thread) {
+  const children = {};
+  thread.forEach(comment => {
+    if (comment.parentId) {
+      (children[comment.parentId] = children[comment.parentId] || []).push(comment);
+    }
+  });
+  
+  const alive = {};
+  const isAlive = (comment) => {
+    if (alive[comment.commentId] === undefined) {
+      alive[comment.commentId] = !comment.deletedAt ||
+        (children[comment.commentId] || []).some(isAlive);
+    }
+    return alive[comment.commentId];
+  };
+  
+  return thread.filter(isAlive);
+}
@@ -0,0 +1,85 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Comment helpers (backend/layers/comments, mounted under /opt by the shared layer)
+const comments = require('/opt/comments');
+
+// Sharing helpers (backend/layers/shares, mounted under /opt by the shared layer)
+const shares = require('/opt/shares');
+
+// Get parameters from environment variables
+const COMMENTS_TABLE = process.env.COMMENTS_TABLE;
+
+/**
+ * Lambda function to report a comment to the admins
+ * Anyone who can read the post can report comments, each comment once per user.
+ * Reported comments wait in the moderation queue (GET /admin/comments) until an
+ * admin dismisses the report or removes the comment.
+ */
+exports.handler = async (event) => {
+  try {
+    // Get blog and comment ID from path parameters
+    const { blogId, commentId } = event.pathParameters;
+    
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    const { blog, access } = await shares.getPostAccess(blogId, userId);
+    const comment = blog && access ? await comments.getComment(blogId, commentId) : null;
+    if (!comment || comment.deletedAt) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Comment not found' })
+      };
+    }
+    
+    if (comment.userId === userId) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'You cannot report your own comment' })
+      };
+    }
+    
+    // reportStatus puts the comment into the (sparse) moderation queue index
+    // reportedBy remembers the reporters so repeated reports don't pile up
+    try {
+      await dynamodb.update({
+        TableName: COMMENTS_TABLE,
+        Key: { blogId, commentId },
+        UpdateExpression: 'SET reportStatus = :open, reportedAt = :now ADD reportCount :one, reportedBy :reporter',
+        ConditionExpression: 'attribute_not_exists(deletedAt) AND NOT contains(reportedBy, :userId)',
+        ExpressionAttributeValues: {
+          ':open': 'OPEN',
+          ':now': new Date().toISOString(),
+          ':one': 1,
+          ':reporter': dynamodb.createSet([userId]),
+          ':userId': userId
+        }
+      }).promise();
+    } catch (error) {
+      // Reporting twice is not an error, the first report still stands
+      if (error.code !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+    }
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        message: 'Comment reported',
+        blogId,
+        commentId
+      })
+    };
+  } catch (error) {
+    console.error('Error reporting comment:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error reporting comment', error: error.message })
+    };
+  }
+};
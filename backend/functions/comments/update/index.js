@@ -0,0 +1,122 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Comment helpers (backend/layers/comments, mounted under /opt by the shared layer)
+const comments = require('/opt/comments');
+
+// Sharing helpers (backend/layers/shares, mounted under /opt by the shared layer)
+const shares = require('/opt/shares');
+
+// Request schemas (backend/layers/validation, mounted under /opt by the shared layer)
+const validation = require('/opt/validation');
+
+// Get parameters from environment variables
+const COMMENTS_TABLE = process.env.COMMENTS_TABLE;
+
+/**
+ * Lambda function to edit a comment
+ * Only the author can edit a comment, and only while they may still comment on the post
+ */
+exports.handler = async (event) => {
+  try {
+    // Get blog and comment ID from path parameters
+    const { blogId, commentId } = event.pathParameters;
+    
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Parse and validate the request body
+    const { body, error } = validation.parseBody(event, 'updateComment');
+    if (error) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(error)
+      };
+    }
+    const contentError = comments.validateContent(body.content);
+    if (contentError) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: contentError })
+      };
+    }
+    
+    const { blog, access } = await shares.getPostAccess(blogId, userId);
+    if (!blog) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Blog post not found' })
+      };
+    }
+    
+    // Removed comments can't be brought back by editing them
+    const comment = access ? await comments.getComment(blogId, commentId) : null;
+    if (!comment || comment.deletedAt) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Comment not found' })
+      };
+    }
+    
+    if (comment.userId !== userId || !comments.canComment(access)) {
+      return {
+        statusCode: 403,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'You do not have permission to edit this comment' })
+      };
+    }
+    
+    if (!comments.commentsEnabled(blog)) {
+      return {
+        statusCode: 403,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Comments are turned off for this blog post' })
+      };
+    }
+    
+    // The condition keeps an edit from undoing a removal that happened in the meantime
+    const timestamp = new Date().toISOString();
+    try {
+      await dynamodb.update({
+        TableName: COMMENTS_TABLE,
+        Key: { blogId, commentId },
+        UpdateExpression: 'SET content = :content, editedAt = :editedAt',
+        ConditionExpression: 'attribute_not_exists(deletedAt)',
+        ExpressionAttributeValues: {
+          ':content': body.content.trim(),
+          ':editedAt': timestamp
+        }
+      }).promise();
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        return {
+          statusCode: 404,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message: 'Comment not found' })
+        };
+      }
+      throw error;
+    }
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(comments.toCommentResponse({
+        ...comment,
+        content: body.content.trim(),
+        editedAt: timestamp
+      }))
+    };
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error updating comment', error: error.message })
+    };
+  }
+};
@@ -0,0 +1,149 @@
+/**
+ * Create Export Lambda Function
+ *
+ * This Lambda function starts an export of the user's journal (POST /exports).
+ * It only records the job and puts it on the export queue; the export worker
+ * builds the file in the background. Poll GET /exports/{exportId} for the
+ * progress and the download link.
+ *
+ * Learning points:
+ * - Moving long-running work out of the request with a queue
+ * - Answering 202 Accepted with a resource to poll
+ */
+
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const sqs = new AWS.SQS();
+
+// Export helpers (backend/layers/exports, mounted under /opt by the shared layer)
+const exportJobs = require('/opt/exports');
+
+// Request schemas (backend/layers/validation, mounted under /opt by the shared layer)
+// The createExport schema lists the formats and checks the dates are days, e.g. 2025-06-01
+const validation = require('/opt/validation');
+
+// Get parameters from environment variables
+const EXPORTS_TABLE = process.env.EXPORTS_TABLE;
+const EXPORT_QUEUE_URL = process.env.EXPORT_QUEUE_URL;
+
+/**
+ * Lambda function to start an export
+ *
+ * @param {Object} event - API Gateway event with { format, startDate, endDate, tag, options } in the body
+ * @returns {Object} - API Gateway response object with the queued job
+ */
+exports.handler = async (event) => {
+  try {
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Parse and validate the request body
+    const { body, error } = validation.parseBody(event, 'createExport');
+    if (error) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(error)
+      };
+    }
+    const { format = 'json', startDate, endDate, tag } = body;
+    const exportFormat = exportJobs.FORMATS[format];
+    
+    if (exportFormat.complete && (startDate || endDate || tag)) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'An account archive includes every post; leave out startDate, endDate and tag' })
+      };
+    }
+    
+    if (startDate && endDate && startDate > endDate) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'startDate must not be after endDate' })
+      };
+    }
+    
+    // Formats with settings (PDF page size and font) check them and fill in the defaults
+    let options;
+    if (exportFormat.parseOptions) {
+      const parsed = exportFormat.parseOptions(body.options || {});
+      if (parsed.error) {
+        return {
+          statusCode: 400,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message: parsed.error })
+        };
+      }
+      options = parsed.options;
+    }
+    
+    // Only the filters that were given are stored
+    const filters = {};
+    if (startDate) {
+      filters.startDate = startDate;
+    }
+    if (endDate) {
+      filters.endDate = endDate;
+    }
+    if (tag && String(tag).trim()) {
+      filters.tag = String(tag).trim();
+    }
+    
+    const now = new Date();
+    const job = {
+      userId,
+      exportId: uuidv4(),
+      status: exportJobs.STATUS.QUEUED,
+      format,
+      filters,
+      ...(options && { options }),
+      processed: 0,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      // ttl is in epoch seconds for DynamoDB TTL
+      ttl: Math.ceil(now.getTime() / 1000) + exportJobs.EXPORT_RETENTION_DAYS * 24 * 60 * 60
+    };
+    
+    await dynamodb.put({
+      TableName: EXPORTS_TABLE,
+      Item: job
+    }).promise();
+    
+    // A job that never reaches the queue would wait forever; mark it failed instead
+    try {
+      await sqs.sendMessage({
+        QueueUrl: EXPORT_QUEUE_URL,
+        MessageBody: JSON.stringify({ userId, exportId: job.exportId })
+      }).promise();
+    } catch (error) {
+      await dynamodb.update({
+        TableName: EXPORTS_TABLE,
+        Key: { userId, exportId: job.exportId },
+        UpdateExpression: 'SET #status = :failed, #error = :error, updatedAt = :now',
+        ExpressionAttributeNames: { '#status': 'status', '#error': 'error' },
+        ExpressionAttributeValues: {
+          ':failed': exportJobs.STATUS.FAILED,
+          ':error': 'The export could not be queued',
+          ':now': new Date().toISOString()
+        }
+      }).promise();
+      throw error;
+    }
+    
+    return {
+      statusCode: 202,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(exportJobs.toExportJob(job))
+    };
+  } catch (error) {
+    console.error('Error creating export:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error creating export', error: error.message })
+    };
+  }
+};
@@ -0,0 +1,50 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Export helpers (backend/layers/exports, mounted under /opt by the shared layer)
+const exportJobs = require('/opt/exports');
+
+// Get parameters from environment variables
+const EXPORTS_TABLE = process.env.EXPORTS_TABLE;
+
+/**
+ * Lambda function to get an export job (GET /exports/{exportId})
+ * Reports the status and progress (processed of total entries); completed jobs
+ * come with a fresh downloadUrl, failed ones with the error
+ */
+exports.handler = async (event) => {
+  try {
+    // Get export ID from path parameters
+    const exportId = event.pathParameters.exportId;
+    
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Jobs are keyed by user, so nobody can see someone else's
+    const result = await dynamodb.get({
+      TableName: EXPORTS_TABLE,
+      Key: { userId, exportId }
+    }).promise();
+    
+    if (!result.Item) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Export not found' })
+      };
+    }
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(exportJobs.toExportJob(result.Item))
+    };
+  } catch (error) {
+    console.error('Error getting export:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error getting export', error: error.message })
+    };
+  }
+};
@@ -0,0 +1,81 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Export helpers (backend/layers/exports, mounted under /opt by the shared layer)
+const exportJobs = require('/opt/exports');
+
+// Request schemas (backend/layers/validation, mounted under /opt by the shared layer)
+const validation = require('/opt/validation');
+
+// Get parameters from environment variables
+const EXPORTS_TABLE = process.env.EXPORTS_TABLE;
+
+/**
+ * Lambda function to list the current user's exports (GET /exports), newest first
+ * Exports are kept for a week, so this is a short list
+ */
+exports.handler = async (event) => {
+  try {
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Parse and validate query parameters
+    // The listExports schema gives the default page size and caps it
+    const { query: queryParams, error } = validation.parseQuery(event, 'listExports');
+    if (error) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(error)
+      };
+    }
+    const { limit } = queryParams;
+    
+    let lastEvaluatedKey;
+    if (queryParams.nextToken) {
+      try {
+        lastEvaluatedKey = JSON.parse(decodeURIComponent(queryParams.nextToken));
+      } catch (error) {
+        return {
+          statusCode: 400,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message: 'Invalid nextToken' })
+        };
+      }
+    }
+    
+    const result = await dynamodb.query({
+      TableName: EXPORTS_TABLE,
+      IndexName: 'createdAtIndex',
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+      ScanIndexForward: false,
+      Limit: limit,
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+    
+    // Prepare response
+    const response = {
+      items: result.Items.map(exportJobs.toExportJob),
+      count: result.Items.length
+    };
+    
+    // Add pagination token if more results exist
+    if (result.LastEvaluatedKey) {
+      response.nextToken = encodeURIComponent(JSON.stringify(result.LastEvaluatedKey));
+    }
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(response)
+    };
+  } catch (error) {
+    console.error('Error listing exports:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error listing exports', error: error.message })
+    };
+  }
+};
@@ -0,0 +1,352 @@
+/**
+ * Export Worker Lambda Function
+ *
+ * This Lambda function builds the export files queued by POST /exports. For
+ * each job it counts the matching entries, then pages through them (oldest
+ * first) and streams the formatted file to S3, so neither the 1 MB limit of a
+ * single query nor the size of the journal cut the export short. The job
+ * records its progress after every page.
+ *
+ * A failed job goes back to the queue and is tried again; after the last
+ * attempt it is marked FAILED with the error.
+ *
+ * PDF, EPUB and static site exports include the posts' photos, which are read
+ * from the media bucket and converted to PNG unless they are JPEG or PNG
+ * already (WebP, GIF), since pdfkit and many e-readers can't show the others.
+ *
+ * Account archives include every post, the trash too, with its original
+ * uploads (streamed from the media bucket as they are), revision history and
+ * sharing settings.
+ *
+ * Learning points:
+ * - Processing queued work with SQS and Lambda
+ * - Streaming a large file to S3 with a multipart upload
+ * - Paginating through every item of a query
+ */
+
+const AWS = require('aws-sdk');
+const { PassThrough } = require('stream');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const s3 = new AWS.S3();
+
+// Export helpers (backend/layers/exports, mounted under /opt by the shared layer)
+const exportJobs = require('/opt/exports');
+const shares = require('/opt/shares');
+const links = require('/opt/links');
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+const EXPORTS_TABLE = process.env.EXPORTS_TABLE;
+const REVISIONS_TABLE = process.env.REVISIONS_TABLE;
+const SHARES_TABLE = process.env.SHARES_TABLE;
+const LINKS_TABLE = process.env.LINKS_TABLE;
+const MEDIA_BUCKET = process.env.MEDIA_BUCKET;
+
+// Attempts per job; matches maxReceiveCount of the queue's redrive policy
+const MAX_ATTEMPTS = 3;
+
+/**
+ * The query for the entries of an export, oldest first
+ * The date range narrows the userIdIndex key (sorted by createdAt); the end date counts whole
+ */
+const entriesQuery = (userId, filters, includeTrash = false) => {
+  const params = {
+    TableName: BLOGS_TABLE,
+    IndexName: 'userIdIndex',
+    KeyConditionExpression: 'userId = :userId',
+    ExpressionAttributeValues: { ':userId': userId }
+  };
+  
+  // Posts in the trash are left out of exports, except for account archives
+  const conditions = includeTrash ? [] : ['attribute_not_exists(deletedAt)'];
+  
+  if (filters.startDate && filters.endDate) {
+    params.KeyConditionExpression += ' AND createdAt BETWEEN :startDate AND :endDate';
+  } else if (filters.startDate) {
+    params.KeyConditionExpression += ' AND createdAt >= :startDate';
+  } else if (filters.endDate) {
+    params.KeyConditionExpression += ' AND createdAt <= :endDate';
+  }
+  if (filters.startDate) {
+    params.ExpressionAttributeValues[':startDate'] = filters.startDate;
+  }
+  if (filters.endDate) {
+    params.ExpressionAttributeValues[':endDate'] = `${filters.endDate}T23:59:59.999Z`;
+  }
+  
+  if (filters.tag) {
+    conditions.push('contains(tags, :tag)');
+    params.ExpressionAttributeValues[':tag'] = filters.tag;
+  }
+  
+  if (conditions.length > 0) {
+    params.FilterExpression = conditions.join(' AND ');
+  }
+  
+  return params;
+};
+
+/**
+ * Number of entries an export will contain, for the progress
+ */
+const countEntries = async (params) => {
+  let count = 0;
+  let lastEvaluatedKey;
+  
+  do {
+    const result = await dynamodb.query({
+      ...params,
+      Select: 'COUNT',
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+    
+    count += result.Count;
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+  
+  return count;
+};
+
+/**
+ * Whether pdfkit can embed image data as it is (JPEG or PNG)
+ */
+const isJpegOrPng = (data) =>
+  (data[0] === 0xFF && data[1] === 0xD8) ||
+  (data[0] === 0x89 && data.toString('ascii', 1, 4) === 'PNG');
+
+/**
+ * Read a photo for an export
+ * Photos that are gone or can't be converted are left out of the export rather than failing it
+ */
+const loadImage = async (key) => {
+  try {
+    const object = await s3.getObject({ Bucket: MEDIA_BUCKET, Key: key }).promise();
+    if (isJpegOrPng(object.Body)) {
+      return object.Body;
+    }
+    // sharp is only needed for photos in other formats, so JSON and CSV exports never load it
+    const sharp = require('sharp');
+    return await sharp(object.Body).png().toBuffer();
+  } catch (error) {
+    console.warn(`Leaving image ${key} out of the export:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Every item of a query
+ * The revisions, grants and links of a single post are few enough to hold at once
+ */
+const queryAll = async (params) => {
+  const items = [];
+  let lastEvaluatedKey;
+  
+  do {
+    const result = await dynamodb.query({ ...params, ExclusiveStartKey: lastEvaluatedKey }).promise();
+    items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+  
+  return items;
+};
+
+/**
+ * What account archives read besides the posts
+ * An upload that can't be read fails the attempt rather than leave a gap in the backup
+ */
+const archiveSources = {
+  // Everything uploaded for the post, attached or not; renditions live elsewhere and are left out
+  listMedia: async (blogId) => {
+    const objects = [];
+    let continuationToken;
+    
+    do {
+      const listing = await s3.listObjectsV2({
+        Bucket: MEDIA_BUCKET,
+        Prefix: `blogs/${blogId}/`,
+        ContinuationToken: continuationToken
+      }).promise();
+      
+      (listing.Contents || []).forEach(object => {
+        objects.push({ key: object.Key, lastModified: object.LastModified });
+      });
+      continuationToken = listing.NextContinuationToken;
+    } while (continuationToken);
+    
+    return objects;
+  },
+  
+  openMedia: (key) => s3.getObject({ Bucket: MEDIA_BUCKET, Key: key }).createReadStream(),
+  
+  // Oldest first, with the full snapshot of each revision
+  loadRevisions: (blogId) => queryAll({
+    TableName: REVISIONS_TABLE,
+    KeyConditionExpression: 'blogId = :blogId',
+    ExpressionAttributeValues: { ':blogId': blogId }
+  }),
+  
+  // Grants and links as their owner sees them in the app; link passwords stay out
+  loadSharing: async (blogId) => {
+    const [grants, postLinks] = await Promise.all([
+      queryAll({
+        TableName: SHARES_TABLE,
+        KeyConditionExpression: 'blogId = :blogId',
+        ExpressionAttributeValues: { ':blogId': blogId }
+      }),
+      queryAll({
+        TableName: LINKS_TABLE,
+        IndexName: 'blogIdIndex',
+        KeyConditionExpression: 'blogId = :blogId',
+        ExpressionAttributeValues: { ':blogId': blogId }
+      })
+    ]);
+    
+    return {
+      grants: grants.filter(shares.isActive).map(({ ttl, ...grant }) => grant),
+      links: postLinks.filter(links.isActive).map(links.toLinkResponse)
+    };
+  }
+};
+
+/**
+ * Record changes to a job
+ */
+const updateJob = (job, changes) => {
+  const names = {};
+  const values = { ':now': new Date().toISOString() };
+  const assignments = ['updatedAt = :now'];
+  
+  Object.entries(changes).forEach(([name, value]) => {
+    names[`#${name}`] = name;
+    values[`:${name}`] = value;
+    assignments.push(`#${name} = :${name}`);
+  });
+  
+  return dynamodb.update({
+    TableName: EXPORTS_TABLE,
+    Key: { userId: job.userId, exportId: job.exportId },
+    UpdateExpression: `SET ${assignments.join(', ')}`,
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values
+  }).promise();
+};
+
+/**
+ * Write the export file of a job to S3
+ */
+const writeExport = async (job) => {
+  const format = exportJobs.FORMATS[job.format];
+  const params = entriesQuery(job.userId, job.filters || {}, Boolean(format.complete));
+  
+  const total = await countEntries(params);
+  await updateJob(job, { total, processed: 0 });
+  
+  // The upload consumes the stream in parts while the entries are written into it
+  const key = exportJobs.exportKey(job.userId, job.exportId, job.format);
+  const body = new PassThrough();
+  const upload = s3.upload({
+    Bucket: exportJobs.EXPORT_BUCKET,
+    Key: key,
+    Body: body,
+    ContentType: format.contentType
+  }).promise();
+  
+  const writer = format.createWriter(body, {
+    total,
+    exportId: job.exportId,
+    filters: job.filters || {},
+    options: job.options || {},
+    createdAt: job.createdAt,
+    loadImage,
+    ...archiveSources
+  });
+  
+  let processed = 0;
+  let lastEvaluatedKey;
+  
+  try {
+    await writer.start();
+    
+    do {
+      const result = await dynamodb.query({
+        ...params,
+        ExclusiveStartKey: lastEvaluatedKey
+      }).promise();
+      
+      for (const blog of result.Items) {
+        await writer.entry(blog, processed);
+        processed++;
+      }
+      
+      lastEvaluatedKey = result.LastEvaluatedKey;
+      await updateJob(job, { processed });
+    } while (lastEvaluatedKey);
+    
+    await writer.end();
+  } catch (error) {
+    // Abort the upload rather than leave it waiting for the rest of the file
+    body.destroy(error);
+    await upload.catch(() => {});
+    throw error;
+  }
+  
+  await upload;
+  return { key, processed };
+};
+
+/**
+ * Run one export job
+ * Queue messages can arrive more than once; finished jobs are left alone
+ */
+const runJob = async (userId, exportId, attempt) => {
+  const result = await dynamodb.get({
+    TableName: EXPORTS_TABLE,
+    Key: { userId, exportId }
+  }).promise();
+  const job = result.Item;
+  
+  if (!job) {
+    console.warn(`Export ${exportId} no longer exists, skipping`);
+    return;
+  }
+  if (job.status === exportJobs.STATUS.COMPLETED || job.status === exportJobs.STATUS.FAILED) {
+    return;
+  }
+  
+  await updateJob(job, { status: exportJobs.STATUS.RUNNING, startedAt: new Date().toISOString(), attempt });
+  
+  try {
+    const { key, processed } = await writeExport(job);
+    await updateJob(job, {
+      status: exportJobs.STATUS.COMPLETED,
+      key,
+      processed,
+      total: processed,
+      completedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error running export ${exportId} (attempt ${attempt}):`, error);
+    
+    if (attempt >= MAX_ATTEMPTS) {
+      await updateJob(job, { status: exportJobs.STATUS.FAILED, error: error.message });
+      return;
+    }
+    
+    // Back to the queue; SQS delivers the message again after the visibility timeout
+    await updateJob(job, { status: exportJobs.STATUS.QUEUED });
+    throw error;
+  }
+};
+
+/**
+ * Lambda function to process queued exports
+ *
+ * @param {Object} event - SQS event with { userId, exportId } messages
+ */
+exports.handler = async (event) => {
+  for (const record of event.Records) {
+    const { userId, exportId } = JSON.parse(record.body);
+    const attempt = parseInt(record.attributes.ApproximateReceiveCount) || 1;
+    await runJob(userId, exportId, attempt);
+  }
+};
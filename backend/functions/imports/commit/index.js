@@ -0,0 +1,150 @@
+/**
+ * Commit Import Lambda Function
+ *
+ * This Lambda function queues a previewed import for writing
+ * (POST /imports/{importId}/commit). The body may list entries of the preview
+ * to leave out, by their index; duplicates and invalid entries are left out
+ * anyway. The import worker creates the posts and their photos and records
+ * what became of each entry. Poll GET /imports/{importId} for the progress
+ * and the report.
+ *
+ * Learning points:
+ * - Conditional updates as a guard against running a step twice
+ * - Answering 202 Accepted with a resource to poll
+ */
+
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const sqs = new AWS.SQS();
+
+// Import helpers (backend/layers/imports, mounted under /opt by the shared layer)
+const importJobs = require('/opt/imports');
+
+// Request schemas (backend/layers/validation, mounted under /opt by the shared layer)
+const validation = require('/opt/validation');
+
+// Get parameters from environment variables
+const IMPORTS_TABLE = process.env.IMPORTS_TABLE;
+const IMPORT_QUEUE_URL = process.env.IMPORT_QUEUE_URL;
+
+/**
+ * Lambda function to commit an import
+ *
+ * @param {Object} event - API Gateway event with the importId path parameter and { exclude } in the body
+ * @returns {Object} - API Gateway response object with the queued job
+ */
+exports.handler = async (event) => {
+  try {
+    // Get import ID from path parameters
+    const importId = event.pathParameters.importId;
+    
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Parse and validate the request body
+    const { body, error } = validation.parseBody(event, 'commitImport');
+    if (error) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(error)
+      };
+    }
+    const exclude = body.exclude || [];
+    
+    // Jobs are keyed by user, so nobody can touch someone else's
+    const result = await dynamodb.get({
+      TableName: IMPORTS_TABLE,
+      Key: { userId, importId }
+    }).promise();
+    
+    if (!result.Item) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Import not found' })
+      };
+    }
+    
+    if (result.Item.status !== importJobs.STATUS.READY) {
+      return {
+        statusCode: 409,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          message: result.Item.status === importJobs.STATUS.UPLOADING || result.Item.status === importJobs.STATUS.ANALYZING
+            ? 'This import has not been previewed yet'
+            : 'This import has already been committed'
+        })
+      };
+    }
+    
+    // Only one request gets past the READY check, so the entries are written once
+    const excluded = [...new Set(exclude)].filter(index => index < (result.Item.total || 0));
+    const now = new Date().toISOString();
+    try {
+      await dynamodb.update({
+        TableName: IMPORTS_TABLE,
+        Key: { userId, importId },
+        UpdateExpression: 'SET #status = :importing, excluded = :excluded, processed = :zero, updatedAt = :now',
+        ConditionExpression: '#status = :ready',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':importing': importJobs.STATUS.IMPORTING,
+          ':ready': importJobs.STATUS.READY,
+          ':excluded': excluded,
+          ':zero': 0,
+          ':now': now
+        }
+      }).promise();
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        return {
+          statusCode: 409,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message: 'This import has already been committed' })
+        };
+      }
+      throw error;
+    }
+    
+    // A job that never reaches the queue would wait forever; mark it failed instead
+    try {
+      await sqs.sendMessage({
+        QueueUrl: IMPORT_QUEUE_URL,
+        MessageBody: JSON.stringify({ userId, importId, action: 'commit' })
+      }).promise();
+    } catch (error) {
+      await dynamodb.update({
+        TableName: IMPORTS_TABLE,
+        Key: { userId, importId },
+        UpdateExpression: 'SET #status = :failed, #error = :error, updatedAt = :now',
+        ExpressionAttributeNames: { '#status': 'status', '#error': 'error' },
+        ExpressionAttributeValues: {
+          ':failed': importJobs.STATUS.FAILED,
+          ':error': 'The import could not be queued',
+          ':now': new Date().toISOString()
+        }
+      }).promise();
+      throw error;
+    }
+    
+    return {
+      statusCode: 202,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(importJobs.toImportJob({
+        ...result.Item,
+        status: importJobs.STATUS.IMPORTING,
+        excluded,
+        processed: 0,
+        updatedAt: now
+      }))
+    };
+  } catch (error) {
+    console.error('Error committing import:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error committing import', error: error.message })
+    };
+  }
+};
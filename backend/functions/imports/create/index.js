@@ -0,0 +1,129 @@
+/**
+ * Create Import Lambda Function
+ *
+ * This Lambda function starts an import into the user's journal (POST /imports).
+ * It records the job and hands out a presigned POST for the file, which the
+ * browser sends straight to S3: a ZIP of Markdown files, a JSON export or
+ * account archive of this app, a Day One export or a WordPress export.
+ * Nothing is read yet; POST /imports/{importId}/preview does that once the
+ * upload has finished.
+ *
+ * Learning points:
+ * - Uploading large files with presigned POST policies instead of through API Gateway
+ * - Splitting a long-running job into steps the user confirms
+ */
+
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const s3 = new AWS.S3();
+
+// Import helpers (backend/layers/imports, mounted under /opt by the shared layer)
+const importJobs = require('/opt/imports');
+
+// Request schemas (backend/layers/validation, mounted under /opt by the shared layer)
+const validation = require('/opt/validation');
+
+// Get parameters from environment variables
+const IMPORTS_TABLE = process.env.IMPORTS_TABLE;
+
+// How long the upload form stays valid; large archives take a while on slow connections
+const URL_EXPIRY_SECONDS = 60 * 60;
+
+/**
+ * Lambda function to start an import
+ *
+ * @param {Object} event - API Gateway event with { fileName, size } in the body
+ * @returns {Object} - API Gateway response object with the job and its upload form
+ */
+exports.handler = async (event) => {
+  try {
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    const username = event.requestContext.authorizer.claims['cognito:username'];
+    
+    // Parse and validate the request body
+    const { body, error } = validation.parseBody(event, 'createImport');
+    if (error) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(error)
+      };
+    }
+    const fileName = body.fileName.trim();
+    const { size } = body;
+    const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+    
+    if (!importJobs.FILE_EXTENSIONS.includes(extension)) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          message: `Unsupported file. Upload one of: ${importJobs.FILE_EXTENSIONS.map(item => `.${item}`).join(', ')}`
+        })
+      };
+    }
+    
+    if (size > importJobs.MAX_IMPORT_SIZE) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: `File is larger than ${importJobs.MAX_IMPORT_SIZE / (1024 * 1024 * 1024)} GB` })
+      };
+    }
+    
+    const now = new Date();
+    const job = {
+      userId,
+      importId: uuidv4(),
+      username,
+      status: importJobs.STATUS.UPLOADING,
+      fileName,
+      size,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      // ttl is in epoch seconds for DynamoDB TTL
+      ttl: Math.ceil(now.getTime() / 1000) + importJobs.IMPORT_RETENTION_DAYS * 24 * 60 * 60
+    };
+    
+    await dynamodb.put({
+      TableName: IMPORTS_TABLE,
+      Item: job
+    }).promise();
+    
+    // The key is pinned and the size capped by the policy, so the upload can only replace this job's file
+    const post = await new Promise((resolve, reject) => {
+      s3.createPresignedPost({
+        Bucket: importJobs.IMPORT_BUCKET,
+        Fields: {
+          key: importJobs.importKeys(userId, job.importId).upload
+        },
+        Conditions: [
+          ['content-length-range', 1, importJobs.MAX_IMPORT_SIZE]
+        ],
+        Expires: URL_EXPIRY_SECONDS
+      }, (error, data) => (error ? reject(error) : resolve(data)));
+    });
+    
+    return {
+      statusCode: 201,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        ...importJobs.toImportJob(job),
+        upload: {
+          url: post.url,
+          fields: post.fields
+        },
+        expiresIn: URL_EXPIRY_SECONDS
+      })
+    };
+  } catch (error) {
+    console.error('Error creating import:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error creating import', error: error.message })
+    };
+  }
+};
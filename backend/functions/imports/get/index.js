@@ -0,0 +1,69 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const s3 = new AWS.S3();
+
+// Import helpers (backend/layers/imports, mounted under /opt by the shared layer)
+const importJobs = require('/opt/imports');
+
+// Get parameters from environment variables
+const IMPORTS_TABLE = process.env.IMPORTS_TABLE;
+
+/**
+ * Lambda function to get an import job (GET /imports/{importId})
+ * Reports the status and progress (processed of total entries); once the
+ * upload has been read, the job comes with its entries: the preview, and
+ * after the commit what became of each one
+ */
+exports.handler = async (event) => {
+  try {
+    // Get import ID from path parameters
+    const importId = event.pathParameters.importId;
+    
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Jobs are keyed by user, so nobody can see someone else's
+    const result = await dynamodb.get({
+      TableName: IMPORTS_TABLE,
+      Key: { userId, importId }
+    }).promise();
+    
+    if (!result.Item) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Import not found' })
+      };
+    }
+    
+    const job = importJobs.toImportJob(result.Item);
+    
+    // The report can be larger than a DynamoDB item, so it is kept in S3 next to the upload
+    if (result.Item.reportedAt) {
+      try {
+        const report = await s3.getObject({
+          Bucket: importJobs.IMPORT_BUCKET,
+          Key: importJobs.importKeys(userId, importId).report
+        }).promise();
+        job.entries = JSON.parse(report.Body.toString('utf8'));
+      } catch (error) {
+        if (error.code !== 'NoSuchKey') {
+          throw error;
+        }
+      }
+    }
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(job)
+    };
+  } catch (error) {
+    console.error('Error getting import:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error getting import', error: error.message })
+    };
+  }
+};
@@ -0,0 +1,139 @@
+/**
+ * Preview Import Lambda Function
+ *
+ * This Lambda function queues the uploaded file of an import for reading
+ * (POST /imports/{importId}/preview). The import worker recognizes the
+ * format, reads every entry and reports what importing it would do: new,
+ * duplicate of a post already in the journal, or invalid. Poll
+ * GET /imports/{importId} until the job is READY to see the preview.
+ *
+ * Learning points:
+ * - Checking an S3 upload the browser made before acting on it
+ * - Conditional updates as a guard against running a step twice
+ */
+
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const s3 = new AWS.S3();
+const sqs = new AWS.SQS();
+
+// Import helpers (backend/layers/imports, mounted under /opt by the shared layer)
+const importJobs = require('/opt/imports');
+
+// Get parameters from environment variables
+const IMPORTS_TABLE = process.env.IMPORTS_TABLE;
+const IMPORT_QUEUE_URL = process.env.IMPORT_QUEUE_URL;
+
+/**
+ * Lambda function to preview an import
+ *
+ * @param {Object} event - API Gateway event with the importId path parameter
+ * @returns {Object} - API Gateway response object with the queued job
+ */
+exports.handler = async (event) => {
+  try {
+    // Get import ID from path parameters
+    const importId = event.pathParameters.importId;
+    
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Jobs are keyed by user, so nobody can touch someone else's
+    const result = await dynamodb.get({
+      TableName: IMPORTS_TABLE,
+      Key: { userId, importId }
+    }).promise();
+    
+    if (!result.Item) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Import not found' })
+      };
+    }
+    
+    if (result.Item.status !== importJobs.STATUS.UPLOADING) {
+      return {
+        statusCode: 409,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'This import has already been previewed' })
+      };
+    }
+    
+    try {
+      await s3.headObject({
+        Bucket: importJobs.IMPORT_BUCKET,
+        Key: importJobs.importKeys(userId, importId).upload
+      }).promise();
+    } catch (error) {
+      if (error.code === 'NotFound') {
+        return {
+          statusCode: 400,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message: 'The file has not been uploaded yet' })
+        };
+      }
+      throw error;
+    }
+    
+    // Only one request gets past the UPLOADING check; repeated clicks get the 409 above
+    const now = new Date().toISOString();
+    try {
+      await dynamodb.update({
+        TableName: IMPORTS_TABLE,
+        Key: { userId, importId },
+        UpdateExpression: 'SET #status = :analyzing, updatedAt = :now',
+        ConditionExpression: '#status = :uploading',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':analyzing': importJobs.STATUS.ANALYZING,
+          ':uploading': importJobs.STATUS.UPLOADING,
+          ':now': now
+        }
+      }).promise();
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        return {
+          statusCode: 409,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message: 'This import has already been previewed' })
+        };
+      }
+      throw error;
+    }
+    
+    // A job that never reaches the queue would wait forever; mark it failed instead
+    try {
+      await sqs.sendMessage({
+        QueueUrl: IMPORT_QUEUE_URL,
+        MessageBody: JSON.stringify({ userId, importId, action: 'preview' })
+      }).promise();
+    } catch (error) {
+      await dynamodb.update({
+        TableName: IMPORTS_TABLE,
+        Key: { userId, importId },
+        UpdateExpression: 'SET #status = :failed, #error = :error, updatedAt = :now',
+        ExpressionAttributeNames: { '#status': 'status', '#error': 'error' },
+        ExpressionAttributeValues: {
+          ':failed': importJobs.STATUS.FAILED,
+          ':error': 'The import could not be queued',
+          ':now': new Date().toISOString()
+        }
+      }).promise();
+      throw error;
+    }
+    
+    return {
+      statusCode: 202,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(importJobs.toImportJob({ ...result.Item, status: importJobs.STATUS.ANALYZING, updatedAt: now }))
+    };
+  } catch (error) {
+    console.error('Error previewing import:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error previewing import', error: error.message })
+    };
+  }
+};
@@ -0,0 +1,626 @@
+/**
+ * Import Worker Lambda Function
+ *
+ * This Lambda function does the work of the import jobs, in two steps the
+ * user starts one after the other:
+ *
+ * - preview: download the upload, recognize its format and read every entry.
+ *   Each one is checked against the journal: entries imported before (by any
+ *   import) and posts of this journal that came back in an export of it are
+ *   duplicates, entries that can't be imported are invalid, the rest are new.
+ *   The entries and the per-entry report are written next to the upload.
+ * - commit: create a post for every new entry the user didn't leave out,
+ *   keeping its original dates, and upload its photos to the media bucket.
+ *
+ * Every imported entry is claimed in the imported entries table (by user and
+ * source ID) before its post is written, so an entry is only ever imported
+ * once, even when two imports of the same file run side by side. A commit
+ * that is about to run out of time saves its progress and puts itself back
+ * on the queue; the next run picks up where it left off.
+ *
+ * A failed job goes back to the queue and is tried again; after the last
+ * attempt, or straight away when the file itself can't be read, it is marked
+ * FAILED with the error.
+ *
+ * Learning points:
+ * - Processing queued work with SQS and Lambda
+ * - Resumable batch jobs that checkpoint their progress
+ * - Idempotent writes with conditional puts
+ */
+
+const AWS = require('aws-sdk');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { pipeline } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const s3 = new AWS.S3();
+const sqs = new AWS.SQS();
+
+// Import helpers (backend/layers/imports, mounted under /opt by the shared layer)
+const importJobs = require('/opt/imports');
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+const REVISIONS_TABLE = process.env.REVISIONS_TABLE;
+const IMPORTS_TABLE = process.env.IMPORTS_TABLE;
+const IMPORTED_ENTRIES_TABLE = process.env.IMPORTED_ENTRIES_TABLE;
+const IMPORT_QUEUE_URL = process.env.IMPORT_QUEUE_URL;
+const MEDIA_BUCKET = process.env.MEDIA_BUCKET;
+
+// Attempts per job; matches maxReceiveCount of the queue's redrive policy
+const MAX_ATTEMPTS = 3;
+
+// A commit stops and requeues itself when less time than this is left
+const TIME_MARGIN_MS = 60 * 1000;
+
+// Progress is saved after this many entries
+const CHECKPOINT_EVERY = 25;
+
+// DynamoDB takes at most 100 keys per BatchGetItem
+const BATCH_GET_SIZE = 100;
+
+// Photos are held to the same rules as uploads from the editor (media/upload-url)
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10 MB per image
+
+// Fields recorded in revisions, as blog/create records them
+const REVISION_FIELDS = ['title', 'content', 'images', 'visibility', 'tags', 'mood'];
+
+// The length of the text shown for each entry in the preview
+const EXCERPT_LENGTH = 160;
+
+const pipelineAsync = util.promisify(pipeline);
+
+/**
+ * Image type by its first bytes, with the extension used in the S3 key
+ * Only the types the editor accepts are imported
+ */
+const detectImageType = (data) => {
+  if (data[0] === 0xFF && data[1] === 0xD8 && data[2] === 0xFF) {
+    return { contentType: 'image/jpeg', extension: 'jpg' };
+  }
+  if (data[0] === 0x89 && data.toString('ascii', 1, 4) === 'PNG') {
+    return { contentType: 'image/png', extension: 'png' };
+  }
+  if (data.toString('ascii', 0, 4) === 'GIF8') {
+    return { contentType: 'image/gif', extension: 'gif' };
+  }
+  if (data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') {
+    return { contentType: 'image/webp', extension: 'webp' };
+  }
+  return null;
+};
+
+/**
+ * Record changes to a job
+ */
+const updateJob = (job, changes) => {
+  const names = {};
+  const values = { ':now': new Date().toISOString() };
+  const assignments = ['updatedAt = :now'];
+  
+  Object.entries(changes).forEach(([name, value]) => {
+    names[`#${name}`] = name;
+    values[`:${name}`] = value;
+    assignments.push(`#${name} = :${name}`);
+  });
+  
+  return dynamodb.update({
+    TableName: IMPORTS_TABLE,
+    Key: { userId: job.userId, importId: job.importId },
+    UpdateExpression: `SET ${assignments.join(', ')}`,
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values
+  }).promise();
+};
+
+/**
+ * Items of a table by their keys, any number of them
+ * Keys DynamoDB didn't get to (UnprocessedKeys) are asked for again
+ */
+const batchGetAll = async (tableName, keys) => {
+  const items = [];
+  
+  for (let start = 0; start < keys.length; start += BATCH_GET_SIZE) {
+    let requestItems = { [tableName]: { Keys: keys.slice(start, start + BATCH_GET_SIZE) } };
+    
+    while (requestItems && Object.keys(requestItems).length > 0) {
+      const batch = await dynamodb.batchGet({ RequestItems: requestItems }).promise();
+      items.push(...(batch.Responses[tableName] || []));
+      requestItems = batch.UnprocessedKeys;
+    }
+  }
+  
+  return items;
+};
+
+/**
+ * Download the upload of a job and open it
+ * ZIPs are recognized by their first bytes, whatever the file is called
+ */
+const openUpload = async (job) => {
+  const directory = fs.mkdtempSync(path.join('/tmp', 'import-'));
+  const filePath = path.join(directory, 'upload');
+  
+  await pipelineAsync(
+    s3.getObject({
+      Bucket: importJobs.IMPORT_BUCKET,
+      Key: importJobs.importKeys(job.userId, job.importId).upload
+    }).createReadStream(),
+    fs.createWriteStream(filePath)
+  );
+  
+  const header = Buffer.alloc(4);
+  const fd = fs.openSync(filePath, 'r');
+  fs.readSync(fd, header, 0, 4, 0);
+  fs.closeSync(fd);
+  
+  const isZip = header[0] === 0x50 && header[1] === 0x4B && header[2] === 0x03 && header[3] === 0x04;
+  let source;
+  try {
+    source = isZip ? await importJobs.openZip(filePath) : importJobs.openFile(filePath, job.fileName);
+  } catch (error) {
+    fs.rmSync(directory, { recursive: true, force: true });
+    throw importJobs.invalidImport(`The file can't be read: ${error.message}`);
+  }
+  
+  return {
+    source,
+    // Lambda reuses /tmp between invocations, so the upload is removed when the job is done with it
+    close: () => {
+      source.close();
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  };
+};
+
+const readJson = async (key) => {
+  const object = await s3.getObject({ Bucket: importJobs.IMPORT_BUCKET, Key: key }).promise();
+  return JSON.parse(object.Body.toString('utf8'));
+};
+
+const writeJson = (key, data) => s3.putObject({
+  Bucket: importJobs.IMPORT_BUCKET,
+  Key: key,
+  Body: JSON.stringify(data),
+  ContentType: 'application/json'
+}).promise();
+
+/**
+ * The start of an entry's text, for the preview
+ */
+const toExcerpt = (html) => {
+  const text = html.replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+  return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 1)}…` : text;
+};
+
+/**
+ * Check the entries of an upload against the journal
+ * Sets status (new, duplicate or invalid), reason and, for duplicates, the
+ * blogId of the post the entry is already in
+ */
+const checkEntries = async (userId, entries) => {
+  const claims = await batchGetAll(IMPORTED_ENTRIES_TABLE, [...new Set(entries.map(entry => entry.sourceId))]
+    .map(sourceId => ({ userId, sourceId })));
+  const claimsBySourceId = new Map(claims.map(claim => [claim.sourceId, claim]));
+  
+  // Posts exported from this journal keep their IDs, and claimed entries point to their posts
+  const blogIds = new Set(claims.map(claim => claim.blogId));
+  entries
+    .filter(entry => entry.sourceId.startsWith('journal:'))
+    .forEach(entry => blogIds.add(entry.sourceId.slice('journal:'.length)));
+  const blogs = await batchGetAll(BLOGS_TABLE, [...blogIds].map(blogId => ({ blogId })));
+  const ownBlogs = new Map(blogs.filter(blog => blog.userId === userId).map(blog => [blog.blogId, blog]));
+  
+  const seen = new Set();
+  entries.forEach(entry => {
+    const claim = claimsBySourceId.get(entry.sourceId);
+    const existing = (claim && ownBlogs.get(claim.blogId)) ||
+      (entry.sourceId.startsWith('journal:') && ownBlogs.get(entry.sourceId.slice('journal:'.length)));
+    
+    if (entry.error) {
+      entry.status = importJobs.ENTRY_STATUS.INVALID;
+      entry.reason = entry.error;
+    } else if (seen.has(entry.sourceId)) {
+      entry.status = importJobs.ENTRY_STATUS.DUPLICATE;
+      entry.reason = 'It appears more than once in the file';
+    } else if (existing) {
+      entry.status = importJobs.ENTRY_STATUS.DUPLICATE;
+      entry.reason = existing.deletedAt ? 'It is already in your journal, in the trash' : 'It is already in your journal';
+      entry.blogId = existing.blogId;
+    } else {
+      entry.status = importJobs.ENTRY_STATUS.NEW;
+      // An entry whose post was deleted for good since it was imported can be imported again
+      if (claim) {
+        entry.previousBlogId = claim.blogId;
+      }
+    }
+    seen.add(entry.sourceId);
+  });
+};
+
+/**
+ * What the report says about an entry; the content stays out of it
+ */
+const toReportEntry = (entry) => ({
+  index: entry.index,
+  sourceId: entry.sourceId,
+  title: entry.title,
+  excerpt: toExcerpt(entry.content),
+  createdAt: entry.createdAt,
+  status: entry.status,
+  ...(entry.reason && { reason: entry.reason }),
+  ...(entry.blogId && { blogId: entry.blogId }),
+  postStatus: entry.postStatus,
+  tags: entry.tags,
+  ...(entry.mood && { mood: entry.mood }),
+  images: entry.images.length,
+  warnings: entry.warnings
+});
+
+const countByStatus = (report) => report.reduce((counts, entry) => ({
+  ...counts,
+  [entry.status]: (counts[entry.status] || 0) + 1
+}), {});
+
+/**
+ * Read the upload of a job and report what importing it would do
+ */
+const previewImport = async (job) => {
+  const upload = await openUpload(job);
+  let result;
+  try {
+    result = await importJobs.readImport(upload.source);
+  } finally {
+    upload.close();
+  }
+  
+  // Oldest first, as they will appear in the journal; entries without a date go last
+  const entries = result.entries
+    .map((entry, order) => ({ entry, order }))
+    .sort((a, b) => {
+      if (a.entry.createdAt === b.entry.createdAt) {
+        return a.order - b.order;
+      }
+      if (!a.entry.createdAt || !b.entry.createdAt) {
+        return a.entry.createdAt ? -1 : 1;
+      }
+      return a.entry.createdAt < b.entry.createdAt ? -1 : 1;
+    })
+    // status becomes what the import does with the entry; postStatus is the status its post gets
+    .map(({ entry }, index) => ({ ...entry, index, postStatus: entry.status }));
+  
+  await checkEntries(job.userId, entries);
+  
+  const keys = importJobs.importKeys(job.userId, job.importId);
+  const report = entries.map(toReportEntry);
+  await writeJson(keys.entries, entries);
+  await writeJson(keys.report, report);
+  
+  await updateJob(job, {
+    status: importJobs.STATUS.READY,
+    format: result.format,
+    total: entries.length,
+    counts: countByStatus(report),
+    reportedAt: new Date().toISOString()
+  });
+};
+
+/**
+ * Claim an entry for this import
+ * Returns the blogId its post gets, or null when another import got to it first
+ */
+const claimEntry = async (job, entry) => {
+  const key = { userId: job.userId, sourceId: entry.sourceId };
+  
+  // A claim of this import is from an earlier run that didn't finish; carry on with its post
+  const current = await dynamodb.get({ TableName: IMPORTED_ENTRIES_TABLE, Key: key }).promise();
+  if (current.Item && current.Item.importId === job.importId) {
+    return current.Item.blogId;
+  }
+  
+  const blogId = uuidv4();
+  const params = {
+    TableName: IMPORTED_ENTRIES_TABLE,
+    Item: {
+      ...key,
+      blogId,
+      importId: job.importId,
+      importedAt: new Date().toISOString()
+    },
+    ConditionExpression: 'attribute_not_exists(sourceId)'
+  };
+  if (entry.previousBlogId) {
+    params.ConditionExpression += ' OR blogId = :previousBlogId';
+    params.ExpressionAttributeValues = { ':previousBlogId': entry.previousBlogId };
+  }
+  
+  try {
+    await dynamodb.put(params).promise();
+    return blogId;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Release the claim on an entry whose post couldn't be written, so it can be imported again
+ */
+const releaseClaim = (job, entry) => dynamodb.delete({
+  TableName: IMPORTED_ENTRIES_TABLE,
+  Key: { userId: job.userId, sourceId: entry.sourceId },
+  ConditionExpression: 'importId = :importId',
+  ExpressionAttributeValues: { ':importId': job.importId }
+}).promise().catch(error => console.error(`Error releasing ${entry.sourceId}:`, error));
+
+/**
+ * The photos of an entry that can be imported, with their data
+ * Photos that are too large or of another type are left out with a warning
+ */
+const readImages = async (source, entry) => {
+  const images = [];
+  const warnings = [];
+  
+  for (const image of entry.images) {
+    const name = path.posix.basename(image.path);
+    if (source.size(image.path) > MAX_IMAGE_SIZE) {
+      warnings.push(`Photo ${name} is larger than ${MAX_IMAGE_SIZE / (1024 * 1024)} MB and was left out`);
+      continue;
+    }
+    
+    const data = await source.read(image.path);
+    const type = detectImageType(data);
+    if (!type) {
+      warnings.push(`Photo ${name} isn't a JPEG, PNG, GIF or WebP image and was left out`);
+      continue;
+    }
+    images.push({ ...image, ...type, data });
+  }
+  
+  return { images, warnings };
+};
+
+const imageExists = async (key) => {
+  try {
+    await s3.headObject({ Bucket: MEDIA_BUCKET, Key: key }).promise();
+    return true;
+  } catch (error) {
+    if (error.code === 'NotFound') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Write the post of an entry, with its first revision and its photos
+ * Runs again for an entry whose earlier run was cut short: the post is only
+ * written once, and only the photos that aren't in the bucket yet are uploaded
+ */
+const writePost = async (job, entry, blogId, source) => {
+  const { images, warnings } = await readImages(source, entry);
+  const timestamp = new Date().toISOString();
+  
+  const existing = await dynamodb.get({ TableName: BLOGS_TABLE, Key: { blogId } }).promise();
+  let blog = existing.Item;
+  
+  if (!blog) {
+    const createdAt = entry.createdAt || timestamp;
+    blog = {
+      blogId,
+      userId: job.userId,
+      username: job.username,
+      title: entry.title,
+      content: entry.content,
+      // Keys are chosen up front so the post lists its photos before they arrive
+      images: images.map((image, order) => ({
+        key: `blogs/${blogId}/${uuidv4()}.${image.extension}`,
+        caption: image.caption || '',
+        altText: image.altText || '',
+        order
+      })),
+      // Imported entries are private until their owner decides otherwise
+      visibility: 'private',
+      tags: entry.tags,
+      mood: entry.mood,
+      createdAt,
+      updatedAt: entry.updatedAt && entry.updatedAt > createdAt ? entry.updatedAt : createdAt,
+      status: entry.postStatus,
+      revision: 1,
+      version: 1,
+      importedFrom: {
+        importId: job.importId,
+        format: job.format,
+        sourceId: entry.sourceId
+      }
+    };
+    if (blog.status === 'PUBLISHED') {
+      blog.publishedAt = entry.publishedAt || createdAt;
+    } else if (blog.status === 'ARCHIVED') {
+      blog.archivedAt = timestamp;
+    }
+    
+    // The post goes first: process-image only records renditions for posts that exist
+    await dynamodb.put({
+      TableName: BLOGS_TABLE,
+      Item: blog,
+      ConditionExpression: 'attribute_not_exists(blogId)'
+    }).promise();
+    
+    const snapshot = {};
+    REVISION_FIELDS.forEach(field => {
+      snapshot[field] = blog[field];
+    });
+    await dynamodb.put({
+      TableName: REVISIONS_TABLE,
+      Item: {
+        blogId,
+        revision: 1,
+        action: 'import',
+        userId: job.userId,
+        username: job.username,
+        createdAt: timestamp,
+        changedFields: REVISION_FIELDS,
+        snapshot
+      }
+    }).promise();
+  }
+  
+  // The photos were read in the same order both times, so they line up with the post's images
+  for (const [order, image] of images.entries()) {
+    const { key } = blog.images[order] || {};
+    if (key && !(await imageExists(key))) {
+      await s3.putObject({
+        Bucket: MEDIA_BUCKET,
+        Key: key,
+        Body: image.data,
+        ContentType: image.contentType
+      }).promise();
+    }
+  }
+  
+  return warnings;
+};
+
+/**
+ * Import the entries of a previewed job
+ * Returns false when it ran out of time and has to continue in another run
+ */
+const commitImport = async (job, context) => {
+  const keys = importJobs.importKeys(job.userId, job.importId);
+  const entries = await readJson(keys.entries);
+  const report = await readJson(keys.report);
+  const excluded = new Set(job.excluded || []);
+  
+  const saveProgress = async (processed) => {
+    await writeJson(keys.report, report);
+    await updateJob(job, { processed, counts: countByStatus(report) });
+  };
+  
+  const upload = await openUpload(job);
+  let processed = job.processed || 0;
+  try {
+    for (; processed < entries.length; processed++) {
+      if (context.getRemainingTimeInMillis() < TIME_MARGIN_MS) {
+        await saveProgress(processed);
+        return false;
+      }
+      
+      const entry = entries[processed];
+      const reportEntry = report[processed];
+      
+      if (entry.status !== importJobs.ENTRY_STATUS.NEW || excluded.has(processed)) {
+        reportEntry.status = importJobs.ENTRY_STATUS.SKIPPED;
+        reportEntry.reason = entry.reason || 'Left out of the import';
+      } else {
+        const blogId = await claimEntry(job, entry);
+        if (!blogId) {
+          reportEntry.status = importJobs.ENTRY_STATUS.SKIPPED;
+          reportEntry.reason = 'It was imported by another import in the meantime';
+        } else {
+          try {
+            const warnings = await writePost(job, entry, blogId, upload.source);
+            reportEntry.status = importJobs.ENTRY_STATUS.IMPORTED;
+            reportEntry.blogId = blogId;
+            reportEntry.warnings = [...entry.warnings, ...warnings];
+          } catch (error) {
+            // Posts DynamoDB turns down fail on their own; anything else fails the run
+            if (error.code !== 'ValidationException') {
+              throw error;
+            }
+            console.error(`Error importing ${entry.sourceId}:`, error);
+            await releaseClaim(job, entry);
+            reportEntry.status = importJobs.ENTRY_STATUS.FAILED;
+            reportEntry.reason = error.message;
+          }
+        }
+      }
+      
+      if ((processed + 1) % CHECKPOINT_EVERY === 0) {
+        await saveProgress(processed + 1);
+      }
+    }
+  } catch (error) {
+    // Keep what was done so the next attempt doesn't redo it
+    await saveProgress(processed).catch(() => {});
+    throw error;
+  } finally {
+    upload.close();
+  }
+  
+  await writeJson(keys.report, report);
+  await updateJob(job, {
+    status: importJobs.STATUS.COMPLETED,
+    processed: entries.length,
+    counts: countByStatus(report),
+    completedAt: new Date().toISOString()
+  });
+  return true;
+};
+
+/**
+ * Run one step of an import job
+ * Queue messages can arrive more than once; jobs that aren't waiting for the step are left alone
+ */
+const runJob = async ({ userId, importId, action }, attempt, context) => {
+  const result = await dynamodb.get({
+    TableName: IMPORTS_TABLE,
+    Key: { userId, importId }
+  }).promise();
+  const job = result.Item;
+  
+  if (!job) {
+    console.warn(`Import ${importId} no longer exists, skipping`);
+    return;
+  }
+  const waitingFor = action === 'commit' ? importJobs.STATUS.IMPORTING : importJobs.STATUS.ANALYZING;
+  if (job.status !== waitingFor) {
+    return;
+  }
+  
+  await updateJob(job, { attempt });
+  
+  try {
+    if (action === 'commit') {
+      const done = await commitImport(job, context);
+      if (!done) {
+        // Another run continues from the saved progress
+        await sqs.sendMessage({
+          QueueUrl: IMPORT_QUEUE_URL,
+          MessageBody: JSON.stringify({ userId, importId, action })
+        }).promise();
+      }
+    } else {
+      await previewImport(job);
+    }
+  } catch (error) {
+    console.error(`Error running import ${importId} ${action} (attempt ${attempt}):`, error);
+    
+    // A file that can't be read won't read any better the next time
+    if (error.code === 'InvalidImport' || attempt >= MAX_ATTEMPTS) {
+      await updateJob(job, { status: importJobs.STATUS.FAILED, error: error.message });
+      return;
+    }
+    
+    // Back to the queue; SQS delivers the message again after the visibility timeout
+    throw error;
+  }
+};
+
+/**
+ * Lambda function to process queued import steps
+ *
+ * @param {Object} event - SQS event with { userId, importId, action } messages
+ * @param {Object} context - Lambda context, for the time left
+ */
+exports.handler = async (event, context) => {
+  for (const record of event.Records) {
+    const message = JSON.parse(record.body);
+    const attempt = parseInt(record.attributes.ApproximateReceiveCount) || 1;
+    await runJob(message, attempt, context);
+  }
+};
@@ -0,0 +1,147 @@
+/**
+ * Share Link Creation Lambda Function
+ *
+ * This Lambda function creates an unguessable link to an unlisted blog post so
+ * it can be shown to someone without an account. Links can be protected with a
+ * password and can expire; the owner can revoke them at any time.
+ *
+ * Learning points:
+ * - Generating secure random tokens with the crypto module
+ * - Storing passwords as salted scrypt hashes, never in plain text
+ * - Letting DynamoDB TTL clean up expired records
+ */
+
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Share link helpers (backend/layers/links, mounted under /opt by the shared layer)
+const links = require('/opt/links');
+
+// Request schemas (backend/layers/validation, mounted under /opt by the shared layer)
+const validation = require('/opt/validation');
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+const LINKS_TABLE = process.env.LINKS_TABLE;
+
+// Limits for link passwords
+const MIN_PASSWORD_LENGTH = 6;
+const MAX_PASSWORD_LENGTH = 128;
+
+/**
+ * Lambda function to create a share link for a blog post
+ *
+ * @param {Object} event - API Gateway event with optional { password, expiresAt } in the body
+ * @returns {Object} - API Gateway response object with the new link
+ */
+exports.handler = async (event) => {
+  try {
+    // Get blog ID from path parameters
+    const blogId = event.pathParameters.blogId;
+    
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Parse and validate the request body
+    const { body, error } = validation.parseBody(event, 'createLink');
+    if (error) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(error)
+      };
+    }
+    const { password, expiresAt } = body;
+    
+    if (password !== undefined && password !== null && password !== '' &&
+        (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH)) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: `Passwords must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters long` })
+      };
+    }
+    
+    if (expiresAt !== undefined && expiresAt !== null && !(Date.parse(expiresAt) > Date.now())) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'expiresAt must be a date in the future' })
+      };
+    }
+    
+    // Get existing blog post
+    const result = await dynamodb.get({
+      TableName: BLOGS_TABLE,
+      Key: { blogId }
+    }).promise();
+    
+    // Check if blog post exists
+    // Posts in the trash count as deleted until they are restored
+    if (!result.Item || result.Item.deletedAt) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Blog post not found' })
+      };
+    }
+    
+    // Check if user owns this blog post
+    const blog = result.Item;
+    if (blog.userId !== userId) {
+      return {
+        statusCode: 403,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'You do not have permission to share this blog post' })
+      };
+    }
+    
+    // Links only open unlisted posts, so don't hand out one that wouldn't work
+    if (blog.visibility !== 'unlisted') {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Change the visibility of this blog post to unlisted before creating a link' })
+      };
+    }
+    
+    const link = {
+      token: links.generateToken(),
+      blogId,
+      ownerId: userId,
+      createdAt: new Date().toISOString(),
+      accessCount: 0
+    };
+    
+    if (password) {
+      Object.assign(link, await links.hashPassword(password));
+    }
+    
+    // ttl is in epoch seconds for DynamoDB TTL; expiresAt is what access checks use
+    if (expiresAt) {
+      link.expiresAt = new Date(expiresAt).toISOString();
+      link.ttl = Math.ceil(Date.parse(expiresAt) / 1000);
+    }
+    
+    // The condition guards against the (astronomically unlikely) reuse of a token
+    await dynamodb.put({
+      TableName: LINKS_TABLE,
+      Item: link,
+      ConditionExpression: 'attribute_not_exists(#token)',
+      ExpressionAttributeNames: { '#token': 'token' }
+    }).promise();
+    
+    return {
+      statusCode: 201,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(links.toLinkResponse(link))
+    };
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error creating share link', error: error.message })
+    };
+  }
+};
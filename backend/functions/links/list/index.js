@@ -0,0 +1,77 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Share link helpers (backend/layers/links, mounted under /opt by the shared layer)
+const links = require('/opt/links');
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+const LINKS_TABLE = process.env.LINKS_TABLE;
+
+/**
+ * Lambda function to list the share links of a blog post
+ * Only the owner can see the links; expired ones are left out
+ */
+exports.handler = async (event) => {
+  try {
+    // Get blog ID from path parameters
+    const blogId = event.pathParameters.blogId;
+    
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Get existing blog post
+    const result = await dynamodb.get({
+      TableName: BLOGS_TABLE,
+      Key: { blogId }
+    }).promise();
+    
+    // Check if blog post exists
+    // Posts in the trash count as deleted until they are restored
+    if (!result.Item || result.Item.deletedAt) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Blog post not found' })
+      };
+    }
+    
+    // Check if user owns this blog post
+    if (result.Item.userId !== userId) {
+      return {
+        statusCode: 403,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'You do not have permission to view the links of this blog post' })
+      };
+    }
+    
+    // A post has a handful of links, so read them all at once (newest first)
+    const items = [];
+    let lastEvaluatedKey;
+    do {
+      const page = await dynamodb.query({
+        TableName: LINKS_TABLE,
+        IndexName: 'blogIdIndex',
+        KeyConditionExpression: 'blogId = :blogId',
+        ExpressionAttributeValues: { ':blogId': blogId },
+        ScanIndexForward: false,
+        ExclusiveStartKey: lastEvaluatedKey
+      }).promise();
+      items.push(...page.Items.filter(links.isActive).map(links.toLinkResponse));
+      lastEvaluatedKey = page.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ items, count: items.length })
+    };
+  } catch (error) {
+    console.error('Error listing share links:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error listing share links', error: error.message })
+    };
+  }
+};
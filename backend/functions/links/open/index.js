@@ -0,0 +1,202 @@
+/**
+ * Open Share Link Lambda Function
+ *
+ * This Lambda function serves an unlisted blog post to anyone holding one of its
+ * share links (GET /s/{token}). It runs without the Cognito authorizer, so the
+ * token (and the password, for protected links) is the only thing standing
+ * between the post and the internet.
+ *
+ * Learning points:
+ * - Public endpoints that check access themselves
+ * - Counting accesses with atomic counters (ADD)
+ * - Answering every kind of dead link the same way so tokens can't be probed
+ * - Locking a link after too many wrong passwords so they can't be guessed
+ */
+
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Shared media helpers (backend/layers/media, mounted under /opt by the shared layer)
+const media = require('/opt/media');
+
+// Share link helpers (backend/layers/links, mounted under /opt by the shared layer)
+const links = require('/opt/links');
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+const LINKS_TABLE = process.env.LINKS_TABLE;
+
+// Unlisted posts must stay out of caches and search engines
+const RESPONSE_HEADERS = {
+  'Content-Type': 'application/json',
+  'Cache-Control': 'no-store',
+  'X-Robots-Tag': 'noindex'
+};
+
+/**
+ * Helper function to read the link password sent with the request
+ * API Gateway passes headers through with the casing the client used
+ */
+function getPassword(headers) {
+  const name = Object.keys(headers || {}).find(header => header.toLowerCase() === 'x-link-password');
+  return name ? headers[name] : undefined;
+}
+
+/**
+ * Response for a link that is locked after too many wrong passwords
+ *
+ * @param {string} [lockedUntil] - When the lock ends, if known
+ * @returns {Object} - API Gateway response object
+ */
+function tooManyAttempts(lockedUntil) {
+  const retryAfter = lockedUntil
+    ? Math.max(1, Math.ceil((new Date(lockedUntil) - Date.now()) / 1000))
+    : links.PASSWORD_LOCKOUT_MINUTES * 60;
+  
+  return {
+    statusCode: 429,
+    headers: { ...RESPONSE_HEADERS, 'Retry-After': String(retryAfter) },
+    body: JSON.stringify({
+      message: 'Too many wrong passwords. Please try again later.',
+      passwordRequired: true,
+      lockedUntil
+    })
+  };
+}
+
+/**
+ * The parts of a post a link holder gets to see
+ *
+ * @param {Object} blog - Blog post item with signed media URLs
+ * @returns {Object} - Post without owner-only and bookkeeping attributes
+ */
+function toLinkedPost(blog) {
+  return {
+    blogId: blog.blogId,
+    title: blog.title,
+    content: blog.content,
+    images: blog.images,
+    imageRenditions: blog.imageRenditions,
+    mediaUrls: blog.mediaUrls,
+    tags: blog.tags,
+    mood: blog.mood,
+    createdAt: blog.createdAt,
+    publishedAt: blog.publishedAt,
+    author: {
+      username: blog.username
+    }
+  };
+}
+
+/**
+ * Lambda function to open a share link
+ *
+ * @param {Object} event - API Gateway event with the token in the path and an optional X-Link-Password header
+ * @returns {Object} - API Gateway response object with the post, 401 for a missing or wrong password, 429 while the link is locked
+ */
+exports.handler = async (event) => {
+  const notFound = {
+    statusCode: 404,
+    headers: RESPONSE_HEADERS,
+    body: JSON.stringify({ message: 'This link does not exist or has expired' })
+  };
+  
+  try {
+    const token = event.pathParameters.token;
+    
+    const linkResult = await dynamodb.get({
+      TableName: LINKS_TABLE,
+      Key: { token }
+    }).promise();
+    
+    const link = linkResult.Item;
+    if (!link || !links.isActive(link)) {
+      return notFound;
+    }
+    
+    // Check the password before loading the post so wrong guesses learn nothing about it
+    if (link.passwordHash) {
+      const password = getPassword(event.headers);
+      const passwordRequired = {
+        statusCode: 401,
+        headers: RESPONSE_HEADERS,
+        body: JSON.stringify({ message: 'This link is password protected', passwordRequired: true })
+      };
+      
+      // A locked link doesn't even look at the password, so guesses cost no scrypt call
+      if (links.isLocked(link)) {
+        return tooManyAttempts(link.lockedUntil);
+      }
+      
+      // Opening the link without a password is how the form gets shown, not a guess
+      if (!password) {
+        return passwordRequired;
+      }
+      
+      // null when the link was locked (or revoked) since we read it
+      const attempts = await links.countPasswordAttempt(token);
+      if (attempts === null) {
+        return tooManyAttempts();
+      }
+      
+      // Guesses sent in parallel can count past the limit before the lock is set
+      if (attempts > links.MAX_PASSWORD_ATTEMPTS) {
+        return tooManyAttempts(await links.lockLink(token));
+      }
+      
+      if (!(await links.verifyPassword(link, password))) {
+        if (attempts === links.MAX_PASSWORD_ATTEMPTS) {
+          return tooManyAttempts(await links.lockLink(token));
+        }
+        return passwordRequired;
+      }
+    }
+    
+    const blogResult = await dynamodb.get({
+      TableName: BLOGS_TABLE,
+      Key: { blogId: link.blogId }
+    }).promise();
+    
+    // The link only works while the post is published and unlisted
+    // Making the post private (or trashing it) disables all of its links without revoking them
+    const blog = blogResult.Item;
+    if (!blog || blog.deletedAt || blog.visibility !== 'unlisted' || (blog.status || 'PUBLISHED') !== 'PUBLISHED') {
+      return notFound;
+    }
+    
+    // Record the access, and start counting password attempts again
+    // The condition keeps a link revoked a moment ago from being recreated by the update
+    try {
+      await dynamodb.update({
+        TableName: LINKS_TABLE,
+        Key: { token },
+        UpdateExpression: 'ADD accessCount :one SET lastAccessedAt = :now REMOVE passwordAttempts',
+        ConditionExpression: 'attribute_exists(blogId)',
+        ExpressionAttributeValues: {
+          ':one': 1,
+          ':now': new Date().toISOString()
+        }
+      }).promise();
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        return notFound;
+      }
+      throw error;
+    }
+    
+    const post = await media.withMediaUrls(blog);
+    
+    return {
+      statusCode: 200,
+      headers: RESPONSE_HEADERS,
+      body: JSON.stringify(toLinkedPost(post))
+    };
+  } catch (error) {
+    console.error('Error opening share link:', error);
+    return {
+      statusCode: 500,
+      headers: RESPONSE_HEADERS,
+      body: JSON.stringify({ message: 'Error opening share link', error: error.message })
+    };
+  }
+};
@@ -0,0 +1,59 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Get parameters from environment variables
+const LINKS_TABLE = process.env.LINKS_TABLE;
+
+/**
+ * Lambda function to revoke a share link
+ * The link stops working immediately; GET /s/{token} returns 404 from then on
+ */
+exports.handler = async (event) => {
+  try {
+    // Get blog ID and token from path parameters
+    const { blogId, token } = event.pathParameters;
+    
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Only the owner may delete the link, and only through the post it belongs to
+    try {
+      await dynamodb.delete({
+        TableName: LINKS_TABLE,
+        Key: { token },
+        ConditionExpression: 'blogId = :blogId AND ownerId = :userId',
+        ExpressionAttributeValues: {
+          ':blogId': blogId,
+          ':userId': userId
+        }
+      }).promise();
+    } catch (error) {
+      // Covers links that don't exist too, so tokens of other users can't be probed
+      if (error.code === 'ConditionalCheckFailedException') {
+        return {
+          statusCode: 404,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message: 'Link not found' })
+        };
+      }
+      throw error;
+    }
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        message: 'Link revoked',
+        blogId,
+        token
+      })
+    };
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error revoking share link', error: error.message })
+    };
+  }
+};
@@ -0,0 +1,326 @@
+/**
+ * Media Upload Confirmation Lambda Function
+ * 
+ * This Lambda function attaches images that the browser uploaded with a presigned
+ * URL (see media/upload-url) to their blog post. S3 is the source of truth for
+ * what was actually uploaded, so every key is checked there before it is attached.
+ * 
+ * Learning points:
+ * - Verifying client uploads with HeadObject instead of trusting the client
+ * - Cleaning up objects that break the upload rules
+ * - Keeping the post, its revision history and its version consistent in one transaction
+ */
+
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const s3 = new AWS.S3();
+const cloudwatch = new AWS.CloudWatch();
+
+// Shared media helpers (backend/layers/media, mounted under /opt by the shared layer)
+const media = require('/opt/media');
+
+// Request schemas (backend/layers/validation, mounted under /opt by the shared layer)
+const validation = require('/opt/validation');
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+const MEDIA_BUCKET = process.env.MEDIA_BUCKET;
+const REVISIONS_TABLE = process.env.REVISIONS_TABLE;
+
+// Fields captured in each revision snapshot (kept in sync with blog/update)
+const REVISION_FIELDS = ['title', 'content', 'images', 'visibility', 'tags', 'mood'];
+
+// Upload limits (kept in sync with media/upload-url)
+// The confirmMedia schema allows up to 10 keys per request
+const ALLOWED_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10 MB per image
+
+/**
+ * Lambda function to attach uploaded images to a blog post
+ * 
+ * Expects { blogId, keys, expectedVersion } where keys are the S3 keys returned
+ * by media/upload-url. Keys that are already attached are ignored.
+ * 
+ * @param {Object} event - API Gateway event containing request data
+ * @returns {Object} - API Gateway response object
+ */
+exports.handler = async (event) => {
+  try {
+    // Parse and validate the request body
+    const { body, error } = validation.parseBody(event, 'confirmMedia');
+    if (error) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(error)
+      };
+    }
+    const { blogId, keys, expectedVersion } = body;
+    
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    const username = event.requestContext.authorizer.claims['cognito:username'];
+    
+    // Only keys handed out for this post can be attached to it
+    const prefix = `blogs/${blogId}/`;
+    const foreignKeys = keys.filter(key => !key.startsWith(prefix) || key.slice(prefix.length).includes('/'));
+    if (foreignKeys.length > 0) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: `Image keys must be uploads for this blog post (${prefix}...)`, invalidKeys: foreignKeys })
+      };
+    }
+    
+    // Get existing blog post
+    const result = await dynamodb.get({
+      TableName: BLOGS_TABLE,
+      Key: { blogId }
+    }).promise();
+    
+    // Posts in the trash count as deleted until they are restored
+    if (!result.Item || result.Item.deletedAt) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Blog post not found' })
+      };
+    }
+    
+    const blog = result.Item;
+    if (blog.userId !== userId) {
+      return {
+        statusCode: 403,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'You do not have permission to attach images to this blog post' })
+      };
+    }
+    
+    // Same optimistic concurrency contract as blog/update
+    const currentVersion = blog.version || 0;
+    if (expectedVersion !== undefined && expectedVersion !== null && parseInt(expectedVersion) !== currentVersion) {
+      return conflictResponse(blog);
+    }
+    
+    // Confirming the same upload twice is harmless
+    const existingImages = media.getImages(blog);
+    const existingKeys = existingImages.map(image => image.key);
+    const newKeys = [...new Set(keys)].filter(key => !existingKeys.includes(key));
+    
+    if (newKeys.length === 0) {
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          'ETag': `"${currentVersion}"`
+        },
+        body: JSON.stringify({
+          message: 'Images are already attached',
+          blogId,
+          images: existingImages,
+          revision: blog.revision,
+          version: currentVersion
+        })
+      };
+    }
+    
+    // Check each upload in S3; the PUT URL can't enforce size, so this is the real gate
+    const checks = await Promise.all(newKeys.map(checkUpload));
+    const invalidKeys = checks.filter(check => check.error).map(({ key, error }) => ({ key, error }));
+    
+    if (invalidKeys.length > 0) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Some uploads could not be attached', invalidKeys })
+      };
+    }
+    
+    const timestamp = new Date().toISOString();
+    // New images go to the end without a caption; captions and order are edited with blog/update
+    const images = [
+      ...existingImages.map((image, order) => ({ ...image, order })),
+      ...newKeys.map((key, index) => ({ key, caption: '', altText: '', order: existingImages.length + index }))
+    ];
+    const revision = (blog.revision || 0) + 1;
+    const version = currentVersion + 1;
+    
+    const snapshot = {};
+    REVISION_FIELDS.forEach(field => {
+      if (blog[field] !== undefined) {
+        snapshot[field] = blog[field];
+      }
+    });
+    snapshot.images = images;
+    
+    const expressionAttributeValues = {
+      ':images': images,
+      ':updatedAt': timestamp,
+      ':revision': revision,
+      ':version': version
+    };
+    
+    if (currentVersion) {
+      expressionAttributeValues[':currentVersion'] = currentVersion;
+    }
+    
+    // Attach the images and record the revision atomically
+    try {
+      await dynamodb.transactWrite({
+        TransactItems: [
+          {
+            Put: {
+              TableName: REVISIONS_TABLE,
+              Item: {
+                blogId,
+                revision,
+                action: 'update',
+                userId,
+                username,
+                createdAt: timestamp,
+                changedFields: ['images'],
+                snapshot
+              },
+              ConditionExpression: 'attribute_not_exists(revision)'
+            }
+          },
+          {
+            Update: {
+              TableName: BLOGS_TABLE,
+              Key: { blogId },
+              // Posts that still store a bare key array move to image objects
+              UpdateExpression: 'SET images = :images, updatedAt = :updatedAt, revision = :revision, version = :version REMOVE imageUrls',
+              ConditionExpression: currentVersion ? 'version = :currentVersion' : 'attribute_not_exists(version)',
+              ExpressionAttributeValues: expressionAttributeValues
+            }
+          }
+        ]
+      }).promise();
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        // Lost the race against another update; return the copy that won
+        const latest = await dynamodb.get({
+          TableName: BLOGS_TABLE,
+          Key: { blogId }
+        }).promise();
+        return conflictResponse(latest.Item || blog);
+      }
+      throw error;
+    }
+    
+    await publishMetrics({
+      imageCount: newKeys.length,
+      totalImageSize: checks.reduce((total, check) => total + check.size, 0)
+    });
+    
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'ETag': `"${version}"`
+      },
+      body: JSON.stringify({
+        message: 'Images attached successfully',
+        blogId,
+        images,
+        revision,
+        version
+      })
+    };
+  } catch (error) {
+    console.error('Error confirming uploads:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error confirming uploads', error: error.message })
+    };
+  }
+};
+
+/**
+ * Helper function to check an uploaded object against the upload limits
+ * Objects that break the rules are deleted so they don't linger in the bucket
+ * 
+ * @param {string} key - S3 key of the uploaded image
+ * @returns {Object} - { key, size } or { key, error } if the upload is rejected
+ */
+async function checkUpload(key) {
+  let head;
+  try {
+    head = await s3.headObject({
+      Bucket: MEDIA_BUCKET,
+      Key: key
+    }).promise();
+  } catch (error) {
+    if (error.code === 'NotFound') {
+      return { key, error: 'Upload not found' };
+    }
+    throw error;
+  }
+  
+  let uploadError = null;
+  if (!ALLOWED_CONTENT_TYPES.includes(head.ContentType)) {
+    uploadError = `Unsupported content type ${head.ContentType}`;
+  } else if (head.ContentLength > MAX_IMAGE_SIZE) {
+    uploadError = `File is larger than ${MAX_IMAGE_SIZE / (1024 * 1024)} MB`;
+  }
+  
+  if (uploadError) {
+    await s3.deleteObject({
+      Bucket: MEDIA_BUCKET,
+      Key: key
+    }).promise();
+    return { key, error: uploadError };
+  }
+  
+  return { key, size: head.ContentLength };
+}
+
+/**
+ * Helper function to build a 409 response carrying the current server copy
+ */
+function conflictResponse(blog) {
+  const currentVersion = blog.version || 0;
+  return {
+    statusCode: 409,
+    headers: {
+      'Content-Type': 'application/json',
+      'ETag': `"${currentVersion}"`
+    },
+    body: JSON.stringify({
+      message: 'Blog post was modified since you loaded it',
+      currentVersion,
+      current: blog
+    })
+  };
+}
+
+/**
+ * Publishes image upload metrics to CloudWatch for monitoring
+ * 
+ * @param {Object} metrics - Metrics to publish
+ */
+async function publishMetrics(metrics) {
+  try {
+    await cloudwatch.putMetricData({
+      Namespace: 'Q_Blog',
+      MetricData: [
+        {
+          MetricName: 'ImageUploads',
+          Value: metrics.imageCount,
+          Unit: 'Count',
+          Timestamp: new Date()
+        },
+        {
+          MetricName: 'ImageUploadSize',
+          Value: metrics.totalImageSize,
+          Unit: 'Bytes',
+          Timestamp: new Date()
+        }
+      ]
+    }).promise();
+  } catch (error) {
+    // Log the error but don't fail the function
+    console.error('Error publishing metrics:', error);
+  }
+}
@@ -0,0 +1,263 @@
+/**
+ * Image Processing Lambda Function
+ * 
+ * This Lambda function runs whenever an image lands under `blogs/` in the media
+ * bucket. Uploads come straight from the browser, so nothing about them can be
+ * trusted: the real format is read from the file itself, camera metadata (EXIF,
+ * GPS location) is stripped, and resized renditions are generated for display.
+ * 
+ * Renditions are written under `renditions/` so they don't trigger this function
+ * again, and their keys and dimensions are recorded on the blog item.
+ * 
+ * sharp ships native binaries; npm run install:functions installs them for
+ * Lambda's platform (linux x64) before deploying
+ * 
+ * Learning points:
+ * - Processing S3 uploads with event notifications
+ * - Avoiding trigger loops when a function writes back to its own bucket
+ * - Image processing with sharp (libvips) in Lambda
+ * - Updating nested DynamoDB map attributes
+ */
+
+const AWS = require('aws-sdk');
+const sharp = require('sharp');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const s3 = new AWS.S3();
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+const MEDIA_BUCKET = process.env.MEDIA_BUCKET;
+
+// Formats we accept, detected from the image data rather than the file name
+// Renditions keep the original format, except GIFs which become (still) PNGs
+const FORMATS = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg', output: 'jpeg' },
+  png: { contentType: 'image/png', extension: 'png', output: 'png' },
+  webp: { contentType: 'image/webp', extension: 'webp', output: 'webp' },
+  gif: { contentType: 'image/gif', extension: 'png', output: 'png' }
+};
+
+const OUTPUT_CONTENT_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+// Longest edge in pixels for each rendition; smaller images are never enlarged
+const RENDITION_SIZES = {
+  thumbnail: 480,
+  medium: 1024,
+  full: 2048
+};
+
+// Marks objects this function wrote, so overwriting an original doesn't process it twice
+const PROCESSED_MARKER = 'processed';
+
+// Rendition keys are unique per upload, so browsers and CloudFront can cache them forever
+const RENDITION_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+/**
+ * Lambda function to process uploaded blog images
+ * 
+ * @param {Object} event - S3 event notification
+ * @returns {Object} - Summary of the processed images
+ */
+exports.handler = async (event) => {
+  const results = [];
+  
+  for (const record of event.Records || []) {
+    // Object keys arrive URL-encoded, with spaces as '+'
+    const key = decodeURIComponent(record.s3.object.key.replace(/\+/g, ' '));
+    
+    try {
+      results.push(await processImage(key));
+    } catch (error) {
+      console.error(`Error processing image ${key}:`, error);
+      results.push({ key, result: 'error', error: error.message });
+    }
+  }
+  
+  console.log('Image processing results:', JSON.stringify(results));
+  
+  // Fail the invocation so Lambda retries; the original is only marked processed at the very end
+  const failed = results.filter(result => result.result === 'error');
+  if (failed.length > 0) {
+    throw new Error(`Failed to process ${failed.length} image(s)`);
+  }
+  
+  return { processed: results.filter(result => result.result === 'processed').length, results };
+};
+
+/**
+ * Helper function to process a single uploaded image
+ * 
+ * @param {string} key - S3 key of the original upload (blogs/{blogId}/{imageId}.{ext})
+ * @returns {Object} - Outcome for logging
+ */
+async function processImage(key) {
+  const match = key.match(/^blogs\/([^/]+)\/([^/]+)$/);
+  if (!match) {
+    return { key, result: 'skipped', reason: 'not a blog image' };
+  }
+  
+  const blogId = match[1];
+  const imageId = match[2].replace(/\.[^.]*$/, '');
+  
+  const object = await s3.getObject({
+    Bucket: MEDIA_BUCKET,
+    Key: key
+  }).promise();
+  
+  if ((object.Metadata || {})[PROCESSED_MARKER] === 'true') {
+    return { key, result: 'skipped', reason: 'already processed' };
+  }
+  
+  // Detect the real format; anything sharp can't read or we don't accept is removed
+  let metadata;
+  try {
+    metadata = await sharp(object.Body).metadata();
+  } catch (error) {
+    metadata = {};
+  }
+  
+  const format = FORMATS[metadata.format];
+  if (!format) {
+    await s3.deleteObject({
+      Bucket: MEDIA_BUCKET,
+      Key: key
+    }).promise();
+    return { key, result: 'rejected', reason: `unsupported format ${metadata.format || 'unknown'}` };
+  }
+  
+  // rotate() applies the EXIF orientation before the metadata is dropped,
+  // and sharp drops all metadata (EXIF, GPS, XMP) from its output by default
+  const renditions = {
+    format: metadata.format,
+    contentType: format.contentType
+  };
+  
+  for (const [name, size] of Object.entries(RENDITION_SIZES)) {
+    const baseKey = `renditions/blogs/${blogId}/${imageId}/${name}`;
+    const resized = () => sharp(object.Body)
+      .rotate()
+      .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true });
+    
+    const primary = await writeRendition(
+      resized().toFormat(format.output, { quality: 85 }),
+      `${baseKey}.${format.extension}`,
+      OUTPUT_CONTENT_TYPES[format.output]
+    );
+    
+    // WebP variants are smaller; browsers that support it pick them via <picture>
+    const webp = format.output === 'webp'
+      ? primary
+      : await writeRendition(resized().webp({ quality: 80 }), `${baseKey}.webp`, 'image/webp');
+    
+    renditions[name] = {
+      key: primary.key,
+      webpKey: webp.key,
+      width: primary.width,
+      height: primary.height
+    };
+  }
+  
+  // Dimensions of the upright original
+  const rotated = metadata.orientation >= 5;
+  renditions.width = rotated ? metadata.height : metadata.width;
+  renditions.height = rotated ? metadata.width : metadata.height;
+  
+  const recorded = await recordRenditions(blogId, key, renditions);
+  if (!recorded) {
+    return { key, result: 'skipped', reason: 'blog post no longer exists' };
+  }
+  
+  // Replace the original with a stripped copy and its real content type
+  // GIFs carry no camera metadata and are kept as-is so animations survive
+  const body = metadata.format === 'gif'
+    ? object.Body
+    : await sharp(object.Body).rotate().toFormat(metadata.format, { quality: 90 }).toBuffer();
+  
+  await s3.putObject({
+    Bucket: MEDIA_BUCKET,
+    Key: key,
+    Body: body,
+    ContentType: format.contentType,
+    Metadata: { [PROCESSED_MARKER]: 'true' }
+  }).promise();
+  
+  return { key, result: 'processed', format: metadata.format };
+}
+
+/**
+ * Helper function to encode a rendition and store it in S3
+ * 
+ * @param {Object} pipeline - sharp pipeline producing the rendition
+ * @param {string} key - S3 key for the rendition
+ * @param {string} contentType - Content type of the encoded image
+ * @returns {Object} - Key and dimensions of the stored rendition
+ */
+async function writeRendition(pipeline, key, contentType) {
+  const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+  
+  await s3.putObject({
+    Bucket: MEDIA_BUCKET,
+    Key: key,
+    Body: data,
+    ContentType: contentType,
+    CacheControl: RENDITION_CACHE_CONTROL,
+    Metadata: { [PROCESSED_MARKER]: 'true' }
+  }).promise();
+  
+  return { key, width: info.width, height: info.height };
+}
+
+/**
+ * Helper function to store the renditions of an image on its blog post
+ * 
+ * Renditions are derived data, not an edit by the author, so neither the
+ * revision nor the concurrency version changes.
+ * 
+ * @param {string} blogId - ID of the blog post
+ * @param {string} imageKey - S3 key of the original image
+ * @param {Object} renditions - Rendition details to store
+ * @returns {boolean} - False if the blog post doesn't exist anymore
+ */
+async function recordRenditions(blogId, imageKey, renditions) {
+  // A nested path can only be set once the imageRenditions map exists, and the
+  // map can't be created and written to in the same expression, so try both ways.
+  // A second round covers another image creating the map in between.
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await dynamodb.update({
+        TableName: BLOGS_TABLE,
+        Key: { blogId },
+        UpdateExpression: 'SET imageRenditions.#image = :renditions',
+        ConditionExpression: 'attribute_exists(imageRenditions)',
+        ExpressionAttributeNames: { '#image': imageKey },
+        ExpressionAttributeValues: { ':renditions': renditions }
+      }).promise();
+      return true;
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+    }
+    
+    try {
+      await dynamodb.update({
+        TableName: BLOGS_TABLE,
+        Key: { blogId },
+        UpdateExpression: 'SET imageRenditions = :imageRenditions',
+        ConditionExpression: 'attribute_exists(blogId) AND attribute_not_exists(imageRenditions)',
+        ExpressionAttributeValues: { ':imageRenditions': { [imageKey]: renditions } }
+      }).promise();
+      return true;
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+    }
+  }
+  
+  return false;
+}
@@ -0,0 +1,195 @@
+/**
+ * Media Upload URL Lambda Function
+ * 
+ * This Lambda function hands out presigned S3 upload URLs so the browser can send
+ * images straight to the media bucket. Image bytes never pass through API Gateway
+ * or Lambda, which keeps requests well under the API Gateway payload limit.
+ * 
+ * The uploaded keys are attached to the post afterwards by the media/confirm function.
+ * 
+ * Learning points:
+ * - Presigned POST policies and the conditions S3 enforces on them
+ * - Presigned PUT URLs as a simpler alternative for clients that can't send forms
+ * - Scoping client uploads to a key prefix
+ */
+
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const s3 = new AWS.S3();
+
+// Request schemas (backend/layers/validation, mounted under /opt by the shared layer)
+const validation = require('/opt/validation');
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+const MEDIA_BUCKET = process.env.MEDIA_BUCKET;
+
+// Image types we accept, mapped to the file extension used in the S3 key
+const ALLOWED_CONTENT_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+// Upload limits (kept in sync with media/confirm)
+// The createUploadUrl schema allows up to 10 files per request
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10 MB per image
+
+// How long the presigned URLs stay valid
+const URL_EXPIRY_SECONDS = 15 * 60;
+
+/**
+ * Lambda function to create presigned upload URLs for blog post images
+ * 
+ * Expects { blogId, files: [{ name, contentType, size }] } and returns one upload
+ * per file. The POST policy enforces the content type and size on the S3 side;
+ * the PUT URL only pins the content type, so media/confirm re-checks the size.
+ * 
+ * @param {Object} event - API Gateway event containing request data
+ * @returns {Object} - API Gateway response object
+ */
+exports.handler = async (event) => {
+  try {
+    // Parse and validate the request body
+    const { body, error } = validation.parseBody(event, 'createUploadUrl');
+    if (error) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(error)
+      };
+    }
+    const { blogId, files } = body;
+    
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Check every file up front so the client doesn't end up with half an upload
+    const invalidFiles = files
+      .map(file => ({ name: file.name, error: validateFile(file) }))
+      .filter(file => file.error);
+    
+    if (invalidFiles.length > 0) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Some files cannot be uploaded', invalidFiles })
+      };
+    }
+    
+    // Uploads are scoped to a post, so the caller has to own it
+    const result = await dynamodb.get({
+      TableName: BLOGS_TABLE,
+      Key: { blogId }
+    }).promise();
+    
+    // Posts in the trash count as deleted until they are restored
+    if (!result.Item || result.Item.deletedAt) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Blog post not found' })
+      };
+    }
+    
+    if (result.Item.userId !== userId) {
+      return {
+        statusCode: 403,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'You do not have permission to upload images to this blog post' })
+      };
+    }
+    
+    const uploads = await Promise.all(files.map(file => createUpload(blogId, file)));
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        uploads,
+        maxSize: MAX_IMAGE_SIZE,
+        expiresIn: URL_EXPIRY_SECONDS
+      })
+    };
+  } catch (error) {
+    console.error('Error creating upload URLs:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error creating upload URLs', error: error.message })
+    };
+  }
+};
+
+/**
+ * Helper function to check a requested file against the upload limits
+ * 
+ * @param {Object} file - File description sent by the client
+ * @returns {string|null} - Reason the file is rejected, or null if it is fine
+ */
+function validateFile(file) {
+  if (!Object.prototype.hasOwnProperty.call(ALLOWED_CONTENT_TYPES, file.contentType)) {
+    return `Unsupported content type. Use one of: ${Object.keys(ALLOWED_CONTENT_TYPES).join(', ')}`;
+  }
+  
+  const size = Number(file.size);
+  if (!(size > 0)) {
+    return 'File size is required';
+  }
+  
+  if (size > MAX_IMAGE_SIZE) {
+    return `File is larger than ${MAX_IMAGE_SIZE / (1024 * 1024)} MB`;
+  }
+  
+  return null;
+}
+
+/**
+ * Helper function to presign the upload of a single file
+ * 
+ * @param {string} blogId - ID of the blog post the image belongs to
+ * @param {Object} file - File description sent by the client
+ * @returns {Object} - S3 key plus presigned POST and PUT details
+ */
+async function createUpload(blogId, file) {
+  // We organize images by blog ID to keep related images together
+  const key = `blogs/${blogId}/${uuidv4()}.${ALLOWED_CONTENT_TYPES[file.contentType]}`;
+  
+  // Fields become policy conditions automatically, so the key and content type are pinned
+  const post = await new Promise((resolve, reject) => {
+    s3.createPresignedPost({
+      Bucket: MEDIA_BUCKET,
+      Fields: {
+        key,
+        'Content-Type': file.contentType
+      },
+      Conditions: [
+        ['content-length-range', 1, MAX_IMAGE_SIZE]
+      ],
+      Expires: URL_EXPIRY_SECONDS
+    }, (error, data) => (error ? reject(error) : resolve(data)));
+  });
+  
+  const putUrl = await s3.getSignedUrlPromise('putObject', {
+    Bucket: MEDIA_BUCKET,
+    Key: key,
+    ContentType: file.contentType,
+    Expires: URL_EXPIRY_SECONDS
+  });
+  
+  return {
+    name: file.name,
+    key,
+    contentType: file.contentType,
+    post: {
+      url: post.url,
+      fields: post.fields
+    },
+    put: {
+      url: putUrl,
+      headers: { 'Content-Type': file.contentType }
+    }
+  };
+}
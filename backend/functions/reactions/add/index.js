@@ -0,0 +1,137 @@
+/**
+ * Add Reaction Lambda Function
+ *
+ * This Lambda function records a user's reaction to a blog post
+ * (PUT /blogs/{blogId}/reactions/{emoji}) and counts it on the post. Reacting
+ * twice with the same emoji changes nothing, so the request can be repeated.
+ *
+ * Learning points:
+ * - Enforcing uniqueness with a conditional put instead of a read-then-write
+ * - Keeping an aggregate in sync with TransactWriteItems
+ * - Atomic counters in a map attribute
+ */
+
+// Sharing helpers (backend/layers/shares, mounted under /opt by the shared layer)
+const shares = require('/opt/shares');
+
+// Reaction helpers (backend/layers/reactions, mounted under /opt by the shared layer)
+const reactions = require('/opt/reactions');
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+const REACTIONS_TABLE = process.env.REACTIONS_TABLE;
+
+/**
+ * Lambda function to react to a blog post
+ *
+ * @param {Object} event - API Gateway event with the blog ID and reaction in the path
+ * @returns {Object} - API Gateway response object with the post's reaction counts
+ */
+exports.handler = async (event) => {
+  try {
+    const blogId = event.pathParameters.blogId;
+    const reaction = reactions.toReaction(event.pathParameters.emoji);
+    
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    if (!reaction) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: `Invalid reaction. Use one of: ${Object.keys(reactions.REACTIONS).join(', ')}` })
+      };
+    }
+    
+    // Anyone who can read the post can react to it
+    const { blog, access } = await shares.getPostAccess(blogId, userId);
+    if (!blog) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Blog post not found' })
+      };
+    }
+    
+    if (!access) {
+      return {
+        statusCode: 403,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'You do not have permission to view this blog post' })
+      };
+    }
+    
+    await reactions.ensureCounts(blog);
+    
+    // The reaction item only goes in if the user hasn't left this reaction yet,
+    // and the count only goes up together with it
+    const reasons = await reactions.transact([
+      {
+        Put: {
+          TableName: REACTIONS_TABLE,
+          Item: {
+            blogId,
+            reactionKey: reactions.reactionKey(userId, reaction),
+            userId,
+            reaction,
+            createdAt: new Date().toISOString()
+          },
+          ConditionExpression: 'attribute_not_exists(reactionKey)'
+        }
+      },
+      {
+        Update: {
+          TableName: BLOGS_TABLE,
+          Key: { blogId },
+          UpdateExpression: 'SET reactionCounts.#reaction = if_not_exists(reactionCounts.#reaction, :zero) + :one',
+          ConditionExpression: 'attribute_exists(blogId) AND attribute_not_exists(deletedAt)',
+          ExpressionAttributeNames: { '#reaction': reaction },
+          ExpressionAttributeValues: { ':zero': 0, ':one': 1 }
+        }
+      }
+    ]);
+    
+    // Already reacted: nothing to count, and the request succeeds all the same
+    if (reasons && reasons[0] !== 'ConditionalCheckFailed') {
+      if (reasons[1] === 'ConditionalCheckFailed') {
+        // Trashed or purged since it was loaded
+        return {
+          statusCode: 404,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message: 'Blog post not found' })
+        };
+      }
+      
+      if (reasons.includes('TransactionConflict')) {
+        return {
+          statusCode: 409,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message: 'The post is getting a lot of reactions right now. Please try again.' })
+        };
+      }
+      
+      throw new Error(`Reaction transaction cancelled: ${reasons.join(', ')}`);
+    }
+    
+    // Read the counts back so reactions other people left meanwhile are in them
+    const counts = await reactions.getCounts(blogId);
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        blogId,
+        reaction,
+        reacted: true,
+        reactionCounts: counts
+      })
+    };
+  } catch (error) {
+    console.error('Error adding reaction:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error adding reaction', error: error.message })
+    };
+  }
+};
@@ -0,0 +1,103 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Sharing helpers (backend/layers/shares, mounted under /opt by the shared layer)
+const shares = require('/opt/shares');
+
+// Reaction helpers (backend/layers/reactions, mounted under /opt by the shared layer)
+const reactions = require('/opt/reactions');
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+const REACTIONS_TABLE = process.env.REACTIONS_TABLE;
+
+/**
+ * Lambda function to take back a reaction (DELETE /blogs/{blogId}/reactions/{emoji})
+ * Users can always remove their own reactions, also after losing access to the post
+ * Removing a reaction that isn't there changes nothing
+ */
+exports.handler = async (event) => {
+  try {
+    const blogId = event.pathParameters.blogId;
+    const reaction = reactions.toReaction(event.pathParameters.emoji);
+    
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    if (!reaction) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: `Invalid reaction. Use one of: ${Object.keys(reactions.REACTIONS).join(', ')}` })
+      };
+    }
+    
+    const { blog } = await shares.getPostAccess(blogId, userId);
+    if (!blog) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Blog post not found' })
+      };
+    }
+    
+    // The count only goes down together with a reaction item that was really there
+    const key = { blogId, reactionKey: reactions.reactionKey(userId, reaction) };
+    const reasons = await reactions.transact([
+      {
+        Delete: {
+          TableName: REACTIONS_TABLE,
+          Key: key,
+          ConditionExpression: 'attribute_exists(reactionKey)'
+        }
+      },
+      {
+        Update: {
+          TableName: BLOGS_TABLE,
+          Key: { blogId },
+          UpdateExpression: 'SET reactionCounts.#reaction = reactionCounts.#reaction - :one',
+          ConditionExpression: 'reactionCounts.#reaction > :zero',
+          ExpressionAttributeNames: { '#reaction': reaction },
+          ExpressionAttributeValues: { ':zero': 0, ':one': 1 }
+        }
+      }
+    ]);
+    
+    // Not reacted: there is nothing to remove, and the request succeeds all the same
+    if (reasons && reasons[0] !== 'ConditionalCheckFailed') {
+      if (reasons[1] === 'ConditionalCheckFailed') {
+        // The reaction is there but the count is already zero, so only the item goes
+        await dynamodb.delete({ TableName: REACTIONS_TABLE, Key: key }).promise();
+      } else if (reasons.includes('TransactionConflict')) {
+        return {
+          statusCode: 409,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message: 'The post is getting a lot of reactions right now. Please try again.' })
+        };
+      } else {
+        throw new Error(`Reaction transaction cancelled: ${reasons.join(', ')}`);
+      }
+    }
+    
+    // Read the counts back so reactions other people changed meanwhile are in them
+    const counts = await reactions.getCounts(blogId);
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        blogId,
+        reaction,
+        reacted: false,
+        reactionCounts: counts
+      })
+    };
+  } catch (error) {
+    console.error('Error removing reaction:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error removing reaction', error: error.message })
+    };
+  }
+};
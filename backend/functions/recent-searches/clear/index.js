@@ -0,0 +1,77 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Get parameters from environment variables
+const RECENT_SEARCHES_TABLE = process.env.RECENT_SEARCHES_TABLE;
+
+// BatchWriteItem accepts at most 25 requests per call
+const BATCH_SIZE = 25;
+
+/**
+ * Lambda function to forget recent searches (DELETE /me/recent-searches)
+ * Removes the one search given as searchKey, or all of the user's searches without it
+ */
+exports.handler = async (event) => {
+  try {
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Parse query parameters
+    const queryParams = event.queryStringParameters || {};
+    
+    // Searches are keyed by user, so nobody can remove someone else's
+    if (queryParams.searchKey) {
+      await dynamodb.delete({
+        TableName: RECENT_SEARCHES_TABLE,
+        Key: { userId, searchKey: queryParams.searchKey }
+      }).promise();
+      
+      return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ removed: 1 })
+      };
+    }
+    
+    let removed = 0;
+    let lastEvaluatedKey;
+    
+    do {
+      const result = await dynamodb.query({
+        TableName: RECENT_SEARCHES_TABLE,
+        KeyConditionExpression: 'userId = :userId',
+        ExpressionAttributeValues: { ':userId': userId },
+        ProjectionExpression: 'userId, searchKey',
+        ExclusiveStartKey: lastEvaluatedKey
+      }).promise();
+      
+      for (let i = 0; i < result.Items.length; i += BATCH_SIZE) {
+        let requestItems = {
+          [RECENT_SEARCHES_TABLE]: result.Items.slice(i, i + BATCH_SIZE).map(key => ({ DeleteRequest: { Key: key } }))
+        };
+        
+        // Retry whatever DynamoDB couldn't process because of throttling
+        while (requestItems && Object.keys(requestItems).length > 0) {
+          const response = await dynamodb.batchWrite({ RequestItems: requestItems }).promise();
+          requestItems = response.UnprocessedItems;
+        }
+      }
+      
+      removed += result.Items.length;
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ removed })
+    };
+  } catch (error) {
+    console.error('Error clearing recent searches:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error clearing recent searches', error: error.message })
+    };
+  }
+};
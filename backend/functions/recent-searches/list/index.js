@@ -0,0 +1,58 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Request schemas (backend/layers/validation, mounted under /opt by the shared layer)
+const validation = require('/opt/validation');
+
+// Get parameters from environment variables
+const RECENT_SEARCHES_TABLE = process.env.RECENT_SEARCHES_TABLE;
+
+/**
+ * Lambda function to list the current user's recent searches (GET /me/recent-searches)
+ * The search function records them; each distinct search is listed once, most recent first
+ */
+exports.handler = async (event) => {
+  try {
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Parse and validate query parameters
+    // The listRecentSearches schema says how many searches to return by default, and at most
+    const { query: queryParams, error } = validation.parseQuery(event, 'listRecentSearches');
+    if (error) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(error)
+      };
+    }
+    const { limit } = queryParams;
+    
+    const result = await dynamodb.query({
+      TableName: RECENT_SEARCHES_TABLE,
+      IndexName: 'searchedAtIndex',
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+      ScanIndexForward: false,
+      Limit: limit
+    }).promise();
+    
+    const items = result.Items.map(({ searchKey, q, filters, searchedAt }) => ({ searchKey, q, filters, searchedAt }));
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        items,
+        count: items.length
+      })
+    };
+  } catch (error) {
+    console.error('Error listing recent searches:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error listing recent searches', error: error.message })
+    };
+  }
+};
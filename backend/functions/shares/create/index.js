@@ -0,0 +1,167 @@
+/**
+ * Share Grant Lambda Function
+ *
+ * This Lambda function shares a blog post with another user. The owner names the
+ * grantee by email; the grant is stored against the grantee's user ID so it keeps
+ * working if they change their email address later.
+ *
+ * Learning points:
+ * - Modelling permissions as records instead of lists on the item
+ * - Looking users up in Cognito from a Lambda function
+ * - Letting DynamoDB TTL clean up expired records
+ */
+
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Cognito helpers (backend/layers/auth, mounted under /opt by the shared layer)
+const auth = require('/opt/auth');
+
+// Sharing helpers (backend/layers/shares, mounted under /opt by the shared layer)
+const shares = require('/opt/shares');
+
+// Request schemas (backend/layers/validation, mounted under /opt by the shared layer)
+// The createShare schema lists the permissions
+const validation = require('/opt/validation');
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+const SHARES_TABLE = process.env.SHARES_TABLE;
+const USER_POOL_ID = process.env.USER_POOL_ID;
+
+// Deliberately loose: Cognito has the final say on whether the address exists
+const EMAIL_PATTERN = /^[^\s@"\\]+@[^\s@"\\]+\.[^\s@"\\]+$/;
+
+/**
+ * Lambda function to share a blog post with a user
+ *
+ * @param {Object} event - API Gateway event with { email, permission, expiresAt } in the body
+ * @returns {Object} - API Gateway response object with the grant
+ */
+exports.handler = async (event) => {
+  try {
+    // Get blog ID from path parameters
+    const blogId = event.pathParameters.blogId;
+    
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Parse and validate the request body
+    const { body, error } = validation.parseBody(event, 'createShare');
+    if (error) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(error)
+      };
+    }
+    const email = body.email.trim().toLowerCase();
+    const permission = body.permission || 'read';
+    const expiresAt = body.expiresAt;
+    
+    if (!EMAIL_PATTERN.test(email)) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'A valid email address is required' })
+      };
+    }
+    
+    if (expiresAt !== undefined && expiresAt !== null && !(Date.parse(expiresAt) > Date.now())) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'expiresAt must be a date in the future' })
+      };
+    }
+    
+    // Get existing blog post
+    const result = await dynamodb.get({
+      TableName: BLOGS_TABLE,
+      Key: { blogId }
+    }).promise();
+    
+    // Check if blog post exists
+    // Posts in the trash count as deleted until they are restored
+    if (!result.Item || result.Item.deletedAt) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Blog post not found' })
+      };
+    }
+    
+    // Check if user owns this blog post
+    const blog = result.Item;
+    if (blog.userId !== userId) {
+      return {
+        statusCode: 403,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'You do not have permission to share this blog post' })
+      };
+    }
+    
+    // Grants are ignored on private and unlisted posts, so don't let the owner think one took effect
+    if (!shares.acceptsGrants(blog)) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Change the visibility of this blog post to shared before sharing it' })
+      };
+    }
+    
+    // Resolve the email to a user
+    const grantee = await auth.findUserByEmail(USER_POOL_ID, email);
+    if (!grantee) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'No user with that email address' })
+      };
+    }
+    
+    if (grantee.userId === userId) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'You cannot share a blog post with yourself' })
+      };
+    }
+    
+    // Sharing again with the same user replaces their grant
+    const grant = {
+      blogId,
+      granteeUserId: grantee.userId,
+      granteeEmail: grantee.email || email,
+      granteeUsername: grantee.username,
+      ownerId: userId,
+      permission,
+      createdAt: new Date().toISOString()
+    };
+    
+    // ttl is in epoch seconds for DynamoDB TTL; expiresAt is what access checks use
+    if (expiresAt) {
+      grant.expiresAt = new Date(expiresAt).toISOString();
+      grant.ttl = Math.ceil(Date.parse(expiresAt) / 1000);
+    }
+    
+    await dynamodb.put({
+      TableName: SHARES_TABLE,
+      Item: grant
+    }).promise();
+    
+    const { ttl, ...response } = grant;
+    return {
+      statusCode: 201,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(response)
+    };
+  } catch (error) {
+    console.error('Error sharing blog post:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error sharing blog post', error: error.message })
+    };
+  }
+};
@@ -0,0 +1,78 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Sharing helpers (backend/layers/shares, mounted under /opt by the shared layer)
+const shares = require('/opt/shares');
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+const SHARES_TABLE = process.env.SHARES_TABLE;
+
+/**
+ * Lambda function to list who a blog post is shared with
+ * Only the owner can see the grants; expired ones are left out
+ */
+exports.handler = async (event) => {
+  try {
+    // Get blog ID from path parameters
+    const blogId = event.pathParameters.blogId;
+    
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Get existing blog post
+    const result = await dynamodb.get({
+      TableName: BLOGS_TABLE,
+      Key: { blogId }
+    }).promise();
+    
+    // Check if blog post exists
+    // Posts in the trash count as deleted until they are restored
+    if (!result.Item || result.Item.deletedAt) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Blog post not found' })
+      };
+    }
+    
+    // Check if user owns this blog post
+    if (result.Item.userId !== userId) {
+      return {
+        statusCode: 403,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'You do not have permission to view the shares of this blog post' })
+      };
+    }
+    
+    // A post is shared with a handful of people, so read all of its grants at once
+    const grants = [];
+    let lastEvaluatedKey;
+    do {
+      const page = await dynamodb.query({
+        TableName: SHARES_TABLE,
+        KeyConditionExpression: 'blogId = :blogId',
+        ExpressionAttributeValues: { ':blogId': blogId },
+        ExclusiveStartKey: lastEvaluatedKey
+      }).promise();
+      grants.push(...page.Items.filter(shares.isActive));
+      lastEvaluatedKey = page.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        items: grants.map(({ ttl, ...grant }) => grant),
+        count: grants.length
+      })
+    };
+  } catch (error) {
+    console.error('Error listing shares:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error listing shares', error: error.message })
+    };
+  }
+};
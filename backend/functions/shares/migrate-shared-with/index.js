@@ -0,0 +1,133 @@
+/**
+ * Shared With Migration Lambda Function
+ *
+ * This Lambda function turns the email lists posts used to be shared with
+ * (sharedWith on the post) into share grants. Access checks only read grants,
+ * so until it has run, the people on those lists can't open the posts.
+ *
+ * Each address is looked up in Cognito and gets a read grant, unless the owner
+ * already gave that user one. Addresses that match nobody stay in sharedWith,
+ * so a later run (after they have signed up) can still migrate them; the list
+ * is removed from the post once it's empty.
+ *
+ * It is invoked by hand once after upgrading, e.g.:
+ *   aws lambda invoke --function-name <MigrateSharedWithFunction> out.json
+ * A run that times out can be continued by passing the returned nextKey as the
+ * event's startKey.
+ *
+ * Learning points:
+ * - Migrating a list attribute to records in their own table
+ * - Conditional writes that never replace what a user set since
+ */
+
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Cognito helpers (backend/layers/auth, mounted under /opt by the shared layer)
+const auth = require('/opt/auth');
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+const SHARES_TABLE = process.env.SHARES_TABLE;
+const USER_POOL_ID = process.env.USER_POOL_ID;
+
+// Stop scanning when less time than this is left, so the run can report where it got to
+const TIME_RESERVE_MS = 30 * 1000;
+
+/**
+ * Give one user a read grant, unless they already have one
+ * Returns whether a grant was written
+ */
+const grantRead = async (blog, grantee, email) => {
+  try {
+    await dynamodb.put({
+      TableName: SHARES_TABLE,
+      Item: {
+        blogId: blog.blogId,
+        granteeUserId: grantee.userId,
+        granteeEmail: grantee.email || email,
+        granteeUsername: grantee.username,
+        ownerId: blog.userId,
+        permission: 'read',
+        createdAt: new Date().toISOString()
+      },
+      ConditionExpression: 'attribute_not_exists(granteeUserId)'
+    }).promise();
+    return true;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Lambda function to migrate sharedWith lists to share grants
+ *
+ * @param {Object} event - Optional startKey to continue an earlier run
+ * @param {Object} context - Lambda context, for the remaining time
+ * @returns {Object} - Summary of the run, with nextKey if it didn't finish
+ */
+exports.handler = async (event = {}, context) => {
+  let lastEvaluatedKey = event.startKey;
+  let posts = 0;
+  let granted = 0;
+  let unmatched = 0;
+  
+  do {
+    const result = await dynamodb.scan({
+      TableName: BLOGS_TABLE,
+      FilterExpression: 'attribute_exists(sharedWith)',
+      ProjectionExpression: 'blogId, userId, sharedWith',
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+    
+    for (const blog of result.Items) {
+      const emails = [...new Set((blog.sharedWith || [])
+        .filter(email => typeof email === 'string')
+        .map(email => email.trim().toLowerCase())
+        .filter(email => email.length > 0))];
+      const remaining = [];
+      
+      for (const email of emails) {
+        const grantee = await auth.findUserByEmail(USER_POOL_ID, email);
+        if (!grantee) {
+          console.warn(`No user with the address ${email} that blog post ${blog.blogId} was shared with`);
+          remaining.push(email);
+          unmatched++;
+        } else if (grantee.userId !== blog.userId && await grantRead(blog, grantee, email)) {
+          granted++;
+        }
+      }
+      
+      // The list is only touched if it's still the one read above
+      // Nobody edits sharedWith any more, so this isn't a new version of the post
+      const params = {
+        TableName: BLOGS_TABLE,
+        Key: { blogId: blog.blogId },
+        UpdateExpression: 'REMOVE sharedWith',
+        ConditionExpression: 'sharedWith = :sharedWith',
+        ExpressionAttributeValues: { ':sharedWith': blog.sharedWith }
+      };
+      if (remaining.length > 0) {
+        params.UpdateExpression = 'SET sharedWith = :remaining';
+        params.ExpressionAttributeValues[':remaining'] = remaining;
+      }
+      
+      try {
+        await dynamodb.update(params).promise();
+      } catch (error) {
+        if (error.code !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+      }
+      posts++;
+    }
+    
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey && (!context || context.getRemainingTimeInMillis() > TIME_RESERVE_MS));
+  
+  console.log(`sharedWith migration: ${posts} posts, ${granted} grants, ${unmatched} addresses without a user${lastEvaluatedKey ? ', not finished' : ''}`);
+  return { posts, granted, unmatched, nextKey: lastEvaluatedKey || null };
+};
@@ -0,0 +1,84 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+const SHARES_TABLE = process.env.SHARES_TABLE;
+
+/**
+ * Lambda function to revoke a share grant
+ *
+ * The owner revokes a grant with DELETE /blogs/{blogId}/shares?userId={granteeUserId}.
+ * Grantees can remove a post from their own "Shared with me" list by leaving out
+ * userId (or passing their own).
+ */
+exports.handler = async (event) => {
+  try {
+    // Get blog ID from path parameters
+    const blogId = event.pathParameters.blogId;
+    
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // The grantee defaults to the caller
+    const queryParams = event.queryStringParameters || {};
+    const granteeUserId = queryParams.userId || userId;
+    
+    // Anyone but the grantee has to own the post
+    if (granteeUserId !== userId) {
+      const result = await dynamodb.get({
+        TableName: BLOGS_TABLE,
+        Key: { blogId },
+        ProjectionExpression: 'userId'
+      }).promise();
+      
+      if (!result.Item) {
+        return {
+          statusCode: 404,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message: 'Blog post not found' })
+        };
+      }
+      
+      if (result.Item.userId !== userId) {
+        return {
+          statusCode: 403,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message: 'You do not have permission to change the shares of this blog post' })
+        };
+      }
+    }
+    
+    // Revocation takes effect immediately: access checks read the grant on every request
+    const deleted = await dynamodb.delete({
+      TableName: SHARES_TABLE,
+      Key: { blogId, granteeUserId },
+      ReturnValues: 'ALL_OLD'
+    }).promise();
+    
+    if (!deleted.Attributes) {
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Share not found' })
+      };
+    }
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        message: 'Share revoked',
+        blogId,
+        granteeUserId
+      })
+    };
+  } catch (error) {
+    console.error('Error revoking share:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error revoking share', error: error.message })
+    };
+  }
+};
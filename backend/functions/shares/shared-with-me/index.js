@@ -0,0 +1,138 @@
+/**
+ * Shared With Me Lambda Function
+ *
+ * This Lambda function lists the blog posts other users have shared with the
+ * current user, most recently shared first. It reads the user's grants from the
+ * grantee index of the shares table and then loads the posts they point to.
+ *
+ * Learning points:
+ * - Using a GSI to query the same records from the other side of the relationship
+ * - Loading many items at once with BatchGetItem
+ * - Re-checking access on the joined items instead of trusting the index alone
+ */
+
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Shared media helpers (backend/layers/media, mounted under /opt by the shared layer)
+const media = require('/opt/media');
+
+// Sharing helpers (backend/layers/shares, mounted under /opt by the shared layer)
+const shares = require('/opt/shares');
+
+// Request schemas (backend/layers/validation, mounted under /opt by the shared layer)
+const validation = require('/opt/validation');
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+const SHARES_TABLE = process.env.SHARES_TABLE;
+
+/**
+ * Lambda function to list the blog posts shared with the current user
+ *
+ * @param {Object} event - API Gateway event containing request data
+ * @returns {Object} - API Gateway response object with the shared posts
+ */
+exports.handler = async (event) => {
+  try {
+    // Get user ID from Cognito authorizer
+    const userId = event.requestContext.authorizer.claims.sub;
+    
+    // Parse and validate query parameters
+    // The sharedWithMe schema gives the default page size and caps it
+    // BatchGetItem reads at most 100 keys, well above the largest page
+    const { query: queryParams, error } = validation.parseQuery(event, 'sharedWithMe');
+    if (error) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(error)
+      };
+    }
+    const { limit } = queryParams;
+    
+    let lastEvaluatedKey;
+    if (queryParams.nextToken) {
+      try {
+        lastEvaluatedKey = JSON.parse(decodeURIComponent(queryParams.nextToken));
+      } catch (error) {
+        return {
+          statusCode: 400,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message: 'Invalid nextToken' })
+        };
+      }
+    }
+    
+    // Expired grants linger until TTL removes them, so filter them out here
+    const result = await dynamodb.query({
+      TableName: SHARES_TABLE,
+      IndexName: 'granteeUserIdIndex',
+      KeyConditionExpression: 'granteeUserId = :userId',
+      FilterExpression: 'attribute_not_exists(expiresAt) OR expiresAt > :now',
+      ExpressionAttributeValues: {
+        ':userId': userId,
+        ':now': new Date().toISOString()
+      },
+      ScanIndexForward: false,
+      Limit: limit,
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+    
+    // Load the shared posts
+    const blogsById = {};
+    if (result.Items.length > 0) {
+      const batch = await dynamodb.batchGet({
+        RequestItems: {
+          [BLOGS_TABLE]: { Keys: result.Items.map(grant => ({ blogId: grant.blogId })) }
+        }
+      }).promise();
+      batch.Responses[BLOGS_TABLE].forEach(blog => {
+        blogsById[blog.blogId] = blog;
+      });
+    }
+    
+    // Drop posts the grant doesn't currently open up: trashed, unpublished, or made private or unlisted
+    // Posts created before the lifecycle was introduced have no status and count as published
+    const visible = result.Items.filter(grant => {
+      const blog = blogsById[grant.blogId];
+      return blog && !blog.deletedAt && (blog.status || 'PUBLISHED') === 'PUBLISHED' && shares.acceptsGrants(blog);
+    });
+    
+    const items = await Promise.all(visible.map(async (grant) => {
+      const { sharedWith, ...blog } = await media.withMediaUrls(blogsById[grant.blogId]);
+      return {
+        ...blog,
+        share: {
+          permission: grant.permission,
+          sharedAt: grant.createdAt,
+          expiresAt: grant.expiresAt
+        }
+      };
+    }));
+    
+    // Prepare response
+    const response = {
+      items,
+      count: items.length
+    };
+    
+    // Add pagination token if more results exist
+    if (result.LastEvaluatedKey) {
+      response.nextToken = encodeURIComponent(JSON.stringify(result.LastEvaluatedKey));
+    }
+    
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(response)
+    };
+  } catch (error) {
+    console.error('Error listing shared blog posts:', error);
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Error listing shared blog posts', error: error.message })
+    };
+  }
+};
@@ -41,6 +41,30 @@ module.exports = {
     }
   },
   
+  /**
+   * Find a user by email address
+   * Returns { userId, username, email } or null if nobody has that email
+   * Unlike the helpers above, lookup errors are thrown so they aren't mistaken for "not found"
+   */
+  findUserByEmail: async (userPoolId, email) => {
+    const response = await cognito.listUsers({
+      UserPoolId: userPoolId,
+      Filter: `email = "${email.replace(/["\\]/g, '')}"`,
+      Limit: 1
+    }).promise();
+    
+    const user = response.Users[0];
+    if (!user) {
+      return null;
+    }
+    
+    const attributes = {};
+    user.Attributes.forEach(({ Name, Value }) => {
+      attributes[Name] = Value;
+    });
+    return { userId: attributes.sub, username: user.Username, email: attributes.email };
+  },
+  
   /**
    * Add a user to a group
    */
@@ -0,0 +1,130 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Get parameters from environment variables
+const COMMENTS_TABLE = process.env.COMMENTS_TABLE;
+
+// Comments are plain text
+const MAX_COMMENT_LENGTH = 2000;
+
+// BatchWriteItem accepts at most 25 requests per call
+const BATCH_SIZE = 25;
+
+/**
+ * Utility functions for comments
+ *
+ * Comments are stored per post (blogId + commentId) and point to the comment
+ * they reply to with parentId. Whoever can read a post can read its comments;
+ * writing them takes the owner or a share grant with comment permission
+ * (access levels come from getPostAccess in the shares layer).
+ * Removed comments keep their place in the thread without their content, so
+ * the replies to them stay where they were.
+ */
+module.exports = {
+  MAX_COMMENT_LENGTH,
+  
+  /**
+   * Whether an access level (from shares.getPostAccess) allows writing comments
+   */
+  canComment: (access) => access === 'owner' || access === 'comment',
+  
+  /**
+   * Whether a post takes new comments
+   * Owners turn comments off per post; posts without the setting take them
+   */
+  commentsEnabled: (blog) => blog.commentsEnabled !== false,
+  
+  /**
+   * Validate the content of a comment
+   * Returns an error message, or null if the content is valid
+   */
+  validateContent: (content) => {
+    if (typeof content !== 'string' || !content.trim()) {
+      return 'Comment cannot be empty';
+    }
+    if (content.length > MAX_COMMENT_LENGTH) {
+      return `Comments can be at most ${MAX_COMMENT_LENGTH} characters long`;
+    }
+    return null;
+  },
+  
+  /**
+   * Get a comment of a post, or null if there is none
+   */
+  getComment: async (blogId, commentId) => {
+    const result = await dynamodb.get({
+      TableName: COMMENTS_TABLE,
+      Key: { blogId, commentId }
+    }).promise();
+    
+    return result.Item || null;
+  },
+  
+  /**
+   * The parts of a comment readers get to see
+   * Reports and who reported a comment stay with the moderators
+   */
+  toCommentResponse: (comment) => ({
+    blogId: comment.blogId,
+    commentId: comment.commentId,
+    parentId: comment.parentId || null,
+    userId: comment.userId,
+    username: comment.username,
+    content: comment.deletedAt ? null : comment.content,
+    createdAt: comment.createdAt,
+    editedAt: comment.editedAt,
+    deleted: Boolean(comment.deletedAt),
+    removedBy: comment.removedBy
+  }),
+  
+  /**
+   * Remove a comment from a thread
+   * The content goes away for good, and the comment leaves the moderation queue
+   *
+   * @param {Object} comment - Comment item
+   * @param {string} removedBy - 'author', 'owner' or 'admin'
+   */
+  removeComment: async (comment, removedBy) => {
+    await dynamodb.update({
+      TableName: COMMENTS_TABLE,
+      Key: { blogId: comment.blogId, commentId: comment.commentId },
+      UpdateExpression: 'SET deletedAt = :now, removedBy = :removedBy REMOVE content, reportStatus',
+      ExpressionAttributeValues: {
+        ':now': new Date().toISOString(),
+        ':removedBy': removedBy
+      }
+    }).promise();
+  },
+  
+  /**
+   * Delete every comment of a post
+   */
+  deleteComments: async (blogId) => {
+    let lastEvaluatedKey;
+    
+    do {
+      const result = await dynamodb.query({
+        TableName: COMMENTS_TABLE,
+        KeyConditionExpression: 'blogId = :blogId',
+        ExpressionAttributeValues: { ':blogId': blogId },
+        ProjectionExpression: 'blogId, commentId',
+        ExclusiveStartKey: lastEvaluatedKey
+      }).promise();
+      
+      // Threads can get long, so delete in batches
+      for (let i = 0; i < result.Items.length; i += BATCH_SIZE) {
+        let requestItems = {
+          [COMMENTS_TABLE]: result.Items.slice(i, i + BATCH_SIZE).map(key => ({ DeleteRequest: { Key: key } }))
+        };
+        
+        // Retry whatever DynamoDB couldn't process because of throttling
+        while (requestItems && Object.keys(requestItems).length > 0) {
+          const response = await dynamodb.batchWrite({ RequestItems: requestItems }).promise();
+          requestItems = response.UnprocessedItems;
+        }
+      }
+      
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+  }
+};
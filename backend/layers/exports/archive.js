@@ -0,0 +1,167 @@
+// Account archive
+// Everything in the account, for a backup or for moving to another service: a
+// ZIP with a folder per post (drafts and posts in the trash included) holding
+// the post as JSON and as Markdown with YAML front matter, every original
+// upload under blogs/{blogId}/, its revision history and its sharing settings.
+// manifest.json lists every file with its size and SHA-256 checksum, and
+// SHA256SUMS has the same checksums for `sha256sum -c`.
+
+const { createZip } = require('./zip');
+const { describeExport, toFrontMatter, slugify, sanitizeContent } = require('./content');
+const { getImages } = require('../media');
+
+// Everything goes in one folder, so unzipping doesn't scatter files
+const ROOT = 'journal-archive';
+
+// Raised when the layout of the archive changes, for tools that read it
+const ARCHIVE_VERSION = 1;
+
+const readme = (lines) => `Journal archive
+
+${lines.join('\n')}
+
+manifest.json      What this archive contains, with the size and SHA-256 checksum of every file
+SHA256SUMS         The same checksums; check them with: sha256sum -c SHA256SUMS
+posts/             A folder per post, named after its date and title
+  post.json        The post exactly as it was stored
+  post.md          The post with its details as YAML front matter
+  revisions.json   Earlier versions of the post, when it has any
+  sharing.json     Who the post is shared with and its share links, when it has any
+  media/           The photos as they were uploaded
+`;
+
+/**
+ * A post as Markdown with its details in front matter
+ * The content is kept as written, apart from sanitizing; the editors' HTML is valid Markdown
+ *
+ * @param {Object} blog - The post
+ * @param {Object} files - File names in the post's media folder by S3 key
+ */
+const toMarkdown = (blog, files) => {
+  const images = getImages(blog)
+    .filter(image => files[image.key])
+    .map(image => ({
+      file: `media/${files[image.key]}`,
+      caption: image.caption || undefined,
+      altText: image.altText || undefined
+    }));
+  
+  const frontMatter = toFrontMatter({
+    title: blog.title || '',
+    date: blog.createdAt,
+    updated: blog.updatedAt,
+    published: blog.publishedAt,
+    publishAt: blog.publishAt,
+    status: blog.status,
+    visibility: blog.visibility,
+    mood: blog.mood,
+    tags: blog.tags || [],
+    deleted: blog.deletedAt,
+    id: blog.blogId,
+    images: images.length > 0 ? images : undefined
+  });
+  
+  return `${frontMatter}\n${sanitizeContent(blog.content || '')}\n`;
+};
+
+/**
+ * Write an account archive to a stream
+ *
+ * @param {Writable} output - Where the file goes
+ * @param {Object} context - { exportId, createdAt } and what the archive reads besides the posts:
+ *   listMedia(blogId) resolves to the post's uploads as [{ key, lastModified }],
+ *   openMedia(key) returns a readable stream of one,
+ *   loadRevisions(blogId) resolves to the post's revisions, oldest first,
+ *   loadSharing(blogId) resolves to { grants, links }
+ * @returns {Object} - The writer: start(), entry(blog, index) and end()
+ */
+const createWriter = (output, context) => {
+  const zip = createZip(output, { checksums: true });
+  const usedNames = new Set();
+  const counts = { posts: 0, media: 0, revisions: 0 };
+  
+  const add = (name, data, options) => zip.add(`${ROOT}/${name}`, data, options);
+  
+  const uniqueName = (blog) => {
+    const base = `${String(blog.createdAt).slice(0, 10)}-${slugify(blog.title)}`;
+    let name = base;
+    for (let n = 2; usedNames.has(name); n++) {
+      name = `${base}-${n}`;
+    }
+    usedNames.add(name);
+    return name;
+  };
+  
+  const manifest = () => ({
+    format: 'journal-archive',
+    version: ARCHIVE_VERSION,
+    exportId: context.exportId,
+    createdAt: context.createdAt,
+    counts,
+    files: zip.files.map(file => ({
+      path: file.name.slice(ROOT.length + 1),
+      size: file.size,
+      sha256: file.sha256
+    }))
+  });
+  
+  return {
+    start: async () => {},
+    
+    entry: async (blog) => {
+      const folder = `posts/${uniqueName(blog)}`;
+      const prefix = `blogs/${blog.blogId}/`;
+      
+      const [media, revisions, sharing] = await Promise.all([
+        context.listMedia(blog.blogId),
+        context.loadRevisions(blog.blogId),
+        context.loadSharing(blog.blogId)
+      ]);
+      
+      // Uploads keep the name they have in the bucket
+      const files = {};
+      media.forEach(object => {
+        files[object.key] = object.key.slice(prefix.length);
+      });
+      
+      add(`${folder}/post.json`, JSON.stringify(blog, null, 2));
+      add(`${folder}/post.md`, toMarkdown(blog, files));
+      if (revisions.length > 0) {
+        add(`${folder}/revisions.json`, JSON.stringify(revisions, null, 2));
+      }
+      if (sharing.grants.length > 0 || sharing.links.length > 0) {
+        add(`${folder}/sharing.json`, JSON.stringify({ visibility: blog.visibility, ...sharing }, null, 2));
+      }
+      await zip.drained();
+      
+      // One photo at a time, stored as is since they are compressed already
+      for (const object of media) {
+        add(`${folder}/media/${files[object.key]}`, context.openMedia(object.key), {
+          store: true,
+          date: object.lastModified
+        });
+        await zip.drained();
+      }
+      
+      counts.posts++;
+      counts.media += media.length;
+      counts.revisions += revisions.length;
+    },
+    
+    end: async () => {
+      add('README.txt', readme(describeExport(context, counts.posts)));
+      // Every checksum is known once the files are written
+      await zip.drained();
+      
+      const contents = manifest();
+      add('manifest.json', JSON.stringify(contents, null, 2));
+      add('SHA256SUMS', contents.files.map(file => `${file.sha256}  ${file.path}\n`).join(''));
+      await zip.finish();
+    }
+  };
+};
+
+module.exports = {
+  ARCHIVE_VERSION,
+  createWriter
+};
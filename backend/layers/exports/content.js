@@ -0,0 +1,206 @@
+// Helpers the export formats share for turning posts into documents
+
+const { toPlainText } = require('../search/analyzer');
+const { getImages } = require('../media');
+const { looksLikeHtml, sanitizeContent, sanitizeHtml } = require('../sanitize');
+
+const XML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape text for HTML and XML, in content and attribute values
+ */
+const escapeXml = (text) => String(text === undefined || text === null ? '' : text)
+  .replace(/[&<>"']/g, char => XML_ESCAPES[char])
+  // Control characters aren't allowed in XML at all
+  .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+
+/**
+ * The paragraphs of a post's content as plain text
+ */
+const toParagraphs = (content) => toPlainText(content).split('\n').filter(paragraph => paragraph.trim());
+
+/**
+ * The post's content as escaped HTML paragraphs
+ */
+const toHtmlParagraphs = (content) => toParagraphs(content).map(paragraph => `<p>${escapeXml(paragraph)}</p>`);
+
+/**
+ * The post's content as HTML that's safe to open in a browser
+ * Editor HTML keeps its formatting, reduced to the sanitizer's allowlist
+ * (posts saved before content was sanitized may hold anything); plain text
+ * is escaped into paragraphs
+ */
+const toSafeHtml = (content) => (looksLikeHtml(content || '')
+  ? sanitizeHtml(content)
+  : toHtmlParagraphs(content).join('\n'));
+
+/**
+ * A long date, e.g. "Sunday, June 1, 2025"
+ */
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC'
+});
+
+/**
+ * A short date, e.g. "Jun 1, 2025"
+ */
+const formatShortDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC'
+});
+
+/**
+ * What an export contains, for its cover or title page
+ *
+ * @param {Object} context - The export's filters and createdAt
+ * @param {number} count - Number of entries exported
+ * @returns {string[]} - Lines such as "12 entries" and "Exported on Sunday, June 1, 2025"
+ */
+const describeExport = (context, count) => {
+  const filters = context.filters || {};
+  const lines = [];
+  
+  if (filters.startDate || filters.endDate) {
+    const from = filters.startDate ? formatDate(filters.startDate) : 'The beginning';
+    const to = filters.endDate ? formatDate(filters.endDate) : 'today';
+    lines.push(`${from} to ${to}`);
+  }
+  if (filters.tag) {
+    lines.push(`Entries tagged "${filters.tag}"`);
+  }
+  lines.push(count === 1 ? '1 entry' : `${count || 'No'} entries`);
+  lines.push(`Exported on ${formatDate(context.createdAt || Date.now())}`);
+  
+  return lines;
+};
+
+/**
+ * The photos of a post to include in an export, in display order
+ * The medium rendition is sharp enough for print and e-readers; posts processed
+ * before renditions existed use the original
+ */
+const postImages = (blog) => getImages(blog).map((image) => {
+  const renditions = (blog.imageRenditions || {})[image.key];
+  return {
+    key: renditions && renditions.medium ? renditions.medium.key : image.key,
+    caption: image.caption || '',
+    altText: image.altText || image.caption || ''
+  };
+});
+
+/**
+ * File extension and media type of image data from loadImage (always JPEG or PNG)
+ */
+const imageType = (data) => (data[0] === 0xFF && data[1] === 0xD8
+  ? { extension: 'jpg', mediaType: 'image/jpeg' }
+  : { extension: 'png', mediaType: 'image/png' });
+
+/**
+ * An entry as an HTML article that is also well-formed XHTML, for EPUB chapters and site pages
+ *
+ * @param {Object} blog - The post
+ * @param {Object[]} figures - Its photos as { src, altText, caption }
+ * @returns {string} - The article
+ */
+const renderEntry = (blog, figures) => {
+  const details = [`<time datetime="${escapeXml(blog.createdAt)}">${escapeXml(formatDate(blog.createdAt))}</time>`];
+  if (blog.mood) {
+    details.push(`<span class="mood">Mood: ${escapeXml(blog.mood)}</span>`);
+  }
+  if (blog.tags && blog.tags.length > 0) {
+    details.push(`<span class="tags">Tags: ${blog.tags.map(tag => `<span class="tag">${escapeXml(tag)}</span>`).join(' ')}</span>`);
+  }
+  
+  const figureHtml = figures.map(figure => [
+    '<figure>',
+    `<img src="${escapeXml(figure.src)}" alt="${escapeXml(figure.altText)}"/>`,
+    figure.caption ? `<figcaption>${escapeXml(figure.caption)}</figcaption>` : '',
+    '</figure>'
+  ].join(''));
+  
+  return [
+    '<article class="entry">',
+    `<h1>${escapeXml(blog.title || 'Untitled')}</h1>`,
+    `<p class="meta">${details.join(' · ')}</p>`,
+    ...toHtmlParagraphs(blog.content),
+    ...figureHtml,
+    '</article>'
+  ].join('\n');
+};
+
+// A YAML value; strings are written as JSON, which YAML reads as double-quoted scalars
+const toYamlValue = (value) => (typeof value === 'string' ? JSON.stringify(value) : String(value));
+
+/**
+ * The YAML front matter of a Markdown file, between --- lines
+ * Values are strings, numbers, booleans, lists of those or lists of flat objects;
+ * fields that are undefined or null are left out
+ */
+const toFrontMatter = (fields) => {
+  const lines = ['---'];
+  
+  Object.entries(fields).forEach(([name, value]) => {
+    if (value === undefined || value === null) {
+      return;
+    }
+    if (!Array.isArray(value)) {
+      lines.push(`${name}: ${toYamlValue(value)}`);
+    } else if (value.length === 0 || typeof value[0] !== 'object') {
+      lines.push(`${name}: [${value.map(toYamlValue).join(', ')}]`);
+    } else {
+      lines.push(`${name}:`);
+      value.forEach(item => {
+        Object.entries(item)
+          .filter(([, itemValue]) => itemValue !== undefined && itemValue !== null)
+          .forEach(([itemName, itemValue], i) => {
+            lines.push(`${i === 0 ? '  - ' : '    '}${itemName}: ${toYamlValue(itemValue)}`);
+          });
+      });
+    }
+  });
+  
+  lines.push('---');
+  return `${lines.join('\n')}\n`;
+};
+
+// Longer slugs are cut at the last whole word
+const MAX_SLUG_LENGTH = 60;
+
+/**
+ * A file name made from a title, e.g. "Café at the Lake" becomes "cafe-at-the-lake"
+ */
+const slugify = (text) => {
+  const slug = String(text || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  
+  if (slug.length <= MAX_SLUG_LENGTH) {
+    return slug || 'entry';
+  }
+  const cut = slug.slice(0, MAX_SLUG_LENGTH + 1);
+  return cut.slice(0, cut.lastIndexOf('-')) || slug.slice(0, MAX_SLUG_LENGTH);
+};
+
+module.exports = {
+  escapeXml,
+  toParagraphs,
+  toHtmlParagraphs,
+  toSafeHtml,
+  sanitizeContent,
+  formatDate,
+  formatShortDate,
+  describeExport,
+  postImages,
+  renderEntry,
+  imageType,
+  toFrontMatter,
+  slugify
+};
@@ -0,0 +1,46 @@
+// CSV export
+// One row per entry with a fixed set of columns, so spreadsheets and scripts
+// can rely on them. Values are quoted as RFC 4180 describes (content keeps its
+// commas, quotes and line breaks) and rows end with CRLF.
+
+const { toParagraphs, postImages, sanitizeContent } = require('./content');
+
+// The columns, in order; new columns are only ever added at the end
+const COLUMNS = [
+  ['id', blog => blog.blogId],
+  ['title', blog => blog.title],
+  ['created_at', blog => blog.createdAt],
+  ['updated_at', blog => blog.updatedAt],
+  ['published_at', blog => blog.publishedAt],
+  ['status', blog => blog.status],
+  ['visibility', blog => blog.visibility],
+  ['mood', blog => blog.mood],
+  ['tags', blog => (blog.tags || []).join('; ')],
+  ['image_count', blog => postImages(blog).length],
+  ['content_text', blog => toParagraphs(blog.content).join('\n')],
+  ['content_html', blog => sanitizeContent(blog.content)]
+];
+
+/**
+ * Quote a value when it needs it
+ * Values that spreadsheets would run as a formula (starting with =, +, -, @)
+ * get a leading apostrophe so they stay text
+ */
+const toCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toRow = (values) => `${values.map(toCell).join(',')}\r\n`;
+
+module.exports = {
+  COLUMNS: COLUMNS.map(([name]) => name),
+  
+  // The byte order mark tells spreadsheet apps the file is UTF-8
+  start: () => `\uFEFF${toRow(COLUMNS.map(([name]) => name))}`,
+  entry: (blog) => toRow(COLUMNS.map(([, value]) => value(blog))),
+  end: () => ''
+};
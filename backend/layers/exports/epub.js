@@ -0,0 +1,162 @@
+// EPUB 3 export
+// An e-book with a title page, a table of contents and one chapter per entry,
+// photos included. Chapters and photos go into the ZIP as the worker pages
+// through the entries; the package document, which lists them all, comes last.
+
+const { createZip } = require('./zip');
+const { escapeXml, formatShortDate, describeExport, postImages, imageType, renderEntry } = require('./content');
+
+const CONTAINER_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="EPUB/package.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+const STYLES = `body { font-family: serif; line-height: 1.5; }
+h1 { margin-bottom: 0.2em; }
+.meta { color: #666; font-size: 0.9em; }
+.tag { margin-right: 0.3em; }
+figure { margin: 1.5em 0; text-align: center; }
+figure img { max-width: 100%; }
+figcaption { font-style: italic; font-size: 0.9em; }
+.title-page { text-align: center; margin-top: 30%; }
+nav ol { list-style: none; padding: 0; }
+nav li { margin-bottom: 0.4em; }
+`;
+
+/**
+ * An XHTML document; stylesheet is relative to the document
+ */
+const xhtml = (title, body, stylesheet) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="en" xml:lang="en">
+<head>
+  <meta charset="UTF-8"/>
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="${stylesheet}"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+/**
+ * Write an EPUB export to a stream
+ *
+ * @param {Writable} output - Where the file goes
+ * @param {Object} context - { exportId, filters, createdAt, loadImage }
+ * @returns {Object} - The writer: start(), entry(blog, index) and end()
+ */
+const createWriter = (output, context) => {
+  const zip = createZip(output);
+  const identifier = `urn:uuid:${context.exportId}`;
+  // dcterms:modified takes whole seconds
+  const modified = new Date(context.createdAt || Date.now()).toISOString().replace(/\.\d+Z$/, 'Z');
+  
+  const chapters = [];
+  const images = [];
+  
+  const titlePage = () => xhtml('Journal', [
+    '<section class="title-page" epub:type="titlepage">',
+    '<h1>Journal</h1>',
+    ...describeExport(context, chapters.length).map(line => `<p>${escapeXml(line)}</p>`),
+    '</section>'
+  ].join('\n'), 'style.css');
+  
+  const nav = () => xhtml('Contents', [
+    '<nav epub:type="toc" id="toc">',
+    '<h1>Contents</h1>',
+    '<ol>',
+    ...chapters.map(chapter => `<li><a href="${chapter.file}">${escapeXml(`${chapter.date} · ${chapter.title}`)}</a></li>`),
+    '</ol>',
+    '</nav>'
+  ].join('\n'), 'style.css');
+  
+  // The EPUB 2 table of contents, for older readers
+  const ncx = () => `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head>
+    <meta name="dtb:uid" content="${identifier}"/>
+  </head>
+  <docTitle><text>Journal</text></docTitle>
+  <navMap>
+${chapters.map((chapter, i) => `    <navPoint id="nav-${chapter.id}" playOrder="${i + 1}">
+      <navLabel><text>${escapeXml(chapter.title)}</text></navLabel>
+      <content src="${chapter.file}"/>
+    </navPoint>`).join('\n')}
+  </navMap>
+</ncx>
+`;
+
+  const packageDocument = () => `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid" xml:lang="en">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="uid">${identifier}</dc:identifier>
+    <dc:title>Journal</dc:title>
+    <dc:language>en</dc:language>
+    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+    <item id="style" href="style.css" media-type="text/css"/>
+    <item id="title-page" href="title.xhtml" media-type="application/xhtml+xml"/>
+${chapters.map(chapter => `    <item id="${chapter.id}" href="${chapter.file}" media-type="application/xhtml+xml"/>`).join('\n')}
+${images.map(image => `    <item id="${image.id}" href="${image.file}" media-type="${image.mediaType}"/>`).join('\n')}
+  </manifest>
+  <spine toc="ncx">
+    <itemref idref="title-page"/>
+    <itemref idref="nav"/>
+${chapters.map(chapter => `    <itemref idref="${chapter.id}"/>`).join('\n')}
+  </spine>
+</package>
+`;
+
+  return {
+    start: async () => {
+      // The mimetype has to be the first file, uncompressed
+      zip.add('mimetype', 'application/epub+zip', { store: true });
+      zip.add('META-INF/container.xml', CONTAINER_XML);
+      zip.add('EPUB/style.css', STYLES);
+      await zip.drained();
+    },
+    
+    entry: async (blog, index) => {
+      const id = `entry-${String(index + 1).padStart(4, '0')}`;
+      const figures = [];
+      
+      for (const [i, image] of postImages(blog).entries()) {
+        const data = await context.loadImage(image.key);
+        if (data) {
+          const type = imageType(data);
+          const file = `images/${id}-${i + 1}.${type.extension}`;
+          zip.add(`EPUB/${file}`, data);
+          images.push({ id: `${id}-image-${i + 1}`, file, mediaType: type.mediaType });
+          figures.push({ src: `../${file}`, altText: image.altText, caption: image.caption });
+          await zip.drained();
+        }
+      }
+      
+      const title = blog.title || 'Untitled';
+      const file = `text/${id}.xhtml`;
+      zip.add(`EPUB/${file}`, xhtml(title, renderEntry(blog, figures), '../style.css'));
+      chapters.push({ id, file, title, date: formatShortDate(blog.createdAt) });
+      await zip.drained();
+    },
+    
+    end: async () => {
+      zip.add('EPUB/title.xhtml', titlePage());
+      zip.add('EPUB/nav.xhtml', nav());
+      zip.add('EPUB/toc.ncx', ncx());
+      zip.add('EPUB/package.opf', packageDocument());
+      await zip.finish();
+    }
+  };
+};
+
+module.exports = {
+  createWriter
+};
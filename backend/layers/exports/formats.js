@@ -0,0 +1,152 @@
+// Export file formats
+// Each format is written in pieces as the worker pages through the entries,
+// so an export never has to hold the whole journal in memory.
+// createWriter(output, context) returns a writer for one file:
+//   start()              before the first entry
+//   entry(blog, index)   once per entry, oldest first
+//   end()                after the last entry, ends the output
+// Formats with settings also check them with parseOptions(options).
+// The account archive is complete: it takes no filters and includes the trash.
+
+const { once } = require('events');
+const csv = require('./csv');
+const epub = require('./epub');
+const site = require('./site');
+const archive = require('./archive');
+const pdf = require('./pdf');
+const { escapeXml, toSafeHtml, sanitizeContent } = require('./content');
+
+const HTML_STYLES = `
+        body { font-family: Arial, sans-serif; line-height: 1.6; max-width: 800px; margin: 0 auto; padding: 20px; }
+        h1 { text-align: center; margin-bottom: 30px; }
+        .blog-entry { margin-bottom: 30px; }
+        .meta { color: #666; font-size: 0.9em; margin-bottom: 15px; }
+        .tag { background: #f0f0f0; padding: 2px 8px; border-radius: 3px; margin-right: 5px; }
+        hr { border: 0; border-top: 1px solid #eee; margin: 30px 0; }`;
+
+/**
+ * A writer for text formats, built from functions returning each piece
+ */
+const textWriter = (pieces) => (output) => {
+  // Wait whenever the upload falls behind, so the file isn't buffered in memory
+  const write = async (chunk) => {
+    if (!output.write(chunk)) {
+      await once(output, 'drain');
+    }
+  };
+  
+  return {
+    start: () => write(pieces.start()),
+    entry: (blog, index) => write(pieces.entry(blog, index)),
+    end: async () => {
+      output.end(pieces.end());
+    }
+  };
+};
+
+const json = {
+  contentType: 'application/json',
+  extension: 'json',
+  createWriter: textWriter({
+    start: () => '[\n',
+    entry: (blog, index) => `${index > 0 ? ',\n' : ''}${JSON.stringify(blog, null, 2)}`,
+    end: () => '\n]\n'
+  })
+};
+
+const markdown = {
+  contentType: 'text/markdown',
+  extension: 'md',
+  createWriter: textWriter({
+    start: () => '',
+    entry: (blog) => {
+      const date = new Date(blog.createdAt).toLocaleDateString();
+      // Markdown viewers render inline HTML, so the text fields are escaped and the content sanitized
+      const mood = blog.mood ? `\nMood: ${escapeXml(blog.mood)}` : '';
+      const tags = blog.tags && blog.tags.length > 0 ? `\nTags: ${blog.tags.map(escapeXml).join(', ')}` : '';
+      
+      return `# ${escapeXml(blog.title)}\n\n${date}${mood}${tags}\n\n${sanitizeContent(blog.content || '')}\n\n---\n\n`;
+    },
+    end: () => ''
+  })
+};
+
+const html = {
+  contentType: 'text/html',
+  extension: 'html',
+  createWriter: textWriter({
+    start: () => `
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Journal Export</title>
+        <style>${HTML_STYLES}
+        </style>
+      </head>
+      <body>
+        <h1>Journal Export</h1>
+    `,
+    entry: (blog) => {
+      const date = new Date(blog.createdAt).toLocaleDateString();
+      const mood = blog.mood ? `<p><strong>Mood:</strong> ${escapeXml(blog.mood)}</p>` : '';
+      const tags = blog.tags && blog.tags.length > 0
+        ? `<p><strong>Tags:</strong> ${blog.tags.map(tag => `<span class="tag">${escapeXml(tag)}</span>`).join(' ')}</p>`
+        : '';
+      
+      return `
+        <article class="blog-entry">
+          <h2>${escapeXml(blog.title)}</h2>
+          <div class="meta">
+            <time datetime="${escapeXml(blog.createdAt)}">${escapeXml(date)}</time>
+            ${mood}
+            ${tags}
+          </div>
+          <div class="content">
+            ${toSafeHtml(blog.content)}
+          </div>
+        </article>
+        <hr>
+      `;
+    },
+    end: () => `
+      </body>
+      </html>
+    `
+  })
+};
+
+module.exports = {
+  json,
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    createWriter: textWriter(csv)
+  },
+  markdown,
+  html,
+  epub: {
+    contentType: 'application/epub+zip',
+    extension: 'epub',
+    createWriter: epub.createWriter
+  },
+  site: {
+    contentType: 'application/zip',
+    extension: 'zip',
+    createWriter: site.createWriter
+  },
+  pdf: {
+    contentType: 'application/pdf',
+    extension: 'pdf',
+    parseOptions: pdf.parseOptions,
+    createWriter: pdf.createWriter
+  },
+  archive: {
+    contentType: 'application/zip',
+    extension: 'zip',
+    fileName: 'journal-archive',
+    complete: true,
+    createWriter: archive.createWriter
+  }
+};
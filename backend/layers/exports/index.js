@@ -0,0 +1,76 @@
+const AWS = require('aws-sdk');
+const s3 = new AWS.S3();
+
+const FORMATS = require('./formats');
+
+// Get parameters from environment variables
+const EXPORT_BUCKET = process.env.EXPORT_BUCKET || process.env.MEDIA_BUCKET;
+
+// Lifecycle of an export job
+const STATUS = {
+  QUEUED: 'QUEUED',
+  RUNNING: 'RUNNING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED'
+};
+
+// Export files and their jobs are removed after this many days
+// (the media bucket expires objects under exports/ on the same schedule)
+const EXPORT_RETENTION_DAYS = 7;
+
+// Download links stay valid this long; fetching the job again gives a new one
+const DOWNLOAD_URL_EXPIRES_SECONDS = 3600;
+
+/**
+ * The S3 key of an export file
+ */
+const exportKey = (userId, exportId, format) =>
+  `exports/${userId}/${exportId}.${FORMATS[format].extension}`;
+
+/**
+ * The file name offered to the browser, e.g. journal-export-2025-06-01.md
+ */
+const fileName = (job) => {
+  const format = FORMATS[job.format];
+  return `${format.fileName || 'journal-export'}-${job.createdAt.slice(0, 10)}.${format.extension}`;
+};
+
+/**
+ * Utility functions for export jobs
+ *
+ * POST /exports stores a job and queues it; the export worker takes it from
+ * the queue, pages through the user's entries and streams the file to S3,
+ * recording its progress on the job as it goes. GET /exports/{exportId}
+ * reports that progress and, once the file is written, a download link.
+ */
+module.exports = {
+  FORMATS,
+  STATUS,
+  EXPORT_BUCKET,
+  EXPORT_RETENTION_DAYS,
+  exportKey,
+  
+  /**
+   * A job as the API returns it, with a download link when the file is ready
+   */
+  toExportJob: (job) => {
+    const { userId, key, ttl, ...visibleJob } = job;
+    
+    if (job.status !== STATUS.COMPLETED) {
+      return visibleJob;
+    }
+    
+    const name = fileName(job);
+    return {
+      ...visibleJob,
+      fileName: name,
+      downloadUrl: s3.getSignedUrl('getObject', {
+        Bucket: EXPORT_BUCKET,
+        Key: key,
+        Expires: DOWNLOAD_URL_EXPIRES_SECONDS,
+        ResponseContentDisposition: `attachment; filename="${name}"`
+      }),
+      downloadExpiresAt: new Date(Date.now() + DOWNLOAD_URL_EXPIRES_SECONDS * 1000).toISOString()
+    };
+  }
+};
@@ -0,0 +1,296 @@
+// PDF export
+// A cover page, a table of contents linking to the entries, then one entry per
+// page (longer entries continue on the next) with its date, mood, tags and
+// photos. The entries are written as the worker pages through them; the table
+// of contents gets its pages up front and is filled in once the page of every
+// entry is known.
+
+const { once } = require('events');
+const { toParagraphs, formatDate, formatShortDate, describeExport, postImages } = require('./content');
+
+const PAGE_SIZES = ['A4', 'A5', 'LETTER', 'LEGAL'];
+
+// The PDF standard fonts, so nothing has to be embedded
+const FONTS = {
+  serif: { regular: 'Times-Roman', bold: 'Times-Bold', italic: 'Times-Italic' },
+  sans: { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' },
+  mono: { regular: 'Courier', bold: 'Courier-Bold', italic: 'Courier-Oblique' }
+};
+
+const MIN_FONT_SIZE = 8;
+const MAX_FONT_SIZE = 16;
+
+const DEFAULT_OPTIONS = {
+  pageSize: 'A4',
+  font: 'serif',
+  fontSize: 11
+};
+
+const MARGIN = 56; // 2 cm
+
+// Photos take at most this share of the page height
+const MAX_IMAGE_HEIGHT_RATIO = 0.6;
+
+// Characters the standard fonts can draw (Windows-1252)
+const STANDARD_CHARACTER = /[\n\x20-\x7E\xA0-\xFFŒœŠšŸŽžƒˆ˜–—‘-‚“-„†-•…‰‹›€™]/;
+
+/**
+ * Make text drawable with the standard fonts
+ * Letters outside their character set lose their accents ("ő" becomes "o");
+ * what still can't be drawn, such as emoji, is left out
+ */
+const toStandardText = (text) => Array.from(String(text || '').normalize('NFC'), (char) => {
+  if (STANDARD_CHARACTER.test(char)) {
+    return char;
+  }
+  const base = char.normalize('NFD')[0];
+  return STANDARD_CHARACTER.test(base) ? base : '';
+}).join('');
+
+/**
+ * Check the PDF options of an export request, filling in the defaults
+ *
+ * @param {Object} options - Optional pageSize, font and fontSize
+ * @returns {Object} - { options } or { error }
+ */
+const parseOptions = (options = {}) => {
+  const pageSize = String(options.pageSize || DEFAULT_OPTIONS.pageSize).toUpperCase();
+  const font = String(options.font || DEFAULT_OPTIONS.font).toLowerCase();
+  const fontSize = options.fontSize === undefined ? DEFAULT_OPTIONS.fontSize : Number(options.fontSize);
+  
+  if (!PAGE_SIZES.includes(pageSize)) {
+    return { error: `Unsupported page size. Use one of: ${PAGE_SIZES.join(', ')}` };
+  }
+  if (!Object.prototype.hasOwnProperty.call(FONTS, font)) {
+    return { error: `Unsupported font. Use one of: ${Object.keys(FONTS).join(', ')}` };
+  }
+  if (!Number.isInteger(fontSize) || fontSize < MIN_FONT_SIZE || fontSize > MAX_FONT_SIZE) {
+    return { error: `fontSize must be a whole number from ${MIN_FONT_SIZE} to ${MAX_FONT_SIZE}` };
+  }
+  
+  return { options: { pageSize, font, fontSize } };
+};
+
+/**
+ * Write a PDF export to a stream
+ *
+ * @param {Writable} output - Where the file goes
+ * @param {Object} context - { total, filters, options, createdAt, loadImage }; loadImage(key)
+ *   resolves to the JPEG or PNG data of a photo, or null when it can't be included
+ * @returns {Object} - The writer: start(), entry(blog, index) and end()
+ */
+const createWriter = (output, context) => {
+  // pdfkit is only needed by the export worker, so it isn't loaded with the layer
+  const PDFDocument = require('pdfkit');
+  
+  const options = { ...DEFAULT_OPTIONS, ...context.options };
+  const fonts = FONTS[options.font];
+  const fontSize = options.fontSize;
+  
+  // Pages stay open until the end, when the table of contents and page numbers are added
+  const doc = new PDFDocument({
+    size: options.pageSize,
+    margin: MARGIN,
+    bufferPages: true,
+    autoFirstPage: false,
+    info: { Title: 'Journal Export', CreationDate: new Date(context.createdAt || Date.now()) }
+  });
+  doc.pipe(output);
+  
+  const contentWidth = () => doc.page.width - MARGIN * 2;
+  
+  // Wait whenever the upload falls behind, so the file isn't buffered in memory
+  const drained = async () => {
+    while (output.writableNeedDrain) {
+      await once(output, 'drain');
+    }
+  };
+  
+  // The entries as listed in the table of contents, and the pages reserved for it
+  const entries = [];
+  const contents = { start: 0, pages: 0, perPage: 0, headingHeight: fontSize * 4, lineHeight: 0 };
+  
+  // Written last, so it counts the entries that were actually exported
+  const fillCover = () => {
+    doc.switchToPage(0);
+    doc.y = doc.page.height / 3;
+    doc.font(fonts.bold).fontSize(fontSize * 3).text('Journal', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.font(fonts.regular).fontSize(fontSize * 1.2).fillColor('#555555');
+    describeExport(context, entries.length).forEach(line => doc.text(toStandardText(line), { align: 'center' }));
+    doc.fillColor('black');
+  };
+  
+  // Enough pages for the entries the worker counted; they are filled in at the end
+  const reserveContents = () => {
+    doc.font(fonts.regular).fontSize(fontSize);
+    contents.lineHeight = doc.currentLineHeight(true) * 1.6;
+    contents.perPage = Math.max(1, Math.floor(
+      (doc.page.height - MARGIN * 2 - contents.headingHeight) / contents.lineHeight
+    ));
+    contents.pages = Math.max(1, Math.ceil((context.total || 0) / contents.perPage));
+    contents.start = doc.bufferedPageRange().count;
+    
+    for (let i = 0; i < contents.pages; i++) {
+      doc.addPage();
+    }
+  };
+  
+  const fillContents = () => {
+    const capacity = contents.pages * contents.perPage;
+    // Entries written after the worker counted them may not fit; the last line says so
+    const listed = entries.length > capacity ? entries.slice(0, capacity - 1) : entries;
+    const lines = listed.map(entry => ({ ...entry, text: `${entry.date}   ${entry.title}` }));
+    if (listed.length < entries.length) {
+      lines.push({ text: `... and ${entries.length - listed.length} more entries` });
+    }
+    if (lines.length === 0) {
+      lines.push({ text: 'No entries' });
+    }
+    
+    for (let page = 0; page < contents.pages; page++) {
+      doc.switchToPage(contents.start + page);
+      doc.font(fonts.bold).fontSize(fontSize * 1.6)
+        .text(page === 0 ? 'Contents' : 'Contents (continued)', MARGIN, MARGIN);
+    }
+    
+    lines.forEach((line, i) => {
+      doc.switchToPage(contents.start + Math.floor(i / contents.perPage));
+      const y = MARGIN + contents.headingHeight + (i % contents.perPage) * contents.lineHeight;
+      doc.font(fonts.regular).fontSize(fontSize);
+      
+      let titleWidth = contentWidth();
+      if (line.destination) {
+        const pageNumber = String(line.page + 1);
+        titleWidth -= doc.widthOfString(pageNumber) + fontSize * 2;
+        doc.text(pageNumber, MARGIN, y, { width: contentWidth(), align: 'right', lineBreak: false, goTo: line.destination });
+      }
+      doc.text(line.text, MARGIN, y, {
+        width: titleWidth,
+        height: doc.currentLineHeight(),
+        ellipsis: true,
+        goTo: line.destination
+      });
+    });
+  };
+  
+  const addPageNumbers = () => {
+    const range = doc.bufferedPageRange();
+    // The cover has none
+    for (let i = range.start + 1; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      // Writing into the bottom margin would otherwise start a new page
+      const bottomMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      doc.font(fonts.regular).fontSize(fontSize * 0.8).fillColor('#777777')
+        .text(String(i + 1), MARGIN, doc.page.height - MARGIN / 2 - fontSize / 2, {
+          width: contentWidth(),
+          align: 'center',
+          lineBreak: false
+        });
+      doc.page.margins.bottom = bottomMargin;
+    }
+    doc.fillColor('black');
+  };
+  
+  const addImage = (data, caption) => {
+    let image;
+    try {
+      image = doc.openImage(data);
+    } catch (error) {
+      console.warn('Skipping an image pdfkit cannot read:', error.message);
+      return;
+    }
+    
+    const maxHeight = (doc.page.height - MARGIN * 2) * MAX_IMAGE_HEIGHT_RATIO;
+    const scale = Math.min(contentWidth() / image.width, maxHeight / image.height, 1);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    const captionText = toStandardText(caption);
+    
+    doc.font(fonts.italic).fontSize(fontSize * 0.9);
+    const captionHeight = captionText ? doc.heightOfString(captionText, { width: contentWidth() }) : 0;
+    if (doc.y + height + captionHeight > doc.page.height - MARGIN) {
+      doc.addPage();
+    }
+    
+    const y = doc.y;
+    doc.image(image, MARGIN + (contentWidth() - width) / 2, y, { width, height });
+    doc.y = y + height + fontSize * 0.4;
+    
+    if (captionText) {
+      doc.fillColor('#555555').text(captionText, MARGIN, doc.y, { width: contentWidth(), align: 'center' });
+      doc.fillColor('black');
+    }
+    doc.moveDown(1);
+  };
+  
+  return {
+    start: async () => {
+      // The cover, then the table of contents
+      doc.addPage();
+      reserveContents();
+      await drained();
+    },
+    
+    entry: async (blog, index) => {
+      const title = toStandardText(blog.title) || 'Untitled';
+      const destination = `entry-${index}`;
+      
+      doc.addPage();
+      doc.addNamedDestination(destination);
+      doc.outline.addItem(title);
+      entries.push({
+        title,
+        date: formatShortDate(blog.createdAt),
+        page: doc.bufferedPageRange().count - 1,
+        destination
+      });
+      
+      doc.font(fonts.bold).fontSize(fontSize * 1.8).text(title);
+      doc.moveDown(0.3);
+      
+      const details = [formatDate(blog.createdAt)];
+      if (blog.mood) {
+        details.push(`Mood: ${blog.mood}`);
+      }
+      if (blog.tags && blog.tags.length > 0) {
+        details.push(`Tags: ${blog.tags.join(', ')}`);
+      }
+      doc.font(fonts.regular).fontSize(fontSize * 0.9).fillColor('#555555');
+      details.forEach(line => doc.text(toStandardText(line)));
+      doc.fillColor('black').moveDown(1);
+      
+      doc.font(fonts.regular).fontSize(fontSize);
+      toParagraphs(blog.content).forEach(paragraph => {
+        doc.text(toStandardText(paragraph), { paragraphGap: fontSize * 0.6 });
+      });
+      doc.moveDown(1);
+      
+      for (const image of postImages(blog)) {
+        const data = await context.loadImage(image.key);
+        if (data) {
+          addImage(data, image.caption);
+        }
+        await drained();
+      }
+      
+      await drained();
+    },
+    
+    end: async () => {
+      fillCover();
+      fillContents();
+      addPageNumbers();
+      doc.end();
+    }
+  };
+};
+
+module.exports = {
+  PAGE_SIZES,
+  FONTS,
+  DEFAULT_OPTIONS,
+  parseOptions,
+  createWriter
+};
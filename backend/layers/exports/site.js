@@ -0,0 +1,152 @@
+// Static site export
+// A ZIP with a website that can be hosted anywhere (or opened from disk): an
+// index page listing the entries by month, one page per entry linking to the
+// previous and next ones, its photos and a stylesheet. All links are relative.
+// Each page is written once the next entry is known, for its "Next" link; the
+// index comes last.
+
+const { createZip } = require('./zip');
+const { escapeXml, formatShortDate, describeExport, postImages, imageType, renderEntry, slugify } = require('./content');
+
+// Everything goes in one folder, so unzipping doesn't scatter files
+const ROOT = 'journal';
+
+const STYLES = `body { font-family: Georgia, serif; line-height: 1.6; color: #222; margin: 0; }
+main { max-width: 760px; margin: 0 auto; padding: 24px; }
+a { color: #0066cc; }
+h1 { line-height: 1.2; margin-bottom: 0.2em; }
+.meta, .summary { color: #666; font-size: 0.9em; }
+.tag { background: #f0f0f0; padding: 2px 8px; border-radius: 3px; margin-right: 4px; }
+figure { margin: 24px 0; text-align: center; }
+figure img { max-width: 100%; height: auto; }
+figcaption { font-style: italic; color: #555; }
+.entry-nav { display: flex; justify-content: space-between; gap: 16px; border-top: 1px solid #eee; margin-top: 32px; padding-top: 16px; }
+.entries { list-style: none; padding: 0; }
+.entries li { margin-bottom: 8px; }
+.entries time { color: #666; margin-right: 8px; }
+`;
+
+const page = (title, body, root) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" href="${root}style.css">
+</head>
+<body>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+
+const monthName = (date) => new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', timeZone: 'UTC' });
+
+/**
+ * Write a static site export to a stream
+ *
+ * @param {Writable} output - Where the file goes
+ * @param {Object} context - { filters, createdAt, loadImage }
+ * @returns {Object} - The writer: start(), entry(blog, index) and end()
+ */
+const createWriter = (output, context) => {
+  const zip = createZip(output);
+  const entries = [];
+  const usedNames = new Set();
+  // The last entry's page, waiting for the next entry
+  let pending = null;
+  
+  const uniqueName = (blog) => {
+    const base = `${String(blog.createdAt).slice(0, 10)}-${slugify(blog.title)}`;
+    let name = base;
+    for (let n = 2; usedNames.has(name); n++) {
+      name = `${base}-${n}`;
+    }
+    usedNames.add(name);
+    return name;
+  };
+  
+  const writePage = (entry, previous, next) => {
+    const links = [
+      previous ? `<a href="${previous.name}.html" rel="prev">&larr; ${escapeXml(previous.title)}</a>` : '<span></span>',
+      '<a href="../index.html">All entries</a>',
+      next ? `<a href="${next.name}.html" rel="next">${escapeXml(next.title)} &rarr;</a>` : '<span></span>'
+    ];
+    const body = `${entry.article}\n<nav class="entry-nav">\n${links.join('\n')}\n</nav>`;
+    zip.add(`${ROOT}/posts/${entry.name}.html`, page(entry.title, body, '../'));
+    // Only the names and titles are kept for the index
+    entry.article = null;
+  };
+  
+  const indexPage = () => {
+    const sections = [];
+    let month = null;
+    
+    // Newest first, under a heading per month
+    [...entries].reverse().forEach(entry => {
+      const entryMonth = monthName(entry.createdAt);
+      if (entryMonth !== month) {
+        sections.push(`${month ? '</ul>\n' : ''}<h2>${escapeXml(entryMonth)}</h2>\n<ul class="entries">`);
+        month = entryMonth;
+      }
+      sections.push(`<li><time datetime="${escapeXml(entry.createdAt)}">${escapeXml(entry.date)}</time><a href="posts/${entry.name}.html">${escapeXml(entry.title)}</a></li>`);
+    });
+    if (month) {
+      sections.push('</ul>');
+    }
+    
+    const summary = describeExport(context, entries.length).map(line => `<p class="summary">${escapeXml(line)}</p>`);
+    return page('Journal', ['<h1>Journal</h1>', ...summary, ...sections].join('\n'), '');
+  };
+  
+  return {
+    start: async () => {
+      zip.add(`${ROOT}/style.css`, STYLES);
+      await zip.drained();
+    },
+    
+    entry: async (blog) => {
+      const name = uniqueName(blog);
+      const figures = [];
+      
+      for (const [i, image] of postImages(blog).entries()) {
+        const data = await context.loadImage(image.key);
+        if (data) {
+          const file = `media/${name}-${i + 1}.${imageType(data).extension}`;
+          zip.add(`${ROOT}/${file}`, data);
+          figures.push({ src: `../${file}`, altText: image.altText, caption: image.caption });
+          await zip.drained();
+        }
+      }
+      
+      const entry = {
+        name,
+        title: blog.title || 'Untitled',
+        createdAt: blog.createdAt,
+        date: formatShortDate(blog.createdAt),
+        article: renderEntry(blog, figures)
+      };
+      
+      if (pending) {
+        writePage(pending, entries[entries.length - 2], entry);
+      }
+      entries.push(entry);
+      pending = entry;
+      await zip.drained();
+    },
+    
+    end: async () => {
+      if (pending) {
+        writePage(pending, entries[entries.length - 2], null);
+      }
+      zip.add(`${ROOT}/index.html`, indexPage());
+      await zip.finish();
+    }
+  };
+};
+
+module.exports = {
+  createWriter
+};
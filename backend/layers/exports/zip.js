@@ -0,0 +1,99 @@
+// Streaming ZIP files for the EPUB, static site and archive exports
+
+const crypto = require('crypto');
+const { once } = require('events');
+const { Transform } = require('stream');
+
+const isStream = (data) => Boolean(data && typeof data.pipe === 'function');
+
+/**
+ * Write a ZIP file to a stream, one file at a time
+ *
+ * @param {Writable} output - Where the ZIP file goes
+ * @param {Object} options - checksums: record the size and SHA-256 of every file in zip.files
+ * @returns {Object} - add(name, data, options), drained(), finish() and files
+ */
+const createZip = (output, { checksums = false } = {}) => {
+  // archiver is only needed by the export worker, so it isn't loaded with the layer
+  const archiver = require('archiver');
+  
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('error', error => output.destroy(error));
+  archive.pipe(output);
+  
+  // Files are queued by the archive; count them until they are written out
+  let pending = 0;
+  archive.on('entry', () => {
+    pending--;
+  });
+  
+  const files = [];
+  
+  // Streams are checksummed as the archive reads them; the size and hash are
+  // filled in once the stream has ended
+  const checksummed = (name, data) => {
+    const file = { name, size: 0, sha256: null };
+    files.push(file);
+    
+    if (!isStream(data)) {
+      const buffer = Buffer.from(data);
+      file.size = buffer.length;
+      file.sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+      return data;
+    }
+    
+    const hash = crypto.createHash('sha256');
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        file.size += chunk.length;
+        callback(null, chunk);
+      },
+      flush(callback) {
+        file.sha256 = hash.digest('hex');
+        callback();
+      }
+    });
+    return data.pipe(counter);
+  };
+  
+  return {
+    files,
+    
+    /**
+     * Add a file (a string, Buffer or readable stream); options.store keeps it
+     * uncompressed (the EPUB mimetype has to be)
+     */
+    add: (name, data, options = {}) => {
+      pending++;
+      if (isStream(data)) {
+        // archiver doesn't notice a failing source stream, so fail the whole file
+        data.on('error', error => archive.destroy(error));
+      }
+      const source = checksums ? checksummed(name, data) : data;
+      archive.append(source, { name, date: options.date, store: options.store });
+    },
+    
+    /**
+     * Wait until the queued files are written and the upload has caught up,
+     * so photos aren't buffered in memory
+     */
+    drained: async () => {
+      while (pending > 0) {
+        await once(archive, 'entry');
+      }
+      while (output.writableNeedDrain) {
+        await once(output, 'drain');
+      }
+    },
+    
+    /**
+     * Write the ZIP directory and end the output
+     */
+    finish: () => archive.finalize()
+  };
+};
+
+module.exports = {
+  createZip
+};
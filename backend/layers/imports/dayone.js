@@ -0,0 +1,85 @@
+// Day One JSON exports
+// A ZIP with a JSON file per journal ({ metadata, entries }) and the photos
+// under photos/{md5}.{type}. Entries are Markdown that places its photos with
+// dayone-moment://{identifier} references; there are no titles, so the first
+// line becomes the title, as Day One shows it.
+
+const path = require('path');
+const { createEntry, titleFromText } = require('./entries');
+const { toHtml, extractImages } = require('./markdown');
+
+/**
+ * Whether parsed JSON is a Day One journal
+ */
+const isDayOne = (data) =>
+  Boolean(data && typeof data === 'object' && Array.isArray(data.entries) && data.metadata);
+
+/**
+ * The entries of a Day One journal
+ *
+ * @param {Object} data - The parsed journal file
+ * @param {Object} source - The upload
+ * @param {string} directory - Where the journal file is in the upload; photos/ is next to it
+ */
+const readDayOne = (data, source, directory) => data.entries.map((entry) => {
+  const photos = new Map((entry.photos || []).map(photo => [photo.identifier, photo]));
+  const photoFile = (photo) => {
+    const file = path.posix.join(directory, 'photos', `${photo.md5}.${photo.type}`);
+    return source.size(file) > 0 ? file : null;
+  };
+  
+  // Videos, audio and PDFs are moments too (dayone-moment:/video/...), but only photos can be imported
+  const placed = new Set();
+  const resolve = (target) => {
+    const match = target.match(/^dayone-moment:\/\/([^/]+)$/);
+    if (!match || !photos.has(match[1])) {
+      return null;
+    }
+    placed.add(match[1]);
+    return photoFile(photos.get(match[1]));
+  };
+  
+  const warnings = [];
+  const extracted = extractImages(String(entry.text || '').replace(/\r\n?/g, '\n'), resolve);
+  const images = [...extracted.images];
+  let missing = extracted.missing.length;
+  
+  // Photos the text doesn't place go after the others
+  [...photos.values()]
+    .filter(photo => !placed.has(photo.identifier))
+    .sort((a, b) => (a.orderInEntry || 0) - (b.orderInEntry || 0))
+    .forEach(photo => {
+      const file = photoFile(photo);
+      if (file) {
+        images.push({ path: file });
+      } else {
+        missing++;
+      }
+    });
+  if (missing > 0) {
+    warnings.push(`${missing} photo(s) or other attachments aren't in the upload and were left out`);
+  }
+  
+  // The first line is the title; it stays in the text when it had to be shortened
+  let text = extracted.text.trim();
+  const { title, whole } = titleFromText(text);
+  if (whole) {
+    text = text.replace(/^\s*[^\n]*\n*/, '');
+  }
+  
+  return createEntry({
+    sourceId: entry.uuid ? `dayone:${entry.uuid}` : undefined,
+    title,
+    content: toHtml(text),
+    createdAt: entry.creationDate,
+    updatedAt: entry.modifiedDate,
+    tags: entry.tags,
+    images,
+    warnings
+  });
+});
+
+module.exports = {
+  isDayOne,
+  readDayOne
+};
@@ -0,0 +1,140 @@
+// Turning what a source contains into entries of the journal
+// Every source format produces the same shape, which the preview shows and
+// the import writes:
+//   { sourceId, title, content, createdAt, updatedAt, publishedAt, status,
+//     tags, mood, images: [{ path, caption, altText }], warnings, error }
+// sourceId identifies the entry in the app it came from, so importing the same
+// file (or a newer export from the same app) again doesn't duplicate it.
+
+const crypto = require('crypto');
+const { sanitizeContent } = require('../sanitize');
+
+const MAX_TITLE_LENGTH = 200;
+
+// Titles taken from the first line of the text are kept shorter
+const MAX_DERIVED_TITLE_LENGTH = 100;
+
+// DynamoDB items are limited to 400 KB; this leaves room for the rest of the post
+const MAX_CONTENT_LENGTH = 300 * 1024;
+
+// Imported posts are drafts, published or archived; scheduling makes no sense for old entries
+const STATUSES = ['DRAFT', 'PUBLISHED', 'ARCHIVED'];
+
+/**
+ * A date as an ISO timestamp, or null when there's no (valid) date
+ * Takes ISO timestamps, plain days (2025-06-01, taken as UTC) and the
+ * "2025-06-01 08:30:00 +0200" style of Jekyll and WordPress
+ */
+const toIsoDate = (value) => {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  }
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  
+  const text = value.trim();
+  const match = text.match(/^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)\s*(Z|[+-]\d{2}:?\d{2})?)?$/i);
+  const normalized = match
+    ? `${match[1]}T${match[2] || '00:00'}${match[3] ? match[3].replace(/^([+-]\d{2})(\d{2})$/, '$1:$2') : 'Z'}`
+    : text;
+  
+  const time = Date.parse(normalized);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+};
+
+/**
+ * Tags from a list or a comma-separated string, trimmed and without repeats
+ */
+const toTags = (value) => {
+  const tags = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(tags
+    .filter(tag => typeof tag === 'string' || typeof tag === 'number')
+    .map(tag => String(tag).trim())
+    .filter(Boolean))];
+};
+
+/**
+ * A title from the first line of a text, without Markdown heading marks
+ *
+ * @returns {Object} - { title, whole }; whole is false when the line had to be shortened
+ */
+const titleFromText = (text) => {
+  const line = String(text || '').split('\n').map(item => item.trim()).find(Boolean) || '';
+  const title = line.replace(/^#{1,6}\s+/, '').replace(/[*_`]/g, '').trim();
+  
+  if (title.length <= MAX_DERIVED_TITLE_LENGTH) {
+    return { title, whole: true };
+  }
+  const cut = title.slice(0, MAX_DERIVED_TITLE_LENGTH);
+  return { title: `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`, whole: false };
+};
+
+/**
+ * A short, stable hash of an entry's contents, for sources that have no IDs
+ */
+const fingerprint = (...parts) =>
+  crypto.createHash('sha256').update(parts.map(part => String(part || '')).join('\u0000')).digest('hex').slice(0, 32);
+
+/**
+ * An entry in the common shape, with its fields checked and cleaned up
+ *
+ * @param {Object} fields - What the source knows about the entry
+ * @returns {Object} - The entry; entries that can't be imported have an error
+ */
+const createEntry = (fields) => {
+  const warnings = [...(fields.warnings || [])];
+  // Imported HTML is held to the same allowlist as what the editors save
+  const content = typeof fields.content === 'string' ? sanitizeContent(fields.content).trim() : '';
+  
+  let title = String(fields.title || '').replace(/\s+/g, ' ').trim();
+  if (!title) {
+    title = 'Untitled';
+    warnings.push('No title found; it is called "Untitled"');
+  } else if (title.length > MAX_TITLE_LENGTH) {
+    title = `${title.slice(0, MAX_TITLE_LENGTH - 1)}…`;
+  }
+  
+  const createdAt = toIsoDate(fields.createdAt);
+  if (!createdAt) {
+    warnings.push('No date found; it gets the date of the import');
+  }
+  
+  const status = STATUSES.includes(String(fields.status || '').toUpperCase())
+    ? String(fields.status).toUpperCase()
+    : 'PUBLISHED';
+  const mood = typeof fields.mood === 'string' && fields.mood.trim() ? fields.mood.trim() : undefined;
+  
+  let error = fields.error;
+  if (!error && content.length > MAX_CONTENT_LENGTH) {
+    error = `The entry is longer than ${MAX_CONTENT_LENGTH / 1024} KB`;
+  }
+  if (!error && !content && status !== 'DRAFT' && (fields.images || []).length === 0) {
+    error = 'The entry is empty';
+  }
+  
+  return {
+    // Entries without an ID in their app are recognized by their contents
+    sourceId: fields.sourceId || `entry:${fingerprint(title, createdAt, content)}`,
+    title,
+    content,
+    createdAt,
+    updatedAt: toIsoDate(fields.updatedAt) || createdAt,
+    publishedAt: status === 'PUBLISHED' ? toIsoDate(fields.publishedAt) || createdAt : null,
+    status,
+    tags: toTags(fields.tags),
+    mood,
+    images: fields.images || [],
+    warnings,
+    ...(error && { error })
+  };
+};
+
+module.exports = {
+  MAX_CONTENT_LENGTH,
+  toIsoDate,
+  toTags,
+  titleFromText,
+  fingerprint,
+  createEntry
+};
@@ -0,0 +1,81 @@
+const { readImport, invalidImport, SOURCE_FORMATS } = require('./sources');
+const { openZip, openFile } = require('./zip');
+
+// Get parameters from environment variables
+const IMPORT_BUCKET = process.env.IMPORT_BUCKET || process.env.MEDIA_BUCKET;
+
+// Lifecycle of an import job
+// The upload is previewed first; nothing is written to the journal until the user commits
+const STATUS = {
+  UPLOADING: 'UPLOADING',
+  ANALYZING: 'ANALYZING',
+  READY: 'READY',
+  IMPORTING: 'IMPORTING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED'
+};
+
+// What becomes of each entry: new, duplicate or invalid in the preview,
+// then imported, skipped or failed once committed
+const ENTRY_STATUS = {
+  NEW: 'new',
+  DUPLICATE: 'duplicate',
+  INVALID: 'invalid',
+  IMPORTED: 'imported',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+};
+
+// Files that can be imported, by extension
+const FILE_EXTENSIONS = ['zip', 'json', 'xml', 'md', 'markdown', 'txt'];
+
+// Largest upload; the worker unpacks it in Lambda's /tmp storage
+const MAX_IMPORT_SIZE = 1024 * 1024 * 1024; // 1 GB
+
+// Uploads, previews and their jobs are removed after this many days
+// (the media bucket expires objects under imports/ on the same schedule)
+const IMPORT_RETENTION_DAYS = 7;
+
+/**
+ * The S3 keys of an import: the uploaded file, the parsed entries and the per-entry report
+ */
+const importKeys = (userId, importId) => {
+  const prefix = `imports/${userId}/${importId}`;
+  return {
+    upload: `${prefix}/upload`,
+    entries: `${prefix}/entries.json`,
+    report: `${prefix}/report.json`
+  };
+};
+
+/**
+ * Utility functions for import jobs
+ *
+ * POST /imports stores a job and hands out an upload form for the file.
+ * Once it is uploaded, POST /imports/{importId}/preview queues the job: the
+ * import worker reads the file and reports what each entry would become.
+ * POST /imports/{importId}/commit queues it again to write the entries.
+ * GET /imports/{importId} reports the progress and the per-entry report.
+ */
+module.exports = {
+  STATUS,
+  ENTRY_STATUS,
+  FILE_EXTENSIONS,
+  MAX_IMPORT_SIZE,
+  IMPORT_BUCKET,
+  IMPORT_RETENTION_DAYS,
+  SOURCE_FORMATS,
+  importKeys,
+  readImport,
+  invalidImport,
+  openZip,
+  openFile,
+  
+  /**
+   * A job as the API returns it
+   */
+  toImportJob: (job) => {
+    const { userId, username, ttl, ...visibleJob } = job;
+    return visibleJob;
+  }
+};
@@ -0,0 +1,101 @@
+// This app's own exports
+// A JSON export is a list of posts as they were stored; an account archive
+// has a folder per post with post.json and the original photos under media/.
+// Both keep the posts' IDs, so importing them again (or into the account they
+// came from) is recognized.
+
+const path = require('path');
+const { getImages } = require('../media');
+const { createEntry } = require('./entries');
+
+// An account archive has a manifest next to its posts folder
+const ARCHIVE_MANIFEST = /(^|\/)manifest\.json$/;
+const ARCHIVE_POST = /(^|\/)posts\/[^/]+\/post\.json$/;
+
+/**
+ * Whether an upload is an account archive
+ */
+const isArchive = (source) =>
+  source.names.some(name => ARCHIVE_MANIFEST.test(name)) && source.names.some(name => ARCHIVE_POST.test(name));
+
+/**
+ * Whether parsed JSON is a JSON export: a list of posts
+ */
+const isJsonExport = (data) =>
+  Array.isArray(data) && data.every(item => item && typeof item === 'object' && 'createdAt' in item);
+
+/**
+ * An entry from a post as it was stored
+ *
+ * @param {Object} blog - The post
+ * @param {Object[]} images - Its photos in the upload, as { path, caption, altText }
+ * @param {string[]} warnings - Anything already noticed about it
+ */
+const toEntry = (blog, images, warnings) => createEntry({
+  sourceId: blog.blogId ? `journal:${blog.blogId}` : undefined,
+  title: blog.title,
+  content: typeof blog.content === 'string' ? blog.content : '',
+  createdAt: blog.createdAt,
+  updatedAt: blog.updatedAt,
+  publishedAt: blog.publishedAt,
+  // Scheduled posts come back as drafts
+  status: blog.status === 'SCHEDULED' ? 'DRAFT' : blog.status,
+  tags: blog.tags,
+  mood: blog.mood,
+  images,
+  warnings,
+  error: blog.deletedAt ? 'It was in the trash when it was exported' : undefined
+});
+
+/**
+ * The entries of a JSON export
+ * JSON exports only have the S3 keys of the photos, so they can't be brought along
+ */
+const readJsonExport = (data) => data.map((blog) => {
+  const photos = getImages(blog).length;
+  const warnings = photos > 0
+    ? [`${photos} photo(s) aren't part of JSON exports; import an account archive to bring them along`]
+    : [];
+  return toEntry(blog, [], warnings);
+});
+
+/**
+ * The entries of an account archive, one per post folder
+ */
+const readArchive = async (source) => {
+  const entries = [];
+  
+  for (const name of source.names.filter(file => ARCHIVE_POST.test(file)).sort()) {
+    const folder = path.posix.dirname(name);
+    let blog;
+    try {
+      blog = JSON.parse((await source.read(name)).toString('utf8'));
+    } catch (error) {
+      entries.push(createEntry({ title: folder, error: `${name} isn't valid JSON` }));
+      continue;
+    }
+    
+    // The photos keep their file names from the media bucket (blogs/{blogId}/{file})
+    const warnings = [];
+    const images = [];
+    getImages(blog).forEach(image => {
+      const file = `${folder}/media/${path.posix.basename(image.key)}`;
+      if (source.size(file) > 0) {
+        images.push({ path: file, caption: image.caption || undefined, altText: image.altText || undefined });
+      } else {
+        warnings.push(`Photo ${path.posix.basename(image.key)} isn't in the archive`);
+      }
+    });
+    
+    entries.push(toEntry(blog, images, warnings));
+  }
+  
+  return entries;
+};
+
+module.exports = {
+  isArchive,
+  isJsonExport,
+  readJsonExport,
+  readArchive
+};
@@ -0,0 +1,173 @@
+// Markdown files with YAML front matter
+// As written by static site generators (Jekyll, Hugo), note apps and the
+// post.md files of this app's account archive. The text is converted to HTML,
+// which is what the rich text editor stores; photos it refers to by a path
+// inside the upload become the post's photos.
+
+const path = require('path');
+const { createEntry, fingerprint, toTags } = require('./entries');
+
+const FRONT_MATTER = /^\uFEFF?---[ \t]*\n([\s\S]*?)\n(?:---|\.\.\.)[ \t]*(?:\n|$)/;
+
+const MARKDOWN_FILE = /\.(md|markdown|txt)$/i;
+
+// ![alt text](path "title"), with the path optionally in <angle brackets>
+const IMAGE_REFERENCE = /!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"([^"]*)")?\s*\)/g;
+
+// IDs of this app's posts, as in the front matter of an account archive
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const optionalText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+
+/**
+ * Split a Markdown file into its front matter fields and the text after it
+ * Dates are kept as text (the YAML core schema), so they can't shift time zone
+ */
+const parseFrontMatter = (text) => {
+  const match = text.match(FRONT_MATTER);
+  if (!match) {
+    return { fields: {}, body: text };
+  }
+  
+  // js-yaml is only needed by the import worker, so it isn't loaded with the layer
+  const yaml = require('js-yaml');
+  const fields = yaml.load(match[1], { schema: yaml.CORE_SCHEMA });
+  return {
+    fields: fields && typeof fields === 'object' && !Array.isArray(fields) ? fields : {},
+    body: text.slice(match[0].length)
+  };
+};
+
+/**
+ * Markdown as HTML
+ */
+const toHtml = (markdown) => {
+  // marked is only needed by the import worker, so it isn't loaded with the layer
+  const { marked } = require('marked');
+  return marked.parse(markdown, { gfm: true, headerIds: false, mangle: false }).trim();
+};
+
+/**
+ * Take the images out of Markdown text
+ * Posts keep their photos apart from the text, so each reference is removed;
+ * the ones resolve() finds in the upload become photos, with the alt text
+ * and title as their alt text and caption
+ *
+ * @param {string} text - The Markdown
+ * @param {Function} resolve - The upload's file for a reference, or null
+ * @returns {Object} - { text, images, missing }; missing are the references that weren't found
+ */
+const extractImages = (text, resolve) => {
+  const images = [];
+  const missing = [];
+  
+  const remaining = text.replace(IMAGE_REFERENCE, (reference, altText, target, title) => {
+    const file = resolve(target);
+    if (file) {
+      images.push({ path: file, caption: optionalText(title) || optionalText(altText), altText: optionalText(altText) });
+    } else {
+      missing.push(target);
+    }
+    return '';
+  });
+  
+  return { text: remaining, images, missing };
+};
+
+/**
+ * The entry in one Markdown file of an upload
+ *
+ * @param {Object} source - The upload
+ * @param {string} name - The file in it
+ * @returns {Promise<Object>} - The entry
+ */
+const readMarkdownFile = async (source, name) => {
+  const text = (await source.read(name)).toString('utf8').replace(/\r\n?/g, '\n');
+  const baseName = path.posix.basename(name).replace(MARKDOWN_FILE, '');
+  const directory = path.posix.dirname(name);
+  
+  let parsed;
+  try {
+    parsed = parseFrontMatter(text);
+  } catch (error) {
+    return createEntry({
+      sourceId: `markdown:${fingerprint(name, text)}`,
+      title: baseName,
+      error: `The front matter isn't valid YAML: ${error.reason || error.message}`
+    });
+  }
+  const { fields, body } = parsed;
+  const warnings = [];
+  
+  // Paths are relative to the Markdown file; web addresses can't be imported
+  const resolve = (target) => {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(target) || target.startsWith('/')) {
+      return null;
+    }
+    let file;
+    try {
+      file = path.posix.normalize(path.posix.join(directory, decodeURI(target)));
+    } catch (error) {
+      return null;
+    }
+    return source.size(file) > 0 ? file : null;
+  };
+  
+  // The account archive lists the photos in the front matter
+  const listed = Array.isArray(fields.images) ? fields.images : [];
+  const images = [];
+  listed.filter(image => image && typeof image.file === 'string').forEach(image => {
+    const file = resolve(image.file);
+    if (file) {
+      images.push({ path: file, caption: optionalText(image.caption), altText: optionalText(image.altText) });
+    } else {
+      warnings.push(`Photo ${image.file} isn't in the upload`);
+    }
+  });
+  
+  const extracted = extractImages(body, resolve);
+  images.push(...extracted.images);
+  if (extracted.missing.length > 0) {
+    warnings.push(`${extracted.missing.length} photo(s) aren't in the upload and were left out: ${extracted.missing.join(', ')}`);
+  }
+  
+  // Without a title field, a leading heading or the file name is the title
+  let markdown = extracted.text.trim();
+  let title = fields.title;
+  if (title === undefined || title === null || title === '') {
+    const heading = markdown.match(/^#[ \t]+(.+)\n*/);
+    if (heading) {
+      title = heading[1];
+      markdown = markdown.slice(heading[0].length);
+    } else {
+      title = baseName.replace(/^\d{4}-\d{2}-\d{2}-/, '').replace(/[-_]+/g, ' ');
+    }
+  }
+  
+  // Jekyll puts the date in the file name, e.g. 2025-06-01-at-the-lake.md
+  const fileDate = (baseName.match(/^(\d{4}-\d{2}-\d{2})-/) || [])[1];
+  const id = String(fields.id || '');
+  const draft = fields.draft === true || fields.published === false;
+  
+  return createEntry({
+    sourceId: UUID.test(id) ? `journal:${id}` : `markdown:${fingerprint(title, fields.date, body)}`,
+    title: String(title),
+    content: toHtml(markdown),
+    createdAt: fields.date || fields.created || fields.createdAt || fileDate,
+    updatedAt: fields.updated || fields.lastmod || fields.updatedAt,
+    publishedAt: typeof fields.published === 'string' ? fields.published : fields.publishDate,
+    status: draft ? 'DRAFT' : fields.status,
+    tags: [...toTags(fields.tags), ...toTags(fields.categories)],
+    mood: fields.mood,
+    images,
+    warnings,
+    error: fields.deleted ? 'It was in the trash when it was exported' : undefined
+  });
+};
+
+module.exports = {
+  MARKDOWN_FILE,
+  toHtml,
+  extractImages,
+  readMarkdownFile
+};
@@ -0,0 +1,106 @@
+// Recognizing what was uploaded
+// The upload is checked for each supported format in turn; the first one
+// found is read. A ZIP is searched for the files each format consists of.
+
+const path = require('path');
+const { isArchive, isJsonExport, readArchive, readJsonExport } = require('./journal');
+const { isDayOne, readDayOne } = require('./dayone');
+const { isWordPress, readWordPress } = require('./wordpress');
+const { MARKDOWN_FILE, readMarkdownFile } = require('./markdown');
+
+// The formats, as the preview names them
+const SOURCE_FORMATS = {
+  archive: 'Account archive',
+  json: 'JSON export',
+  dayone: 'Day One',
+  wordpress: 'WordPress',
+  markdown: 'Markdown'
+};
+
+/**
+ * An error in the uploaded file itself; trying again won't help
+ */
+const invalidImport = (message) => Object.assign(new Error(message), { code: 'InvalidImport' });
+
+const readText = async (source, name) => (await source.read(name)).toString('utf8').replace(/^\uFEFF/, '');
+
+/**
+ * The JSON files of an upload that parse, with their contents
+ */
+const readJsonFiles = async (source) => {
+  const files = [];
+  for (const name of source.names.filter(file => /\.json$/i.test(file))) {
+    try {
+      files.push({ name, data: JSON.parse(await readText(source, name)) });
+    } catch (error) {
+      // Files that are too large are reported rather than passed over
+      if (error.code === 'InvalidImport') {
+        throw error;
+      }
+      if (source.names.length === 1) {
+        throw invalidImport(`${name} isn't valid JSON: ${error.message}`);
+      }
+    }
+  }
+  return files;
+};
+
+/**
+ * Read the entries of an upload
+ *
+ * @param {Object} source - The upload (see zip.js)
+ * @returns {Promise<Object>} - { format, entries }
+ */
+const readImport = async (source) => {
+  if (isArchive(source)) {
+    return { format: 'archive', entries: await readArchive(source) };
+  }
+  
+  const wordpress = [];
+  for (const name of source.names.filter(file => /\.xml$/i.test(file))) {
+    const text = await readText(source, name);
+    if (isWordPress(text)) {
+      try {
+        wordpress.push(...readWordPress(text, source));
+      } catch (error) {
+        throw invalidImport(`${name} isn't a valid WordPress export: ${error.message}`);
+      }
+    }
+  }
+  if (wordpress.length > 0) {
+    return { format: 'wordpress', entries: wordpress };
+  }
+  
+  const jsonFiles = await readJsonFiles(source);
+  const dayone = jsonFiles
+    .filter(file => isDayOne(file.data))
+    .flatMap(file => readDayOne(file.data, source, path.posix.dirname(file.name)));
+  if (dayone.length > 0) {
+    return { format: 'dayone', entries: dayone };
+  }
+  const exported = jsonFiles
+    .filter(file => isJsonExport(file.data))
+    .flatMap(file => readJsonExport(file.data));
+  if (exported.length > 0) {
+    return { format: 'json', entries: exported };
+  }
+  
+  const markdown = [];
+  for (const name of source.names.filter(file => MARKDOWN_FILE.test(file)).sort()) {
+    markdown.push(await readMarkdownFile(source, name));
+  }
+  if (markdown.length > 0) {
+    return { format: 'markdown', entries: markdown };
+  }
+  
+  throw invalidImport(
+    'No entries found. Upload Markdown files (or a ZIP of them), a JSON export or account archive of this app, ' +
+    'a Day One JSON export or a WordPress export'
+  );
+};
+
+module.exports = {
+  SOURCE_FORMATS,
+  invalidImport,
+  readImport
+};
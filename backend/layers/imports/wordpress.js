@@ -0,0 +1,185 @@
+// WordPress exports (WXR)
+// An RSS file with an <item> per post, page and attachment; only posts are
+// imported. Their content is WordPress HTML: block editor comments and
+// shortcodes are removed, and classic editor text, which has no paragraph
+// tags, is split into paragraphs at blank lines as WordPress shows it.
+// Photos are addresses on the WordPress site; they can only be imported when
+// the upload is a ZIP with the wp-content/uploads folder next to the export.
+
+const { createEntry, toIsoDate } = require('./entries');
+
+// Shortcodes the classic editor wraps media in
+const SHORTCODE = /\[\/?(?:caption|gallery|embed|audio|video|playlist)(?:\s[^\]]*)?\]/gi;
+
+// WordPress statuses; auto-drafts and revisions aren't posts anyone wrote
+const STATUSES = {
+  publish: 'PUBLISHED',
+  private: 'PUBLISHED',
+  draft: 'DRAFT',
+  pending: 'DRAFT',
+  future: 'DRAFT',
+  trash: 'TRASH'
+};
+
+const textOf = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return typeof value === 'object' ? String(value['#text'] || '') : String(value);
+};
+
+const attribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+  return match ? (match[2] !== undefined ? match[2] : match[3]) : undefined;
+};
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#0?39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+/**
+ * Whether a file is a WordPress export
+ */
+const isWordPress = (text) => /<rss[\s>]/.test(text) && /xmlns:wp=/.test(text);
+
+/**
+ * Find uploaded copies of the site's media, by their path under wp-content/uploads
+ */
+const createMediaLookup = (source) => {
+  const files = new Map();
+  source.names.forEach(name => {
+    const match = name.match(/(?:^|\/)uploads\/(.+)$/);
+    if (match) {
+      files.set(match[1], name);
+    }
+  });
+  
+  return (src) => {
+    const match = String(src || '').match(/\/wp-content\/uploads\/([^?#]+)/);
+    if (!match) {
+      return null;
+    }
+    let file;
+    try {
+      file = decodeURI(match[1]);
+    } catch (error) {
+      file = match[1];
+    }
+    return files.get(file) || null;
+  };
+};
+
+/**
+ * Post HTML in the shape the editor writes, with its photos taken out
+ *
+ * @param {string} content - The post's content:encoded
+ * @param {Function} findMedia - The upload's file for a photo address, or null
+ * @returns {Object} - { html, images, missing }
+ */
+const toPostHtml = (content, findMedia) => {
+  const images = [];
+  let missing = 0;
+  
+  const takeImage = (tag, caption) => {
+    const file = findMedia(attribute(tag, 'src'));
+    const altText = attribute(tag, 'alt') ? decodeEntities(attribute(tag, 'alt')).trim() : '';
+    if (file) {
+      images.push({ path: file, caption: caption || altText || undefined, altText: altText || undefined });
+    } else {
+      missing++;
+    }
+    return '';
+  };
+  
+  let html = content
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(SHORTCODE, '')
+    // A figure's caption belongs to its photo
+    .replace(/<figure\b[^>]*>([\s\S]*?)<\/figure>/gi, (figure, inner) => {
+      const captionMatch = inner.match(/<figcaption\b[^>]*>([\s\S]*?)<\/figcaption>/i);
+      const caption = captionMatch ? decodeEntities(captionMatch[1].replace(/<[^>]+>/g, '')).trim() : '';
+      (inner.match(/<img\b[^>]*>/gi) || []).forEach(tag => takeImage(tag, caption));
+      return '';
+    })
+    .replace(/<img\b[^>]*>/gi, tag => takeImage(tag))
+    // Links around the photos that were taken out
+    .replace(/<a\b[^>]*>\s*<\/a>/gi, '')
+    .trim();
+  
+  if (!/<(p|div|h[1-6]|ul|ol|blockquote|pre|table)[\s>]/i.test(html)) {
+    html = html
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.trim())
+      .filter(Boolean)
+      .map(paragraph => `<p>${paragraph.replace(/\n/g, '<br>')}</p>`)
+      .join('\n');
+  }
+  
+  return { html: html.replace(/<p>\s*<\/p>/g, ''), images, missing };
+};
+
+/**
+ * The posts of a WordPress export
+ *
+ * @param {string} text - The export file
+ * @param {Object} source - The upload, for the photos
+ */
+const readWordPress = (text, source) => {
+  // fast-xml-parser is only needed by the import worker, so it isn't loaded with the layer
+  const { XMLParser } = require('fast-xml-parser');
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    parseTagValue: false,
+    isArray: (name) => name === 'item' || name === 'category'
+  });
+  
+  const document = parser.parse(text);
+  const channel = document.rss && document.rss.channel;
+  if (!channel) {
+    throw new Error('The WordPress export has no channel');
+  }
+  
+  const findMedia = createMediaLookup(source);
+  
+  return (channel.item || [])
+    .filter(item => textOf(item['wp:post_type']) === 'post' && STATUSES[textOf(item['wp:status'])])
+    .map((item) => {
+      const status = STATUSES[textOf(item['wp:status'])];
+      const { html, images, missing } = toPostHtml(textOf(item['content:encoded']), findMedia);
+      const warnings = missing > 0
+        ? [`${missing} photo(s) are on the WordPress site and weren't imported; upload a ZIP with the export and the wp-content/uploads folder to bring them along`]
+        : [];
+      
+      // Tags and categories both become tags; every post has the default category
+      const tags = (item.category || [])
+        .filter(category => ['post_tag', 'category'].includes(category['@_domain']))
+        .map(category => decodeEntities(textOf(category)))
+        .filter(name => name !== 'Uncategorized');
+      
+      // The GMT dates are empty (0000-00-00) for drafts, so fall back to the site's time
+      const gmtDate = textOf(item['wp:post_date_gmt']);
+      const gmtModified = textOf(item['wp:post_modified_gmt']);
+      
+      return createEntry({
+        sourceId: textOf(item.guid) ? `wordpress:${textOf(item.guid)}` : undefined,
+        title: decodeEntities(textOf(item.title)),
+        content: html,
+        createdAt: toIsoDate(gmtDate) ? gmtDate : textOf(item['wp:post_date']),
+        updatedAt: toIsoDate(gmtModified) ? gmtModified : textOf(item['wp:post_modified']),
+        status: status === 'TRASH' ? undefined : status,
+        tags,
+        images,
+        warnings,
+        error: status === 'TRASH' ? 'It was in the trash when it was exported' : undefined
+      });
+    });
+};
+
+module.exports = {
+  isWordPress,
+  readWordPress
+};
@@ -0,0 +1,117 @@
+// Reading uploaded files
+// An upload is either a ZIP or a single file; both are read through the same
+// interface, a source with the names of its files and a way to read each one.
+
+const fs = require('fs');
+const path = require('path');
+const { invalidImport } = require('./sources');
+
+// A ZIP with more files than this is not a journal export
+const MAX_ZIP_FILES = 100000;
+
+// Files are read into memory whole, and parsing a document takes several times
+// its size, so larger ones wouldn't fit in the import worker
+// Photos are held to a lower limit before they are read (MAX_IMAGE_SIZE in the worker)
+const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50 MB
+
+/**
+ * The error for a file that is too large to read, or null if it can be read
+ */
+const checkSize = (name, size) => (size > MAX_FILE_SIZE
+  ? invalidImport(`${name} is larger than ${MAX_FILE_SIZE / (1024 * 1024)} MB, the most a file in an import can be`)
+  : null);
+
+/**
+ * Read a ZIP file from disk
+ * yauzl rejects absolute paths and paths leading out of the archive, and checks
+ * the declared sizes of the files against what they really unpack to
+ *
+ * @param {string} filePath - Where the upload was downloaded to
+ * @returns {Promise<Object>} - The source: names, size(name), read(name) and close()
+ */
+const openZip = (filePath) => new Promise((resolve, reject) => {
+  // yauzl is only needed by the import worker, so it isn't loaded with the layer
+  const yauzl = require('yauzl');
+  
+  yauzl.open(filePath, { lazyEntries: true, autoClose: false }, (error, zipfile) => {
+    if (error) {
+      reject(error);
+      return;
+    }
+    
+    const files = new Map();
+    zipfile.on('error', reject);
+    zipfile.on('entry', (entry) => {
+      // Folders, and the resource forks macOS adds to ZIPs it creates
+      if (!entry.fileName.endsWith('/') && !entry.fileName.startsWith('__MACOSX/')) {
+        files.set(entry.fileName, entry);
+      }
+      if (files.size > MAX_ZIP_FILES) {
+        zipfile.close();
+        reject(new Error(`The ZIP file contains more than ${MAX_ZIP_FILES} files`));
+        return;
+      }
+      zipfile.readEntry();
+    });
+    zipfile.on('end', () => resolve({
+      names: [...files.keys()],
+      size: (name) => (files.has(name) ? files.get(name).uncompressedSize : 0),
+      read: (name) => new Promise((resolveRead, rejectRead) => {
+        if (!files.has(name)) {
+          rejectRead(new Error(`${name} is not in the ZIP file`));
+          return;
+        }
+        // yauzl stops reading an entry that unpacks to more than it declares
+        const sizeError = checkSize(name, files.get(name).uncompressedSize);
+        if (sizeError) {
+          rejectRead(sizeError);
+          return;
+        }
+        zipfile.openReadStream(files.get(name), (streamError, stream) => {
+          if (streamError) {
+            rejectRead(streamError);
+            return;
+          }
+          const chunks = [];
+          stream.on('data', chunk => chunks.push(chunk));
+          stream.on('error', rejectRead);
+          stream.on('end', () => resolveRead(Buffer.concat(chunks)));
+        });
+      }),
+      close: () => zipfile.close()
+    }));
+    zipfile.readEntry();
+  });
+});
+
+/**
+ * Read a single uploaded file, such as a WordPress export or one Markdown file
+ *
+ * @param {string} filePath - Where the upload was downloaded to
+ * @param {string} fileName - The name it was uploaded with
+ * @returns {Object} - The source, with that one file
+ */
+const openFile = (filePath, fileName) => {
+  const name = path.basename(fileName);
+  return {
+    names: [name],
+    size: (requested) => (requested === name ? fs.statSync(filePath).size : 0),
+    read: async (requested) => {
+      if (requested !== name) {
+        throw new Error(`${requested} was not uploaded`);
+      }
+      const sizeError = checkSize(name, (await fs.promises.stat(filePath)).size);
+      if (sizeError) {
+        throw sizeError;
+      }
+      return fs.promises.readFile(filePath);
+    },
+    close: () => {}
+  };
+};
+
+module.exports = {
+  MAX_FILE_SIZE,
+  openZip,
+  openFile
+};
@@ -0,0 +1,165 @@
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+const scrypt = promisify(crypto.scrypt);
+
+// Get parameters from environment variables
+const LINKS_TABLE = process.env.LINKS_TABLE;
+
+// 24 random bytes make a 32 character token that can't be guessed
+const TOKEN_BYTES = 24;
+
+// scrypt output length for link passwords
+const PASSWORD_KEY_LENGTH = 32;
+
+// Wrong passwords a link takes before it locks, and for how long it stays locked
+const MAX_PASSWORD_ATTEMPTS = 5;
+const PASSWORD_LOCKOUT_MINUTES = 15;
+
+/**
+ * Utility functions for share links
+ *
+ * A share link is a record in the links table keyed by a random token. Anyone
+ * with the token can read the post through GET /s/{token} while the post is
+ * unlisted and published, unless the link expired, was revoked (deleted) or
+ * requires a password they don't have.
+ *
+ * Password attempts are counted on the link (passwordAttempts) until one
+ * succeeds. After MAX_PASSWORD_ATTEMPTS wrong ones the link is locked
+ * (lockedUntil) and takes no passwords for PASSWORD_LOCKOUT_MINUTES.
+ */
+module.exports = {
+  MAX_PASSWORD_ATTEMPTS,
+  PASSWORD_LOCKOUT_MINUTES,
+  
+  /**
+   * Generate a new URL-safe link token
+   */
+  generateToken: () => crypto.randomBytes(TOKEN_BYTES).toString('base64url'),
+  
+  /**
+   * Hash a link password with a random salt
+   * Returns { passwordHash, passwordSalt } to store on the link
+   */
+  hashPassword: async (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+    return { passwordHash: key.toString('hex'), passwordSalt: salt };
+  },
+  
+  /**
+   * Check a password against a link, in constant time
+   */
+  verifyPassword: async (link, password) => {
+    if (typeof password !== 'string' || !password) {
+      return false;
+    }
+    const key = await scrypt(password, link.passwordSalt, PASSWORD_KEY_LENGTH);
+    return crypto.timingSafeEqual(key, Buffer.from(link.passwordHash, 'hex'));
+  },
+  
+  /**
+   * Whether a link has not expired yet
+   * Expired links are removed by the table's TTL, which can lag by a day or two
+   */
+  isActive: (link) => !link.expiresAt || link.expiresAt > new Date().toISOString(),
+  
+  /**
+   * Whether a link is locked after too many wrong passwords
+   */
+  isLocked: (link) => Boolean(link.lockedUntil) && link.lockedUntil > new Date().toISOString(),
+  
+  /**
+   * Count a password attempt on a link before checking it
+   * Counting first means parallel guesses can't get past the limit
+   * Returns the attempts so far, or null when the link is locked or was revoked
+   */
+  countPasswordAttempt: async (token) => {
+    try {
+      const result = await dynamodb.update({
+        TableName: LINKS_TABLE,
+        Key: { token },
+        UpdateExpression: 'ADD passwordAttempts :one',
+        ConditionExpression: 'attribute_exists(blogId) AND (attribute_not_exists(lockedUntil) OR lockedUntil <= :now)',
+        ExpressionAttributeValues: {
+          ':one': 1,
+          ':now': new Date().toISOString()
+        },
+        ReturnValues: 'UPDATED_NEW'
+      }).promise();
+      return result.Attributes.passwordAttempts;
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        return null;
+      }
+      throw error;
+    }
+  },
+  
+  /**
+   * Lock a link for PASSWORD_LOCKOUT_MINUTES and start counting attempts again
+   * Returns the time the lock ends
+   */
+  lockLink: async (token) => {
+    const lockedUntil = new Date(Date.now() + PASSWORD_LOCKOUT_MINUTES * 60 * 1000).toISOString();
+    try {
+      await dynamodb.update({
+        TableName: LINKS_TABLE,
+        Key: { token },
+        UpdateExpression: 'SET lockedUntil = :lockedUntil REMOVE passwordAttempts',
+        ConditionExpression: 'attribute_exists(blogId)',
+        ExpressionAttributeValues: { ':lockedUntil': lockedUntil }
+      }).promise();
+    } catch (error) {
+      // A link revoked in the meantime needs no lock
+      if (error.code !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+    }
+    return lockedUntil;
+  },
+  
+  /**
+   * The parts of a link its owner gets to see
+   * The password hash and salt (and the attempt bookkeeping) never leave the API
+   */
+  toLinkResponse: (link) => ({
+    token: link.token,
+    blogId: link.blogId,
+    path: `/s/${link.token}`,
+    createdAt: link.createdAt,
+    expiresAt: link.expiresAt,
+    hasPassword: Boolean(link.passwordHash),
+    accessCount: link.accessCount || 0,
+    lastAccessedAt: link.lastAccessedAt
+  }),
+  
+  /**
+   * Delete every share link of a post
+   */
+  deleteLinks: async (blogId) => {
+    let lastEvaluatedKey;
+    
+    do {
+      const result = await dynamodb.query({
+        TableName: LINKS_TABLE,
+        IndexName: 'blogIdIndex',
+        KeyConditionExpression: 'blogId = :blogId',
+        ExpressionAttributeValues: { ':blogId': blogId },
+        ProjectionExpression: '#token',
+        ExpressionAttributeNames: { '#token': 'token' },
+        ExclusiveStartKey: lastEvaluatedKey
+      }).promise();
+      
+      // A post has a handful of links, so single deletes are fine here
+      await Promise.all(result.Items.map(({ token }) => dynamodb.delete({
+        TableName: LINKS_TABLE,
+        Key: { token }
+      }).promise()));
+      
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+  }
+};
@@ -0,0 +1,219 @@
+const AWS = require('aws-sdk');
+const s3 = new AWS.S3();
+const ssm = new AWS.SSM();
+
+// Media delivery settings
+// With MEDIA_DOMAIN, MEDIA_KEY_PAIR_ID and MEDIA_SIGNING_KEY_PARAMETER set, images are
+// served through the CloudFront /media/* behavior with signed URLs; without them
+// the functions fall back to S3 presigned GETs against MEDIA_BUCKET
+const MEDIA_BUCKET = process.env.MEDIA_BUCKET;
+const MEDIA_DOMAIN = process.env.MEDIA_DOMAIN;
+const MEDIA_KEY_PAIR_ID = process.env.MEDIA_KEY_PAIR_ID;
+const MEDIA_SIGNING_KEY_PARAMETER = process.env.MEDIA_SIGNING_KEY_PARAMETER;
+
+// How long image URLs stay valid
+// Expiry times are rounded up to a multiple of the lifetime, so the same image gets
+// the same URL for a while and browsers can cache it
+const PUBLIC_URL_TTL = 24 * 60 * 60;   // Published public posts: a day
+const PRIVATE_URL_TTL = 15 * 60;       // Private, shared and unpublished posts: 15 minutes
+
+// The signing key is read from SSM once per container
+let signerPromise = null;
+
+/**
+ * Load the CloudFront signer, or null when signed CloudFront delivery isn't configured
+ */
+const getSigner = () => {
+  if (!MEDIA_DOMAIN || !MEDIA_KEY_PAIR_ID || !MEDIA_SIGNING_KEY_PARAMETER) {
+    return Promise.resolve(null);
+  }
+  
+  if (!signerPromise) {
+    signerPromise = ssm.getParameter({
+      Name: MEDIA_SIGNING_KEY_PARAMETER,
+      WithDecryption: true
+    }).promise()
+      .then(result => new AWS.CloudFront.Signer(MEDIA_KEY_PAIR_ID, result.Parameter.Value))
+      .catch(error => {
+        // Don't cache the failure; the next request tries again
+        signerPromise = null;
+        throw error;
+      });
+  }
+  
+  return signerPromise;
+};
+
+/**
+ * Pick the URL lifetime for a post's images
+ * Only posts anyone may read get long-lived URLs
+ */
+const getUrlTtl = (blog) => {
+  const published = (blog.status || 'PUBLISHED') === 'PUBLISHED';
+  return published && blog.visibility === 'public' ? PUBLIC_URL_TTL : PRIVATE_URL_TTL;
+};
+
+/**
+ * Return the images of a post (or revision snapshot) as image objects in display order
+ * Posts written before captions existed store a bare `imageUrls` array of keys instead
+ */
+const getImages = (item) => {
+  if (item.images) {
+    return [...item.images].sort((a, b) => a.order - b.order);
+  }
+  
+  return (item.imageUrls || []).map((key, order) => ({ key, caption: '', altText: '', order }));
+};
+
+/**
+ * Collect every S3 key a post refers to: the original images and their renditions
+ */
+const getMediaKeys = (blog) => {
+  const keys = [];
+  
+  getImages(blog).forEach(({ key: imageKey }) => {
+    keys.push(imageKey);
+    
+    const renditions = (blog.imageRenditions || {})[imageKey];
+    if (renditions) {
+      ['thumbnail', 'medium', 'full'].forEach(size => {
+        if (renditions[size]) {
+          keys.push(renditions[size].key);
+          if (renditions[size].webpKey) {
+            keys.push(renditions[size].webpKey);
+          }
+        }
+      });
+    }
+  });
+  
+  return [...new Set(keys)];
+};
+
+/**
+ * Utility functions for delivering private media to the browser
+ * 
+ * The media bucket blocks all public access, so every image URL handed to the
+ * browser has to be signed. Callers are responsible for checking that the viewer
+ * may see the post at all; these helpers only decide how long its URLs live.
+ */
+module.exports = {
+  getImages,
+  
+  /**
+   * Delete images from the media bucket, including their generated renditions
+   * Renditions live under renditions/{original key without extension}/ (see media/process-image)
+   */
+  deleteImageObjects: async (keys) => {
+    await Promise.all(keys.map(async (key) => {
+      await s3.deleteObject({
+        Bucket: MEDIA_BUCKET,
+        Key: key
+      }).promise();
+      
+      const listing = await s3.listObjectsV2({
+        Bucket: MEDIA_BUCKET,
+        Prefix: `renditions/${key.replace(/\.[^./]*$/, '')}/`
+      }).promise();
+      
+      if (listing.Contents && listing.Contents.length > 0) {
+        await s3.deleteObjects({
+          Bucket: MEDIA_BUCKET,
+          Delete: { Objects: listing.Contents.map(object => ({ Key: object.Key })) }
+        }).promise();
+      }
+    }));
+  },
+  
+  /**
+   * Delete everything a post has in the media bucket: its uploads under
+   * blogs/{blogId}/ (attached or not) and their renditions
+   */
+  deleteBlogMedia: async (blogId) => {
+    for (const prefix of [`blogs/${blogId}/`, `renditions/blogs/${blogId}/`]) {
+      let continuationToken;
+      
+      do {
+        const listing = await s3.listObjectsV2({
+          Bucket: MEDIA_BUCKET,
+          Prefix: prefix,
+          ContinuationToken: continuationToken
+        }).promise();
+        
+        if (listing.Contents && listing.Contents.length > 0) {
+          await s3.deleteObjects({
+            Bucket: MEDIA_BUCKET,
+            Delete: { Objects: listing.Contents.map(object => ({ Key: object.Key })) }
+          }).promise();
+        }
+        
+        continuationToken = listing.NextContinuationToken;
+      } while (continuationToken);
+    }
+  },
+  
+  /**
+   * Check whether an image is still in the media bucket
+   */
+  imageExists: async (key) => {
+    try {
+      await s3.headObject({
+        Bucket: MEDIA_BUCKET,
+        Key: key
+      }).promise();
+      return true;
+    } catch (error) {
+      if (error.code === 'NotFound') {
+        return false;
+      }
+      throw error;
+    }
+  },
+  
+  /**
+   * Create a URL for a single media key that expires at the given time (epoch seconds)
+   */
+  getMediaUrl: async (key, expiresAt) => {
+    const signer = await getSigner();
+    
+    if (signer) {
+      // The /media/* behavior strips the prefix before the request reaches S3
+      return signer.getSignedUrl({
+        url: `https://${MEDIA_DOMAIN}/media/${key.split('/').map(encodeURIComponent).join('/')}`,
+        expires: expiresAt
+      });
+    }
+    
+    // Presigned GETs are bounded by the Lambda role's session, so they may expire sooner
+    return s3.getSignedUrl('getObject', {
+      Bucket: MEDIA_BUCKET,
+      Key: key,
+      Expires: Math.max(expiresAt - Math.floor(Date.now() / 1000), 1)
+    });
+  },
+  
+  /**
+   * Return a copy of the blog post ready for the browser: `images` as image objects
+   * and a `mediaUrls` map from each image key (originals and renditions) to a signed URL
+   */
+  withMediaUrls: async (blog) => {
+    // The legacy imageUrls array is replaced by the normalized images
+    const { imageUrls, ...rest } = blog;
+    const images = getImages(blog);
+    const keys = getMediaKeys(blog);
+    if (keys.length === 0) {
+      return { ...rest, images, mediaUrls: {} };
+    }
+    
+    const ttl = getUrlTtl(blog);
+    const expiresAt = Math.ceil((Math.floor(Date.now() / 1000) + ttl) / ttl) * ttl;
+    
+    const urls = await Promise.all(keys.map(key => module.exports.getMediaUrl(key, expiresAt)));
+    const mediaUrls = {};
+    keys.forEach((key, index) => {
+      mediaUrls[key] = urls[index];
+    });
+    
+    return { ...rest, images, mediaUrls };
+  }
+};
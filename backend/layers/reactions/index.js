@@ -0,0 +1,187 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+const REACTIONS_TABLE = process.env.REACTIONS_TABLE;
+
+// BatchWriteItem accepts at most 25 requests per call
+const BATCH_SIZE = 25;
+
+// How often a transaction that collided with another one on the same post is tried
+const TRANSACTION_ATTEMPTS = 3;
+
+// The reactions people can leave, by name
+// Posts count reactions by name; the path of PUT/DELETE /blogs/{blogId}/reactions/{emoji}
+// takes either the name or the (URL encoded) emoji
+const REACTIONS = {
+  like: '\u{1F44D}',
+  love: '\u2764\uFE0F',
+  laugh: '\u{1F602}',
+  wow: '\u{1F62E}',
+  sad: '\u{1F622}',
+  celebrate: '\u{1F389}'
+};
+
+/**
+ * Sort key of a user's reaction, one item per user and reaction
+ */
+const reactionKey = (userId, reaction) => `${userId}#${reaction}`;
+
+/**
+ * Run a transaction once, resolving to null if it went through or to the
+ * reason code of each of its items if it was cancelled, e.g. ['ConditionalCheckFailed', 'None']
+ * The SDK leaves the reasons out of its error, so they're read from the response body
+ */
+const tryTransaction = (transactItems) => new Promise((resolve, reject) => {
+  const request = dynamodb.transactWrite({ TransactItems: transactItems });
+  request.on('extractError', (response) => {
+    try {
+      const body = JSON.parse(response.httpResponse.body.toString());
+      if (body.CancellationReasons) {
+        response.error.cancellationReasons = body.CancellationReasons.map(reason => reason.Code);
+      }
+    } catch (parseError) {
+      // Not a JSON body; the error goes out as it is
+    }
+  });
+  request.promise()
+    .then(() => resolve(null))
+    .catch((error) => {
+      if (error.code === 'TransactionCanceledException' && error.cancellationReasons) {
+        resolve(error.cancellationReasons);
+      } else {
+        reject(error);
+      }
+    });
+});
+
+/**
+ * Utility functions for reactions
+ *
+ * Each reaction is an item in the reactions table (blogId + userId#reaction), so
+ * a user can leave every reaction at most once per post. The totals live on the
+ * post itself in reactionCounts and are changed in the same transaction as the
+ * reaction items, so lists can show them without reading the reactions table.
+ */
+module.exports = {
+  REACTIONS,
+  
+  reactionKey,
+  
+  /**
+   * Turn the {emoji} path parameter into a reaction name, or null if it isn't one
+   */
+  toReaction: (value) => {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(value);
+    } catch (error) {
+      return null;
+    }
+    if (Object.prototype.hasOwnProperty.call(REACTIONS, decoded)) {
+      return decoded;
+    }
+    // The heart is also sent without its variation selector
+    return Object.keys(REACTIONS).find(name => REACTIONS[name].replace('\uFE0F', '') === decoded.replace('\uFE0F', '')) || null;
+  },
+  
+  /**
+   * Write a reaction item and its count in one transaction
+   * Transactions that only failed because another one touched the same items at the
+   * same time are tried again, with a short pause in between
+   * Resolves to null if it went through, otherwise to the cancellation reason of each item
+   */
+  transact: async (transactItems) => {
+    let reasons;
+    for (let attempt = 1; attempt <= TRANSACTION_ATTEMPTS; attempt++) {
+      reasons = await tryTransaction(transactItems);
+      if (!reasons || !reasons.includes('TransactionConflict') || reasons.includes('ConditionalCheckFailed')) {
+        return reasons;
+      }
+      await new Promise(resolve => setTimeout(resolve, 50 * attempt + Math.floor(Math.random() * 50)));
+    }
+    return reasons;
+  },
+  
+  /**
+   * Read the current reaction counts of a post
+   * Strongly consistent, so a reaction that was just counted is in them
+   */
+  getCounts: async (blogId) => {
+    const result = await dynamodb.get({
+      TableName: BLOGS_TABLE,
+      Key: { blogId },
+      ProjectionExpression: 'reactionCounts',
+      ConsistentRead: true
+    }).promise();
+    
+    return (result.Item && result.Item.reactionCounts) || {};
+  },
+  
+  /**
+   * Get the reactions a user left on a post, e.g. ['like', 'wow']
+   */
+  getUserReactions: async (blogId, userId) => {
+    const result = await dynamodb.query({
+      TableName: REACTIONS_TABLE,
+      KeyConditionExpression: 'blogId = :blogId AND begins_with(reactionKey, :prefix)',
+      ExpressionAttributeValues: {
+        ':blogId': blogId,
+        ':prefix': `${userId}#`
+      }
+    }).promise();
+    
+    return result.Items.map(item => item.reaction);
+  },
+  
+  /**
+   * Make sure a post has a reactionCounts map to count in
+   * Counts are updated by path (reactionCounts.like), which needs the map to exist;
+   * posts from before reactions don't have it yet
+   */
+  ensureCounts: async (blog) => {
+    if (blog.reactionCounts) {
+      return;
+    }
+    
+    await dynamodb.update({
+      TableName: BLOGS_TABLE,
+      Key: { blogId: blog.blogId },
+      UpdateExpression: 'SET reactionCounts = if_not_exists(reactionCounts, :empty)',
+      ExpressionAttributeValues: { ':empty': {} }
+    }).promise();
+  },
+  
+  /**
+   * Delete every reaction of a post
+   */
+  deleteReactions: async (blogId) => {
+    let lastEvaluatedKey;
+    
+    do {
+      const result = await dynamodb.query({
+        TableName: REACTIONS_TABLE,
+        KeyConditionExpression: 'blogId = :blogId',
+        ExpressionAttributeValues: { ':blogId': blogId },
+        ProjectionExpression: 'blogId, reactionKey',
+        ExclusiveStartKey: lastEvaluatedKey
+      }).promise();
+      
+      // Popular posts collect many reactions, so delete in batches
+      for (let i = 0; i < result.Items.length; i += BATCH_SIZE) {
+        let requestItems = {
+          [REACTIONS_TABLE]: result.Items.slice(i, i + BATCH_SIZE).map(key => ({ DeleteRequest: { Key: key } }))
+        };
+        
+        // Retry whatever DynamoDB couldn't process because of throttling
+        while (requestItems && Object.keys(requestItems).length > 0) {
+          const response = await dynamodb.batchWrite({ RequestItems: requestItems }).promise();
+          requestItems = response.UnprocessedItems;
+        }
+      }
+      
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+  }
+};
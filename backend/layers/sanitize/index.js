@@ -0,0 +1,74 @@
+const sanitizeHtml = require('sanitize-html');
+
+// Markup the editors produce (draftjs-to-html); everything else is dropped
+// Kept in sync with ALLOWED_TAGS and ALLOWED_ATTR of the frontend's PostContent
+const ALLOWED_TAGS = [
+  'p', 'br', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'code',
+  'strong', 'b', 'em', 'i', 'ins', 'u', 'del', 's', 'sub', 'sup', 'span',
+  'ul', 'ol', 'li', 'a', 'hr'
+];
+const ALLOWED_ATTRIBUTES = {
+  a: ['href', 'title'],
+  '*': ['title']
+};
+
+// Link targets; javascript: and data: URLs are dropped with the href
+const ALLOWED_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+const SANITIZE_OPTIONS = {
+  allowedTags: ALLOWED_TAGS,
+  allowedAttributes: ALLOWED_ATTRIBUTES,
+  allowedSchemes: ALLOWED_SCHEMES,
+  allowProtocolRelative: false,
+  // Tags outside the list are dropped but their text stays; script and style lose their text too
+  disallowedTagsMode: 'discard'
+};
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+// Journal entries are plain text from SimpleTextEditor, blog posts are HTML
+const looksLikeHtml = (content) => /<\/?[a-z][\s\S]*>/i.test(content);
+
+/**
+ * Utility functions for user-provided HTML
+ *
+ * Post content is written by the editors as HTML and stored as it was sent,
+ * so it is cleaned up against the editors' allowlist before it is stored
+ * (blog/create, blog/update, restoring a revision and imports). Everything
+ * else users write (titles, tags, mood) is plain text and has to be escaped
+ * wherever it ends up in HTML.
+ */
+module.exports = {
+  ALLOWED_TAGS,
+  ALLOWED_ATTRIBUTES,
+  looksLikeHtml,
+  
+  /**
+   * Reduce HTML to the tags and attributes the editors produce
+   */
+  sanitizeHtml: (html) => sanitizeHtml(String(html || ''), SANITIZE_OPTIONS),
+  
+  /**
+   * Sanitize post content
+   * Plain text is left as it is: it's rendered as text, and escaping it would
+   * change what the user wrote (a < b would come back as a &lt; b)
+   */
+  sanitizeContent: (content) => {
+    if (typeof content !== 'string' || !looksLikeHtml(content)) {
+      return content;
+    }
+    return sanitizeHtml(content, SANITIZE_OPTIONS);
+  },
+  
+  /**
+   * Escape text for HTML, in content and attribute values
+   */
+  escapeHtml: (text) => String(text === undefined || text === null ? '' : text)
+    .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+};
@@ -0,0 +1,231 @@
+// Text analysis for the search index
+// Documents and queries go through the same steps, so a query term matches
+// every form of the word that was indexed: "Hiking" finds "hikes" and "hiked"
+
+// Fields and how much a match in them counts
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2,
+  content: 1
+};
+
+// Positions skipped between fields and tags, so a phrase never matches across them
+const FIELD_GAP = 10;
+
+// Words too common to tell posts apart
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'had', 'has',
+  'have', 'he', 'her', 'his', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my',
+  'no', 'not', 'of', 'on', 'or', 'our', 'she', 'so', 'that', 'the', 'their', 'them',
+  'then', 'there', 'these', 'they', 'this', 'to', 'was', 'we', 'were', 'will', 'with',
+  'you', 'your'
+]);
+
+// Tags that start a new line of text, so words on either side don't run together
+const BLOCK_TAGS = /<\/?(p|div|br|li|ul|ol|h[1-6]|blockquote|pre|tr|td|th|table|figure|figcaption|hr)\b[^>]*>/gi;
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+/**
+ * Turn editor HTML into plain text
+ */
+const toPlainText = (html) => {
+  if (!html) {
+    return '';
+  }
+  
+  return String(html)
+    .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(BLOCK_TAGS, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : ' ';
+      }
+      return ENTITIES[name.toLowerCase()] || entity;
+    })
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+};
+
+/**
+ * Lowercase a word and drop its accents, so "Café" and "cafe" are the same word
+ */
+const normalize = (word) => word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+const isVowel = (word, i) => {
+  const c = word[i];
+  if ('aeiou'.includes(c)) {
+    return true;
+  }
+  // y is a vowel after a consonant (as in "happy")
+  return c === 'y' && i > 0 && !isVowel(word, i - 1);
+};
+
+/**
+ * Number of vowel-consonant sequences in a word, Porter's "measure"
+ */
+const measure = (word) => {
+  let m = 0;
+  for (let i = 1; i < word.length; i++) {
+    if (!isVowel(word, i) && isVowel(word, i - 1)) {
+      m++;
+    }
+  }
+  return m;
+};
+
+const hasVowel = (word) => [...word].some((c, i) => isVowel(word, i));
+
+// Consonant-vowel-consonant ending where the last consonant isn't w, x or y ("hop", "mak")
+const endsCvc = (word) => {
+  const n = word.length;
+  return n >= 3 && !isVowel(word, n - 3) && isVowel(word, n - 2) && !isVowel(word, n - 1) && !'wxy'.includes(word[n - 1]);
+};
+
+const endsDoubleConsonant = (word) => {
+  const n = word.length;
+  return n >= 2 && word[n - 1] === word[n - 2] && !isVowel(word, n - 1);
+};
+
+/**
+ * Reduce a word to its stem with a light version of the Porter stemmer
+ * Covers plurals, -ed, -ing, -ly and a silent final e, which is what most
+ * journal queries need; the stems don't have to be real words, only consistent
+ */
+const stem = (word) => {
+  if (word.length <= 2 || /\d/.test(word)) {
+    return word;
+  }
+  
+  let w = word;
+  
+  // Plurals: stories -> story, classes -> class, hikes -> hike
+  if (w.endsWith('sses')) {
+    w = w.slice(0, -2);
+  } else if (w.endsWith('ies')) {
+    w = `${w.slice(0, -3)}y`;
+  } else if (w.endsWith('s') && !w.endsWith('ss') && !w.endsWith('us') && !w.endsWith('is')) {
+    w = w.slice(0, -1);
+  }
+  
+  // Past tense and progressive: agreed -> agree, hiking -> hike, running -> run
+  if (w.endsWith('eed')) {
+    if (measure(w.slice(0, -3)) > 0) {
+      w = w.slice(0, -1);
+    }
+  } else {
+    const suffix = ['ing', 'ed'].find(s => w.endsWith(s) && hasVowel(w.slice(0, -s.length)));
+    if (suffix) {
+      w = w.slice(0, -suffix.length);
+      if (w.endsWith('at') || w.endsWith('bl') || w.endsWith('iz')) {
+        w += 'e';
+      } else if (endsDoubleConsonant(w) && !'lsz'.includes(w[w.length - 1])) {
+        w = w.slice(0, -1);
+      } else if (measure(w) === 1 && endsCvc(w)) {
+        w += 'e';
+      }
+    }
+  }
+  
+  // Adverbs: quickly -> quick
+  if (w.endsWith('ly') && w.length > 4) {
+    w = w.slice(0, -2);
+  }
+  
+  // Silent e: hope and hoped end up the same
+  if (w.endsWith('e')) {
+    const base = w.slice(0, -1);
+    const m = measure(base);
+    if (m > 1 || (m === 1 && !endsCvc(base))) {
+      w = base;
+    }
+  }
+  
+  return w;
+};
+
+/**
+ * Split text into words with their position in the text
+ * Returns [{ word, term, start, end }] where term is the stemmed form, or null
+ * for stopwords and single letters, which aren't indexed
+ */
+const tokenize = (text) => {
+  const tokens = [];
+  const pattern = /[\p{L}\p{N}]+/gu;
+  let match;
+  
+  while ((match = pattern.exec(text || '')) !== null) {
+    const word = normalize(match[0]);
+    tokens.push({
+      word,
+      term: word.length < 2 || STOPWORDS.has(word) ? null : stem(word),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  
+  return tokens;
+};
+
+/**
+ * The index terms of a piece of text, in order and with repeats
+ */
+const terms = (text) => tokenize(text).map(token => token.term).filter(Boolean);
+
+/**
+ * The index term for an exact tag or mood, e.g. filterTerm('tag', 'Road Trip') is 'tag:road trip'
+ * The colon keeps these apart from word terms, which are letters and digits only
+ */
+const filterTerm = (field, value) => `${field}:${normalize(String(value)).trim().replace(/\s+/g, ' ')}`;
+
+/**
+ * Analyze a blog post for indexing
+ * Returns the weighted frequency of each term, the positions of each term (word
+ * offsets, stopwords included, for phrase matching) and the length of the post in terms
+ */
+const analyzeBlog = (blog) => {
+  const texts = [
+    { weight: FIELD_WEIGHTS.title, text: blog.title },
+    ...(blog.tags || []).map(tag => ({ weight: FIELD_WEIGHTS.tags, text: tag })),
+    { weight: FIELD_WEIGHTS.content, text: toPlainText(blog.content) }
+  ];
+  
+  const frequencies = {};
+  const positions = {};
+  let length = 0;
+  let offset = 0;
+  texts.forEach(({ weight, text }) => {
+    const tokens = tokenize(text);
+    tokens.forEach((token, i) => {
+      if (token.term) {
+        frequencies[token.term] = (frequencies[token.term] || 0) + weight;
+        (positions[token.term] = positions[token.term] || []).push(offset + i);
+        length++;
+      }
+    });
+    offset += tokens.length + FIELD_GAP;
+  });
+  
+  return { frequencies, positions, length };
+};
+
+module.exports = {
+  FIELD_WEIGHTS,
+  toPlainText,
+  normalize,
+  stem,
+  tokenize,
+  terms,
+  filterTerm,
+  analyzeBlog
+};
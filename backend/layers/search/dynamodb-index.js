@@ -0,0 +1,123 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// BatchWriteItem accepts at most 25 requests per call
+const BATCH_SIZE = 25;
+
+// Reserved partitions next to the term postings
+// Terms start with a letter or digit, so they never collide with these
+const DOCUMENT_PARTITION = '#doc';
+const STATS_KEY = { term: '#stats', blogId: '#stats' };
+
+/**
+ * Inverted index stored in a DynamoDB table (SEARCH_INDEX_TABLE)
+ *
+ * - Postings: one item per term and post (term + blogId), with the weighted term
+ *   frequency, the positions of the term, and what queries filter and facets
+ *   count on (owner, visibility, status, creation date, tags, mood)
+ * - Documents: one item per indexed post under '#doc', listing its terms so the
+ *   postings can be cleaned up when the post changes
+ * - Stats: a single item with the number of indexed posts and their total length,
+ *   which relevance ranking needs
+ */
+const createDynamoDBIndex = (tableName) => {
+  const writeBatches = async (requests) => {
+    for (let i = 0; i < requests.length; i += BATCH_SIZE) {
+      let requestItems = { [tableName]: requests.slice(i, i + BATCH_SIZE) };
+      
+      // Retry whatever DynamoDB couldn't process because of throttling
+      while (requestItems && Object.keys(requestItems).length > 0) {
+        const response = await dynamodb.batchWrite({ RequestItems: requestItems }).promise();
+        requestItems = response.UnprocessedItems;
+      }
+    }
+  };
+  
+  return {
+    getDocument: async (blogId) => {
+      const result = await dynamodb.get({
+        TableName: tableName,
+        Key: { term: DOCUMENT_PARTITION, blogId }
+      }).promise();
+      
+      return result.Item || null;
+    },
+    
+    // Returns the document it replaced, if any
+    putDocument: async (document) => {
+      const result = await dynamodb.put({
+        TableName: tableName,
+        Item: { ...document, term: DOCUMENT_PARTITION },
+        ReturnValues: 'ALL_OLD'
+      }).promise();
+      
+      return result.Attributes || null;
+    },
+    
+    // Returns the document it removed, if any
+    deleteDocument: async (blogId) => {
+      const result = await dynamodb.delete({
+        TableName: tableName,
+        Key: { term: DOCUMENT_PARTITION, blogId },
+        ReturnValues: 'ALL_OLD'
+      }).promise();
+      
+      return result.Attributes || null;
+    },
+    
+    putPostings: (postings) => writeBatches(postings.map(posting => ({ PutRequest: { Item: posting } }))),
+    
+    deletePostings: (blogId, terms) => writeBatches(terms.map(term => ({ DeleteRequest: { Key: { term, blogId } } }))),
+    
+    // All postings of a term; the number of posts containing it is the length of the list
+    getPostings: async (term) => {
+      const postings = [];
+      let lastEvaluatedKey;
+      
+      do {
+        const result = await dynamodb.query({
+          TableName: tableName,
+          KeyConditionExpression: '#term = :term',
+          ExpressionAttributeNames: { '#term': 'term' },
+          ExpressionAttributeValues: { ':term': term },
+          ExclusiveStartKey: lastEvaluatedKey
+        }).promise();
+        
+        postings.push(...result.Items);
+        lastEvaluatedKey = result.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+      
+      return postings;
+    },
+    
+    getStats: async () => {
+      const result = await dynamodb.get({
+        TableName: tableName,
+        Key: STATS_KEY
+      }).promise();
+      
+      return {
+        documentCount: (result.Item && result.Item.documentCount) || 0,
+        totalLength: (result.Item && result.Item.totalLength) || 0
+      };
+    },
+    
+    updateStats: async (documentDelta, lengthDelta) => {
+      if (documentDelta === 0 && lengthDelta === 0) {
+        return;
+      }
+      
+      await dynamodb.update({
+        TableName: tableName,
+        Key: STATS_KEY,
+        UpdateExpression: 'ADD documentCount :documents, totalLength :length',
+        ExpressionAttributeValues: {
+          ':documents': documentDelta,
+          ':length': lengthDelta
+        }
+      }).promise();
+    }
+  };
+};
+
+module.exports = { createDynamoDBIndex };
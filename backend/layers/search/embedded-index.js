@@ -0,0 +1,62 @@
+/**
+ * Inverted index kept in memory, with the same interface as the DynamoDB index
+ *
+ * Used when SEARCH_INDEX_TABLE isn't set, so indexing and search can be run
+ * locally (e.g. feeding stream records to the index-search handler and querying
+ * with the search handler in the same process) without any AWS resources.
+ * Nothing is persisted; every process starts with an empty index.
+ */
+const createEmbeddedIndex = () => {
+  // term -> Map(blogId -> posting)
+  const postingsByTerm = new Map();
+  const documents = new Map();
+  const stats = { documentCount: 0, totalLength: 0 };
+  
+  return {
+    getDocument: async (blogId) => documents.get(blogId) || null,
+    
+    putDocument: async (document) => {
+      const previous = documents.get(document.blogId) || null;
+      documents.set(document.blogId, { ...document });
+      return previous;
+    },
+    
+    deleteDocument: async (blogId) => {
+      const previous = documents.get(blogId) || null;
+      documents.delete(blogId);
+      return previous;
+    },
+    
+    putPostings: async (postings) => {
+      postings.forEach(posting => {
+        if (!postingsByTerm.has(posting.term)) {
+          postingsByTerm.set(posting.term, new Map());
+        }
+        postingsByTerm.get(posting.term).set(posting.blogId, { ...posting });
+      });
+    },
+    
+    deletePostings: async (blogId, terms) => {
+      terms.forEach(term => {
+        const postings = postingsByTerm.get(term);
+        if (postings) {
+          postings.delete(blogId);
+          if (postings.size === 0) {
+            postingsByTerm.delete(term);
+          }
+        }
+      });
+    },
+    
+    getPostings: async (term) => [...(postingsByTerm.get(term) || new Map()).values()],
+    
+    getStats: async () => ({ ...stats }),
+    
+    updateStats: async (documentDelta, lengthDelta) => {
+      stats.documentCount += documentDelta;
+      stats.totalLength += lengthDelta;
+    }
+  };
+};
+
+module.exports = { createEmbeddedIndex };
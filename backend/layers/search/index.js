@@ -0,0 +1,423 @@
+const analyzer = require('./analyzer');
+const { parseQuery, hasCriteria } = require('./query');
+const { createDynamoDBIndex } = require('./dynamodb-index');
+const { createEmbeddedIndex } = require('./embedded-index');
+
+// Get parameters from environment variables
+// Without a table the in-memory index is used (local runs)
+const SEARCH_INDEX_TABLE = process.env.SEARCH_INDEX_TABLE;
+
+// BM25 tuning: how quickly repeated terms stop adding to the score (k1),
+// and how much long posts are penalized (b); these are the usual defaults
+const K1 = 1.2;
+const B = 0.75;
+
+// Attributes that change what is indexed or who may find a post
+// Other writes (reaction counts, images, comment settings) don't touch the index
+const INDEXED_ATTRIBUTES = ['title', 'content', 'tags', 'mood', 'userId', 'visibility', 'status', 'createdAt', 'deletedAt'];
+
+// Facets list at most this many tags, the most used first
+const MAX_TAG_FACETS = 20;
+
+// Suggestions are stored under '#suggest:' and the first letters of each word
+// of a post's title and tags, so completing a prefix reads a single partition
+const SUGGEST_PARTITION = '#suggest:';
+const SUGGEST_KEY_LENGTH = 2;
+
+// Snippets show about this many characters around the first match
+const SNIPPET_LENGTH = 200;
+const SNIPPET_LEAD = 60;
+
+let embeddedIndex;
+
+/**
+ * Whether a user may find a post through search
+ * The owner finds all their posts; everyone else only published public posts
+ * Postings record posts created before the lifecycle was introduced as published
+ */
+const isVisible = (posting, userId) =>
+  posting.userId === userId || (posting.visibility === 'public' && posting.status === 'PUBLISHED');
+
+/**
+ * Order of search results: best match first, then newest, then by blogId so
+ * the order is stable and a cursor can pick up exactly where a page ended
+ */
+const compareHits = (a, b) =>
+  b.score - a.score ||
+  (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0) ||
+  (a.blogId < b.blogId ? -1 : a.blogId > b.blogId ? 1 : 0);
+
+/**
+ * The postings of each term, as term -> Map(blogId -> posting)
+ */
+const getPostingMaps = async (index, terms) => {
+  const lists = await Promise.all(terms.map(term => index.getPostings(term)));
+  return new Map(terms.map((term, i) => [term, new Map(lists[i].map(posting => [posting.blogId, posting]))]));
+};
+
+/**
+ * Whether a post contains the terms of a phrase next to each other
+ */
+const containsPhrase = (postingMaps, blogId, phrase) => {
+  const [first, ...rest] = phrase;
+  const posting = postingMaps.get(first.term).get(blogId);
+  return Boolean(posting) && (posting.positions || []).some(position => rest.every(({ term, offset }) => {
+    const other = postingMaps.get(term).get(blogId);
+    return Boolean(other) && (other.positions || []).includes(position - first.offset + offset);
+  }));
+};
+
+/**
+ * Whether a post's creation date is inside the before/after range of a query
+ * Dates are compared at the precision given, so before:2025-06 means before June
+ */
+const inDateRange = (createdAt, { before, after }) => {
+  const date = createdAt || '';
+  return (!before || date.slice(0, before.length) < before) &&
+    (!after || date.slice(0, after.length) > after);
+};
+
+/**
+ * Tag, mood and month counts over the postings of the matching posts
+ * Tags are grouped ignoring case, under the spelling seen first
+ */
+const countFacets = (postings) => {
+  const tags = new Map();
+  const moods = new Map();
+  const months = new Map();
+  const count = (counts, key, value) => {
+    const facet = counts.get(key) || { value, count: 0 };
+    facet.count++;
+    counts.set(key, facet);
+  };
+  
+  postings.forEach(posting => {
+    (posting.tags || []).forEach(tag => count(tags, analyzer.filterTerm('tag', tag), tag));
+    if (posting.mood) {
+      count(moods, posting.mood, posting.mood);
+    }
+    if (posting.createdAt) {
+      count(months, posting.createdAt.slice(0, 7), posting.createdAt.slice(0, 7));
+    }
+  });
+  
+  const byCount = (a, b) => b.count - a.count || a.value.localeCompare(b.value);
+  return {
+    tags: [...tags.values()].sort(byCount).slice(0, MAX_TAG_FACETS),
+    moods: [...moods.values()].sort(byCount),
+    months: [...months.values()].sort((a, b) => a.value.localeCompare(b.value))
+  };
+};
+
+/**
+ * The partition holding the suggestions for words starting like this one
+ */
+const suggestTerm = (word) => `${SUGGEST_PARTITION}${word.slice(0, SUGGEST_KEY_LENGTH)}`;
+
+/**
+ * Where text continues the words of a prefix: the earlier words have to match
+ * whole, the last one only its beginning ("road tr" matches "Road Trip")
+ * Returns the index of the first matching word and its [start, end] offsets, or null
+ */
+const matchPrefix = (text, words) => {
+  const tokens = analyzer.tokenize(text);
+  const last = words.length - 1;
+  for (let i = 0; i + last < tokens.length; i++) {
+    const matches = words.every((word, k) =>
+      k === last ? tokens[i + k].word.startsWith(word) : tokens[i + k].word === word);
+    if (matches) {
+      const end = Math.min(tokens[i + last].end, tokens[i + last].start + words[last].length);
+      return { position: i, range: [tokens[i].start, end] };
+    }
+  }
+  return null;
+};
+
+/**
+ * Offsets of the words in text that match one of the terms, as [start, end] pairs
+ */
+const highlight = (text, terms) => {
+  const wanted = new Set(terms);
+  return analyzer.tokenize(text)
+    .filter(token => token.term && wanted.has(token.term))
+    .map(token => [token.start, token.end]);
+};
+
+/**
+ * Utility functions for full-text search
+ *
+ * Posts are indexed into an inverted index (term -> posts containing it) by the
+ * index-search function, which follows the blogs table stream. Search looks the
+ * query terms up in the index, keeps the posts that contain all of them and
+ * ranks those with BM25. Title matches count three times and tag matches twice
+ * as much as matches in the content.
+ *
+ * Tags and moods are indexed as terms of their own ('tag:travel', 'mood:happy'),
+ * so filtering on them is a lookup like any other term. Postings also keep the
+ * positions of the term in the post for phrase queries. Completions for
+ * search-as-you-type are kept in '#suggest:' partitions next to the terms.
+ */
+module.exports = {
+  ...analyzer,
+  
+  parseQuery,
+  hasCriteria,
+  highlight,
+  
+  /**
+   * The index to use: the DynamoDB table when SEARCH_INDEX_TABLE is set,
+   * otherwise one in-memory index shared by everything in this process
+   */
+  getIndex: () => {
+    if (SEARCH_INDEX_TABLE) {
+      return createDynamoDBIndex(SEARCH_INDEX_TABLE);
+    }
+    embeddedIndex = embeddedIndex || createEmbeddedIndex();
+    return embeddedIndex;
+  },
+  
+  /**
+   * Whether a change to a post has to be reflected in the index
+   */
+  needsReindex: (oldBlog, newBlog) =>
+    INDEXED_ATTRIBUTES.some(name => JSON.stringify(oldBlog[name]) !== JSON.stringify(newBlog[name])),
+  
+  /**
+   * Add a post to the index, or bring its entry up to date
+   * Safe to repeat: stream records are delivered at least once
+   */
+  indexBlog: async (index, blog) => {
+    const { frequencies, positions, length } = analyzer.analyzeBlog(blog);
+    const filterTerms = [
+      ...(blog.tags || []).map(tag => analyzer.filterTerm('tag', tag)),
+      ...(blog.mood ? [analyzer.filterTerm('mood', blog.mood)] : [])
+    ].filter(term => !term.endsWith(':'));
+    const searchTerms = [...new Set([...Object.keys(frequencies), ...filterTerms])];
+    const suggestTerms = [...new Set([blog.title, ...(blog.tags || [])]
+      .flatMap(text => analyzer.tokenize(text).map(token => suggestTerm(token.word))))];
+    const terms = [...searchTerms, ...suggestTerms];
+    const previous = await index.getDocument(blog.blogId);
+    
+    // Every posting carries what queries filter on and what facets count;
+    // suggestions also carry the title they complete to
+    const shared = {
+      blogId: blog.blogId,
+      length,
+      userId: blog.userId,
+      visibility: blog.visibility || 'private',
+      status: blog.status || 'PUBLISHED',
+      createdAt: blog.createdAt,
+      tags: blog.tags || [],
+      mood: blog.mood || null
+    };
+    await index.putPostings([
+      ...searchTerms.map(term => ({
+        ...shared,
+        term,
+        frequency: frequencies[term] || 0,
+        positions: positions[term] || []
+      })),
+      ...suggestTerms.map(term => ({
+        ...shared,
+        term,
+        title: blog.title || ''
+      }))
+    ]);
+    
+    // Drop the postings of words, tags and moods the post no longer has
+    if (previous) {
+      const current = new Set(terms);
+      await index.deletePostings(blog.blogId, previous.terms.filter(term => !current.has(term)));
+    }
+    
+    // The stats follow the document that was actually replaced, so a repeated
+    // record doesn't count the post twice
+    const replaced = await index.putDocument({
+      blogId: blog.blogId,
+      terms,
+      length,
+      indexedAt: new Date().toISOString()
+    });
+    await index.updateStats(replaced ? 0 : 1, length - (replaced ? replaced.length : 0));
+  },
+  
+  /**
+   * Remove a post from the index (trashed or deleted posts)
+   */
+  removeBlog: async (index, blogId) => {
+    const document = await index.getDocument(blogId);
+    if (!document) {
+      return;
+    }
+    
+    await index.deletePostings(blogId, document.terms);
+    
+    const removed = await index.deleteDocument(blogId);
+    if (removed) {
+      await index.updateStats(-1, -removed.length);
+    }
+  },
+  
+  /**
+   * Find the posts matching a parsed query, best match first
+   * Posts have to contain every word, phrase, tag and mood of the query, fall in
+   * its date range and contain none of its exclusions. Only words and phrases
+   * count towards the score; a query of filters alone lists the newest first.
+   *
+   * @param {Object} index - Index from getIndex
+   * @param {Object} options - query (from parseQuery), userId, optional status, limit and cursor
+   * @returns {Object} - { terms, hits: [{ blogId, score, createdAt }], total, facets, nextCursor }
+   */
+  search: async (index, { query, userId, status, limit, cursor }) => {
+    const phraseTerms = (phrases) => phrases.flatMap(phrase => phrase.map(part => part.term));
+    const scoringTerms = [...new Set([...query.words, ...phraseTerms(query.phrases)])];
+    const requiredTerms = [...new Set([
+      ...scoringTerms,
+      ...query.tags.map(tag => analyzer.filterTerm('tag', tag)),
+      ...query.moods.map(mood => analyzer.filterTerm('mood', mood))
+    ])];
+    const excludedTerms = [...new Set([
+      ...query.exclude.words,
+      ...phraseTerms(query.exclude.phrases),
+      ...query.exclude.tags.map(tag => analyzer.filterTerm('tag', tag)),
+      ...query.exclude.moods.map(mood => analyzer.filterTerm('mood', mood))
+    ])];
+    
+    if (requiredTerms.length === 0) {
+      return { terms: scoringTerms, hits: [], total: 0, facets: countFacets([]), nextCursor: null };
+    }
+    
+    const [stats, postingMaps] = await Promise.all([
+      index.getStats(),
+      getPostingMaps(index, [...new Set([...requiredTerms, ...excludedTerms])])
+    ]);
+    const documentCount = Math.max(stats.documentCount, 1);
+    const averageLength = stats.totalLength / documentCount || 1;
+    
+    // Start from the rarest required term and keep the posts that have all the others
+    const [rarest, ...others] = [...requiredTerms].sort((a, b) => postingMaps.get(a).size - postingMaps.get(b).size);
+    const matches = [...postingMaps.get(rarest).values()].filter(posting =>
+      others.every(term => postingMaps.get(term).has(posting.blogId)) &&
+      isVisible(posting, userId) &&
+      (!status || posting.status === status) &&
+      inDateRange(posting.createdAt, query) &&
+      query.phrases.every(phrase => containsPhrase(postingMaps, posting.blogId, phrase)) &&
+      !query.exclude.words.some(term => postingMaps.get(term).has(posting.blogId)) &&
+      !query.exclude.tags.some(tag => postingMaps.get(analyzer.filterTerm('tag', tag)).has(posting.blogId)) &&
+      !query.exclude.moods.some(mood => postingMaps.get(analyzer.filterTerm('mood', mood)).has(posting.blogId)) &&
+      !query.exclude.phrases.some(phrase => containsPhrase(postingMaps, posting.blogId, phrase))
+    );
+    
+    // Score the matches with BM25 over the words and phrase terms
+    const idfs = scoringTerms.map(term => {
+      const postingCount = postingMaps.get(term).size;
+      return Math.log(1 + (documentCount - postingCount + 0.5) / (postingCount + 0.5));
+    });
+    const ranked = matches
+      .map(match => ({
+        blogId: match.blogId,
+        score: scoringTerms.reduce((score, term, i) => {
+          const posting = postingMaps.get(term).get(match.blogId);
+          const normalization = K1 * (1 - B + B * posting.length / averageLength);
+          return score + idfs[i] * posting.frequency * (K1 + 1) / (posting.frequency + normalization);
+        }, 0),
+        createdAt: match.createdAt
+      }))
+      .sort(compareHits);
+    
+    const remaining = cursor ? ranked.filter(hit => compareHits(cursor, hit) < 0) : ranked;
+    const hits = remaining.slice(0, limit);
+    
+    return {
+      terms: scoringTerms,
+      hits,
+      total: ranked.length,
+      facets: countFacets(matches),
+      nextCursor: remaining.length > limit ? hits[hits.length - 1] : null
+    };
+  },
+  
+  /**
+   * Titles and tags completing a prefix, for search-as-you-type
+   * Titles starting with the prefix come first, then the newest; tags are
+   * counted over the posts the user may find, the most used first
+   *
+   * @param {Object} index - Index from getIndex
+   * @param {Object} options - prefix, userId and limit (per kind of suggestion)
+   * @returns {Object} - { titles: [{ blogId, title, highlight }], tags: [{ value, count, highlight }] }
+   */
+  suggest: async (index, { prefix, userId, limit }) => {
+    const words = analyzer.tokenize(prefix).map(token => token.word);
+    
+    // A single letter would match too much to be useful
+    if (words.length === 0 || (words.length === 1 && words[0].length < SUGGEST_KEY_LENGTH)) {
+      return { titles: [], tags: [] };
+    }
+    
+    const postings = (await index.getPostings(suggestTerm(words[0])))
+      .filter(posting => isVisible(posting, userId));
+    
+    const titles = postings
+      .map(posting => ({ posting, match: matchPrefix(posting.title, words) }))
+      .filter(({ match }) => match)
+      .sort((a, b) =>
+        (a.match.position === 0 ? 0 : 1) - (b.match.position === 0 ? 0 : 1) ||
+        compareHits({ ...a.posting, score: 0 }, { ...b.posting, score: 0 }))
+      .slice(0, limit)
+      .map(({ posting, match }) => ({ blogId: posting.blogId, title: posting.title, highlight: match.range }));
+    
+    // Tags are grouped ignoring case, under the spelling seen first
+    const tags = new Map();
+    postings.forEach(posting => {
+      (posting.tags || []).forEach(tag => {
+        const match = matchPrefix(tag, words);
+        if (match) {
+          const key = analyzer.filterTerm('tag', tag);
+          const suggestion = tags.get(key) || { value: tag, count: 0, highlight: match.range };
+          suggestion.count++;
+          tags.set(key, suggestion);
+        }
+      });
+    });
+    
+    return {
+      titles,
+      tags: [...tags.values()]
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+        .slice(0, limit)
+    };
+  },
+  
+  /**
+   * A short plain-text excerpt of a post around the first match, with the
+   * offsets of the matching words in it
+   * Falls back to the start of the post when only the title or tags match
+   */
+  snippet: (content, terms) => {
+    const text = analyzer.toPlainText(content).replace(/\n/g, ' ');
+    const matches = highlight(text, terms);
+    
+    let start = 0;
+    if (matches.length > 0 && matches[0][0] > SNIPPET_LEAD) {
+      // Start at a word boundary shortly before the first match
+      const boundary = text.indexOf(' ', matches[0][0] - SNIPPET_LEAD);
+      start = boundary === -1 || boundary >= matches[0][0] ? matches[0][0] : boundary + 1;
+    }
+    
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    if (end < text.length) {
+      const boundary = text.lastIndexOf(' ', end);
+      end = boundary > start ? boundary : end;
+    }
+    
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    
+    return {
+      text: `${prefix}${text.slice(start, end)}${suffix}`,
+      highlights: matches
+        .filter(([from, to]) => from >= start && to <= end)
+        .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length])
+    };
+  }
+};
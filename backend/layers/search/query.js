@@ -0,0 +1,117 @@
+const analyzer = require('./analyzer');
+
+// Parts of a query: an optional '-' to exclude, an optional field, and a
+// quoted phrase (the closing quote may be missing) or a single word
+const PART_PATTERN = /(-?)(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+
+// Dates are a year, a month or a day: 2025, 2025-06 or 2025-06-01
+const DATE_PATTERN = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/;
+
+const FILTER_FIELDS = ['tag', 'mood'];
+const DATE_FIELDS = ['before', 'after'];
+
+/**
+ * The terms of a phrase with their offsets in it
+ * Stopwords aren't indexed but still take up a position, so they are counted
+ */
+const toPhrase = (text) => analyzer.tokenize(text)
+  .map((token, offset) => ({ term: token.term, offset }))
+  .filter(part => part.term);
+
+/**
+ * Parse a search query
+ *
+ * Supported syntax, combined with AND:
+ *   travel            posts containing the word (stemmed, so also "travels")
+ *   "exact phrase"    posts containing the words next to each other
+ *   tag:travel        posts with the tag; quote tags with spaces: tag:"road trip"
+ *   mood:Happy        posts with the mood
+ *   before:2025-06-01 posts created before the day (or month 2025-06, or year 2025)
+ *   after:2025-06     posts created after the month
+ *   -work, -"a phrase", -tag:work, -mood:Sad   leave out posts matching these
+ * Any other field:value is searched as text.
+ *
+ * Tags, moods and dates can also be passed as request parameters (tag as a
+ * comma-separated list); these are applied after the query, so before and
+ * after parameters replace the ones in the query.
+ *
+ * @param {string} text - The query
+ * @param {Object} params - Optional tag, mood, before and after parameters
+ * @returns {Object} - { words, phrases, tags, moods, before, after, exclude, errors }
+ */
+const parseQuery = (text, params = {}) => {
+  const query = {
+    words: [],
+    phrases: [],
+    tags: [],
+    moods: [],
+    before: null,
+    after: null,
+    exclude: { words: [], phrases: [], tags: [], moods: [] },
+    errors: []
+  };
+  
+  const addText = (target, value, quoted) => {
+    const phrase = toPhrase(value);
+    if (quoted && phrase.length > 1) {
+      target.phrases.push(phrase);
+    } else {
+      phrase.forEach(({ term }) => target.words.push(term));
+    }
+  };
+  
+  const addFilter = (target, field, value) => {
+    const trimmed = value.trim();
+    if (trimmed) {
+      target[`${field}s`].push(trimmed);
+    }
+  };
+  
+  const setDate = (field, value) => {
+    if (DATE_PATTERN.test(value)) {
+      query[field] = value;
+    } else {
+      query.errors.push(`${field}: expects a date like 2025-06-01, 2025-06 or 2025`);
+    }
+  };
+  
+  for (const match of (text || '').matchAll(PART_PATTERN)) {
+    const [part, negated, field, quoted, word] = match;
+    const value = quoted !== undefined ? quoted : word;
+    const target = negated ? query.exclude : query;
+    const name = field && field.toLowerCase();
+    
+    if (FILTER_FIELDS.includes(name)) {
+      addFilter(target, name, value);
+    } else if (DATE_FIELDS.includes(name)) {
+      if (negated) {
+        query.errors.push(`${name}: can't be excluded`);
+      } else {
+        setDate(name, value);
+      }
+    } else if (field) {
+      // Not a field we know: search for the words, e.g. "note:groceries"
+      addText(target, negated ? part.slice(1) : part, false);
+    } else {
+      addText(target, value, quoted !== undefined);
+    }
+  }
+  
+  (params.tag || '').split(',').forEach(tag => addFilter(query, 'tag', tag));
+  addFilter(query, 'mood', params.mood || '');
+  DATE_FIELDS.filter(field => params[field]).forEach(field => setDate(field, params[field]));
+  
+  return query;
+};
+
+/**
+ * Whether a parsed query asks for anything the index can look up
+ * Dates and exclusions only narrow down what the words, phrases, tags and moods find
+ */
+const hasCriteria = (query) =>
+  query.words.length > 0 || query.phrases.length > 0 || query.tags.length > 0 || query.moods.length > 0;
+
+module.exports = {
+  parseQuery,
+  hasCriteria
+};
@@ -0,0 +1,116 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+const SHARES_TABLE = process.env.SHARES_TABLE;
+
+// What a share lets the grantee do
+// 'comment' includes reading
+const SHARE_PERMISSIONS = ['read', 'comment'];
+
+/**
+ * Whether a share grant is still in effect
+ * Expired grants are removed by the table's TTL, which can lag by a day or two
+ */
+const isActive = (grant) => !grant.expiresAt || grant.expiresAt > new Date().toISOString();
+
+/**
+ * Utility functions for sharing
+ *
+ * A share is a grant record in the shares table (blogId + granteeUserId) giving
+ * one user read or comment access to a post, optionally until expiresAt.
+ * Grants only apply while the post's visibility is 'shared' (or 'public').
+ * Unlisted posts are only readable by their owner and through share links.
+ */
+module.exports = {
+  SHARE_PERMISSIONS,
+  
+  isActive,
+  
+  /**
+   * Whether share grants apply to a post with this visibility
+   */
+  acceptsGrants: (blog) => blog.visibility === 'shared' || blog.visibility === 'public',
+  
+  /**
+   * Get a user's share grant for a post, or null if there is none or it expired
+   */
+  getGrant: async (blogId, userId) => {
+    const result = await dynamodb.get({
+      TableName: SHARES_TABLE,
+      Key: { blogId, granteeUserId: userId }
+    }).promise();
+    
+    return result.Item && isActive(result.Item) ? result.Item : null;
+  },
+  
+  /**
+   * Work out what a user may do with a post
+   * Returns 'owner', the permission of the user's grant ('read' or 'comment'),
+   * 'public' for anyone else on a public post, or null if they can't see it
+   * Trashed posts are handled by the callers, which treat them as missing
+   */
+  getAccess: async (blog, userId) => {
+    if (blog.userId === userId) {
+      return 'owner';
+    }
+    
+    // Only the owner can see drafts, scheduled and archived posts
+    // Posts created before the lifecycle was introduced have no status and count as published
+    if ((blog.status || 'PUBLISHED') !== 'PUBLISHED' || !module.exports.acceptsGrants(blog)) {
+      return null;
+    }
+    
+    const grant = userId ? await module.exports.getGrant(blog.blogId, userId) : null;
+    if (grant) {
+      return grant.permission;
+    }
+    return blog.visibility === 'public' ? 'public' : null;
+  },
+  
+  /**
+   * Load a post and work out what a user may do with it, with the rules blog/get applies
+   * Returns { blog: null } if the post doesn't exist for this user (missing, trashed or
+   * unpublished), otherwise { blog, access } where access is null if they can't read it
+   * Used by the endpoints that hang off a post (comments, reactions, bookmarks)
+   */
+  getPostAccess: async (blogId, userId) => {
+    const result = await dynamodb.get({
+      TableName: BLOGS_TABLE,
+      Key: { blogId }
+    }).promise();
+    
+    const blog = result.Item;
+    if (!blog || blog.deletedAt || ((blog.status || 'PUBLISHED') !== 'PUBLISHED' && blog.userId !== userId)) {
+      return { blog: null, access: null };
+    }
+    
+    return { blog, access: await module.exports.getAccess(blog, userId) };
+  },
+  
+  /**
+   * Delete every share grant of a post
+   */
+  deleteShares: async (blogId) => {
+    let lastEvaluatedKey;
+    
+    do {
+      const result = await dynamodb.query({
+        TableName: SHARES_TABLE,
+        KeyConditionExpression: 'blogId = :blogId',
+        ExpressionAttributeValues: { ':blogId': blogId },
+        ProjectionExpression: 'blogId, granteeUserId',
+        ExclusiveStartKey: lastEvaluatedKey
+      }).promise();
+      
+      // A post is shared with a handful of people, so single deletes are fine here
+      await Promise.all(result.Items.map(key => dynamodb.delete({
+        TableName: SHARES_TABLE,
+        Key: key
+      }).promise()));
+      
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+  }
+};
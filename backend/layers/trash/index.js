@@ -0,0 +1,122 @@
+const AWS = require('aws-sdk');
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// The media, shares, links, comments and reactions layers sit next to this one under /opt
+const media = require('../media');
+const shares = require('../shares');
+const links = require('../links');
+const comments = require('../comments');
+const reactions = require('../reactions');
+
+// Get parameters from environment variables
+const BLOGS_TABLE = process.env.BLOGS_TABLE;
+const REVISIONS_TABLE = process.env.REVISIONS_TABLE;
+
+// How long deleted posts stay in the trash before they are purged
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// BatchWriteItem accepts at most 25 requests per call
+const BATCH_SIZE = 25;
+
+/**
+ * Delete every stored revision of a post
+ */
+const deleteRevisions = async (blogId) => {
+  let lastEvaluatedKey;
+  
+  do {
+    const result = await dynamodb.query({
+      TableName: REVISIONS_TABLE,
+      KeyConditionExpression: 'blogId = :blogId',
+      ExpressionAttributeValues: { ':blogId': blogId },
+      ProjectionExpression: 'blogId, revision',
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+    
+    for (let i = 0; i < result.Items.length; i += BATCH_SIZE) {
+      let requestItems = {
+        [REVISIONS_TABLE]: result.Items.slice(i, i + BATCH_SIZE).map(key => ({ DeleteRequest: { Key: key } }))
+      };
+      
+      // Retry whatever DynamoDB couldn't process because of throttling
+      while (requestItems && Object.keys(requestItems).length > 0) {
+        const response = await dynamodb.batchWrite({ RequestItems: requestItems }).promise();
+        requestItems = response.UnprocessedItems;
+      }
+    }
+    
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+};
+
+/**
+ * Utility functions for the trash
+ *
+ * Deleting a post only sets its deletedAt, which hides it everywhere except
+ * GET /blogs/trash. Purging removes the post for good: the item, its revision
+ * history, its share grants, links and comments, and all of its media.
+ */
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  
+  /**
+   * When a post deleted at the given time will be purged automatically
+   */
+  getPurgeAt: (deletedAt) => {
+    return new Date(Date.parse(deletedAt) + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  },
+  
+  /**
+   * Permanently delete a post that is in the trash
+   * Returns false if the post was restored (or purged) in the meantime
+   *
+   * @param {string} blogId - The post to purge
+   * @param {string} [cutoff] - Only purge the post if it was deleted at or before this time (ISO date)
+   * @returns {boolean} - Whether the post was purged
+   */
+  purgeBlog: async (blogId, cutoff) => {
+    let conditionExpression = 'attribute_exists(deletedAt)';
+    const expressionAttributeValues = {};
+    if (cutoff) {
+      conditionExpression += ' AND deletedAt <= :cutoff';
+      expressionAttributeValues[':cutoff'] = cutoff;
+    }
+    
+    // Claim the post first: restoring refuses posts with a purgingAt, so nothing
+    // is deleted from under a post that comes back out of the trash
+    try {
+      await dynamodb.update({
+        TableName: BLOGS_TABLE,
+        Key: { blogId },
+        UpdateExpression: 'SET purgingAt = :purgingAt',
+        ConditionExpression: conditionExpression,
+        ExpressionAttributeValues: { ...expressionAttributeValues, ':purgingAt': new Date().toISOString() }
+      }).promise();
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        return false;
+      }
+      throw error;
+    }
+    
+    // The item goes last, so a purge that fails halfway leaves the post in the
+    // trash, where the next run (or the owner) purges what's left of it
+    await Promise.all([
+      deleteRevisions(blogId),
+      shares.deleteShares(blogId),
+      links.deleteLinks(blogId),
+      comments.deleteComments(blogId),
+      reactions.deleteReactions(blogId),
+      media.deleteBlogMedia(blogId)
+    ]);
+    
+    await dynamodb.delete({
+      TableName: BLOGS_TABLE,
+      Key: { blogId },
+      ConditionExpression: conditionExpression,
+      ExpressionAttributeValues: cutoff ? expressionAttributeValues : undefined
+    }).promise();
+    
+    return true;
+  }
+};
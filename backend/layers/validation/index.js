@@ -0,0 +1,172 @@
+const Ajv = require('ajv');
+const schemas = require('./schemas.json');
+
+// Bodies are checked as they were sent. Query string values are always text,
+// so they are converted to the types of their schemas, and missing ones get
+// their defaults (e.g. limit)
+const bodyAjv = new Ajv({ allErrors: true });
+const queryAjv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true });
+
+// Compiled validators by endpoint and location
+const validators = {};
+
+/**
+ * The validator of an endpoint's body or query string
+ * Schemas refer to the shared field definitions, so these go along with each one
+ */
+const getValidator = (endpoint, location) => {
+  const key = `${endpoint}.${location}`;
+  if (!validators[key]) {
+    const schema = schemas[endpoint] && schemas[endpoint][location];
+    if (!schema) {
+      throw new Error(`No ${location} schema for ${endpoint}`);
+    }
+    const ajv = location === 'query' ? queryAjv : bodyAjv;
+    validators[key] = ajv.compile({ ...schema, definitions: schemas.definitions });
+  }
+  return validators[key];
+};
+
+const TYPE_NAMES = {
+  string: 'text',
+  integer: 'a whole number',
+  number: 'a number',
+  boolean: 'true or false',
+  array: 'a list',
+  object: 'an object'
+};
+
+/**
+ * A field path as it's written in JavaScript, e.g. /images/0/caption becomes images[0].caption
+ */
+const toFieldPath = (pointer) => pointer
+  .split('/')
+  .slice(1)
+  .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+  .reduce((path, part) => (/^\d+$/.test(part) ? `${path}[${part}]` : path ? `${path}.${part}` : part), '');
+
+/**
+ * What's wrong with a field, in words
+ * The frontend's copy in frontend/src/validation/index.js words them the same
+ */
+const describeError = (error) => {
+  const { keyword, params } = error;
+  switch (keyword) {
+    case 'required':
+      return 'is required';
+    case 'type':
+      return `must be ${String(params.type).split(',').filter(type => type !== 'null').map(type => TYPE_NAMES[type] || type).join(' or ')}`;
+    case 'enum':
+      return `must be one of: ${params.allowedValues.map(value => (value === null ? 'null' : value)).join(', ')}`;
+    case 'pattern':
+      return params.pattern === '\\S' ? 'cannot be empty' : 'is not in the right format';
+    case 'minLength':
+      return params.limit === 1 ? 'cannot be empty' : `must be at least ${params.limit} characters`;
+    case 'maxLength':
+      return `must be at most ${params.limit} characters`;
+    case 'minItems':
+      return params.limit === 1 ? 'cannot be empty' : `must have at least ${params.limit} items`;
+    case 'maxItems':
+      return `can have at most ${params.limit} items`;
+    case 'minimum':
+      return `must be at least ${params.limit}`;
+    case 'maximum':
+      return `must be at most ${params.limit}`;
+    default:
+      return 'is not valid';
+  }
+};
+
+/**
+ * The errors of a validator as { location, field, message }, one per field
+ * Alternatives (anyOf) report an error per option; the first one says enough
+ */
+const toFieldErrors = (errors, location) => {
+  const byField = new Map();
+  (errors || []).forEach((error) => {
+    const pointer = error.keyword === 'required'
+      ? `${error.instancePath}/${error.params.missingProperty}`
+      : error.instancePath;
+    const field = toFieldPath(pointer);
+    if (!byField.has(field)) {
+      byField.set(field, { location, field, message: describeError(error) });
+    }
+  });
+  return [...byField.values()];
+};
+
+/**
+ * The body of a 400 response for field errors
+ * The message lists them all, for clients that only show the message
+ */
+const toErrorBody = (errors) => ({
+  message: `Invalid request: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`,
+  errors
+});
+
+/**
+ * The body of a 400 response for a body that isn't a JSON object at all
+ */
+const invalidBody = (message) => ({ message, errors: [{ location: 'body', field: '', message }] });
+
+/**
+ * Utility functions for request validation
+ *
+ * Every endpoint's JSON body or query string is described by a JSON Schema
+ * in schemas.json. Requests that don't match get a 400 with one error per
+ * field, each with its location (body or query) and path (e.g. tags[2]).
+ * The frontend checks its forms against the same schemas before sending them.
+ */
+module.exports = {
+  schemas,
+  toErrorBody,
+  
+  /**
+   * Parse and validate the JSON body of a request
+   *
+   * @param {Object} event - API Gateway event
+   * @param {string} endpoint - The endpoint's name in schemas.json, e.g. createBlog
+   * @returns {Object} - { body } when it is valid, otherwise { error } with the body of a 400 response
+   */
+  parseBody: (event, endpoint) => {
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return { error: invalidBody('The request body must be valid JSON') };
+    }
+    
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      return { error: invalidBody('The request body must be a JSON object') };
+    }
+    
+    const validate = getValidator(endpoint, 'body');
+    if (!validate(body)) {
+      return { error: toErrorBody(toFieldErrors(validate.errors, 'body')) };
+    }
+    return { body };
+  },
+  
+  /**
+   * Validate the query string of a request
+   * Empty values count as left out, so they get the default as well
+   *
+   * @param {Object} event - API Gateway event
+   * @param {string} endpoint - The endpoint's name in schemas.json, e.g. listBlogs
+   * @returns {Object} - { query } with the values converted, otherwise { error } with the body of a 400 response
+   */
+  parseQuery: (event, endpoint) => {
+    const query = {};
+    Object.entries(event.queryStringParameters || {}).forEach(([name, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        query[name] = value;
+      }
+    });
+    
+    const validate = getValidator(endpoint, 'query');
+    if (!validate(query)) {
+      return { error: toErrorBody(toFieldErrors(validate.errors, 'query')) };
+    }
+    return { query };
+  }
+};
@@ -0,0 +1,299 @@
+/**
+ * Tests for the search layer, run against the in-memory index
+ *
+ * The embedded index has the same interface as the DynamoDB one, so these
+ * cover indexing, ranking, phrase and filter matching, pagination and
+ * suggestions without any AWS resources. Run with npm test in backend.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const search = require('../layers/search');
+const { createEmbeddedIndex } = require('../layers/search/embedded-index');
+
+const OWNER = 'user-1';
+const OTHER = 'user-2';
+
+/**
+ * A published public post of OWNER, with the given fields on top
+ */
+const post = (blogId, fields = {}) => ({
+  blogId,
+  userId: OWNER,
+  title: '',
+  content: '',
+  visibility: 'public',
+  status: 'PUBLISHED',
+  createdAt: '2025-06-01T00:00:00.000Z',
+  ...fields
+});
+
+/**
+ * Search with a query string, as the search function does
+ */
+const run = (index, text, options = {}) => search.search(index, {
+  query: search.parseQuery(text),
+  userId: OWNER,
+  limit: 10,
+  ...options
+});
+
+const ids = (result) => result.hits.map(hit => hit.blogId);
+
+describe('indexBlog and search', () => {
+  let index;
+  
+  beforeEach(() => {
+    index = createEmbeddedIndex();
+  });
+  
+  it('finds posts by every form of a word', async () => {
+    await search.indexBlog(index, post('hikes', { content: 'We hiked up the hill' }));
+    await search.indexBlog(index, post('other', { content: 'A quiet day at home' }));
+    
+    const result = await run(index, 'hiking');
+    
+    assert.deepEqual(ids(result), ['hikes']);
+    assert.equal(result.total, 1);
+  });
+  
+  it('only matches posts that contain every word', async () => {
+    await search.indexBlog(index, post('both', { content: 'Mountain lake at dawn' }));
+    await search.indexBlog(index, post('one', { content: 'Mountain pass' }));
+    
+    assert.deepEqual(ids(await run(index, 'mountain lake')), ['both']);
+  });
+  
+  it('scores a single match with BM25', async () => {
+    await search.indexBlog(index, post('only', { title: 'Sunrise' }));
+    
+    const [hit] = (await run(index, 'sunrise')).hits;
+    
+    // One post of average length: idf = ln(1 + 0.5 / 1.5), and the title
+    // counts three times, so tf = 3 against k1 = 1.2
+    const idf = Math.log(1 + 0.5 / 1.5);
+    assert.ok(Math.abs(hit.score - idf * 3 * 2.2 / (3 + 1.2)) < 1e-9);
+  });
+  
+  it('ranks title matches above tag matches above content matches', async () => {
+    await search.indexBlog(index, post('content', { title: 'Monday', content: 'Went to the beach' }));
+    await search.indexBlog(index, post('tag', { title: 'Tuesday', tags: ['beach'] }));
+    await search.indexBlog(index, post('title', { title: 'Beach' }));
+    
+    assert.deepEqual(ids(await run(index, 'beach')), ['title', 'tag', 'content']);
+  });
+  
+  it('weighs rare terms more than common ones', async () => {
+    await search.indexBlog(index, post('rare-in-title', { title: 'Kayak', content: 'Summer' }));
+    await search.indexBlog(index, post('common-in-title', { title: 'Summer', content: 'Kayak' }));
+    await search.indexBlog(index, post('filler-1', { content: 'Summer' }));
+    await search.indexBlog(index, post('filler-2', { content: 'Summer' }));
+    
+    assert.deepEqual(ids(await run(index, 'summer kayak')), ['rare-in-title', 'common-in-title']);
+  });
+  
+  it('ranks shorter posts above longer ones with the same matches', async () => {
+    await search.indexBlog(index, post('long', { content: 'Garden tomatoes peppers beans squash onions carrots' }));
+    await search.indexBlog(index, post('short', { content: 'Garden' }));
+    
+    assert.deepEqual(ids(await run(index, 'garden')), ['short', 'long']);
+  });
+  
+  it('matches phrases only where the words are next to each other', async () => {
+    await search.indexBlog(index, post('phrase', { content: 'Our road trip began' }));
+    await search.indexBlog(index, post('apart', { content: 'A trip down the road' }));
+    await search.indexBlog(index, post('across-fields', { title: 'Road', content: 'Trip' }));
+    
+    assert.deepEqual(ids(await run(index, '"road trip"')), ['phrase']);
+    assert.deepEqual(ids(await run(index, 'road trip')).sort(), ['across-fields', 'apart', 'phrase']);
+  });
+  
+  it('counts stopwords as positions in phrases', async () => {
+    await search.indexBlog(index, post('exact', { content: 'At the end of the road' }));
+    await search.indexBlog(index, post('shifted', { content: 'The end of a long road' }));
+    
+    assert.deepEqual(ids(await run(index, '"end of the road"')), ['exact']);
+  });
+  
+  it('filters on tags, moods and dates, and leaves out exclusions', async () => {
+    await search.indexBlog(index, post('june', { content: 'Picnic', tags: ['Road Trip'], mood: 'Happy', createdAt: '2025-06-10T00:00:00.000Z' }));
+    await search.indexBlog(index, post('july', { content: 'Picnic', tags: ['Work'], mood: 'Tired', createdAt: '2025-07-10T00:00:00.000Z' }));
+    
+    assert.deepEqual(ids(await run(index, 'tag:"road trip"')), ['june']);
+    assert.deepEqual(ids(await run(index, 'picnic mood:tired')), ['july']);
+    assert.deepEqual(ids(await run(index, 'picnic before:2025-07')), ['june']);
+    assert.deepEqual(ids(await run(index, 'picnic after:2025-06')), ['july']);
+    assert.deepEqual(ids(await run(index, 'picnic -tag:work')), ['june']);
+    assert.deepEqual(ids(await run(index, 'picnic -mood:happy')), ['july']);
+  });
+  
+  it('only shows other users published public posts', async () => {
+    await search.indexBlog(index, post('public', { userId: OTHER, content: 'Harbor' }));
+    await search.indexBlog(index, post('private', { userId: OTHER, content: 'Harbor', visibility: 'private' }));
+    await search.indexBlog(index, post('draft', { userId: OTHER, content: 'Harbor', status: 'DRAFT' }));
+    await search.indexBlog(index, post('mine', { content: 'Harbor', visibility: 'private', status: 'DRAFT' }));
+    
+    assert.deepEqual(ids(await run(index, 'harbor')).sort(), ['mine', 'public']);
+    assert.deepEqual(ids(await run(index, 'harbor', { status: 'DRAFT' })), ['mine']);
+  });
+  
+  it('counts facets over all matches, not just the page', async () => {
+    await search.indexBlog(index, post('a', { content: 'Rain', tags: ['Weather'], mood: 'Calm', createdAt: '2025-05-01T00:00:00.000Z' }));
+    await search.indexBlog(index, post('b', { content: 'Rain', tags: ['weather', 'Home'], createdAt: '2025-06-01T00:00:00.000Z' }));
+    
+    const { facets } = await run(index, 'rain', { limit: 1 });
+    
+    assert.deepEqual(facets.tags, [{ value: 'Weather', count: 2 }, { value: 'Home', count: 1 }]);
+    assert.deepEqual(facets.moods, [{ value: 'Calm', count: 1 }]);
+    assert.deepEqual(facets.months.map(month => month.value), ['2025-05', '2025-06']);
+  });
+  
+  it('pages through the results with the cursor without skipping or repeating any', async () => {
+    const days = ['01', '02', '02', '03', '04'];
+    for (const [i, day] of days.entries()) {
+      await search.indexBlog(index, post(`post-${i}`, { tags: ['daily'], createdAt: `2025-06-${day}T00:00:00.000Z` }));
+    }
+    
+    const pages = [];
+    let cursor = null;
+    do {
+      const result = await run(index, 'tag:daily', { limit: 2, cursor });
+      pages.push(ids(result));
+      // The search function sends the cursor to the client and back as JSON
+      cursor = result.nextCursor && JSON.parse(JSON.stringify(result.nextCursor));
+    } while (cursor);
+    
+    // Newest first; posts of the same day by blogId
+    assert.deepEqual(pages, [['post-4', 'post-3'], ['post-1', 'post-2'], ['post-0']]);
+  });
+  
+  it('finds nothing for a query without words, phrases, tags or moods', async () => {
+    await search.indexBlog(index, post('post', { content: 'Anything' }));
+    
+    const result = await run(index, 'the before:2025');
+    
+    assert.deepEqual(result.hits, []);
+    assert.equal(result.nextCursor, null);
+  });
+});
+
+describe('index statistics', () => {
+  let index;
+  
+  beforeEach(() => {
+    index = createEmbeddedIndex();
+  });
+  
+  it('counts each post once, however often it is indexed', async () => {
+    const blog = post('post', { title: 'Lighthouse keeper', content: 'Storm all night' });
+    await search.indexBlog(index, blog);
+    await search.indexBlog(index, blog);
+    
+    assert.deepEqual(await index.getStats(), {
+      documentCount: 1,
+      totalLength: search.analyzeBlog(blog).length
+    });
+  });
+  
+  it('follows the length of an edited post and drops the words it lost', async () => {
+    await search.indexBlog(index, post('post', { content: 'Storm all night' }));
+    const edited = post('post', { content: 'Calm sea this morning, calm all day' });
+    await search.indexBlog(index, edited);
+    
+    assert.deepEqual(await index.getStats(), { documentCount: 1, totalLength: search.analyzeBlog(edited).length });
+    assert.deepEqual(await index.getPostings('storm'), []);
+    assert.deepEqual(ids(await run(index, 'calm')), ['post']);
+  });
+  
+  it('drops tags and moods a post no longer has', async () => {
+    await search.indexBlog(index, post('post', { content: 'Notes', tags: ['Work'], mood: 'Tired' }));
+    await search.indexBlog(index, post('post', { content: 'Notes', tags: ['Home'] }));
+    
+    assert.deepEqual(ids(await run(index, 'tag:work')), []);
+    assert.deepEqual(ids(await run(index, 'mood:tired')), []);
+    assert.deepEqual(ids(await run(index, 'tag:home')), ['post']);
+  });
+});
+
+describe('removeBlog', () => {
+  let index;
+  
+  beforeEach(() => {
+    index = createEmbeddedIndex();
+  });
+  
+  it('removes the post, its postings and its share of the stats', async () => {
+    const kept = post('kept', { title: 'Orchard', content: 'Apples' });
+    await search.indexBlog(index, kept);
+    await search.indexBlog(index, post('removed', { title: 'Orchard walk', content: 'Pears', tags: ['Autumn'] }));
+    
+    await search.removeBlog(index, 'removed');
+    
+    assert.deepEqual(ids(await run(index, 'orchard')), ['kept']);
+    assert.deepEqual(ids(await run(index, 'tag:autumn')), []);
+    assert.equal(await index.getDocument('removed'), null);
+    assert.deepEqual(await index.getStats(), { documentCount: 1, totalLength: search.analyzeBlog(kept).length });
+    assert.deepEqual((await search.suggest(index, { prefix: 'orchard w', userId: OWNER, limit: 5 })).titles, []);
+  });
+  
+  it('does nothing for a post that was never indexed, or twice', async () => {
+    await search.indexBlog(index, post('post', { content: 'Fog' }));
+    await search.removeBlog(index, 'post');
+    
+    await search.removeBlog(index, 'post');
+    await search.removeBlog(index, 'unknown');
+    
+    assert.deepEqual(await index.getStats(), { documentCount: 0, totalLength: 0 });
+  });
+});
+
+describe('suggest', () => {
+  let index;
+  
+  beforeEach(async () => {
+    index = createEmbeddedIndex();
+    await search.indexBlog(index, post('trip', { title: 'Road Trip to the Coast', tags: ['Road Trip', 'Travel'], createdAt: '2025-06-01T00:00:00.000Z' }));
+    await search.indexBlog(index, post('roads', { title: 'Roads not taken', tags: ['road trip'], createdAt: '2025-06-02T00:00:00.000Z' }));
+    await search.indexBlog(index, post('middle', { title: 'Back on the road', createdAt: '2025-06-03T00:00:00.000Z' }));
+    await search.indexBlog(index, post('hidden', { userId: OTHER, title: 'Road closed', visibility: 'private', tags: ['Roadwork'] }));
+  });
+  
+  it('completes titles, those starting with the prefix first, then the newest', async () => {
+    const { titles } = await search.suggest(index, { prefix: 'roa', userId: OWNER, limit: 5 });
+    
+    assert.deepEqual(titles.map(title => title.blogId), ['roads', 'trip', 'middle']);
+    assert.deepEqual(titles[0].highlight, [0, 3]);
+    assert.deepEqual(titles[2].highlight, [12, 15]);
+  });
+  
+  it('matches earlier words whole and the last one by its beginning', async () => {
+    const { titles } = await search.suggest(index, { prefix: 'Road tr', userId: OWNER, limit: 5 });
+    
+    assert.deepEqual(titles.map(title => title.blogId), ['trip']);
+    assert.deepEqual(titles[0].highlight, [0, 7]);
+  });
+  
+  it('counts tags ignoring case, the most used first', async () => {
+    const { tags } = await search.suggest(index, { prefix: 'road', userId: OWNER, limit: 5 });
+    
+    assert.deepEqual(tags, [{ value: 'Road Trip', count: 2, highlight: [0, 4] }]);
+  });
+  
+  it('leaves out posts the user may not find', async () => {
+    const { titles, tags } = await search.suggest(index, { prefix: 'road', userId: OWNER, limit: 5 });
+    
+    assert.ok(!titles.some(title => title.blogId === 'hidden'));
+    assert.ok(!tags.some(tag => tag.value === 'Roadwork'));
+  });
+  
+  it('needs at least two letters', async () => {
+    assert.deepEqual(await search.suggest(index, { prefix: 'r', userId: OWNER, limit: 5 }), { titles: [], tags: [] });
+  });
+  
+  it('gives at most limit suggestions of each kind', async () => {
+    const { titles } = await search.suggest(index, { prefix: 'ro', userId: OWNER, limit: 2 });
+    
+    assert.equal(titles.length, 2);
+  });
+});
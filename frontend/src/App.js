@@ -23,6 +23,11 @@ import NotFoundPage from './pages/NotFoundPage';
 import SearchPage from './pages/SearchPage';
 import CalendarPage from './pages/CalendarPage';
 import ExportPage from './pages/ExportPage';
+import ImportPage from './pages/ImportPage';
+import TrashPage from './pages/TrashPage';
+import SharedPage from './pages/SharedPage';
+import BookmarksPage from './pages/BookmarksPage';
+import SharedLinkPage from './pages/SharedLinkPage';
 
 function App() {
   return (
@@ -34,6 +39,7 @@ function App() {
             <Routes>
               <Route path="/" element={<HomePage />} />
               <Route path="/blog/:id" element={<BlogPage />} />
+              <Route path="/s/:token" element={<SharedLinkPage />} />
               <Route path="/login" element={<Authenticator />} />
               <Route 
                 path="/create" 
@@ -43,6 +49,14 @@ function App() {
                   </ProtectedRoute>
                 } 
               />
+              <Route 
+                path="/edit/:id" 
+                element={
+                  <ProtectedRoute>
+                    <CreateJournalPage />
+                  </ProtectedRoute>
+                } 
+              />
               <Route 
                 path="/profile" 
                 element={
@@ -83,6 +97,38 @@ function App() {
                   </ProtectedRoute>
                 } 
               />
+              <Route 
+                path="/import" 
+                element={
+                  <ProtectedRoute>
+                    <ImportPage />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/shared" 
+                element={
+                  <ProtectedRoute>
+                    <SharedPage />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/bookmarks" 
+                element={
+                  <ProtectedRoute>
+                    <BookmarksPage />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/trash" 
+                element={
+                  <ProtectedRoute>
+                    <TrashPage />
+                  </ProtectedRoute>
+                } 
+              />
               <Route path="*" element={<NotFoundPage />} />
             </Routes>
           </main>
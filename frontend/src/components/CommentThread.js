@@ -0,0 +1,315 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { API } from 'aws-amplify';
+import { useAuth } from '../context/AuthContext';
+import '../styles/CommentThread.css';
+
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Comment thread of an entry with a composer, threaded replies, editing and
+ * deleting. The API decides who may write (the owner and people the entry was
+ * shared with for commenting); the owner can also turn comments off here.
+ */
+const CommentThread = ({ blog, isOwner, onSettingsChanged }) => {
+  const { user, isAdmin } = useAuth();
+  const [comments, setComments] = useState([]);
+  const [count, setCount] = useState(0);
+  const [canComment, setCanComment] = useState(false);
+  const [commentsEnabled, setCommentsEnabled] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [draft, setDraft] = useState('');
+  // The comment being replied to or edited, and the text for it
+  const [replyTo, setReplyTo] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [inlineDraft, setInlineDraft] = useState('');
+  const [reported, setReported] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const userId = user && user.attributes ? user.attributes.sub : null;
+
+  const fetchComments = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await API.get('blogApi', `/blogs/${blog.blogId}/comments`);
+      setComments(response.items);
+      setCount(response.count);
+      setCanComment(response.canComment);
+      setCommentsEnabled(response.commentsEnabled);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading comments:', err);
+      setError('Failed to load comments.');
+    } finally {
+      setLoading(false);
+    }
+  }, [blog.blogId]);
+
+  useEffect(() => {
+    fetchComments();
+  }, [fetchComments]);
+
+  const errorMessage = (err, fallback) =>
+    (err.response && err.response.data && err.response.data.message) || fallback;
+
+  // Runs a write, then reloads the thread so replies and removals show up in place
+  const runAction = async (action, fallback) => {
+    try {
+      setSaving(true);
+      setError(null);
+      await action();
+      await fetchComments();
+      return true;
+    } catch (err) {
+      console.error('Error updating comments:', err);
+      setError(errorMessage(err, fallback));
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const posted = await runAction(
+      () => API.post('blogApi', `/blogs/${blog.blogId}/comments`, { body: { content: draft } }),
+      'Failed to post your comment. Please try again.'
+    );
+    if (posted) {
+      setDraft('');
+    }
+  };
+
+  const handleReply = async (e) => {
+    e.preventDefault();
+    const posted = await runAction(
+      () => API.post('blogApi', `/blogs/${blog.blogId}/comments`, {
+        body: { content: inlineDraft, parentId: replyTo }
+      }),
+      'Failed to post your reply. Please try again.'
+    );
+    if (posted) {
+      setReplyTo(null);
+      setInlineDraft('');
+    }
+  };
+
+  const handleEdit = async (e) => {
+    e.preventDefault();
+    const saved = await runAction(
+      () => API.put('blogApi', `/blogs/${blog.blogId}/comments/${editing}`, { body: { content: inlineDraft } }),
+      'Failed to save your comment. Please try again.'
+    );
+    if (saved) {
+      setEditing(null);
+      setInlineDraft('');
+    }
+  };
+
+  const handleDelete = async (comment) => {
+    if (!window.confirm('Delete this comment? Replies to it stay in the thread.')) {
+      return;
+    }
+    await runAction(
+      () => API.del('blogApi', `/blogs/${blog.blogId}/comments/${comment.commentId}`),
+      'Failed to delete the comment. Please try again.'
+    );
+  };
+
+  const handleReport = async (comment) => {
+    if (!window.confirm('Report this comment to the moderators?')) {
+      return;
+    }
+    try {
+      setError(null);
+      await API.post('blogApi', `/blogs/${blog.blogId}/comments/${comment.commentId}/report`);
+      setReported(current => [...current, comment.commentId]);
+    } catch (err) {
+      console.error('Error reporting comment:', err);
+      setError(errorMessage(err, 'Failed to report the comment. Please try again.'));
+    }
+  };
+
+  const handleToggleComments = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      await API.put('blogApi', `/blogs/${blog.blogId}`, {
+        body: { commentsEnabled: !commentsEnabled, expectedVersion: blog.version }
+      });
+      onSettingsChanged();
+    } catch (err) {
+      console.error('Error changing comment settings:', err);
+      if (err.response && err.response.status === 409) {
+        setError('This entry was changed somewhere else. Reload the page and try again.');
+      } else {
+        setError(errorMessage(err, 'Failed to change the comment settings. Please try again.'));
+      }
+      setSaving(false);
+    }
+  };
+
+  const startReply = (comment) => {
+    setEditing(null);
+    setReplyTo(comment.commentId);
+    setInlineDraft('');
+  };
+
+  const startEdit = (comment) => {
+    setReplyTo(null);
+    setEditing(comment.commentId);
+    setInlineDraft(comment.content);
+  };
+
+  const cancelInline = () => {
+    setReplyTo(null);
+    setEditing(null);
+    setInlineDraft('');
+  };
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleString();
+
+  // Group replies under their parents; the API returns the thread oldest first
+  const repliesTo = {};
+  comments.forEach(comment => {
+    const key = comment.parentId || 'root';
+    (repliesTo[key] = repliesTo[key] || []).push(comment);
+  });
+
+  const renderInlineForm = (onSubmit, submitLabel) => (
+    <form className="comment-form comment-inline-form" onSubmit={onSubmit}>
+      <textarea
+        value={inlineDraft}
+        onChange={(e) => setInlineDraft(e.target.value)}
+        maxLength={MAX_COMMENT_LENGTH}
+        rows={3}
+        aria-label={submitLabel}
+        autoFocus
+        disabled={saving}
+      />
+      <div className="comment-form-actions">
+        <button type="button" className="comment-link-button" onClick={cancelInline} disabled={saving}>
+          Cancel
+        </button>
+        <button type="submit" className="comment-button" disabled={saving || !inlineDraft.trim()}>
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+
+  const renderComment = (comment) => {
+    const isAuthor = comment.userId === userId;
+    const replies = repliesTo[comment.commentId] || [];
+
+    return (
+      <li key={comment.commentId} className="comment">
+        {comment.deleted ? (
+          <p className="comment-removed">
+            {comment.removedBy === 'author' ? 'This comment was deleted.' : 'This comment was removed.'}
+          </p>
+        ) : editing === comment.commentId ? (
+          renderInlineForm(handleEdit, 'Save')
+        ) : (
+          <>
+            <div className="comment-meta">
+              <strong>{comment.username}</strong>
+              <span>{formatDate(comment.createdAt)}</span>
+              {comment.editedAt && <span>(edited)</span>}
+            </div>
+            <p className="comment-content">{comment.content}</p>
+            <div className="comment-actions">
+              {canComment && (
+                <button type="button" className="comment-link-button" onClick={() => startReply(comment)}>
+                  Reply
+                </button>
+              )}
+              {isAuthor && canComment && (
+                <button type="button" className="comment-link-button" onClick={() => startEdit(comment)}>
+                  Edit
+                </button>
+              )}
+              {(isAuthor || isOwner || isAdmin) && (
+                <button
+                  type="button"
+                  className="comment-link-button comment-delete"
+                  onClick={() => handleDelete(comment)}
+                  disabled={saving}
+                >
+                  Delete
+                </button>
+              )}
+              {!isAuthor && (reported.includes(comment.commentId) ? (
+                <span className="comment-reported">Reported</span>
+              ) : (
+                <button type="button" className="comment-link-button" onClick={() => handleReport(comment)}>
+                  Report
+                </button>
+              ))}
+            </div>
+          </>
+        )}
+
+        {replyTo === comment.commentId && renderInlineForm(handleReply, 'Reply')}
+
+        {replies.length > 0 && (
+          <ul className="comment-replies">
+            {replies.map(renderComment)}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <section className="comment-thread">
+      <div className="comment-thread-header">
+        <h2>Comments{count > 0 && ` (${count})`}</h2>
+        {isOwner && (
+          <button type="button" className="comment-link-button" onClick={handleToggleComments} disabled={saving}>
+            {commentsEnabled ? 'Turn Off Comments' : 'Turn On Comments'}
+          </button>
+        )}
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {canComment ? (
+        <form className="comment-form" onSubmit={handleSubmit}>
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder="Write a comment..."
+            maxLength={MAX_COMMENT_LENGTH}
+            rows={3}
+            aria-label="Comment"
+            disabled={saving}
+          />
+          <div className="comment-form-actions">
+            <button type="submit" className="comment-button" disabled={saving || !draft.trim()}>
+              {saving ? 'Posting...' : 'Post Comment'}
+            </button>
+          </div>
+        </form>
+      ) : !loading && (
+        <p className="comment-hint">
+          {commentsEnabled
+            ? 'Only people the author shared this entry with for commenting can comment.'
+            : 'Comments are turned off for this entry.'}
+        </p>
+      )}
+
+      {loading ? (
+        <div className="loading">Loading...</div>
+      ) : comments.length === 0 ? (
+        <p className="comment-hint">No comments yet.</p>
+      ) : (
+        <ul className="comment-list">
+          {(repliesTo.root || []).map(renderComment)}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default CommentThread;
@@ -0,0 +1,72 @@
+import React from 'react';
+import '../styles/ConflictDialog.css';
+
+const FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'mood', label: 'Mood' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'visibility', label: 'Visibility' },
+  { key: 'content', label: 'Content' }
+];
+
+/**
+ * Shown when saving fails because the entry was changed elsewhere (HTTP 409).
+ * Puts the user's unsaved version next to the server copy so nothing is lost.
+ */
+const ConflictDialog = ({ mine, theirs, onOverwrite, onUseTheirs, onMerge, disabled }) => {
+  const formatValue = (value) => {
+    if (Array.isArray(value)) {
+      return value.length > 0 ? value.join(', ') : '(none)';
+    }
+    return value || '(none)';
+  };
+  
+  return (
+    <div className="conflict-overlay" role="dialog" aria-modal="true" aria-labelledby="conflict-title">
+      <div className="conflict-dialog">
+        <h2 id="conflict-title">This entry was changed somewhere else</h2>
+        <p>
+          Someone (maybe you, in another tab) saved a newer version
+          {theirs.updatedAt ? ` on ${new Date(theirs.updatedAt).toLocaleString()}` : ''}.
+          Choose how to continue. Your changes are kept until you decide.
+        </p>
+        
+        <table className="conflict-table">
+          <thead>
+            <tr>
+              <th></th>
+              <th>Your version</th>
+              <th>Saved version</th>
+            </tr>
+          </thead>
+          <tbody>
+            {FIELDS.map(({ key, label }) => {
+              const differs = formatValue(mine[key]) !== formatValue(theirs[key]);
+              return (
+                <tr key={key} className={differs ? 'conflict-differs' : ''}>
+                  <th>{label}</th>
+                  <td className="conflict-value">{formatValue(mine[key])}</td>
+                  <td className="conflict-value">{formatValue(theirs[key])}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        
+        <div className="conflict-actions">
+          <button type="button" className="conflict-merge" onClick={onMerge} disabled={disabled}>
+            Merge manually
+          </button>
+          <button type="button" className="conflict-theirs" onClick={onUseTheirs} disabled={disabled}>
+            Discard mine and load saved version
+          </button>
+          <button type="button" className="conflict-mine" onClick={onOverwrite} disabled={disabled}>
+            Overwrite with my version
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConflictDialog;
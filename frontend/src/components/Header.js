@@ -38,12 +38,24 @@ const Header = () => {
                 <li className="nav-item">
                   <Link to="/search" className="nav-link">Search</Link>
                 </li>
+                <li className="nav-item">
+                  <Link to="/shared" className="nav-link">Shared</Link>
+                </li>
+                <li className="nav-item">
+                  <Link to="/bookmarks" className="nav-link">Bookmarks</Link>
+                </li>
                 <li className="nav-item">
                   <Link to="/profile" className="nav-link">Profile</Link>
                 </li>
                 <li className="nav-item">
                   <Link to="/export" className="nav-link">Export</Link>
                 </li>
+                <li className="nav-item">
+                  <Link to="/import" className="nav-link">Import</Link>
+                </li>
+                <li className="nav-item">
+                  <Link to="/trash" className="nav-link">Trash</Link>
+                </li>
                 {isAdmin && (
                   <li className="nav-item">
                     <Link to="/admin" className="nav-link admin-link">Admin</Link>
@@ -0,0 +1,25 @@
+import React from 'react';
+
+/**
+ * Text with the [start, end] ranges the search API matched wrapped in <mark>
+ */
+const Highlighted = ({ text, ranges }) => {
+  if (!text) {
+    return null;
+  }
+
+  const parts = [];
+  let position = 0;
+  (ranges || []).forEach(([start, end]) => {
+    if (start > position) {
+      parts.push(text.slice(position, start));
+    }
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(text.slice(position));
+
+  return <>{parts}</>;
+};
+
+export default Highlighted;
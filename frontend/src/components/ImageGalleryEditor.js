@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { API } from 'aws-amplify';
+import MediaImage from './MediaImage';
+import '../styles/ImageGalleryEditor.css';
+
+// Limits for captions and alt text (kept in sync with blog/update)
+const MAX_CAPTION_LENGTH = 500;
+const MAX_ALT_TEXT_LENGTH = 250;
+
+/**
+ * Edit mode for the photos of an existing entry: reorder, remove, and add
+ * captions and alt text. Changes are saved together; removed photos are
+ * deleted for good once the entry is saved.
+ */
+const ImageGalleryEditor = ({ blog, onSaved, onCancel }) => {
+  const [images, setImages] = useState(blog.images || []);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [conflict, setConflict] = useState(false);
+  
+  const removedCount = (blog.images || []).length - images.length;
+  
+  const updateImage = (key, changes) => {
+    setImages(current => current.map(image => (image.key === key ? { ...image, ...changes } : image)));
+  };
+  
+  const moveImage = (index, offset) => {
+    setImages(current => {
+      const next = [...current];
+      const [image] = next.splice(index, 1);
+      next.splice(index + offset, 0, image);
+      return next;
+    });
+  };
+  
+  const removeImage = (key) => {
+    setImages(current => current.filter(image => image.key !== key));
+  };
+  
+  const handleSave = async () => {
+    if (removedCount > 0 && !window.confirm(`Delete ${removedCount} photo(s) from this entry? This can't be undone.`)) {
+      return;
+    }
+    
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await API.put('blogApi', `/blogs/${blog.blogId}`, {
+        body: {
+          images: images.map(({ key, caption, altText }, order) => ({ key, caption, altText, order })),
+          expectedVersion: blog.version
+        }
+      });
+      onSaved(response);
+    } catch (err) {
+      console.error('Error saving photos:', err);
+      
+      // The entry changed since it was loaded; the edits are based on an old copy
+      if (err.response && err.response.status === 409) {
+        setConflict(true);
+        setError('This entry was changed somewhere else. Reload it to see the latest photos, then make your changes again.');
+      } else {
+        setError((err.response && err.response.data && err.response.data.message) || 'Failed to save photos. Please try again.');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+  
+  return (
+    <section className="gallery-editor">
+      <h2>Edit Photos</h2>
+      
+      {error && <div className="error-message">{error}</div>}
+      
+      {images.length === 0 ? (
+        <p className="gallery-empty">This entry has no photos.</p>
+      ) : (
+        <ol className="gallery-list">
+          {images.map((image, index) => (
+            <li key={image.key} className="gallery-item">
+              <MediaImage
+                blog={blog}
+                imageKey={image.key}
+                size="thumbnail"
+                alt={image.altText || `Photo ${index + 1}`}
+                className="gallery-thumbnail"
+              />
+              
+              <div className="gallery-fields">
+                <label>
+                  Caption
+                  <input
+                    type="text"
+                    value={image.caption || ''}
+                    maxLength={MAX_CAPTION_LENGTH}
+                    onChange={(e) => updateImage(image.key, { caption: e.target.value })}
+                    disabled={saving}
+                  />
+                </label>
+                <label>
+                  Alt text
+                  <input
+                    type="text"
+                    value={image.altText || ''}
+                    maxLength={MAX_ALT_TEXT_LENGTH}
+                    placeholder="Describe the photo for screen readers"
+                    onChange={(e) => updateImage(image.key, { altText: e.target.value })}
+                    disabled={saving}
+                  />
+                </label>
+              </div>
+              
+              <div className="gallery-controls">
+                <button
+                  type="button"
+                  onClick={() => moveImage(index, -1)}
+                  disabled={saving || index === 0}
+                  aria-label="Move photo up"
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  onClick={() => moveImage(index, 1)}
+                  disabled={saving || index === images.length - 1}
+                  aria-label="Move photo down"
+                >
+                  ↓
+                </button>
+                <button
+                  type="button"
+                  className="gallery-remove"
+                  onClick={() => removeImage(image.key)}
+                  disabled={saving}
+                >
+                  Remove
+                </button>
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+      
+      <div className="gallery-actions">
+        <button type="button" className="gallery-cancel" onClick={onCancel} disabled={saving}>
+          Cancel
+        </button>
+        {conflict ? (
+          <button type="button" className="gallery-save" onClick={() => onSaved(null)}>
+            Reload
+          </button>
+        ) : (
+          <button type="button" className="gallery-save" onClick={handleSave} disabled={saving}>
+            {saving ? 'Saving...' : 'Save Photos'}
+          </button>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default ImageGalleryEditor;
@@ -0,0 +1,182 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { API } from 'aws-amplify';
+import '../styles/SharePanel.css';
+import '../styles/LinkPanel.css';
+
+/**
+ * Owner-only panel for the share links of an unlisted entry: create links with
+ * an optional password and expiry date, see how often each one was opened,
+ * copy them and revoke them. Anyone with a link can read the entry without an
+ * account, so it replaces the SharePanel while the entry is unlisted.
+ */
+const LinkPanel = ({ blog }) => {
+  const [links, setLinks] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [password, setPassword] = useState('');
+  const [expiresOn, setExpiresOn] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [copiedToken, setCopiedToken] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchLinks = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await API.get('blogApi', `/blogs/${blog.blogId}/links`);
+      setLinks(response.items);
+    } catch (err) {
+      console.error('Error loading links:', err);
+      setError('Failed to load the links to this entry.');
+    } finally {
+      setLoading(false);
+    }
+  }, [blog.blogId]);
+
+  useEffect(() => {
+    fetchLinks();
+  }, [fetchLinks]);
+
+  const errorMessage = (err, fallback) =>
+    (err.response && err.response.data && err.response.data.message) || fallback;
+
+  const linkUrl = (link) => `${window.location.origin}${link.path}`;
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError(null);
+      const body = {};
+      if (password) {
+        body.password = password;
+      }
+      if (expiresOn) {
+        // The link works until the end of the chosen day in the browser's timezone
+        body.expiresAt = new Date(`${expiresOn}T23:59:59`).toISOString();
+      }
+      const link = await API.post('blogApi', `/blogs/${blog.blogId}/links`, { body });
+      setLinks(current => [link, ...current]);
+      setPassword('');
+      setExpiresOn('');
+    } catch (err) {
+      console.error('Error creating link:', err);
+      setError(errorMessage(err, 'Failed to create a link. Please try again.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCopy = async (link) => {
+    try {
+      await navigator.clipboard.writeText(linkUrl(link));
+      setCopiedToken(link.token);
+    } catch (err) {
+      // Clipboard access can be blocked; the URL is still there to copy by hand
+      console.error('Error copying link:', err);
+    }
+  };
+
+  const handleRevoke = async (link) => {
+    if (!window.confirm('Revoke this link? Anyone using it will lose access to this entry.')) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+      await API.del('blogApi', `/blogs/${blog.blogId}/links/${link.token}`);
+      setLinks(current => current.filter(item => item.token !== link.token));
+    } catch (err) {
+      console.error('Error revoking link:', err);
+      setError(errorMessage(err, 'Failed to revoke the link. Please try again.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleDateString();
+
+  // Expiry dates can't be in the past
+  const today = new Date().toISOString().slice(0, 10);
+
+  return (
+    <section className="share-panel link-panel">
+      <h2>Share Links</h2>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <p className="share-hint">
+        This entry is unlisted. It doesn't show up anywhere, but anyone with one of these links can read it without an account.
+      </p>
+
+      <form className="share-form" onSubmit={handleCreate}>
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password (optional)"
+          aria-label="Password"
+          minLength={6}
+          maxLength={128}
+          autoComplete="new-password"
+          disabled={saving}
+        />
+        <label className="share-expiry">
+          Until
+          <input
+            type="date"
+            value={expiresOn}
+            min={today}
+            onChange={(e) => setExpiresOn(e.target.value)}
+            disabled={saving}
+          />
+        </label>
+        <button type="submit" className="share-button" disabled={saving}>
+          Create Link
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="loading">Loading...</div>
+      ) : links.length === 0 ? (
+        <p className="share-hint">There are no links to this entry yet.</p>
+      ) : (
+        <ul className="share-list">
+          {links.map(link => (
+            <li key={link.token} className="share-item link-item">
+              <input
+                type="text"
+                className="link-url"
+                value={linkUrl(link)}
+                onFocus={(e) => e.target.select()}
+                aria-label="Link"
+                readOnly
+              />
+              <span className="link-stats">
+                {link.hasPassword && 'Password · '}
+                Opened {link.accessCount} {link.accessCount === 1 ? 'time' : 'times'}
+                {link.lastAccessedAt && `, last on ${formatDate(link.lastAccessedAt)}`}
+              </span>
+              <span className="share-expires">
+                {link.expiresAt ? `Until ${formatDate(link.expiresAt)}` : 'No expiry'}
+              </span>
+              <button type="button" className="link-copy" onClick={() => handleCopy(link)}>
+                {copiedToken === link.token ? 'Copied' : 'Copy'}
+              </button>
+              <button
+                type="button"
+                className="share-revoke"
+                onClick={() => handleRevoke(link)}
+                disabled={saving}
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default LinkPanel;
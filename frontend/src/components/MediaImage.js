@@ -0,0 +1,35 @@
+import React from 'react';
+
+/**
+ * Renders one of a blog post's images using the signed URLs the API returns
+ * (blog.mediaUrls). The media bucket is private, so there is no other way to load it.
+ *
+ * Prefers the processed rendition of the requested size, with its WebP variant,
+ * and falls back to the original while the upload is still being processed.
+ */
+const MediaImage = ({ blog, imageKey, size = 'medium', alt, className }) => {
+  const mediaUrls = blog.mediaUrls || {};
+  const renditions = (blog.imageRenditions || {})[imageKey];
+  const image = renditions && renditions[size] ? renditions[size] : { key: imageKey };
+  
+  if (!mediaUrls[image.key]) {
+    return null;
+  }
+  
+  return (
+    <picture className={className}>
+      {image.webpKey && mediaUrls[image.webpKey] && (
+        <source srcSet={mediaUrls[image.webpKey]} type="image/webp" />
+      )}
+      <img 
+        src={mediaUrls[image.key]} 
+        alt={alt} 
+        width={image.width}
+        height={image.height}
+        loading="lazy"
+      />
+    </picture>
+  );
+};
+
+export default MediaImage;
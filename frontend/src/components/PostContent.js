@@ -0,0 +1,70 @@
+import React from 'react';
+import DOMPurify from 'dompurify';
+
+// Markup the editors produce (draftjs-to-html); everything else is dropped
+// The server sanitizes content against the same list (backend/layers/sanitize)
+const ALLOWED_TAGS = [
+  'p', 'br', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'code',
+  'strong', 'b', 'em', 'i', 'ins', 'u', 'del', 's', 'sub', 'sup', 'span',
+  'ul', 'ol', 'li', 'a', 'hr'
+];
+const ALLOWED_ATTR = ['href', 'title'];
+
+// Links in posts always open in a new tab without access to this window
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A' && node.getAttribute('href')) {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+});
+
+// Journal entries are plain text from SimpleTextEditor, blog posts are HTML
+const looksLikeHtml = (content) => /<\/?[a-z][\s\S]*>/i.test(content);
+
+// Elements that end a line of text
+const BLOCK_TAGS = 'p, br, h1, h2, h3, h4, h5, h6, blockquote, pre, li, hr, div';
+
+/**
+ * The text of a post's content, for excerpts. HTML is parsed into a separate,
+ * inert document, so nothing in it is loaded or run (unlike setting innerHTML
+ * on an element of the page).
+ */
+export const toPlainText = (content) => {
+  if (!content) {
+    return '';
+  }
+  if (!looksLikeHtml(content)) {
+    return content;
+  }
+  
+  const doc = new DOMParser().parseFromString(content, 'text/html');
+  doc.body.querySelectorAll(BLOCK_TAGS).forEach(element => element.after(' '));
+  return doc.body.textContent.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Renders the content of a post. Stored HTML is never trusted: it is sanitized
+ * against the editor's allowlist before it reaches the DOM. Plain text is
+ * rendered as paragraphs, one per line.
+ */
+const PostContent = ({ content, className }) => {
+  if (!content) {
+    return null;
+  }
+  
+  if (!looksLikeHtml(content)) {
+    return (
+      <div className={className}>
+        {content.split('\n').filter(line => line.trim()).map((paragraph, index) => (
+          <p key={index}>{paragraph}</p>
+        ))}
+      </div>
+    );
+  }
+  
+  const html = DOMPurify.sanitize(content, { ALLOWED_TAGS, ALLOWED_ATTR });
+  
+  return <div className={className} dangerouslySetInnerHTML={{ __html: html }} />;
+};
+
+export default PostContent;
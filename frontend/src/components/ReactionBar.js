@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from 'react';
+import { API } from 'aws-amplify';
+import '../styles/ReactionBar.css';
+
+// Same names as the API (backend/layers/reactions)
+export const REACTIONS = {
+  like: '\u{1F44D}',
+  love: '\u2764\uFE0F',
+  laugh: '\u{1F602}',
+  wow: '\u{1F62E}',
+  sad: '\u{1F622}',
+  celebrate: '\u{1F389}'
+};
+
+/**
+ * Reaction counts of an entry, for cards and lists
+ * Only reactions somebody left are shown
+ */
+export const ReactionCounts = ({ counts }) => {
+  const used = Object.keys(REACTIONS).filter(name => counts && counts[name] > 0);
+  if (used.length === 0) {
+    return null;
+  }
+
+  return (
+    <ul className="reaction-counts">
+      {used.map(name => (
+        <li key={name} title={name}>
+          {REACTIONS[name]} {counts[name]}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+/**
+ * Reaction buttons and bookmark toggle under an entry
+ * Each button shows the count and toggles the viewer's own reaction; the API
+ * returns the new counts, so the bar updates without reloading the entry.
+ */
+const ReactionBar = ({ blog }) => {
+  const [counts, setCounts] = useState(blog.reactionCounts || {});
+  const [mine, setMine] = useState(blog.myReactions || []);
+  const [bookmarked, setBookmarked] = useState(Boolean(blog.bookmarked));
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setCounts(blog.reactionCounts || {});
+    setMine(blog.myReactions || []);
+    setBookmarked(Boolean(blog.bookmarked));
+  }, [blog]);
+
+  const toggleReaction = async (name) => {
+    const reacted = mine.includes(name);
+    try {
+      setBusy(name);
+      setError(null);
+      const path = `/blogs/${blog.blogId}/reactions/${name}`;
+      const response = reacted ? await API.del('blogApi', path) : await API.put('blogApi', path, {});
+      setCounts(response.reactionCounts);
+      setMine(prev => (reacted ? prev.filter(r => r !== name) : [...prev, name]));
+    } catch (err) {
+      console.error('Error updating reaction:', err);
+      setError('Failed to update your reaction. Please try again.');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const toggleBookmark = async () => {
+    try {
+      setBusy('bookmark');
+      setError(null);
+      const path = `/blogs/${blog.blogId}/bookmark`;
+      if (bookmarked) {
+        await API.del('blogApi', path);
+      } else {
+        await API.put('blogApi', path, {});
+      }
+      setBookmarked(!bookmarked);
+    } catch (err) {
+      console.error('Error updating bookmark:', err);
+      setError('Failed to update your bookmark. Please try again.');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="reaction-bar">
+      <div className="reaction-buttons">
+        {Object.keys(REACTIONS).map(name => (
+          <button
+            key={name}
+            type="button"
+            className={`reaction-button${mine.includes(name) ? ' reacted' : ''}`}
+            onClick={() => toggleReaction(name)}
+            disabled={busy !== null}
+            title={name}
+          >
+            {REACTIONS[name]} {counts[name] > 0 ? counts[name] : ''}
+          </button>
+        ))}
+      </div>
+      <button
+        type="button"
+        className={`bookmark-button${bookmarked ? ' bookmarked' : ''}`}
+        onClick={toggleBookmark}
+        disabled={busy !== null}
+      >
+        {bookmarked ? 'Bookmarked' : 'Bookmark'}
+      </button>
+      {error && <div className="error-message">{error}</div>}
+    </div>
+  );
+};
+
+export default ReactionBar;
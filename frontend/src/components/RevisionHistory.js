@@ -0,0 +1,222 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { API } from 'aws-amplify';
+import '../styles/RevisionHistory.css';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  content: 'Content',
+  images: 'Images',
+  visibility: 'Visibility',
+  tags: 'Tags',
+  mood: 'Mood',
+  sharedWith: 'Shared with'
+};
+
+const RevisionHistory = ({ blogId, onRestore }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [currentRevision, setCurrentRevision] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [diffLoading, setDiffLoading] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+  const [error, setError] = useState(null);
+  
+  const fetchRevisions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await API.get('blogApi', `/blogs/${blogId}/revisions`);
+      setRevisions(response.items || []);
+      setCurrentRevision(response.currentRevision);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching revisions:', err);
+      setError('Failed to load revision history.');
+    } finally {
+      setLoading(false);
+    }
+  }, [blogId]);
+  
+  useEffect(() => {
+    fetchRevisions();
+  }, [fetchRevisions]);
+  
+  // Compare the selected revision with the one before it
+  const showDiff = async (revision) => {
+    setSelected(revision);
+    setDiff(null);
+    
+    if (revision.revision <= 1) {
+      return;
+    }
+    
+    try {
+      setDiffLoading(true);
+      const response = await API.get('blogApi', `/blogs/${blogId}/revisions/diff`, {
+        queryStringParameters: {
+          from: revision.revision - 1,
+          to: revision.revision
+        }
+      });
+      setDiff(response);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching revision diff:', err);
+      setError('Failed to load changes for this revision.');
+    } finally {
+      setDiffLoading(false);
+    }
+  };
+  
+  const handleRestore = async (revision) => {
+    if (!window.confirm(`Restore this entry to revision ${revision.revision}? The current version stays in the history.`)) {
+      return;
+    }
+    
+    try {
+      setRestoring(true);
+      await API.post('blogApi', `/blogs/${blogId}/revisions/${revision.revision}/restore`, {});
+      setSelected(null);
+      setDiff(null);
+      await fetchRevisions();
+      
+      if (onRestore) {
+        onRestore();
+      }
+    } catch (err) {
+      console.error('Error restoring revision:', err);
+      setError('Failed to restore this revision. Please try again.');
+    } finally {
+      setRestoring(false);
+    }
+  };
+  
+  const formatValue = (value) => {
+    if (Array.isArray(value)) {
+      return value.length > 0 ? value.join(', ') : '(none)';
+    }
+    return value || '(none)';
+  };
+  
+  // Images are diffed by key, so summarize what happened instead of listing S3 keys
+  const describeImageChanges = (imageDiff) => {
+    const changes = [];
+    if (imageDiff.added.length > 0) {
+      changes.push(`${imageDiff.added.length} added`);
+    }
+    if (imageDiff.removed.length > 0) {
+      changes.push(`${imageDiff.removed.length} removed`);
+    }
+    if (imageDiff.edited.length > 0) {
+      changes.push(`${imageDiff.edited.length} with new caption or alt text`);
+    }
+    if (imageDiff.reordered) {
+      changes.push('reordered');
+    }
+    return changes.join(', ');
+  };
+  
+  const describeRevision = (revision) => {
+    if (revision.action === 'create') {
+      return 'Created';
+    }
+    if (revision.action === 'restore') {
+      return `Restored revision ${revision.restoredFrom}`;
+    }
+    return `Edited ${(revision.changedFields || []).map(field => FIELD_LABELS[field] || field).join(', ')}`;
+  };
+  
+  if (loading) {
+    return <div className="revision-history loading">Loading history...</div>;
+  }
+  
+  return (
+    <section className="revision-history">
+      <h2>History</h2>
+      
+      {error && <div className="error-message">{error}</div>}
+      
+      <div className="revision-layout">
+        <ul className="revision-list">
+          {revisions.map(revision => (
+            <li
+              key={revision.revision}
+              className={`revision-item ${selected && selected.revision === revision.revision ? 'selected' : ''}`}
+            >
+              <button type="button" className="revision-select" onClick={() => showDiff(revision)}>
+                <span className="revision-number">#{revision.revision}</span>
+                <span className="revision-summary">{describeRevision(revision)}</span>
+                <span className="revision-meta">
+                  {revision.username} · {new Date(revision.createdAt).toLocaleString()}
+                </span>
+              </button>
+              {revision.revision !== currentRevision && (
+                <button
+                  type="button"
+                  className="revision-restore"
+                  onClick={() => handleRestore(revision)}
+                  disabled={restoring}
+                >
+                  Restore
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+        
+        <div className="revision-diff">
+          {!selected && <p className="revision-hint">Select a revision to see what changed.</p>}
+          {selected && selected.revision <= 1 && (
+            <p className="revision-hint">This is the first revision of the entry.</p>
+          )}
+          {diffLoading && <div className="loading">Loading changes...</div>}
+          
+          {diff && (
+            <>
+              <h3>Changes from #{diff.from.revision} to #{diff.to.revision}</h3>
+              
+              {diff.fields.images && (
+                <div className="diff-field">
+                  <span className="diff-field-label">{FIELD_LABELS.images}</span>
+                  <span>{describeImageChanges(diff.fields.images)}</span>
+                </div>
+              )}
+              
+              {diff.changedFields.filter(field => field !== 'content' && field !== 'images').map(field => (
+                <div key={field} className="diff-field">
+                  <span className="diff-field-label">{FIELD_LABELS[field] || field}</span>
+                  <span className="diff-removed">{formatValue(diff.fields[field].from)}</span>
+                  <span className="diff-arrow">→</span>
+                  <span className="diff-added">{formatValue(diff.fields[field].to)}</span>
+                </div>
+              ))}
+              
+              {diff.fields.content && (
+                <table className="diff-table">
+                  <thead>
+                    <tr>
+                      <th colSpan="2">Revision #{diff.from.revision}</th>
+                      <th colSpan="2">Revision #{diff.to.revision}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {diff.fields.content.rows.map((row, index) => (
+                      <tr key={index} className={`diff-row diff-row-${row.type}`}>
+                        <td className="diff-line-number">{row.left ? row.left.number : ''}</td>
+                        <td className="diff-line diff-left">{row.left ? row.left.text : ''}</td>
+                        <td className="diff-line-number">{row.right ? row.right.number : ''}</td>
+                        <td className="diff-line diff-right">{row.right ? row.right.text : ''}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default RevisionHistory;
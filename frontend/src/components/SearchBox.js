@@ -0,0 +1,228 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { API } from 'aws-amplify';
+import { useNavigate } from 'react-router-dom';
+import Highlighted from './Highlighted';
+import '../styles/SearchBox.css';
+
+// Wait this long after the last keystroke before asking for suggestions
+const SUGGEST_DELAY_MS = 250;
+
+// Suggestions start at two letters, like the API's
+const MIN_PREFIX_LENGTH = 2;
+
+// How a recent search reads in the list, e.g. "alps tag:travel"
+const describeSearch = (search) =>
+  [search.q, ...Object.entries(search.filters || {}).map(([name, value]) => `${name}:${value}`)]
+    .filter(Boolean)
+    .join(' ');
+
+/**
+ * Search input with search-as-you-type: while typing it suggests post titles
+ * (opening the post) and tags (searching for the tag); when empty it lists the
+ * user's recent searches. Arrow keys move through the list, Enter picks the
+ * highlighted entry and Escape closes it.
+ */
+const SearchBox = ({ value, onChange, onSearchTag, onOpenRecent }) => {
+  const [suggestions, setSuggestions] = useState({ titles: [], tags: [] });
+  const [recentSearches, setRecentSearches] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const navigate = useNavigate();
+
+  const prefix = value.trim();
+
+  // Ask for suggestions once typing pauses; a newer prefix discards older answers
+  useEffect(() => {
+    if (prefix.length < MIN_PREFIX_LENGTH) {
+      setSuggestions({ titles: [], tags: [] });
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await API.get('blogApi', `/blogs/search/suggest?prefix=${encodeURIComponent(prefix)}`);
+        if (!cancelled) {
+          setSuggestions({ titles: response.titles || [], tags: response.tags || [] });
+        }
+      } catch (err) {
+        console.error('Error loading search suggestions:', err);
+      }
+    }, SUGGEST_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [prefix]);
+
+  const fetchRecentSearches = useCallback(async () => {
+    try {
+      const response = await API.get('blogApi', '/me/recent-searches');
+      setRecentSearches(response.items || []);
+    } catch (err) {
+      console.error('Error loading recent searches:', err);
+    }
+  }, []);
+
+  // Everything the list shows, in keyboard order
+  const options = prefix
+    ? [
+      ...suggestions.titles.map(title => ({ type: 'title', key: `title-${title.blogId}`, ...title })),
+      ...suggestions.tags.map(tag => ({ type: 'tag', key: `tag-${tag.value}`, ...tag }))
+    ]
+    : recentSearches.map(search => ({ type: 'recent', key: `recent-${search.searchKey}`, ...search }));
+
+  // The list changes as suggestions arrive; start over from the input
+  useEffect(() => {
+    setActiveIndex(-1);
+  }, [suggestions, recentSearches, prefix]);
+
+  const close = () => {
+    setOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const select = (option) => {
+    close();
+    if (option.type === 'title') {
+      navigate(`/blog/${option.blogId}`);
+    } else if (option.type === 'tag') {
+      onSearchTag(option.value);
+    } else {
+      onOpenRecent(option.searchKey);
+    }
+  };
+
+  const handleFocus = () => {
+    setOpen(true);
+    fetchRecentSearches();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setOpen(true);
+      setActiveIndex(index => (options.length === 0 ? -1 : (index + 1) % options.length));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => (index <= 0 ? options.length - 1 : index - 1));
+    } else if (e.key === 'Enter') {
+      // Without a highlighted entry Enter submits the form as usual
+      if (open && activeIndex >= 0 && options[activeIndex]) {
+        e.preventDefault();
+        select(options[activeIndex]);
+      } else {
+        close();
+      }
+    } else if (e.key === 'Escape') {
+      close();
+    }
+  };
+
+  const removeRecentSearch = async (searchKey) => {
+    try {
+      await API.del('blogApi', `/me/recent-searches?searchKey=${encodeURIComponent(searchKey)}`);
+      setRecentSearches(searches => searches.filter(search => search.searchKey !== searchKey));
+    } catch (err) {
+      console.error('Error removing recent search:', err);
+    }
+  };
+
+  const clearRecentSearches = async () => {
+    try {
+      await API.del('blogApi', '/me/recent-searches');
+      setRecentSearches([]);
+    } catch (err) {
+      console.error('Error clearing recent searches:', err);
+    }
+  };
+
+  const showList = open && options.length > 0;
+
+  return (
+    <div className="search-box">
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={handleFocus}
+        onBlur={close}
+        onKeyDown={handleKeyDown}
+        placeholder='Search by title, content, or tags... e.g. tag:travel "exact phrase" -work'
+        className="search-input"
+        role="combobox"
+        aria-expanded={showList}
+        aria-controls="search-suggestions"
+        aria-autocomplete="list"
+        aria-activedescendant={activeIndex >= 0 ? `search-option-${activeIndex}` : undefined}
+      />
+
+      {showList && (
+        // Keep the focus in the input while clicking an entry, so blur doesn't close the list first
+        <div className="search-suggestions" onMouseDown={(e) => e.preventDefault()}>
+          {!prefix && (
+            <div className="search-suggestions-header">
+              <span>Recent searches</span>
+              <button type="button" className="clear-recent-button" onClick={clearRecentSearches}>
+                Clear
+              </button>
+            </div>
+          )}
+          <ul id="search-suggestions" role="listbox">
+            {options.map((option, index) => (
+              <li
+                key={option.key}
+                id={`search-option-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                className={`search-suggestion${index === activeIndex ? ' active' : ''}`}
+                onClick={() => select(option)}
+                onMouseEnter={() => setActiveIndex(index)}
+              >
+                {option.type === 'title' && (
+                  <>
+                    <span className="suggestion-kind">Post</span>
+                    <span className="suggestion-text">
+                      <Highlighted text={option.title} ranges={[option.highlight]} />
+                    </span>
+                  </>
+                )}
+                {option.type === 'tag' && (
+                  <>
+                    <span className="suggestion-kind">Tag</span>
+                    <span className="suggestion-text">
+                      <Highlighted text={option.value} ranges={[option.highlight]} />
+                    </span>
+                    <span className="suggestion-count">{option.count}</span>
+                  </>
+                )}
+                {option.type === 'recent' && (
+                  <>
+                    <span className="suggestion-text">{describeSearch(option)}</span>
+                    <button
+                      type="button"
+                      className="remove-recent-button"
+                      aria-label="Remove from recent searches"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        removeRecentSearch(option.searchKey);
+                      }}
+                    >
+                      ×
+                    </button>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
@@ -0,0 +1,204 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { API } from 'aws-amplify';
+import '../styles/SharePanel.css';
+
+const PERMISSION_LABELS = {
+  read: 'Can read',
+  comment: 'Can comment'
+};
+
+/**
+ * Owner-only panel for sharing an entry with other users: add people by email
+ * with read or comment access and an optional expiry date, and revoke access.
+ * Shares only take effect while the entry's visibility is "shared" or "public".
+ */
+const SharePanel = ({ blog, onVisibilityChanged }) => {
+  const [shares, setShares] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [email, setEmail] = useState('');
+  const [permission, setPermission] = useState('read');
+  const [expiresOn, setExpiresOn] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isPrivate = blog.visibility === 'private';
+
+  const fetchShares = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await API.get('blogApi', `/blogs/${blog.blogId}/shares`);
+      setShares(response.items);
+    } catch (err) {
+      console.error('Error loading shares:', err);
+      setError('Failed to load who this entry is shared with.');
+    } finally {
+      setLoading(false);
+    }
+  }, [blog.blogId]);
+
+  useEffect(() => {
+    if (!isPrivate) {
+      fetchShares();
+    }
+  }, [isPrivate, fetchShares]);
+
+  const errorMessage = (err, fallback) =>
+    (err.response && err.response.data && err.response.data.message) || fallback;
+
+  const handleMakeShared = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      await API.put('blogApi', `/blogs/${blog.blogId}`, {
+        body: { visibility: 'shared', expectedVersion: blog.version }
+      });
+      onVisibilityChanged();
+    } catch (err) {
+      console.error('Error changing visibility:', err);
+      if (err.response && err.response.status === 409) {
+        setError('This entry was changed somewhere else. Reload the page and try again.');
+      } else {
+        setError(errorMessage(err, 'Failed to change the visibility. Please try again.'));
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleShare = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError(null);
+      const body = { email: email.trim(), permission };
+      if (expiresOn) {
+        // The share lasts until the end of the chosen day in the browser's timezone
+        body.expiresAt = new Date(`${expiresOn}T23:59:59`).toISOString();
+      }
+      const grant = await API.post('blogApi', `/blogs/${blog.blogId}/shares`, { body });
+      setShares(current => [
+        ...current.filter(share => share.granteeUserId !== grant.granteeUserId),
+        grant
+      ]);
+      setEmail('');
+      setExpiresOn('');
+    } catch (err) {
+      console.error('Error sharing entry:', err);
+      setError(errorMessage(err, 'Failed to share this entry. Please try again.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (share) => {
+    try {
+      setSaving(true);
+      setError(null);
+      await API.del('blogApi', `/blogs/${blog.blogId}/shares`, {
+        queryStringParameters: { userId: share.granteeUserId }
+      });
+      setShares(current => current.filter(item => item.granteeUserId !== share.granteeUserId));
+    } catch (err) {
+      console.error('Error revoking share:', err);
+      setError(errorMessage(err, 'Failed to stop sharing. Please try again.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleDateString();
+
+  // Expiry dates can't be in the past
+  const today = new Date().toISOString().slice(0, 10);
+
+  return (
+    <section className="share-panel">
+      <h2>Share</h2>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {isPrivate ? (
+        <div className="share-private">
+          <p>This entry is private, so only you can see it. Make it shared to choose who else can read it.</p>
+          <button type="button" className="share-button" onClick={handleMakeShared} disabled={saving}>
+            {saving ? 'Saving...' : 'Make Shared'}
+          </button>
+        </div>
+      ) : (
+        <>
+          {blog.visibility === 'public' && (
+            <p className="share-hint">
+              Everyone can already read this entry. Sharing it lets specific people comment on it.
+            </p>
+          )}
+
+          <form className="share-form" onSubmit={handleShare}>
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="friend@example.com"
+              aria-label="Email address"
+              required
+              disabled={saving}
+            />
+            <select
+              value={permission}
+              onChange={(e) => setPermission(e.target.value)}
+              aria-label="Permission"
+              disabled={saving}
+            >
+              <option value="read">{PERMISSION_LABELS.read}</option>
+              <option value="comment">{PERMISSION_LABELS.comment}</option>
+            </select>
+            <label className="share-expiry">
+              Until
+              <input
+                type="date"
+                value={expiresOn}
+                min={today}
+                onChange={(e) => setExpiresOn(e.target.value)}
+                disabled={saving}
+              />
+            </label>
+            <button type="submit" className="share-button" disabled={saving || !email.trim()}>
+              Share
+            </button>
+          </form>
+
+          {loading ? (
+            <div className="loading">Loading...</div>
+          ) : shares.length === 0 ? (
+            <p className="share-hint">This entry isn't shared with anyone yet.</p>
+          ) : (
+            <ul className="share-list">
+              {shares.map(share => (
+                <li key={share.granteeUserId} className="share-item">
+                  <div className="share-grantee">
+                    <strong>{share.granteeUsername}</strong>
+                    <span>{share.granteeEmail}</span>
+                  </div>
+                  <span className="share-permission">{PERMISSION_LABELS[share.permission] || share.permission}</span>
+                  <span className="share-expires">
+                    {share.expiresAt ? `Until ${formatDate(share.expiresAt)}` : 'No expiry'}
+                  </span>
+                  <button
+                    type="button"
+                    className="share-revoke"
+                    onClick={() => handleRevoke(share)}
+                    disabled={saving}
+                  >
+                    Revoke
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </section>
+  );
+};
+
+export default SharePanel;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { API, Auth } from 'aws-amplify';
+import { Link } from 'react-router-dom';
 import '../styles/AdminPage.css';
 
 const AdminPage = () => {
@@ -7,9 +8,13 @@ const AdminPage = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [actionInProgress, setActionInProgress] = useState(false);
+  const [reportedComments, setReportedComments] = useState([]);
+  const [commentsLoading, setCommentsLoading] = useState(true);
+  const [commentsError, setCommentsError] = useState(null);
 
   useEffect(() => {
     fetchPendingUsers();
+    fetchReportedComments();
   }, []);
 
   const fetchPendingUsers = async () => {
@@ -30,6 +35,38 @@ const AdminPage = () => {
     }
   };
 
+  const fetchReportedComments = async () => {
+    try {
+      setCommentsLoading(true);
+      const response = await API.get('blogApi', '/admin/comments');
+      setReportedComments(response.items || []);
+      setCommentsError(null);
+    } catch (err) {
+      console.error('Error fetching reported comments:', err);
+      setCommentsError('Failed to load reported comments. Please try again later.');
+    } finally {
+      setCommentsLoading(false);
+    }
+  };
+
+  const handleCommentAction = async (comment, action) => {
+    try {
+      setActionInProgress(true);
+      
+      await API.post('blogApi', `/admin/comments/${comment.blogId}/${comment.commentId}`, {
+        body: { action } // 'dismiss' or 'remove'
+      });
+      
+      // Either way the comment leaves the queue
+      setReportedComments(current => current.filter(item => item.commentId !== comment.commentId));
+    } catch (err) {
+      console.error(`Error moderating comment (${action}):`, err);
+      setCommentsError('Failed to moderate the comment. Please try again.');
+    } finally {
+      setActionInProgress(false);
+    }
+  };
+
   const handleUserAction = async (username, action) => {
     try {
       setActionInProgress(true);
@@ -109,6 +146,62 @@ const AdminPage = () => {
           )}
         </section>
         
+        <section className="admin-section">
+          <h2>Reported Comments</h2>
+          
+          {commentsError && <div className="error-message">{commentsError}</div>}
+          
+          {commentsLoading ? (
+            <div className="loading">Loading...</div>
+          ) : reportedComments.length > 0 ? (
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>Comment</th>
+                  <th>Author</th>
+                  <th>Entry</th>
+                  <th>Reports</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {reportedComments.map(comment => (
+                  <tr key={comment.commentId}>
+                    <td className="reported-comment">{comment.content}</td>
+                    <td>{comment.username}</td>
+                    <td>
+                      <Link to={`/blog/${comment.blogId}`}>{comment.blogTitle || 'Untitled'}</Link>
+                    </td>
+                    <td>
+                      {comment.reportCount} (last {new Date(comment.reportedAt).toLocaleDateString()})
+                    </td>
+                    <td className="action-buttons">
+                      <button
+                        onClick={() => handleCommentAction(comment, 'dismiss')}
+                        className="approve-button"
+                        disabled={actionInProgress}
+                      >
+                        Keep
+                      </button>
+                      <button
+                        onClick={() => handleCommentAction(comment, 'remove')}
+                        className="reject-button"
+                        disabled={actionInProgress}
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="no-users">
+              <p>No reported comments.</p>
+            </div>
+          )}
+        </section>
+        
         {/* Additional admin sections can be added here */}
       </div>
     </div>
@@ -1,63 +1,150 @@
-import React, { useState, useEffect } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import { API } from 'aws-amplify';
+import { useAuth } from '../context/AuthContext';
+import RevisionHistory from '../components/RevisionHistory';
+import MediaImage from '../components/MediaImage';
+import ImageGalleryEditor from '../components/ImageGalleryEditor';
+import PostContent from '../components/PostContent';
+import SharePanel from '../components/SharePanel';
+import LinkPanel from '../components/LinkPanel';
+import CommentThread from '../components/CommentThread';
+import ReactionBar from '../components/ReactionBar';
 import '../styles/BlogPage.css';
+import '../styles/NotFoundPage.css';
+
+const VISIBILITY_LABELS = {
+  private: 'Private',
+  shared: 'Shared',
+  unlisted: 'Unlisted',
+  public: 'Public'
+};
 
 const BlogPage = () => {
   const { id } = useParams();
+  const navigate = useNavigate();
   const [blog, setBlog] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-
-  useEffect(() => {
-    fetchBlog();
-  }, [id]);
-
-  const fetchBlog = async () => {
+  // 'forbidden' or 'notFound' when blog/get refuses the post
+  const [accessError, setAccessError] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [editingPhotos, setEditingPhotos] = useState(false);
+  const [showSharing, setShowSharing] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+  const { user } = useAuth();
+  
+  const fetchBlog = useCallback(async () => {
     try {
       setLoading(true);
-      
-      // In a real implementation, you would fetch the blog post from the API
-      // For now, we'll simulate a blog post
-      const mockBlog = {
-        blogId: id,
-        title: 'Sample Blog Post',
-        content: 'This is a sample blog post content. In a real implementation, this would be fetched from the API.',
-        username: 'sampleuser',
-        createdAt: new Date().toISOString(),
-        imageUrl: null
-      };
-      
-      setBlog(mockBlog);
+      const response = await API.get('blogApi', `/blogs/${id}`);
+      setBlog(response);
+      setAccessError(null);
       setError(null);
     } catch (err) {
       console.error('Error fetching blog:', err);
-      setError('Failed to load blog post. Please try again later.');
+      const status = err.response && err.response.status;
+      setBlog(null);
+      
+      // Signed-out visitors are rejected by the authorizer before blog/get runs
+      if (status === 401 || status === 403) {
+        setAccessError('forbidden');
+      } else if (status === 404) {
+        setAccessError('notFound');
+      } else {
+        setError('Failed to load blog post. Please try again later.');
+      }
     } finally {
       setLoading(false);
     }
+  }, [id]);
+  
+  useEffect(() => {
+    fetchBlog();
+  }, [fetchBlog]);
+  
+  // Reload after saving photos so the page gets fresh signed URLs and the new version
+  const handlePhotosSaved = () => {
+    setEditingPhotos(false);
+    fetchBlog();
   };
-
+  
+  const handleDelete = async () => {
+    if (!window.confirm(`Move "${blog.title}" to the trash? You can restore it from the Trash page until it is purged.`)) {
+      return;
+    }
+    
+    try {
+      setDeleting(true);
+      await API.del('blogApi', `/blogs/${id}`);
+      navigate('/trash');
+    } catch (err) {
+      console.error('Error deleting blog:', err);
+      setError('Failed to delete this entry. Please try again.');
+      setDeleting(false);
+    }
+  };
+  
   const formatDate = (dateString) => {
     const options = { year: 'numeric', month: 'long', day: 'numeric' };
     return new Date(dateString).toLocaleDateString(undefined, options);
   };
-
+  
   if (loading) {
     return <div className="loading">Loading...</div>;
   }
-
-  if (error) {
-    return <div className="error-message">{error}</div>;
+  
+  if (accessError === 'forbidden') {
+    return (
+      <div className="not-found-page">
+        <div className="container">
+          <div className="not-found-content">
+            <h1>403</h1>
+            <h2>This entry is private</h2>
+            <p>
+              {user
+                ? "The author hasn't shared this entry with you."
+                : 'Log in to see entries that have been shared with you.'}
+            </p>
+            <Link to={user ? '/' : '/login'} className="home-link">
+              {user ? 'Go to Homepage' : 'Log In'}
+            </Link>
+          </div>
+        </div>
+      </div>
+    );
   }
-
+  
+  if (accessError === 'notFound') {
+    return (
+      <div className="not-found-page">
+        <div className="container">
+          <div className="not-found-content">
+            <h1>404</h1>
+            <h2>Entry Not Found</h2>
+            <p>This entry doesn't exist, was deleted, or hasn't been published yet.</p>
+            <Link to="/" className="home-link">
+              Go to Homepage
+            </Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+  
   if (!blog) {
-    return <div className="not-found">Blog post not found</div>;
+    return <div className="error-message">{error}</div>;
   }
-
+  
+  // Only the author gets edit, delete, photo, sharing, history and comment settings actions
+  const isOwner = Boolean(user && user.attributes && user.attributes.sub === blog.userId);
+  const status = blog.status || 'PUBLISHED';
+  
   return (
     <div className="blog-page">
       <div className="container">
+        {error && <div className="error-message">{error}</div>}
+        
         <article className="blog-article">
           <header className="blog-header">
             <h1 className="blog-title">{blog.title}</h1>
@@ -65,29 +152,104 @@ const BlogPage = () => {
               <span className="blog-author">By {blog.username}</span>
               <span className="blog-date">{formatDate(blog.createdAt)}</span>
             </div>
+            <div className="blog-details">
+              {status !== 'PUBLISHED' && (
+                <span className={`blog-status status-${status.toLowerCase()}`}>{status.toLowerCase()}</span>
+              )}
+              {blog.visibility && (
+                <span className={`blog-visibility visibility-${blog.visibility}`}>
+                  {VISIBILITY_LABELS[blog.visibility] || blog.visibility}
+                </span>
+              )}
+              {blog.mood && <span className="blog-mood">Feeling {blog.mood.toLowerCase()}</span>}
+            </div>
+            {blog.tags && blog.tags.length > 0 && (
+              <ul className="blog-tags">
+                {blog.tags.map(tag => (
+                  <li key={tag} className="blog-tag">#{tag}</li>
+                ))}
+              </ul>
+            )}
           </header>
           
-          {blog.imageUrl && (
-            <div className="blog-image">
-              <img 
-                src={`/api/media/${blog.imageUrl}`} 
-                alt={blog.title} 
+          {blog.images && blog.images.map((image, index) => (
+            <figure key={image.key} className="blog-image">
+              <MediaImage
+                blog={blog}
+                imageKey={image.key}
+                size="medium"
+                alt={image.altText || `${blog.title} (${index + 1})`}
               />
-            </div>
-          )}
+              {image.caption && <figcaption className="blog-image-caption">{image.caption}</figcaption>}
+            </figure>
+          ))}
           
-          <div className="blog-content">
-            {blog.content.split('\\n').map((paragraph, index) => (
-              <p key={index}>{paragraph}</p>
-            ))}
-          </div>
+          <PostContent content={blog.content} className="blog-content" />
+          
+          <ReactionBar blog={blog} />
         </article>
         
+        {isOwner && editingPhotos && (
+          <ImageGalleryEditor
+            blog={blog}
+            onSaved={handlePhotosSaved}
+            onCancel={() => setEditingPhotos(false)}
+          />
+        )}
+        
+        {/* Unlisted entries are shared through links instead of per-user grants */}
+        {isOwner && showSharing && (blog.visibility === 'unlisted'
+          ? <LinkPanel blog={blog} />
+          : <SharePanel blog={blog} onVisibilityChanged={fetchBlog} />
+        )}
+        
+        {isOwner && showHistory && (
+          <RevisionHistory blogId={id} onRestore={fetchBlog} />
+        )}
+        
         <div className="blog-actions">
           <Link to="/" className="back-link">
             Back to Home
           </Link>
+          {isOwner && (
+            <div className="owner-actions">
+              <Link to={`/edit/${blog.blogId}`} className="owner-action">
+                Edit
+              </Link>
+              <button
+                type="button"
+                className="owner-action"
+                onClick={() => setEditingPhotos(!editingPhotos)}
+              >
+                {editingPhotos ? 'Done Editing Photos' : 'Edit Photos'}
+              </button>
+              <button
+                type="button"
+                className="owner-action"
+                onClick={() => setShowSharing(!showSharing)}
+              >
+                {showSharing ? 'Hide Sharing' : 'Share'}
+              </button>
+              <button
+                type="button"
+                className="owner-action"
+                onClick={() => setShowHistory(!showHistory)}
+              >
+                {showHistory ? 'Hide History' : 'Show History'}
+              </button>
+              <button
+                type="button"
+                className="delete-button"
+                onClick={handleDelete}
+                disabled={deleting}
+              >
+                {deleting ? 'Deleting...' : 'Delete'}
+              </button>
+            </div>
+          )}
         </div>
+        
+        <CommentThread blog={blog} isOwner={isOwner} onSettingsChanged={fetchBlog} />
       </div>
     </div>
   );
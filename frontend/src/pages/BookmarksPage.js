@@ -0,0 +1,107 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { API } from 'aws-amplify';
+import MediaImage from '../components/MediaImage';
+import { ReactionCounts } from '../components/ReactionBar';
+import '../styles/BookmarksPage.css';
+
+const BookmarksPage = () => {
+  const [items, setItems] = useState([]);
+  const [nextToken, setNextToken] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchBookmarks = useCallback(async (token) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const query = token ? `?nextToken=${token}` : '';
+      const response = await API.get('blogApi', `/me/bookmarks${query}`);
+      setItems(prev => (token ? [...prev, ...response.items] : response.items));
+      setNextToken(response.nextToken || null);
+    } catch (err) {
+      console.error('Error loading bookmarks:', err);
+      setError('Failed to load your bookmarks. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchBookmarks();
+  }, [fetchBookmarks]);
+
+  const handleRemove = async (blog) => {
+    try {
+      setBusyId(blog.blogId);
+      setError(null);
+      await API.del('blogApi', `/blogs/${blog.blogId}/bookmark`);
+      setItems(prev => prev.filter(item => item.blogId !== blog.blogId));
+    } catch (err) {
+      console.error('Error removing bookmark:', err);
+      setError(`Failed to remove "${blog.title}" from your bookmarks. Please try again.`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    const options = { year: 'numeric', month: 'long', day: 'numeric' };
+    return new Date(dateString).toLocaleDateString(undefined, options);
+  };
+
+  return (
+    <div className="bookmarks-page">
+      <h1>Bookmarks</h1>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {!loading && items.length === 0 && !error && (
+        <p className="bookmarks-empty">You haven't bookmarked any entries yet.</p>
+      )}
+
+      <ul className="bookmarks-list">
+        {items.map(blog => (
+          <li key={blog.blogId} className="bookmark-item">
+            {blog.images && blog.images.length > 0 && (
+              <MediaImage
+                blog={blog}
+                imageKey={blog.images[0].key}
+                size="thumbnail"
+                alt={blog.images[0].altText || blog.title}
+                className="bookmark-thumbnail"
+              />
+            )}
+            <div className="bookmark-details">
+              <h3>
+                <Link to={`/blog/${blog.blogId}`}>{blog.title}</Link>
+              </h3>
+              <p className="bookmark-meta">
+                By {blog.username} &middot; Bookmarked {formatDate(blog.bookmarkedAt)}
+              </p>
+              <ReactionCounts counts={blog.reactionCounts} />
+            </div>
+            <button
+              className="bookmark-remove"
+              onClick={() => handleRemove(blog)}
+              disabled={busyId === blog.blogId}
+            >
+              Remove
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {loading && <div className="loading">Loading...</div>}
+
+      {!loading && nextToken && (
+        <button className="load-more-button" onClick={() => fetchBookmarks(nextToken)}>
+          Load more
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default BookmarksPage;
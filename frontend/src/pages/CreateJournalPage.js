@@ -1,137 +1,524 @@
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
 import { API, Storage } from 'aws-amplify';
+import { useAuth } from '../context/AuthContext';
 import SimpleTextEditor from '../components/SimpleTextEditor';
+import ConflictDialog from '../components/ConflictDialog';
+import MediaImage from '../components/MediaImage';
+import { validateBody, formatErrors } from '../validation';
 import '../styles/CreateJournalPage.css';
+import config from '../config';
 
 const MOOD_OPTIONS = [
   'Happy', 'Excited', 'Grateful', 'Relaxed', 'Content',
   'Neutral', 'Tired', 'Anxious', 'Sad', 'Frustrated'
 ];
 
+// Upload limits (the media/upload-url function enforces the same ones)
+const ACCEPTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024;
+const MAX_IMAGES_PER_SAVE = 10;
+
+// Fields an update sends only when they differ from the saved entry
+const EDITABLE_FIELDS = ['title', 'content', 'visibility', 'tags', 'mood'];
+
+/**
+ * The editable fields of an entry as the API stores them
+ */
+const entryValues = (entry) => ({
+  title: entry.title,
+  content: entry.content,
+  visibility: entry.visibility || 'private',
+  tags: entry.tags || [],
+  mood: entry.mood || null
+});
+
+/**
+ * Formats a timestamp for a datetime-local input, which works in the browser's timezone
+ */
+const toDateTimeLocal = (isoString) => {
+  const date = new Date(isoString);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+/**
+ * Uploads a file straight to S3 with a presigned POST from /media/upload-url
+ * Uses XMLHttpRequest because fetch can't report upload progress
+ */
+const uploadToS3 = (upload, file, onProgress) => new Promise((resolve, reject) => {
+  const formData = new FormData();
+  Object.entries(upload.post.fields).forEach(([name, value]) => formData.append(name, value));
+  // S3 ignores any form fields after the file, so it has to come last
+  formData.append('file', file);
+  
+  const xhr = new XMLHttpRequest();
+  xhr.open('POST', upload.post.url);
+  xhr.upload.onprogress = (event) => {
+    if (event.lengthComputable) {
+      onProgress(Math.round((event.loaded / event.total) * 100));
+    }
+  };
+  xhr.onload = () => {
+    if (xhr.status >= 200 && xhr.status < 300) {
+      resolve(upload.key);
+    } else {
+      reject(new Error(`Upload of ${file.name} failed with status ${xhr.status}`));
+    }
+  };
+  xhr.onerror = () => reject(new Error(`Upload of ${file.name} failed`));
+  xhr.send(formData);
+});
+
+/**
+ * Journal editor for new entries (/create) and existing ones (/edit/:id)
+ */
 const CreateJournalPage = () => {
+  // Set when editing an existing entry
+  const { id } = useParams();
+  const { user } = useAuth();
   const [title, setTitle] = useState('');
   const [content, setContent] = useState('');
+  // Photos picked for upload: { id, file, preview, progress, status }
   const [images, setImages] = useState([]);
-  const [imagePreviews, setImagePreviews] = useState([]);
   const [tags, setTags] = useState('');
   const [mood, setMood] = useState('');
   const [visibility, setVisibility] = useState('private');
-  const [sharedWith, setSharedWith] = useState('');
+  const [publishAt, setPublishAt] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  
+  // Set once the entry has been saved so later saves update it instead of creating a new one
+  // version is what the server last confirmed; it guards against overwriting edits made elsewhere
+  const [blogId, setBlogId] = useState(null);
+  const [version, setVersion] = useState(null);
+  const [conflict, setConflict] = useState(null);
+  const [mergeReference, setMergeReference] = useState(null);
+  const [editorKey, setEditorKey] = useState(0);
+  
+  // Latest copy of the entry from the server; updates only send what differs from it
+  const [serverEntry, setServerEntry] = useState(null);
+  // Photos already on the entry that will be deleted on the next save
+  const [removedImageKeys, setRemovedImageKeys] = useState([]);
+  const [loadingEntry, setLoadingEntry] = useState(Boolean(id));
+  const [loadError, setLoadError] = useState(null);
   
   const navigate = useNavigate();
+  
+  useEffect(() => {
+    if (!id) {
+      return;
+    }
+    
+    setLoadingEntry(true);
+    loadEntry(id)
+      .catch(err => {
+        console.error('Error loading journal entry:', err);
+        const status = err.response && err.response.status;
+        setLoadError(status === 404 || status === 403
+          ? "This entry doesn't exist or you don't have access to it."
+          : 'Failed to load this entry. Please try again later.');
+      })
+      .finally(() => setLoadingEntry(false));
+  }, [id]);
+  
+  /**
+   * Loads an entry and remembers it as the saved state
+   * Fills the form from it unless keepForm is set (when resolving a conflict
+   * the user's unsaved values stay in the form)
+   */
+  const loadEntry = async (entryId, { keepForm = false } = {}) => {
+    const entry = await API.get('blogApi', `/blogs/${entryId}`);
+    setServerEntry(entry);
+    setBlogId(entry.blogId);
+    setVersion(entry.version);
+    setRemovedImageKeys(keys => keys.filter(key => entry.images.some(image => image.key === key)));
+    
+    if (!keepForm) {
+      setTitle(entry.title || '');
+      setContent(entry.content || '');
+      setTags((entry.tags || []).join(', '));
+      setMood(entry.mood || '');
+      setVisibility(entry.visibility || 'private');
+      setPublishAt(entry.status === 'SCHEDULED' && entry.publishAt ? toDateTimeLocal(entry.publishAt) : '');
+      setEditorKey(key => key + 1);
+    }
+    
+    return entry;
+  };
 
   const handleImageChange = (e) => {
     const files = Array.from(e.target.files);
     
     if (files.length === 0) return;
     
-    // Validate file types
-    const invalidFiles = files.filter(file => !file.type.match('image.*'));
+    // Validate file types and sizes before anything is uploaded
+    const invalidFiles = files.filter(file => !ACCEPTED_IMAGE_TYPES.includes(file.type));
     if (invalidFiles.length > 0) {
-      setError('Please select only image files');
+      setError('Please select only JPEG, PNG, GIF or WebP images');
       return;
     }
     
-    // Process each file
-    const newImages = [...images];
-    const newPreviews = [...imagePreviews];
+    const largeFiles = files.filter(file => file.size > MAX_IMAGE_SIZE);
+    if (largeFiles.length > 0) {
+      setError(`Photos must be smaller than ${MAX_IMAGE_SIZE / (1024 * 1024)} MB: ${largeFiles.map(file => file.name).join(', ')}`);
+      return;
+    }
     
-    files.forEach(file => {
-      const reader = new FileReader();
-      reader.onload = () => {
-        newImages.push(reader.result);
-        newPreviews.push(reader.result);
-        setImages([...newImages]);
-        setImagePreviews([...newPreviews]);
-      };
-      reader.readAsDataURL(file);
-    });
+    if (images.length + files.length > MAX_IMAGES_PER_SAVE) {
+      setError(`You can add up to ${MAX_IMAGES_PER_SAVE} photos at a time`);
+      return;
+    }
+    
+    // Object URLs preview the files without reading them into memory
+    const newImages = files.map(file => ({
+      id: `${file.name}-${file.lastModified}-${Math.random()}`,
+      file,
+      preview: URL.createObjectURL(file),
+      progress: 0,
+      status: 'pending'
+    }));
+    
+    setImages([...images, ...newImages]);
+    setError(null);
+    
+    // Allow the same file to be picked again after removing it
+    e.target.value = '';
   };
   
   const removeImage = (index) => {
     const newImages = [...images];
-    const newPreviews = [...imagePreviews];
-    newImages.splice(index, 1);
-    newPreviews.splice(index, 1);
+    const [removed] = newImages.splice(index, 1);
+    URL.revokeObjectURL(removed.preview);
     setImages(newImages);
-    setImagePreviews(newPreviews);
+  };
+  
+  const updateImage = (id, changes) => {
+    setImages(current => current.map(image => (image.id === id ? { ...image, ...changes } : image)));
+  };
+  
+  const clearImages = () => {
+    images.forEach(image => URL.revokeObjectURL(image.preview));
+    setImages([]);
+  };
+  
+  /**
+   * Uploads the pending photos of a saved entry and attaches them to it
+   * Photos go straight to S3; only their keys pass through the API
+   * Returns the entry version after the photos were attached
+   */
+  const uploadImages = async (savedBlogId, savedVersion) => {
+    const pending = images.filter(image => image.status !== 'done');
+    if (pending.length === 0) {
+      return savedVersion;
+    }
+    
+    const { uploads } = await API.post('blogApi', '/media/upload-url', {
+      body: {
+        blogId: savedBlogId,
+        files: pending.map(({ file }) => ({ name: file.name, contentType: file.type, size: file.size }))
+      }
+    });
+    
+    pending.forEach(image => updateImage(image.id, { status: 'uploading', progress: 0 }));
+    
+    // Upload in parallel; a failed photo doesn't stop the others
+    const keys = await Promise.all(uploads.map((upload, index) => {
+      const image = pending[index];
+      return uploadToS3(upload, image.file, progress => updateImage(image.id, { progress }))
+        .then(key => {
+          updateImage(image.id, { status: 'done', progress: 100 });
+          return key;
+        })
+        .catch(err => {
+          console.error('Error uploading photo:', err);
+          updateImage(image.id, { status: 'error' });
+          return null;
+        });
+    }));
+    
+    const uploadedKeys = keys.filter(Boolean);
+    let nextVersion = savedVersion;
+    
+    if (uploadedKeys.length > 0) {
+      const response = await API.post('blogApi', '/media/confirm', {
+        body: { blogId: savedBlogId, keys: uploadedKeys, expectedVersion: savedVersion }
+      });
+      nextVersion = response.version;
+    }
+    
+    if (uploadedKeys.length < uploads.length) {
+      // Keep the version in sync so retrying doesn't run into a conflict
+      setVersion(nextVersion);
+      throw new Error('Some photos failed to upload');
+    }
+    
+    return nextVersion;
   };
   
   const handleContentChange = (textContent) => {
     setContent(textContent);
   };
   
-  const handleSubmit = async (e) => {
+  // Saving an entry that's already there keeps its status (a draft stays a draft);
+  // Save Draft, Schedule and Publish are how it changes
+  const handleSubmit = (e) => {
     e.preventDefault();
+    saveEntry(serverEntry ? serverEntry.status : 'PUBLISHED');
+  };
+  
+  const saveEntry = async (status, expectedVersion = version, base = serverEntry) => {
+    // Scheduling needs a publish date that hasn't passed yet
+    if (status === 'SCHEDULED' && !(new Date(publishAt) > new Date())) {
+      setError('Please choose a future date and time to schedule this entry');
+      return;
+    }
+    
+    // Process tags
+    const tagArray = tags
+      .split(',')
+      .map(tag => tag.trim())
+      .filter(tag => tag.length > 0);
     
-    if (!title.trim()) {
-      setError('Title is required');
+    const journalData = {
+      title,
+      content,
+      visibility,
+      tags: tagArray,
+      mood: mood || null,
+      status,
+      // datetime-local values are in the browser's timezone; send UTC to the API
+      publishAt: status === 'SCHEDULED' ? new Date(publishAt).toISOString() : undefined
+    };
+    
+    // Entries that were already saved (e.g. as a draft) are updated in place
+    // The request is checked against the same schema the API checks it with
+    const request = blogId ? { ...buildUpdate(journalData, base), expectedVersion } : journalData;
+    const fieldErrors = validateBody(blogId ? 'updateBlog' : 'createBlog', request);
+    if (fieldErrors.length > 0) {
+      setError(formatErrors(fieldErrors));
       return;
     }
     
     try {
       setLoading(true);
       setError(null);
+      setNotice(null);
       
-      // Process tags
-      const tagArray = tags
-        .split(',')
-        .map(tag => tag.trim())
-        .filter(tag => tag.length > 0);
-      
-      // Process shared emails
-      const sharedEmails = visibility === 'shared' 
-        ? sharedWith.split(',').map(email => email.trim()).filter(email => email.length > 0)
-        : [];
-      
-      const journalData = {
-        title,
-        content,
-        imageBase64: images.length > 0 ? images : null,
-        visibility,
-        tags: tagArray,
-        mood: mood || null,
-        sharedWith: sharedEmails
-      };
+      let savedId = blogId;
       
       // If API is enabled, make the API call
-      if (window.config?.features?.apiEnabled) {
-        await API.post('blogApi', '/blogs', {
-          body: journalData
-        });
+      if (config.features.apiEnabled) {
+        const response = blogId
+          ? await API.put('blogApi', `/blogs/${blogId}`, { body: request })
+          : await API.post('blogApi', '/blogs', { body: request });
+        
+        // Remember the entry before uploading so a failed upload can be retried with an update
+        savedId = response.blogId;
+        setBlogId(response.blogId);
+        setVersion(response.version);
+        setRemovedImageKeys([]);
+        
+        try {
+          setVersion(await uploadImages(response.blogId, response.version));
+        } catch (uploadError) {
+          console.error('Error uploading photos:', uploadError);
+          setError('Your entry was saved, but some photos failed to upload. Save again to retry.');
+          return;
+        }
       } else {
         // Simulate successful API call
         console.log('Creating journal entry:', {
           ...journalData,
-          imageBase64: images.length > 0 ? `${images.length} images` : 'No images'
+          images: images.length > 0 ? `${images.length} images` : 'No images'
         });
         
         // Simulate a delay
         await new Promise(resolve => setTimeout(resolve, 1000));
       }
       
+      // Drafts keep the editor open so writing can continue
+      // Photos are attached to the entry now, so they don't get uploaded again;
+      // reloading shows them with the entry's other photos
+      if (status === 'DRAFT') {
+        clearImages();
+        if (config.features.apiEnabled) {
+          await loadEntry(savedId, { keepForm: true });
+        }
+        setNotice(`Draft saved at ${new Date().toLocaleTimeString()}.`);
+        return;
+      }
+      
       // Show success message
-      alert('Journal entry created successfully!');
+      const successMessages = {
+        DRAFT: 'Draft saved successfully!',
+        SCHEDULED: `Journal entry scheduled for ${new Date(publishAt).toLocaleString()}!`,
+        PUBLISHED: id ? 'Journal entry updated successfully!' : 'Journal entry created successfully!',
+        ARCHIVED: 'Journal entry updated successfully!'
+      };
+      alert(successMessages[status]);
       
-      // Navigate back to home
-      navigate('/');
+      // Edited entries go back to their page, new ones to home
+      navigate(id ? `/blog/${savedId}` : '/');
     } catch (err) {
+      // The entry was saved somewhere else since we loaded it; let the user decide how to merge
+      if (err.response && err.response.status === 409) {
+        setConflict({
+          status,
+          theirs: err.response.data.current,
+          theirVersion: err.response.data.currentVersion
+        });
+        return;
+      }
+      
+      // The API found something wrong with a field
+      if (err.response && err.response.status === 400 && err.response.data.errors) {
+        setError(formatErrors(err.response.data.errors));
+        return;
+      }
+      
       console.error('Error creating journal entry:', err);
       setError('Failed to create journal entry. Please try again.');
     } finally {
       setLoading(false);
     }
   };
+  
+  /**
+   * Builds a partial update with only the fields that differ from the saved entry
+   * Cleared fields are sent as empty values so the API removes them
+   * Without a saved copy (e.g. after a failed reload) everything is sent
+   */
+  const buildUpdate = (journalData, base) => {
+    if (!base) {
+      return journalData;
+    }
+    
+    const saved = entryValues(base);
+    const update = {};
+    
+    // The status is only sent when it changes, or when a scheduled entry gets a new date
+    const rescheduled = journalData.status === 'SCHEDULED'
+      && (!base.publishAt || toDateTimeLocal(journalData.publishAt) !== toDateTimeLocal(base.publishAt));
+    if (journalData.status !== base.status || rescheduled) {
+      update.status = journalData.status;
+      update.publishAt = journalData.publishAt;
+    }
+    
+    EDITABLE_FIELDS.forEach(field => {
+      if (JSON.stringify(journalData[field]) !== JSON.stringify(saved[field])) {
+        update[field] = journalData[field];
+      }
+    });
+    
+    // The image list replaces the current one, so removed photos are simply left out
+    if (removedImageKeys.length > 0) {
+      update.images = base.images
+        .filter(image => !removedImageKeys.includes(image.key))
+        .map(({ key, caption, altText }, order) => ({ key, caption, altText, order }));
+    }
+    
+    return update;
+  };
+  
+  // Conflict resolution: save again on top of the version that is on the server now
+  // Comparing against the latest copy makes every local value that differs from it win
+  const handleOverwrite = async () => {
+    const { status } = conflict;
+    setConflict(null);
+    try {
+      const latest = await loadEntry(blogId, { keepForm: true });
+      saveEntry(status, latest.version, latest);
+    } catch (err) {
+      console.error('Error loading journal entry:', err);
+      setError('Failed to load the saved version. Please try again.');
+    }
+  };
+  
+  // Conflict resolution: throw away local edits and continue from the saved version
+  const handleUseTheirs = async () => {
+    setConflict(null);
+    clearImages();
+    try {
+      await loadEntry(blogId);
+    } catch (err) {
+      console.error('Error loading journal entry:', err);
+      setError('Failed to load the saved version. Please try again.');
+    }
+  };
+  
+  // Conflict resolution: keep local edits and show the saved version alongside for reference
+  // The next save goes on top of the saved version, so the user is trusted to have merged it
+  const handleMerge = async () => {
+    setMergeReference(conflict.theirs);
+    setConflict(null);
+    try {
+      await loadEntry(blogId, { keepForm: true });
+    } catch (err) {
+      console.error('Error loading journal entry:', err);
+      setError('Failed to load the saved version. Please try again.');
+    }
+  };
+  
+  const toggleExistingImage = (key) => {
+    setRemovedImageKeys(keys => (keys.includes(key) ? keys.filter(k => k !== key) : [...keys, key]));
+  };
+  
+  const currentFormValues = () => ({
+    title,
+    content,
+    mood,
+    visibility,
+    tags: tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0)
+  });
+
+  if (loadingEntry) {
+    return <div className="loading">Loading...</div>;
+  }
+  
+  // blog/get also returns entries shared with the user, but only the author may edit
+  const notOwner = id && serverEntry && !(user && user.attributes && serverEntry.userId === user.attributes.sub);
+  
+  if (loadError || notOwner) {
+    return (
+      <div className="create-journal-page">
+        <div className="container">
+          <div className="error-message">{loadError || 'You can only edit your own entries.'}</div>
+        </div>
+      </div>
+    );
+  }
 
   return (
     <div className="create-journal-page">
       <div className="container">
-        <h1>New Journal Entry</h1>
+        <h1>{id ? 'Edit Journal Entry' : 'New Journal Entry'}</h1>
         
         {error && <div className="error-message">{error}</div>}
+        {notice && <div className="notice-message">{notice}</div>}
+        
+        {mergeReference && (
+          <div className="merge-reference">
+            <div className="merge-reference-header">
+              <strong>Saved version: {mergeReference.title}</strong>
+              <button type="button" onClick={() => setMergeReference(null)}>
+                Done merging
+              </button>
+            </div>
+            <pre>{mergeReference.content}</pre>
+          </div>
+        )}
+        
+        {conflict && (
+          <ConflictDialog
+            mine={currentFormValues()}
+            theirs={conflict.theirs}
+            onOverwrite={handleOverwrite}
+            onUseTheirs={handleUseTheirs}
+            onMerge={handleMerge}
+            disabled={loading}
+          />
+        )}
         
         <form onSubmit={handleSubmit} className="journal-form">
           <div className="form-group">
@@ -163,6 +550,7 @@ const CreateJournalPage = () => {
           <div className="form-group">
             <label htmlFor="content">Journal Entry</label>
             <SimpleTextEditor 
+              key={editorKey}
               initialContent={content}
               onChange={handleContentChange}
             />
@@ -188,20 +576,64 @@ const CreateJournalPage = () => {
             >
               <option value="private">Private (Only me)</option>
               <option value="shared">Shared (Specific people)</option>
+              <option value="unlisted">Unlisted (Anyone with the link)</option>
               <option value="public">Public (Anyone)</option>
             </select>
           </div>
           
           {visibility === 'shared' && (
+            <p className="form-hint">
+              Choose who can read this entry with the Share button on its page once it's saved.
+            </p>
+          )}
+          
+          {visibility === 'unlisted' && (
+            <p className="form-hint">
+              Unlisted entries don't appear anywhere. Create links to them with the Share button on their page once they're saved.
+            </p>
+          )}
+          
+          <div className="form-group">
+            <label htmlFor="publishAt">Publish on (optional, used by Schedule)</label>
+            <input
+              type="datetime-local"
+              id="publishAt"
+              value={publishAt}
+              onChange={(e) => setPublishAt(e.target.value)}
+            />
+          </div>
+          
+          {serverEntry && serverEntry.images.length > 0 && (
             <div className="form-group">
-              <label htmlFor="sharedWith">Share with (comma separated emails)</label>
-              <input
-                type="text"
-                id="sharedWith"
-                value={sharedWith}
-                onChange={(e) => setSharedWith(e.target.value)}
-                placeholder="friend@example.com, family@example.com"
-              />
+              <label>Current Photos</label>
+              <div className="image-previews">
+                {serverEntry.images.map((image, index) => {
+                  const removed = removedImageKeys.includes(image.key);
+                  return (
+                    <div key={image.key} className={`image-preview-container ${removed ? 'image-removed' : ''}`}>
+                      <MediaImage
+                        blog={serverEntry}
+                        imageKey={image.key}
+                        size="thumbnail"
+                        alt={image.altText || `Photo ${index + 1}`}
+                      />
+                      <button 
+                        type="button" 
+                        className="remove-image-btn"
+                        onClick={() => toggleExistingImage(image.key)}
+                        title={removed ? 'Keep this photo' : 'Remove this photo'}
+                      >
+                        {removed ? '↺' : '×'}
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+              {removedImageKeys.length > 0 && (
+                <p className="form-hint">
+                  {removedImageKeys.length} photo(s) will be deleted when you save.
+                </p>
+              )}
             </div>
           )}
           
@@ -210,20 +642,27 @@ const CreateJournalPage = () => {
             <input
               type="file"
               id="images"
-              accept="image/*"
+              accept={ACCEPTED_IMAGE_TYPES.join(',')}
               onChange={handleImageChange}
               multiple
             />
             
-            {imagePreviews.length > 0 && (
+            {images.length > 0 && (
               <div className="image-previews">
-                {imagePreviews.map((preview, index) => (
-                  <div key={index} className="image-preview-container">
-                    <img src={preview} alt={`Preview ${index + 1}`} />
+                {images.map((image, index) => (
+                  <div key={image.id} className={`image-preview-container upload-${image.status}`}>
+                    <img src={image.preview} alt={`Preview ${index + 1}`} />
+                    {image.status !== 'pending' && (
+                      <div className="upload-progress" title={`${image.file.name}: ${image.progress}%`}>
+                        <div className="upload-progress-bar" style={{ width: `${image.progress}%` }} />
+                      </div>
+                    )}
+                    {image.status === 'error' && <span className="upload-error-label">Upload failed</span>}
                     <button 
                       type="button" 
                       className="remove-image-btn"
                       onClick={() => removeImage(index)}
+                      disabled={image.status === 'uploading'}
                     >
                       ×
                     </button>
@@ -237,18 +676,46 @@ const CreateJournalPage = () => {
             <button 
               type="button" 
               className="cancel-button"
-              onClick={() => navigate('/')}
+              onClick={() => navigate(id ? `/blog/${id}` : '/')}
               disabled={loading}
             >
               Cancel
             </button>
-            <button 
-              type="submit" 
-              className="submit-button"
-              disabled={loading}
-            >
-              {loading ? 'Saving...' : 'Save Entry'}
-            </button>
+            <div className="form-actions-primary">
+              <button 
+                type="button" 
+                className="draft-button"
+                onClick={() => saveEntry('DRAFT')}
+                disabled={loading}
+              >
+                Save Draft
+              </button>
+              <button 
+                type="button" 
+                className="schedule-button"
+                onClick={() => saveEntry('SCHEDULED')}
+                disabled={loading || !publishAt}
+              >
+                Schedule
+              </button>
+              {serverEntry && serverEntry.status !== 'PUBLISHED' && (
+                <button 
+                  type="button" 
+                  className="publish-button"
+                  onClick={() => saveEntry('PUBLISHED')}
+                  disabled={loading}
+                >
+                  Publish
+                </button>
+              )}
+              <button 
+                type="submit" 
+                className="submit-button"
+                disabled={loading}
+              >
+                {loading ? 'Saving...' : 'Save Entry'}
+              </button>
+            </div>
           </div>
         </form>
       </div>
@@ -1,72 +1,206 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { API } from 'aws-amplify';
 import '../styles/ExportPage.css';
 
+// How often running exports are checked for progress
+const POLL_INTERVAL_MS = 2000;
+
+const FORMAT_LABELS = {
+  json: 'JSON',
+  csv: 'CSV',
+  markdown: 'Markdown',
+  html: 'HTML',
+  pdf: 'PDF',
+  epub: 'EPUB (e-book)',
+  site: 'Website (ZIP)',
+  archive: 'Account archive (ZIP)'
+};
+
+// Formats that always include everything, so the filters don't apply
+const COMPLETE_FORMATS = ['archive'];
+
+// PDF settings; the server checks them as well
+const PAGE_SIZES = ['A4', 'A5', 'LETTER', 'LEGAL'];
+const PDF_FONTS = {
+  serif: 'Serif (Times)',
+  sans: 'Sans-serif (Helvetica)',
+  mono: 'Monospace (Courier)'
+};
+const FONT_SIZES = [9, 10, 11, 12, 14, 16];
+
+const STATUS_LABELS = {
+  QUEUED: 'Waiting to start',
+  RUNNING: 'Exporting',
+  COMPLETED: 'Ready',
+  FAILED: 'Failed'
+};
+
+const isPending = (job) => job.status === 'QUEUED' || job.status === 'RUNNING';
+
 const ExportPage = () => {
-  const [loading, setLoading] = useState(false);
+  const [creating, setCreating] = useState(false);
   const [error, setError] = useState(null);
   const [exportFormat, setExportFormat] = useState('json');
-  const [dateRange, setDateRange] = useState({
+  const [filters, setFilters] = useState({
     startDate: '',
-    endDate: ''
+    endDate: '',
+    tag: ''
   });
-  const [exportUrl, setExportUrl] = useState(null);
+  const [pdfOptions, setPdfOptions] = useState({
+    pageSize: 'A4',
+    font: 'serif',
+    fontSize: 11
+  });
+  const [exports, setExports] = useState([]);
+  const [nextToken, setNextToken] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchExports = useCallback(async (token) => {
+    try {
+      setLoading(true);
+      const query = token ? `?nextToken=${token}` : '';
+      const response = await API.get('blogApi', `/exports${query}`);
+      setExports(prev => (token ? [...prev, ...response.items] : response.items));
+      setNextToken(response.nextToken || null);
+    } catch (err) {
+      console.error('Error loading exports:', err);
+      setError('Failed to load your exports. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchExports();
+  }, [fetchExports]);
+
+  // While an export is queued or running, check on it until it's done
+  const pendingIds = exports.filter(isPending).map(job => job.exportId).join(',');
+
+  useEffect(() => {
+    if (!pendingIds) {
+      return undefined;
+    }
+
+    const timer = setInterval(async () => {
+      try {
+        const updates = await Promise.all(
+          pendingIds.split(',').map(exportId => API.get('blogApi', `/exports/${exportId}`))
+        );
+        setExports(prev => prev.map(job => updates.find(update => update.exportId === job.exportId) || job));
+      } catch (err) {
+        // Try again on the next tick; the export itself carries on regardless
+        console.error('Error checking export progress:', err);
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+  }, [pendingIds]);
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
-    setDateRange(prev => ({
+    setFilters(prev => ({
       ...prev,
       [name]: value
     }));
   };
 
+  const handlePdfOptionChange = (e) => {
+    const { name, value } = e.target;
+    setPdfOptions(prev => ({
+      ...prev,
+      [name]: name === 'fontSize' ? Number(value) : value
+    }));
+  };
+
   const handleExport = async (e) => {
     e.preventDefault();
-    
-    setLoading(true);
+
+    setCreating(true);
     setError(null);
-    setExportUrl(null);
-    
+
     try {
-      // Build query parameters
-      const queryParams = new URLSearchParams();
-      queryParams.append('format', exportFormat);
-      
-      if (dateRange.startDate) {
-        queryParams.append('startDate', dateRange.startDate);
+      // Only send the filters that were filled in
+      const body = { format: exportFormat };
+      if (!COMPLETE_FORMATS.includes(exportFormat)) {
+        Object.entries(filters)
+          .filter(([, value]) => value.trim())
+          .forEach(([name, value]) => {
+            body[name] = value.trim();
+          });
       }
-      
-      if (dateRange.endDate) {
-        queryParams.append('endDate', dateRange.endDate);
+      if (exportFormat === 'pdf') {
+        body.options = pdfOptions;
       }
-      
-      // Make API call to export endpoint
-      const response = await API.get('blogs', `/blogs/export?${queryParams.toString()}`);
-      
-      if (response && response.exportUrl) {
-        setExportUrl(response.exportUrl);
+
+      const job = await API.post('blogApi', '/exports', { body });
+      setExports(prev => [job, ...prev]);
+    } catch (err) {
+      console.error('Error starting export:', err);
+      if (err.response && err.response.status === 400) {
+        setError(err.response.data.message);
       } else {
-        throw new Error('Export failed. No download URL received.');
+        setError('Failed to start the export. Please try again.');
       }
-    } catch (err) {
-      console.error('Error exporting blogs:', err);
-      setError('Failed to export blogs. Please try again.');
     } finally {
-      setLoading(false);
+      setCreating(false);
     }
   };
 
+  const formatDate = (dateString) => {
+    const options = { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+    return new Date(dateString).toLocaleString(undefined, options);
+  };
+
+  const describeFilters = (job) => {
+    if (COMPLETE_FORMATS.includes(job.format)) {
+      return 'Everything, including photos, history and trash';
+    }
+
+    const jobFilters = job.filters || {};
+    const parts = [];
+    if (jobFilters.startDate || jobFilters.endDate) {
+      parts.push(`${jobFilters.startDate || 'beginning'} to ${jobFilters.endDate || 'today'}`);
+    }
+    if (jobFilters.tag) {
+      parts.push(`tag "${jobFilters.tag}"`);
+    }
+    return parts.length > 0 ? parts.join(', ') : 'All entries';
+  };
+
+  const renderProgress = (job) => {
+    if (job.status !== 'RUNNING' || job.total === undefined) {
+      return null;
+    }
+
+    const percent = job.total > 0 ? Math.round((job.processed / job.total) * 100) : 100;
+    return (
+      <div className="export-progress">
+        <div
+          className="export-progress-bar"
+          role="progressbar"
+          aria-valuemin={0}
+          aria-valuemax={job.total}
+          aria-valuenow={job.processed}
+        >
+          <div className="export-progress-fill" style={{ width: `${percent}%` }} />
+        </div>
+        <span className="export-progress-text">{job.processed} of {job.total} entries</span>
+      </div>
+    );
+  };
+
   return (
     <div className="export-page">
       <h1>Export Your Blog Posts</h1>
-      
+
       <div className="export-description">
         <p>
           Export your blog posts in different formats for backup or to use in other applications.
-          You can choose to export all posts or filter by date range.
+          You can choose to export all posts or filter by date range or tag.
         </p>
       </div>
-      
+
       <form onSubmit={handleExport} className="export-form">
         <div className="form-group">
           <label htmlFor="exportFormat">Export Format:</label>
@@ -76,69 +210,174 @@ const ExportPage = () => {
             onChange={(e) => setExportFormat(e.target.value)}
             className="export-select"
           >
-            <option value="json">JSON</option>
-            <option value="csv">CSV</option>
-            <option value="markdown">Markdown</option>
-            <option value="pdf">PDF</option>
+            {Object.entries(FORMAT_LABELS).map(([format, label]) => (
+              <option key={format} value={format}>{label}</option>
+            ))}
           </select>
         </div>
-        
-        <div className="form-group">
-          <label htmlFor="startDate">Start Date (Optional):</label>
-          <input
-            type="date"
-            id="startDate"
-            name="startDate"
-            value={dateRange.startDate}
-            onChange={handleInputChange}
-            className="export-input"
-          />
-        </div>
-        
-        <div className="form-group">
-          <label htmlFor="endDate">End Date (Optional):</label>
-          <input
-            type="date"
-            id="endDate"
-            name="endDate"
-            value={dateRange.endDate}
-            onChange={handleInputChange}
-            className="export-input"
-          />
-        </div>
-        
-        <button 
-          type="submit" 
+
+        {exportFormat === 'pdf' && (
+          <div className="export-pdf-options">
+            <div className="form-group">
+              <label htmlFor="pageSize">Page Size:</label>
+              <select
+                id="pageSize"
+                name="pageSize"
+                value={pdfOptions.pageSize}
+                onChange={handlePdfOptionChange}
+                className="export-select"
+              >
+                {PAGE_SIZES.map(size => (
+                  <option key={size} value={size}>{size === 'LETTER' || size === 'LEGAL' ? `US ${size[0]}${size.slice(1).toLowerCase()}` : size}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="font">Font:</label>
+              <select
+                id="font"
+                name="font"
+                value={pdfOptions.font}
+                onChange={handlePdfOptionChange}
+                className="export-select"
+              >
+                {Object.entries(PDF_FONTS).map(([font, label]) => (
+                  <option key={font} value={font}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="fontSize">Font Size:</label>
+              <select
+                id="fontSize"
+                name="fontSize"
+                value={pdfOptions.fontSize}
+                onChange={handlePdfOptionChange}
+                className="export-select"
+              >
+                {FONT_SIZES.map(size => (
+                  <option key={size} value={size}>{size} pt</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        )}
+
+        {COMPLETE_FORMATS.includes(exportFormat) ? (
+          <p className="export-archive-info">
+            The archive contains every post, including drafts and the trash, with its original photos,
+            revision history and sharing settings, plus a manifest with checksums to verify the download.
+          </p>
+        ) : (
+          <>
+            <div className="form-group">
+              <label htmlFor="startDate">Start Date (Optional):</label>
+              <input
+                type="date"
+                id="startDate"
+                name="startDate"
+                value={filters.startDate}
+                onChange={handleInputChange}
+                className="export-input"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="endDate">End Date (Optional):</label>
+              <input
+                type="date"
+                id="endDate"
+                name="endDate"
+                value={filters.endDate}
+                onChange={handleInputChange}
+                className="export-input"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="tag">Tag (Optional):</label>
+              <input
+                type="text"
+                id="tag"
+                name="tag"
+                value={filters.tag}
+                onChange={handleInputChange}
+                className="export-input"
+              />
+            </div>
+          </>
+        )}
+
+        <button
+          type="submit"
           className="export-button"
-          disabled={loading}
+          disabled={creating}
         >
-          {loading ? 'Exporting...' : 'Export Blog Posts'}
+          {creating ? 'Starting Export...' : 'Export Blog Posts'}
         </button>
       </form>
-      
+
       {error && <div className="error-message">{error}</div>}
-      
-      {exportUrl && (
-        <div className="export-success">
-          <p>Your export is ready!</p>
-          <a 
-            href={exportUrl}
-            download={`blog-export-${new Date().toISOString().split('T')[0]}.${exportFormat}`}
-            className="download-button"
+
+      <div className="export-history">
+        <h2>Your Exports</h2>
+
+        {!loading && exports.length === 0 && (
+          <p className="export-empty">You haven't exported anything yet.</p>
+        )}
+
+        <ul className="export-list">
+          {exports.map(job => (
+            <li key={job.exportId} className="export-item">
+              <div className="export-item-details">
+                <strong>{FORMAT_LABELS[job.format] || job.format}</strong>
+                <span className="export-item-meta">
+                  {formatDate(job.createdAt)} · {describeFilters(job)}
+                  {job.options && ` · ${job.options.pageSize}, ${job.options.font} ${job.options.fontSize} pt`}
+                </span>
+                <span className={`export-status export-status-${job.status.toLowerCase()}`}>
+                  {STATUS_LABELS[job.status] || job.status}
+                  {job.status === 'COMPLETED' && ` · ${job.processed} entries`}
+                  {job.status === 'FAILED' && job.error && `: ${job.error}`}
+                </span>
+                {renderProgress(job)}
+              </div>
+              {job.downloadUrl && (
+                <a href={job.downloadUrl} className="download-button">
+                  Download
+                </a>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {nextToken && (
+          <button
+            type="button"
+            className="load-more-button"
+            onClick={() => fetchExports(nextToken)}
+            disabled={loading}
           >
-            Download Export
-          </a>
-        </div>
-      )}
-      
+            {loading ? 'Loading...' : 'Load More'}
+          </button>
+        )}
+      </div>
+
       <div className="export-notes">
         <h3>Notes:</h3>
         <ul>
           <li>JSON format includes all blog post data including metadata.</li>
-          <li>CSV format is ideal for importing into spreadsheet applications.</li>
+          <li>CSV format is ideal for spreadsheet applications, with one row per post.</li>
           <li>Markdown format is great for publishing on other platforms.</li>
-          <li>PDF format creates a nicely formatted document of your posts.</li>
-          <li>Large exports may take a few moments to generate.</li>
+          <li>HTML format can be opened and printed in any browser.</li>
+          <li>PDF format creates a printable book of your posts with a cover, a table of contents and your photos, one entry per page.</li>
+          <li>EPUB format is an e-book with one chapter per post, photos included, for e-readers and book apps.</li>
+          <li>Website format is a ZIP with a small website of your posts and photos; unzip it and open index.html, or upload it to any web host.</li>
+          <li>Account archive is a complete backup: each post as JSON and Markdown with its original photos, history and sharing settings. Use it to keep a copy or to move to another service.</li>
+          <li>Exports run in the background; you can leave this page and come back later.</li>
+          <li>Exports are kept for 7 days. Download links expire after an hour; reload the page for a new one.</li>
         </ul>
       </div>
     </div>
@@ -1,6 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { API } from 'aws-amplify';
+import MediaImage from '../components/MediaImage';
+import { toPlainText } from '../components/PostContent';
+import { ReactionCounts } from '../components/ReactionBar';
 import '../styles/HomePage.css';
 import config from '../config';
 
@@ -23,8 +26,9 @@ const HomePage = () => {
       // Make API call to get blogs
       console.log('Fetching blogs from API...');
       
-      // Use the configured API endpoint from config
-      const response = await API.get('blogApi', '/blogs', { 
+      // The public feed lists the latest published posts from everyone
+      // and works whether or not the visitor is signed in
+      const response = await API.get('blogApi', '/feed', { 
         queryStringParameters: queryParams,
         headers: {
           'Content-Type': 'application/json',
@@ -56,7 +60,7 @@ const HomePage = () => {
           blogId: "sample-blog-001",
           title: "Sample Blog Post",
           content: "<p>This is a sample blog post that appears when the API is unavailable.</p>",
-          username: "system",
+          author: { username: "system" },
           createdAt: new Date().toISOString(),
           tags: ["sample", "placeholder"],
           mood: "Neutral",
@@ -84,16 +88,6 @@ const HomePage = () => {
     return new Date(dateString).toLocaleDateString(undefined, options);
   };
 
-  // Function to safely extract text content from HTML
-  const extractTextFromHtml = (html) => {
-    if (!html) return '';
-    // Create a temporary div to hold the HTML content
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = html;
-    // Get the text content
-    return tempDiv.textContent || tempDiv.innerText || '';
-  };
-
   return (
     <div className="home-page">
       <section className="hero">
@@ -113,11 +107,14 @@ const HomePage = () => {
             <div className="blog-grid">
               {blogs.map(blog => (
                 <article key={blog.blogId} className="blog-card">
-                  {blog.imageUrls && blog.imageUrls.length > 0 && (
+                  {blog.images && blog.images.length > 0 && (
                     <div className="blog-image">
-                      <img 
-                        src={`https://${config.mediaBucket}.s3.amazonaws.com/${blog.imageUrls[0]}`} 
-                        alt={blog.title} 
+                      {/* Cards use the small thumbnail rendition of the first image */}
+                      <MediaImage 
+                        blog={blog} 
+                        imageKey={blog.images[0].key} 
+                        size="thumbnail" 
+                        alt={blog.images[0].altText || blog.title} 
                       />
                     </div>
                   )}
@@ -126,13 +123,14 @@ const HomePage = () => {
                       <Link to={`/blog/${blog.blogId}`}>{blog.title}</Link>
                     </h3>
                     <div className="blog-meta">
-                      <span className="blog-author">By {blog.username}</span>
-                      <span className="blog-date">{formatDate(blog.createdAt)}</span>
+                      <span className="blog-author">By {blog.author.username}</span>
+                      <span className="blog-date">{formatDate(blog.publishedAt || blog.createdAt)}</span>
                     </div>
                     <p className="blog-excerpt">
-                      {extractTextFromHtml(blog.content).substring(0, 150)}
-                      {extractTextFromHtml(blog.content).length > 150 ? '...' : ''}
+                      {toPlainText(blog.content).substring(0, 150)}
+                      {toPlainText(blog.content).length > 150 ? '...' : ''}
                     </p>
+                    <ReactionCounts counts={blog.reactionCounts} />
                     <Link to={`/blog/${blog.blogId}`} className="read-more">
                       Read More
                     </Link>
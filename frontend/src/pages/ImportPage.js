@@ -0,0 +1,428 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { API } from 'aws-amplify';
+import '../styles/ImportPage.css';
+
+// How often imports that are being read or written are checked for progress
+const POLL_INTERVAL_MS = 2000;
+
+// Files the server accepts; it checks them again
+const ACCEPTED_FILES = '.zip,.json,.xml,.md,.markdown,.txt';
+const MAX_IMPORT_SIZE = 1024 * 1024 * 1024; // 1 GB
+
+const SOURCE_LABELS = {
+  archive: 'Account archive',
+  json: 'JSON export',
+  dayone: 'Day One',
+  wordpress: 'WordPress',
+  markdown: 'Markdown'
+};
+
+const STATUS_LABELS = {
+  UPLOADING: 'Waiting for the upload',
+  ANALYZING: 'Reading the file',
+  READY: 'Ready to import',
+  IMPORTING: 'Importing',
+  COMPLETED: 'Imported',
+  FAILED: 'Failed'
+};
+
+const ENTRY_STATUS_LABELS = {
+  new: 'New',
+  duplicate: 'Already in your journal',
+  invalid: "Can't be imported",
+  imported: 'Imported',
+  skipped: 'Skipped',
+  failed: 'Failed'
+};
+
+const isPending = (job) => job.status === 'ANALYZING' || job.status === 'IMPORTING';
+
+/**
+ * Send a file to S3 with the presigned POST from POST /imports
+ */
+const uploadToS3 = (upload, file, onProgress) => new Promise((resolve, reject) => {
+  const formData = new FormData();
+  Object.entries(upload.fields).forEach(([name, value]) => formData.append(name, value));
+  // S3 ignores any form fields after the file, so it has to come last
+  formData.append('file', file);
+
+  const xhr = new XMLHttpRequest();
+  xhr.open('POST', upload.url);
+  xhr.upload.onprogress = (event) => {
+    if (event.lengthComputable) {
+      onProgress(Math.round((event.loaded / event.total) * 100));
+    }
+  };
+  xhr.onload = () => {
+    if (xhr.status >= 200 && xhr.status < 300) {
+      resolve();
+    } else {
+      reject(new Error(`Upload of ${file.name} failed with status ${xhr.status}`));
+    }
+  };
+  xhr.onerror = () => reject(new Error(`Upload of ${file.name} failed`));
+  xhr.send(formData);
+});
+
+const formatDate = (dateString, withTime = false) => {
+  if (!dateString) {
+    return 'No date';
+  }
+  const options = withTime
+    ? { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }
+    : { year: 'numeric', month: 'short', day: 'numeric' };
+  return new Date(dateString).toLocaleString(undefined, options);
+};
+
+const describeCounts = (counts = {}) => Object.entries(counts)
+  .map(([status, count]) => `${count} ${(ENTRY_STATUS_LABELS[status] || status).toLowerCase()}`)
+  .join(', ');
+
+/**
+ * Import page (/import)
+ * Upload a file, check the preview, leave out what shouldn't be imported, then import the rest
+ */
+const ImportPage = () => {
+  const [file, setFile] = useState(null);
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [job, setJob] = useState(null);
+  const [excluded, setExcluded] = useState(new Set());
+  const [committing, setCommitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [imports, setImports] = useState([]);
+
+  const fetchImports = useCallback(async () => {
+    try {
+      const response = await API.get('blogApi', '/imports');
+      setImports(response.items);
+    } catch (err) {
+      console.error('Error loading imports:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchImports();
+  }, [fetchImports]);
+
+  // While the file is read or the entries are written, check on the job until it's done
+  const pendingId = job && isPending(job) ? job.importId : null;
+
+  useEffect(() => {
+    if (!pendingId) {
+      return undefined;
+    }
+
+    const timer = setInterval(async () => {
+      try {
+        const update = await API.get('blogApi', `/imports/${pendingId}`);
+        setJob(update);
+        if (!isPending(update)) {
+          fetchImports();
+        }
+      } catch (err) {
+        // Try again on the next tick; the import itself carries on regardless
+        console.error('Error checking import progress:', err);
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+  }, [pendingId, fetchImports]);
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setError(null);
+  };
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (!file) {
+      return;
+    }
+    if (file.size > MAX_IMPORT_SIZE) {
+      setError('The file is larger than 1 GB.');
+      return;
+    }
+
+    setError(null);
+    setJob(null);
+    setUploadProgress(0);
+
+    try {
+      const created = await API.post('blogApi', '/imports', {
+        body: { fileName: file.name, size: file.size }
+      });
+      await uploadToS3(created.upload, file, setUploadProgress);
+      const previewed = await API.post('blogApi', `/imports/${created.importId}/preview`, {});
+      setJob(previewed);
+      setExcluded(new Set());
+      setFile(null);
+      fetchImports();
+    } catch (err) {
+      console.error('Error uploading import:', err);
+      if (err.response && err.response.status === 400) {
+        setError(err.response.data.message);
+      } else {
+        setError('Failed to upload the file. Please try again.');
+      }
+    } finally {
+      setUploadProgress(null);
+    }
+  };
+
+  const openImport = async (importId) => {
+    try {
+      setError(null);
+      setJob(await API.get('blogApi', `/imports/${importId}`));
+      setExcluded(new Set());
+    } catch (err) {
+      console.error('Error loading import:', err);
+      setError('Failed to load the import. Please try again.');
+    }
+  };
+
+  const toggleEntry = (index) => {
+    setExcluded(prev => {
+      const next = new Set(prev);
+      if (next.has(index)) {
+        next.delete(index);
+      } else {
+        next.add(index);
+      }
+      return next;
+    });
+  };
+
+  const newEntries = job && job.entries ? job.entries.filter(entry => entry.status === 'new') : [];
+  const selectedCount = newEntries.filter(entry => !excluded.has(entry.index)).length;
+
+  const setAll = (selected) => {
+    setExcluded(selected ? new Set() : new Set(newEntries.map(entry => entry.index)));
+  };
+
+  const handleCommit = async () => {
+    setCommitting(true);
+    setError(null);
+
+    try {
+      const committed = await API.post('blogApi', `/imports/${job.importId}/commit`, {
+        body: { exclude: [...excluded] }
+      });
+      setJob(prev => ({ ...prev, ...committed }));
+    } catch (err) {
+      console.error('Error committing import:', err);
+      if (err.response && (err.response.status === 400 || err.response.status === 409)) {
+        setError(err.response.data.message);
+      } else {
+        setError('Failed to start the import. Please try again.');
+      }
+    } finally {
+      setCommitting(false);
+    }
+  };
+
+  const renderProgress = () => {
+    if (job.status === 'ANALYZING') {
+      return <p className="import-progress-text">Reading {job.fileName}...</p>;
+    }
+
+    const total = job.total || 0;
+    const processed = job.processed || 0;
+    const percent = total > 0 ? Math.round((processed / total) * 100) : 0;
+    return (
+      <div className="import-progress">
+        <div
+          className="import-progress-bar"
+          role="progressbar"
+          aria-valuemin={0}
+          aria-valuemax={total}
+          aria-valuenow={processed}
+        >
+          <div className="import-progress-fill" style={{ width: `${percent}%` }} />
+        </div>
+        <span className="import-progress-text">{processed} of {total} entries</span>
+      </div>
+    );
+  };
+
+  const renderEntries = () => {
+    const preview = job.status === 'READY';
+
+    return (
+      <table className="import-entries">
+        <thead>
+          <tr>
+            {preview && <th className="import-entry-select" aria-label="Import" />}
+            <th>Entry</th>
+            <th>Date</th>
+            <th>Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {job.entries.map(entry => (
+            <tr key={entry.index} className={`import-entry import-entry-${entry.status}`}>
+              {preview && (
+                <td className="import-entry-select">
+                  <input
+                    type="checkbox"
+                    aria-label={`Import ${entry.title}`}
+                    checked={entry.status === 'new' && !excluded.has(entry.index)}
+                    disabled={entry.status !== 'new'}
+                    onChange={() => toggleEntry(entry.index)}
+                  />
+                </td>
+              )}
+              <td>
+                <strong className="import-entry-title">
+                  {entry.blogId && (entry.status === 'imported' || entry.status === 'duplicate')
+                    ? <Link to={`/blog/${entry.blogId}`}>{entry.title}</Link>
+                    : entry.title}
+                </strong>
+                {entry.excerpt && <span className="import-entry-excerpt">{entry.excerpt}</span>}
+                <span className="import-entry-meta">
+                  {entry.postStatus === 'DRAFT' && 'Draft · '}
+                  {entry.postStatus === 'ARCHIVED' && 'Archived · '}
+                  {entry.images > 0 && `${entry.images} photo${entry.images === 1 ? '' : 's'} · `}
+                  {entry.mood && `${entry.mood} · `}
+                  {entry.tags && entry.tags.length > 0 ? entry.tags.map(tag => `#${tag}`).join(' ') : 'No tags'}
+                </span>
+                {entry.warnings && entry.warnings.length > 0 && (
+                  <ul className="import-entry-warnings">
+                    {entry.warnings.map(warning => <li key={warning}>{warning}</li>)}
+                  </ul>
+                )}
+              </td>
+              <td className="import-entry-date">{formatDate(entry.createdAt)}</td>
+              <td>
+                <span className={`import-entry-status import-entry-status-${entry.status}`}>
+                  {ENTRY_STATUS_LABELS[entry.status] || entry.status}
+                </span>
+                {entry.reason && <span className="import-entry-reason">{entry.reason}</span>}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  };
+
+  return (
+    <div className="import-page">
+      <h1>Import Journal Entries</h1>
+
+      <div className="import-description">
+        <p>
+          Bring entries from other apps into your journal. Upload Markdown files (with YAML front matter,
+          on their own or in a ZIP with their photos), a JSON export or account archive of this journal,
+          a Day One JSON export (ZIP) or a WordPress export (WXR). You'll see what will be imported before
+          anything is added.
+        </p>
+      </div>
+
+      <form onSubmit={handleUpload} className="import-form">
+        <div className="form-group">
+          <label htmlFor="importFile">File:</label>
+          <input
+            type="file"
+            id="importFile"
+            accept={ACCEPTED_FILES}
+            onChange={handleFileChange}
+            className="import-input"
+            disabled={uploadProgress !== null}
+          />
+        </div>
+
+        {uploadProgress !== null && (
+          <div className="import-progress">
+            <div className="import-progress-bar">
+              <div className="import-progress-fill" style={{ width: `${uploadProgress}%` }} />
+            </div>
+            <span className="import-progress-text">Uploading {uploadProgress}%</span>
+          </div>
+        )}
+
+        <button
+          type="submit"
+          className="import-button"
+          disabled={!file || uploadProgress !== null}
+        >
+          {uploadProgress !== null ? 'Uploading...' : 'Upload and Preview'}
+        </button>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {job && (
+        <div className="import-job">
+          <h2>
+            {job.fileName}
+            {job.format && <span className="import-job-format">{SOURCE_LABELS[job.format] || job.format}</span>}
+          </h2>
+          <p className={`import-status import-status-${job.status.toLowerCase()}`}>
+            {STATUS_LABELS[job.status] || job.status}
+            {job.counts && ` · ${describeCounts(job.counts)}`}
+            {job.status === 'FAILED' && job.error && `: ${job.error}`}
+          </p>
+
+          {isPending(job) && renderProgress()}
+
+          {job.status === 'READY' && (
+            <div className="import-actions">
+              <button type="button" className="import-link-button" onClick={() => setAll(true)}>Select all</button>
+              <button type="button" className="import-link-button" onClick={() => setAll(false)}>Select none</button>
+              <button
+                type="button"
+                className="import-button"
+                onClick={handleCommit}
+                disabled={committing || selectedCount === 0}
+              >
+                {committing ? 'Starting Import...' : `Import ${selectedCount} ${selectedCount === 1 ? 'Entry' : 'Entries'}`}
+              </button>
+            </div>
+          )}
+
+          {job.entries && job.entries.length > 0 && renderEntries()}
+        </div>
+      )}
+
+      {imports.length > 0 && (
+        <div className="import-history">
+          <h2>Your Imports</h2>
+          <ul className="import-list">
+            {imports.map(item => (
+              <li key={item.importId} className="import-item">
+                <div className="import-item-details">
+                  <strong>{item.fileName}</strong>
+                  <span className="import-item-meta">
+                    {formatDate(item.createdAt, true)}
+                    {item.format && ` · ${SOURCE_LABELS[item.format] || item.format}`}
+                    {' · '}
+                    {STATUS_LABELS[item.status] || item.status}
+                  </span>
+                </div>
+                {item.reportedAt && (
+                  <button type="button" className="import-link-button" onClick={() => openImport(item.importId)}>
+                    View
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="import-notes">
+        <h3>Notes:</h3>
+        <ul>
+          <li>Entries keep their original dates, tags, mood and photos. Imported entries are private; share them once you've checked them.</li>
+          <li>Entries that are already in your journal, from an earlier import or because they came from this journal, are recognized and left out, so importing the same file twice is safe.</li>
+          <li>Markdown files can set <code>title</code>, <code>date</code>, <code>tags</code>, <code>mood</code> and <code>draft</code> in their front matter. Photos they link to are imported when they are in the same ZIP.</li>
+          <li>WordPress photos are only imported when the ZIP also contains the <code>wp-content/uploads</code> folder of the site.</li>
+          <li>Imports run in the background; you can leave this page and come back later. Uploads and previews are kept for 7 days.</li>
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default ImportPage;
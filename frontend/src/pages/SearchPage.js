@@ -1,33 +1,127 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { API } from 'aws-amplify';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import Highlighted from '../components/Highlighted';
+import { toPlainText } from '../components/PostContent';
+import SearchBox from '../components/SearchBox';
 import '../styles/SearchPage.css';
 
+// Filters kept in the URL next to q, so a search can be bookmarked or shared
+const FILTER_PARAMS = ['tag', 'mood', 'before', 'after'];
+
+// The month delta months away from a YYYY-MM month
+const shiftMonth = (month, delta) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthNumber - 1 + delta, 1)).toISOString().slice(0, 7);
+};
+
+const formatMonth = (month) =>
+  new Date(`${month}-01T00:00:00`).toLocaleDateString(undefined, { year: 'numeric', month: 'short' });
+
 const SearchPage = () => {
-  const [searchTerm, setSearchTerm] = useState('');
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get('q') || '';
+  const tags = (searchParams.get('tag') || '').split(',').filter(Boolean);
+  const mood = searchParams.get('mood') || '';
+  const hasSearch = Boolean(query.trim() || tags.length > 0 || mood);
+  
+  const [searchTerm, setSearchTerm] = useState(query);
   const [searchResults, setSearchResults] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [facets, setFacets] = useState(null);
+  const [nextToken, setNextToken] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [queryErrors, setQueryErrors] = useState([]);
   const navigate = useNavigate();
 
-  const handleSearch = async (e) => {
+  // Keep the box in step with the URL, e.g. after going back
+  useEffect(() => {
+    setSearchTerm(query);
+  }, [query]);
+  
+  const handleSearch = (e) => {
     e.preventDefault();
     
-    if (!searchTerm.trim()) {
-      return;
+    const next = new URLSearchParams(searchParams);
+    if (searchTerm.trim()) {
+      next.set('q', searchTerm.trim());
+    } else {
+      next.delete('q');
     }
-    
+    setSearchParams(next);
+  };
+  
+  // Change one filter in the URL; an empty value removes it
+  const setFilters = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([name, value]) => {
+      if (value) {
+        next.set(name, value);
+      } else {
+        next.delete(name);
+      }
+    });
+    setSearchParams(next);
+  };
+  
+  // A tag picked from the suggestions starts a new search for it
+  const searchTag = (tag) => {
+    setSearchParams({ tag });
+  };
+  
+  // Recent searches are stored as the query string that ran them
+  const openRecentSearch = (searchKey) => {
+    setSearchParams(new URLSearchParams(searchKey));
+  };
+  
+  const toggleTag = (tag) => {
+    const selected = tags.some(t => t.toLowerCase() === tag.toLowerCase());
+    setFilters({
+      tag: (selected ? tags.filter(t => t.toLowerCase() !== tag.toLowerCase()) : [...tags, tag]).join(',')
+    });
+  };
+  
+  // A month is selected by the after/before pair that surrounds it
+  const isMonthSelected = (month) =>
+    searchParams.get('after') === shiftMonth(month, -1) && searchParams.get('before') === shiftMonth(month, 1);
+  
+  const toggleMonth = (month) => {
+    const selected = isMonthSelected(month);
+    setFilters({
+      after: selected ? null : shiftMonth(month, -1),
+      before: selected ? null : shiftMonth(month, 1)
+    });
+  };
+  
+  // Results come best match first; a token continues the same ranking
+  const runSearch = useCallback(async (token = null) => {
+    const term = searchParams.get('q') || '';
     setLoading(true);
     setError(null);
+    setQueryErrors([]);
     
     try {
       // Use the correct API name 'blogApi' instead of 'blogs'
-      const response = await API.get('blogApi', `/blogs/search?query=${encodeURIComponent(searchTerm)}`);
+      const params = new URLSearchParams();
+      params.set('q', term);
+      FILTER_PARAMS.forEach(name => {
+        if (searchParams.get(name)) {
+          params.set(name, searchParams.get(name));
+        }
+      });
+      const page = token ? `&nextToken=${token}` : '';
+      const response = await API.get('blogApi', `/blogs/search?${params.toString()}${page}`);
       console.log('Search API response:', response);
       
       // Handle different response formats
       const resultsList = response.items || response.blogs || [];
-      setSearchResults(resultsList);
+      setSearchResults(prev => (token ? [...prev, ...resultsList] : resultsList));
+      setTotal(response.total || resultsList.length);
+      setNextToken(response.nextToken || null);
+      if (!token) {
+        setFacets(response.facets || null);
+      }
       
       // If we got data, clear any previous errors
       if (resultsList.length > 0) {
@@ -35,12 +129,24 @@ const SearchPage = () => {
       }
     } catch (err) {
       console.error('Error searching blogs:', err);
+      
+      // Mistakes in the query come back as a 400 with the details
+      const details = err.response && err.response.status === 400 && err.response.data;
+      if (details) {
+        setQueryErrors(details.errors || [details.message]);
+        setSearchResults([]);
+        setTotal(0);
+        setFacets(null);
+        setNextToken(null);
+        return;
+      }
+      
       setError('Failed to search blogs. Please try again.');
       
       // Fallback: Use sample blog post if search term matches
-      if (searchTerm.toLowerCase().includes('sample') || 
-          searchTerm.toLowerCase().includes('blog') || 
-          searchTerm.toLowerCase().includes('post')) {
+      if (term.toLowerCase().includes('sample') || 
+          term.toLowerCase().includes('blog') || 
+          term.toLowerCase().includes('post')) {
         try {
           const sampleBlog = {
             blogId: "sample-blog-001",
@@ -54,30 +160,103 @@ const SearchPage = () => {
           };
           
           setSearchResults([sampleBlog]);
+          setTotal(1);
+          setFacets(null);
+          setNextToken(null);
           setError(null);
         } catch (fallbackErr) {
           console.error('Even fallback failed:', fallbackErr);
         }
       } else {
         setSearchResults([]);
+        setTotal(0);
+        setFacets(null);
+        setNextToken(null);
       }
     } finally {
       setLoading(false);
     }
-  };
+  }, [searchParams]);
+  
+  // Search whenever the URL changes: on load, on submit and when filters are picked
+  useEffect(() => {
+    if (hasSearch) {
+      runSearch();
+    } else {
+      setSearchResults([]);
+      setTotal(0);
+      setFacets(null);
+      setNextToken(null);
+    }
+  }, [runSearch, hasSearch]);
 
   const handleViewBlog = (blogId) => {
     navigate(`/blog/${blogId}`);
   };
   
-  // Function to safely extract text content from HTML
-  const extractTextFromHtml = (html) => {
-    if (!html) return '';
-    // Create a temporary div to hold the HTML content
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = html;
-    // Get the text content
-    return tempDiv.textContent || tempDiv.innerText || '';
+  const renderSidebar = () => {
+    const activeFilters = FILTER_PARAMS.some(name => searchParams.get(name));
+    
+    return (
+      <aside className="search-sidebar">
+        {activeFilters && (
+          <button
+            className="clear-filters-button"
+            onClick={() => setFilters({ tag: null, mood: null, before: null, after: null })}
+          >
+            Clear filters
+          </button>
+        )}
+        
+        {facets && facets.tags.length > 0 && (
+          <div className="facet-group">
+            <h3>Tags</h3>
+            {facets.tags.map(facet => (
+              <button
+                key={facet.value}
+                className={`facet${tags.some(t => t.toLowerCase() === facet.value.toLowerCase()) ? ' selected' : ''}`}
+                onClick={() => toggleTag(facet.value)}
+              >
+                <span>{facet.value}</span>
+                <span className="facet-count">{facet.count}</span>
+              </button>
+            ))}
+          </div>
+        )}
+        
+        {facets && facets.moods.length > 0 && (
+          <div className="facet-group">
+            <h3>Mood</h3>
+            {facets.moods.map(facet => (
+              <button
+                key={facet.value}
+                className={`facet${mood.toLowerCase() === facet.value.toLowerCase() ? ' selected' : ''}`}
+                onClick={() => setFilters({ mood: mood.toLowerCase() === facet.value.toLowerCase() ? null : facet.value })}
+              >
+                <span>{facet.value}</span>
+                <span className="facet-count">{facet.count}</span>
+              </button>
+            ))}
+          </div>
+        )}
+        
+        {facets && facets.months.length > 0 && (
+          <div className="facet-group">
+            <h3>Month</h3>
+            {facets.months.map(facet => (
+              <button
+                key={facet.value}
+                className={`facet${isMonthSelected(facet.value) ? ' selected' : ''}`}
+                onClick={() => toggleMonth(facet.value)}
+              >
+                <span>{formatMonth(facet.value)}</span>
+                <span className="facet-count">{facet.count}</span>
+              </button>
+            ))}
+          </div>
+        )}
+      </aside>
+    );
   };
 
   return (
@@ -85,12 +264,11 @@ const SearchPage = () => {
       <h1>Search Blogs</h1>
       
       <form onSubmit={handleSearch} className="search-form">
-        <input
-          type="text"
+        <SearchBox
           value={searchTerm}
-          onChange={(e) => setSearchTerm(e.target.value)}
-          placeholder="Search by title, content, or tags..."
-          className="search-input"
+          onChange={setSearchTerm}
+          onSearchTag={searchTag}
+          onOpenRecent={openRecentSearch}
         />
         <button type="submit" className="search-button" disabled={loading}>
           {loading ? 'Searching...' : 'Search'}
@@ -98,45 +276,67 @@ const SearchPage = () => {
       </form>
       
       {error && <div className="error-message">{error}</div>}
+      {queryErrors.length > 0 && (
+        <div className="error-message">
+          {queryErrors.map(message => <div key={message}>{message}</div>)}
+        </div>
+      )}
       
-      <div className="search-results">
-        {searchResults.length > 0 ? (
-          <>
-            <h2>Search Results ({searchResults.length})</h2>
-            <div className="results-list">
-              {searchResults.map((blog) => (
-                <div key={blog.blogId} className="result-item">
-                  <h3>{blog.title}</h3>
-                  <p className="result-date">
-                    {new Date(blog.createdAt).toLocaleDateString()}
-                  </p>
-                  <p className="result-excerpt">
-                    {extractTextFromHtml(blog.content).length > 150
-                      ? `${extractTextFromHtml(blog.content).substring(0, 150)}...`
-                      : extractTextFromHtml(blog.content)}
-                  </p>
-                  {blog.tags && blog.tags.length > 0 && (
-                    <div className="result-tags">
-                      {blog.tags.map((tag, index) => (
-                        <span key={`${tag}-${index}`} className="tag">
-                          {tag}
-                        </span>
-                      ))}
-                    </div>
-                  )}
-                  <button
-                    onClick={() => handleViewBlog(blog.blogId)}
-                    className="view-button"
-                  >
-                    View Blog
-                  </button>
-                </div>
-              ))}
-            </div>
-          </>
-        ) : (
-          !loading && searchTerm && <p>No results found for "{searchTerm}"</p>
-        )}
+      <div className="search-layout">
+        {hasSearch && renderSidebar()}
+        
+        <div className="search-results">
+          {searchResults.length > 0 ? (
+            <>
+              <h2>Search Results ({total})</h2>
+              <div className="results-list">
+                {searchResults.map((blog) => (
+                  <div key={blog.blogId} className="result-item">
+                    <h3>
+                      <Highlighted text={blog.title} ranges={blog.highlights && blog.highlights.title} />
+                    </h3>
+                    <p className="result-date">
+                      {new Date(blog.createdAt).toLocaleDateString()}
+                    </p>
+                    <p className="result-excerpt">
+                      {blog.snippet !== undefined ? (
+                        <Highlighted text={blog.snippet} ranges={blog.highlights && blog.highlights.snippet} />
+                      ) : toPlainText(blog.content).length > 150
+                        ? `${toPlainText(blog.content).substring(0, 150)}...`
+                        : toPlainText(blog.content)}
+                    </p>
+                    {blog.tags && blog.tags.length > 0 && (
+                      <div className="result-tags">
+                        {blog.tags.map((tag, index) => (
+                          <span key={`${tag}-${index}`} className="tag">
+                            {tag}
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                    <button
+                      onClick={() => handleViewBlog(blog.blogId)}
+                      className="view-button"
+                    >
+                      View Blog
+                    </button>
+                  </div>
+                ))}
+              </div>
+              {nextToken && (
+                <button
+                  className="load-more-button"
+                  onClick={() => runSearch(nextToken)}
+                  disabled={loading}
+                >
+                  {loading ? 'Loading...' : 'Load More'}
+                </button>
+              )}
+            </>
+          ) : (
+            !loading && hasSearch && queryErrors.length === 0 && <p>No results found for "{query || 'these filters'}"</p>
+          )}
+        </div>
       </div>
     </div>
   );
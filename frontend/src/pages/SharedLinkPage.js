@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { API } from 'aws-amplify';
+import MediaImage from '../components/MediaImage';
+import PostContent from '../components/PostContent';
+import '../styles/BlogPage.css';
+import '../styles/NotFoundPage.css';
+import '../styles/SharedLinkPage.css';
+
+/**
+ * Public page for share links (/s/:token). Works without an account: the token
+ * in the URL is the only credential, plus a password for protected links.
+ */
+const SharedLinkPage = () => {
+  const { token } = useParams();
+  const [blog, setBlog] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+  const [passwordRequired, setPasswordRequired] = useState(false);
+  const [password, setPassword] = useState('');
+  const [wrongPassword, setWrongPassword] = useState(false);
+
+  const openLink = useCallback(async (linkPassword) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const headers = linkPassword ? { 'X-Link-Password': linkPassword } : {};
+      const response = await API.get('blogApi', `/s/${token}`, { headers });
+      setBlog(response);
+      setPasswordRequired(false);
+    } catch (err) {
+      console.error('Error opening link:', err);
+      const status = err.response && err.response.status;
+
+      if (status === 401) {
+        // Only complain about the password once one was actually tried
+        setPasswordRequired(true);
+        setWrongPassword(Boolean(linkPassword));
+      } else if (status === 429) {
+        // Too many wrong passwords: the link takes none until its lock ends
+        setPasswordRequired(true);
+        setWrongPassword(false);
+        setError('Too many wrong passwords. Please try again in a few minutes.');
+      } else if (status === 404) {
+        setNotFound(true);
+      } else {
+        setError('Failed to open this link. Please try again later.');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    openLink();
+  }, [openLink]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    openLink(password);
+  };
+
+  const formatDate = (dateString) => {
+    const options = { year: 'numeric', month: 'long', day: 'numeric' };
+    return new Date(dateString).toLocaleDateString(undefined, options);
+  };
+
+  if (notFound) {
+    return (
+      <div className="not-found-page">
+        <div className="container">
+          <div className="not-found-content">
+            <h1>404</h1>
+            <h2>Link Not Found</h2>
+            <p>This link doesn't exist, has expired, or was revoked by its author.</p>
+            <Link to="/" className="home-link">
+              Go to Homepage
+            </Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (passwordRequired) {
+    return (
+      <div className="shared-link-page">
+        <div className="container">
+          <form className="link-password-form" onSubmit={handleSubmit}>
+            <h1>Password Required</h1>
+            <p>The author protected this entry with a password.</p>
+            {wrongPassword && <div className="error-message">That password isn't right. Please try again.</div>}
+            {error && <div className="error-message">{error}</div>}
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              aria-label="Password"
+              autoComplete="off"
+              autoFocus
+              required
+              disabled={loading}
+            />
+            <button type="submit" disabled={loading || !password}>
+              {loading ? 'Opening...' : 'Open'}
+            </button>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return <div className="loading">Loading...</div>;
+  }
+
+  if (!blog) {
+    return <div className="error-message">{error}</div>;
+  }
+
+  return (
+    <div className="blog-page shared-link-page">
+      <div className="container">
+        <article className="blog-article">
+          <header className="blog-header">
+            <h1 className="blog-title">{blog.title}</h1>
+            <div className="blog-meta">
+              <span className="blog-author">By {blog.author.username}</span>
+              <span className="blog-date">{formatDate(blog.publishedAt || blog.createdAt)}</span>
+            </div>
+            <div className="blog-details">
+              {blog.mood && <span className="blog-mood">Feeling {blog.mood.toLowerCase()}</span>}
+            </div>
+            {blog.tags && blog.tags.length > 0 && (
+              <ul className="blog-tags">
+                {blog.tags.map(tag => (
+                  <li key={tag} className="blog-tag">#{tag}</li>
+                ))}
+              </ul>
+            )}
+          </header>
+
+          {blog.images && blog.images.map((image, index) => (
+            <figure key={image.key} className="blog-image">
+              <MediaImage
+                blog={blog}
+                imageKey={image.key}
+                size="medium"
+                alt={image.altText || `${blog.title} (${index + 1})`}
+              />
+              {image.caption && <figcaption className="blog-image-caption">{image.caption}</figcaption>}
+            </figure>
+          ))}
+
+          <PostContent content={blog.content} className="blog-content" />
+        </article>
+      </div>
+    </div>
+  );
+};
+
+export default SharedLinkPage;
@@ -0,0 +1,119 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { API } from 'aws-amplify';
+import MediaImage from '../components/MediaImage';
+import '../styles/SharedPage.css';
+
+const PERMISSION_LABELS = {
+  read: 'You can read',
+  comment: 'You can comment'
+};
+
+const SharedPage = () => {
+  const [items, setItems] = useState([]);
+  const [nextToken, setNextToken] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchShared = useCallback(async (token) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const query = token ? `?nextToken=${token}` : '';
+      const response = await API.get('blogApi', `/blogs/shared${query}`);
+      setItems(prev => (token ? [...prev, ...response.items] : response.items));
+      setNextToken(response.nextToken || null);
+    } catch (err) {
+      console.error('Error loading shared entries:', err);
+      setError('Failed to load entries shared with you. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchShared();
+  }, [fetchShared]);
+
+  // Removes the entry from this list by giving up the share
+  const handleRemove = async (blog) => {
+    if (!window.confirm(`Remove "${blog.title}" from your shared entries? You'll need ${blog.username} to share it again.`)) {
+      return;
+    }
+
+    try {
+      setBusyId(blog.blogId);
+      setError(null);
+      await API.del('blogApi', `/blogs/${blog.blogId}/shares`);
+      setItems(prev => prev.filter(item => item.blogId !== blog.blogId));
+    } catch (err) {
+      console.error('Error removing shared entry:', err);
+      setError(`Failed to remove "${blog.title}". Please try again.`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    const options = { year: 'numeric', month: 'long', day: 'numeric' };
+    return new Date(dateString).toLocaleDateString(undefined, options);
+  };
+
+  return (
+    <div className="shared-page">
+      <h1>Shared with Me</h1>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {!loading && items.length === 0 && !error && (
+        <p className="shared-empty">Nobody has shared an entry with you yet.</p>
+      )}
+
+      <ul className="shared-list">
+        {items.map(blog => (
+          <li key={blog.blogId} className="shared-item">
+            {blog.images && blog.images.length > 0 && (
+              <MediaImage
+                blog={blog}
+                imageKey={blog.images[0].key}
+                size="thumbnail"
+                alt={blog.images[0].altText || blog.title}
+                className="shared-thumbnail"
+              />
+            )}
+            <div className="shared-details">
+              <h3>
+                <Link to={`/blog/${blog.blogId}`}>{blog.title}</Link>
+              </h3>
+              <p className="shared-meta">
+                By {blog.username} &middot; Shared {formatDate(blog.share.sharedAt)}
+              </p>
+              <p className="shared-meta">
+                {PERMISSION_LABELS[blog.share.permission] || blog.share.permission}
+                {blog.share.expiresAt ? ` until ${formatDate(blog.share.expiresAt)}` : ''}
+              </p>
+            </div>
+            <button
+              className="shared-remove"
+              onClick={() => handleRemove(blog)}
+              disabled={busyId === blog.blogId}
+            >
+              Remove
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {loading && <div className="loading">Loading...</div>}
+
+      {!loading && nextToken && (
+        <button className="load-more-button" onClick={() => fetchShared(nextToken)}>
+          Load more
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SharedPage;
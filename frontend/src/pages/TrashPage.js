@@ -0,0 +1,143 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { API } from 'aws-amplify';
+import '../styles/TrashPage.css';
+
+const TrashPage = () => {
+  const [items, setItems] = useState([]);
+  const [nextToken, setNextToken] = useState(null);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchTrash = useCallback(async (token) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const query = token ? `?nextToken=${token}` : '';
+      const response = await API.get('blogApi', `/blogs/trash${query}`);
+      setItems(prev => (token ? [...prev, ...response.items] : response.items));
+      setNextToken(response.nextToken || null);
+      setRetentionDays(response.retentionDays);
+    } catch (err) {
+      console.error('Error loading trash:', err);
+      setError('Failed to load the trash. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  // Drop an entry from the list once it has been restored or purged
+  const removeItem = (blogId) => {
+    setItems(prev => prev.filter(item => item.blogId !== blogId));
+  };
+
+  const handleRestore = async (blog) => {
+    try {
+      setBusyId(blog.blogId);
+      setError(null);
+      await API.post('blogApi', `/blogs/${blog.blogId}/restore`, {});
+      removeItem(blog.blogId);
+    } catch (err) {
+      console.error('Error restoring blog:', err);
+      if (err.response && err.response.status === 409) {
+        // Restored or purged somewhere else; the list is out of date
+        removeItem(blog.blogId);
+      } else {
+        setError(`Failed to restore "${blog.title}". Please try again.`);
+      }
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = async (blog) => {
+    if (!window.confirm(`Permanently delete "${blog.title}" and its photos? This can't be undone.`)) {
+      return;
+    }
+
+    try {
+      setBusyId(blog.blogId);
+      setError(null);
+      await API.post('blogApi', `/blogs/${blog.blogId}/purge`, {});
+      removeItem(blog.blogId);
+    } catch (err) {
+      console.error('Error purging blog:', err);
+      if (err.response && err.response.status === 409) {
+        removeItem(blog.blogId);
+      } else {
+        setError(`Failed to delete "${blog.title}". Please try again.`);
+      }
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    const options = { year: 'numeric', month: 'long', day: 'numeric' };
+    return new Date(dateString).toLocaleDateString(undefined, options);
+  };
+
+  return (
+    <div className="trash-page">
+      <h1>Trash</h1>
+
+      <div className="trash-description">
+        <p>
+          Deleted entries stay here{retentionDays ? ` for ${retentionDays} days` : ''} before
+          they are removed for good, along with their photos and history. Restore an entry to
+          bring it back exactly as it was.
+        </p>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {!loading && items.length === 0 && !error && (
+        <p className="trash-empty">The trash is empty.</p>
+      )}
+
+      <ul className="trash-list">
+        {items.map(blog => (
+          <li key={blog.blogId} className="trash-item">
+            <div className="trash-item-details">
+              <h3>{blog.title}</h3>
+              <p className="trash-dates">
+                Deleted {formatDate(blog.deletedAt)} &middot; Removed permanently on {formatDate(blog.purgeAt)}
+              </p>
+            </div>
+            <div className="trash-actions">
+              <button
+                className="restore-button"
+                onClick={() => handleRestore(blog)}
+                disabled={busyId === blog.blogId}
+              >
+                Restore
+              </button>
+              <button
+                className="purge-button"
+                onClick={() => handlePurge(blog)}
+                disabled={busyId === blog.blogId}
+              >
+                Delete forever
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {loading && <div className="loading">Loading...</div>}
+
+      {!loading && nextToken && (
+        <button className="load-more-button" onClick={() => fetchTrash(nextToken)}>
+          Load more
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TrashPage;
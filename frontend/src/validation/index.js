@@ -0,0 +1,107 @@
+import Ajv from 'ajv';
+// Copied from backend/layers/validation by scripts/sync-validation.sh (npm start, build and test run it)
+import schemas from './schemas.json';
+
+// Forms are checked against the API's own request schemas, so what passes here passes there
+const ajv = new Ajv({ allErrors: true });
+const validators = {};
+
+const TYPE_NAMES = {
+  string: 'text',
+  integer: 'a whole number',
+  number: 'a number',
+  boolean: 'true or false',
+  array: 'a list',
+  object: 'an object'
+};
+
+// How fields are called in the forms
+const FIELD_LABELS = {
+  title: 'Title',
+  content: 'Content',
+  visibility: 'Visibility',
+  status: 'Status',
+  tags: 'Tags',
+  mood: 'Mood',
+  publishAt: 'Publish date',
+  images: 'Photos'
+};
+
+const getValidator = (endpoint) => {
+  if (!validators[endpoint]) {
+    validators[endpoint] = ajv.compile({ ...schemas[endpoint].body, definitions: schemas.definitions });
+  }
+  return validators[endpoint];
+};
+
+const toFieldPath = (pointer) => pointer
+  .split('/')
+  .slice(1)
+  .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+  .reduce((path, part) => (/^\d+$/.test(part) ? `${path}[${part}]` : path ? `${path}.${part}` : part), '');
+
+// Worded as the API words them (describeError in backend/layers/validation)
+const describeError = ({ keyword, params }) => {
+  switch (keyword) {
+    case 'required':
+      return 'is required';
+    case 'type':
+      return `must be ${String(params.type).split(',').filter(type => type !== 'null').map(type => TYPE_NAMES[type] || type).join(' or ')}`;
+    case 'enum':
+      return `must be one of: ${params.allowedValues.map(value => (value === null ? 'null' : value)).join(', ')}`;
+    case 'pattern':
+      return params.pattern === '\\S' ? 'cannot be empty' : 'is not in the right format';
+    case 'minLength':
+      return params.limit === 1 ? 'cannot be empty' : `must be at least ${params.limit} characters`;
+    case 'maxLength':
+      return `must be at most ${params.limit} characters`;
+    case 'minItems':
+      return params.limit === 1 ? 'cannot be empty' : `must have at least ${params.limit} items`;
+    case 'maxItems':
+      return `can have at most ${params.limit} items`;
+    case 'minimum':
+      return `must be at least ${params.limit}`;
+    case 'maximum':
+      return `must be at most ${params.limit}`;
+    default:
+      return 'is not valid';
+  }
+};
+
+/**
+ * Checks a request body against the schema of an API endpoint (e.g. createBlog)
+ * Returns the errors as { field, message }, one per field, or an empty list
+ */
+export const validateBody = (endpoint, body) => {
+  const validate = getValidator(endpoint);
+  if (validate(body)) {
+    return [];
+  }
+
+  const byField = new Map();
+  validate.errors.forEach((error) => {
+    const pointer = error.keyword === 'required'
+      ? `${error.instancePath}/${error.params.missingProperty}`
+      : error.instancePath;
+    const field = toFieldPath(pointer);
+    if (!byField.has(field)) {
+      byField.set(field, { field, message: describeError(error) });
+    }
+  });
+  return [...byField.values()];
+};
+
+/**
+ * Field errors, from validateBody or a 400 response of the API, as a sentence for the form
+ * e.g. tags[2] becomes "Tags (no. 3) must be at most 50 characters"
+ */
+export const formatErrors = (errors) => errors
+  .map(({ field, message }) => {
+    if (!field) {
+      return message;
+    }
+    const [, name, index] = field.match(/^([^[.]+)(?:\[(\d+)\])?/) || [];
+    const label = FIELD_LABELS[name] || name;
+    return `${label}${index !== undefined ? ` (no. ${Number(index) + 1})` : ''} ${message}`;
+  })
+  .join('. ');
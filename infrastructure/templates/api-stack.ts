@@ -21,9 +21,15 @@ import * as lambda from 'aws-cdk-lib/aws-lambda';
 import * as iam from 'aws-cdk-lib/aws-iam';
 import * as dynamodb from 'aws-cdk-lib/aws-dynamodb';
 import * as s3 from 'aws-cdk-lib/aws-s3';
+import * as s3n from 'aws-cdk-lib/aws-s3-notifications';
 import * as cognito from 'aws-cdk-lib/aws-cognito';
 import * as ssm from 'aws-cdk-lib/aws-ssm';
+import * as events from 'aws-cdk-lib/aws-events';
+import * as targets from 'aws-cdk-lib/aws-events-targets';
+import * as lambdaEventSources from 'aws-cdk-lib/aws-lambda-event-sources';
+import * as sqs from 'aws-cdk-lib/aws-sqs';
 import * as path from 'path';
+import * as fs from 'fs';
 
 export class ApiStack extends cdk.Stack {
   constructor(scope: Construct, id: string, props?: cdk.StackProps) {
@@ -39,6 +45,40 @@ export class ApiStack extends cdk.Stack {
       this, '/blog/storage/mediaBucket'
     );
 
+    // Media is delivered through the CloudFront /media/* behavior with signed URLs
+    const distributionDomain = ssm.StringParameter.valueForStringParameter(
+      this, '/blog/distribution/domain'
+    );
+
+    const mediaKeyPairId = ssm.StringParameter.valueForStringParameter(
+      this, '/blog/media/keyPairId'
+    );
+
+    // SecureString holding the private half of the media signing key (see fixed-stack.ts)
+    const mediaSigningKeyParameter = '/blog/media/signingPrivateKey';
+
+    // Days a deleted post stays in the trash before it is purged
+    // Override at deploy time with: cdk deploy -c trashRetentionDays=14
+    const trashRetentionDays = Number(this.node.tryGetContext('trashRetentionDays') ?? 30);
+
+    // What was added to the blogs table after its first release, in the order it's deployed
+    // DynamoDB creates one global secondary index, or turns on the stream, per
+    // table update, so an existing table has to be upgraded one stage per deploy:
+    //   cdk deploy -c blogsTableStage=1, then =2, =3 and finally without the flag
+    // A new table is created with all of them at once
+    const blogsTableStages = {
+      statusPublishAtIndex: 1,       // Scheduled posts
+      visibilityPublishedAtIndex: 2, // Public feed
+      userIdDeletedAtIndex: 3,       // Trash
+      stream: 4,                     // Search indexing
+    };
+    const latestBlogsTableStage = Math.max(...Object.values(blogsTableStages));
+    const blogsTableStage = Number(this.node.tryGetContext('blogsTableStage') ?? latestBlogsTableStage);
+    if (!Number.isInteger(blogsTableStage) || blogsTableStage < 0 || blogsTableStage > latestBlogsTableStage) {
+      throw new Error(`blogsTableStage must be a whole number from 0 to ${latestBlogsTableStage}`);
+    }
+    const hasBlogsTableStage = (stage: number) => blogsTableStage >= stage;
+
     // Create DynamoDB tables
     // This table will store all blog posts with a unique blogId as the partition key
     const blogsTable = new dynamodb.Table(this, 'BlogsTable', {
@@ -46,6 +86,9 @@ export class ApiStack extends cdk.Stack {
       billingMode: dynamodb.BillingMode.PAY_PER_REQUEST, // On-demand capacity for cost optimization
       removalPolicy: cdk.RemovalPolicy.RETAIN, // Prevent accidental deletion
       pointInTimeRecovery: true, // Enable point-in-time recovery for data protection
+      stream: hasBlogsTableStage(blogsTableStages.stream)
+        ? dynamodb.StreamViewType.NEW_AND_OLD_IMAGES // Feeds the search index
+        : undefined,
     });
 
     // Add Global Secondary Index for querying by userId
@@ -57,6 +100,237 @@ export class ApiStack extends cdk.Stack {
       projectionType: dynamodb.ProjectionType.ALL, // Include all attributes in the index
     });
 
+    // Add a sparse Global Secondary Index for scheduled posts
+    // Only SCHEDULED posts carry a publishAt attribute, so the index only
+    // ever contains posts that are waiting to be published
+    if (hasBlogsTableStage(blogsTableStages.statusPublishAtIndex)) {
+      blogsTable.addGlobalSecondaryIndex({
+        indexName: 'statusPublishAtIndex',
+        partitionKey: { name: 'status', type: dynamodb.AttributeType.STRING },
+        sortKey: { name: 'publishAt', type: dynamodb.AttributeType.STRING },
+        projectionType: dynamodb.ProjectionType.KEYS_ONLY, // The publisher only needs the keys
+      });
+    }
+
+    // Add a Global Secondary Index for the public feed
+    // Only posts that have been published carry a publishedAt attribute, so
+    // drafts and scheduled posts never appear in it
+    if (hasBlogsTableStage(blogsTableStages.visibilityPublishedAtIndex)) {
+      blogsTable.addGlobalSecondaryIndex({
+        indexName: 'visibilityPublishedAtIndex',
+        partitionKey: { name: 'visibility', type: dynamodb.AttributeType.STRING },
+        sortKey: { name: 'publishedAt', type: dynamodb.AttributeType.STRING }, // Sort by publish date
+        projectionType: dynamodb.ProjectionType.ALL, // The feed shows the full posts
+      });
+    }
+
+    // Add a sparse Global Secondary Index for the trash
+    // Only deleted posts carry a deletedAt attribute, so the index holds each
+    // user's trash (newest first) and nothing the scheduled purge has to skip
+    if (hasBlogsTableStage(blogsTableStages.userIdDeletedAtIndex)) {
+      blogsTable.addGlobalSecondaryIndex({
+        indexName: 'userIdDeletedAtIndex',
+        partitionKey: { name: 'userId', type: dynamodb.AttributeType.STRING },
+        sortKey: { name: 'deletedAt', type: dynamodb.AttributeType.STRING },
+        projectionType: dynamodb.ProjectionType.ALL, // The trash page shows the post details
+      });
+    }
+
+    // Table for immutable revision history of blog posts
+    // Each update stores a snapshot keyed by blogId and an increasing revision number
+    const revisionsTable = new dynamodb.Table(this, 'RevisionsTable', {
+      partitionKey: { name: 'blogId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'revision', type: dynamodb.AttributeType.NUMBER },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: cdk.RemovalPolicy.RETAIN,
+      pointInTimeRecovery: true,
+    });
+
+    // Table for share grants
+    // Each item gives one user (granteeUserId) read or comment access to one post
+    const sharesTable = new dynamodb.Table(this, 'SharesTable', {
+      partitionKey: { name: 'blogId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'granteeUserId', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: cdk.RemovalPolicy.RETAIN,
+      pointInTimeRecovery: true,
+      timeToLiveAttribute: 'ttl', // Grants with an expiry are removed once it has passed
+    });
+
+    // Add Global Secondary Index for the "Shared with me" list
+    sharesTable.addGlobalSecondaryIndex({
+      indexName: 'granteeUserIdIndex',
+      partitionKey: { name: 'granteeUserId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'createdAt', type: dynamodb.AttributeType.STRING }, // Most recently shared first
+      projectionType: dynamodb.ProjectionType.ALL,
+    });
+
+    // Table for share links to unlisted posts
+    // Each item is one link, keyed by the random token in its URL
+    const linksTable = new dynamodb.Table(this, 'LinksTable', {
+      partitionKey: { name: 'token', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: cdk.RemovalPolicy.RETAIN,
+      pointInTimeRecovery: true,
+      timeToLiveAttribute: 'ttl', // Links with an expiry are removed once it has passed
+    });
+
+    // Add Global Secondary Index for listing (and purging) the links of a post
+    linksTable.addGlobalSecondaryIndex({
+      indexName: 'blogIdIndex',
+      partitionKey: { name: 'blogId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'createdAt', type: dynamodb.AttributeType.STRING }, // Newest links first
+      projectionType: dynamodb.ProjectionType.ALL,
+    });
+
+    // Table for comments
+    // Each item is one comment on one post; replies point to their parent with parentId
+    const commentsTable = new dynamodb.Table(this, 'CommentsTable', {
+      partitionKey: { name: 'blogId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'commentId', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: cdk.RemovalPolicy.RETAIN,
+      pointInTimeRecovery: true,
+    });
+
+    // Add Global Secondary Index for the admin moderation queue
+    // Only reported comments that haven't been dealt with have a reportStatus, so the index stays small
+    commentsTable.addGlobalSecondaryIndex({
+      indexName: 'reportStatusReportedAtIndex',
+      partitionKey: { name: 'reportStatus', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'reportedAt', type: dynamodb.AttributeType.STRING }, // Oldest reports first
+      projectionType: dynamodb.ProjectionType.ALL,
+    });
+
+    // Table for reactions
+    // Each item is one reaction of one user on one post (sort key userId#reaction);
+    // the totals are kept on the post in reactionCounts
+    const reactionsTable = new dynamodb.Table(this, 'ReactionsTable', {
+      partitionKey: { name: 'blogId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'reactionKey', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: cdk.RemovalPolicy.RETAIN,
+      pointInTimeRecovery: true,
+    });
+
+    // Table for bookmarks
+    // Each item is one post bookmarked by one user; nobody else can see them
+    const bookmarksTable = new dynamodb.Table(this, 'BookmarksTable', {
+      partitionKey: { name: 'userId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'blogId', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: cdk.RemovalPolicy.RETAIN,
+      pointInTimeRecovery: true,
+    });
+
+    // Add Local Secondary Index to list a user's bookmarks newest first
+    bookmarksTable.addLocalSecondaryIndex({
+      indexName: 'createdAtIndex',
+      sortKey: { name: 'createdAt', type: dynamodb.AttributeType.STRING },
+      projectionType: dynamodb.ProjectionType.ALL,
+    });
+
+    // Table for recent searches
+    // Each item is one distinct search of one user, keyed by its query string
+    const recentSearchesTable = new dynamodb.Table(this, 'RecentSearchesTable', {
+      partitionKey: { name: 'userId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'searchKey', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: cdk.RemovalPolicy.RETAIN,
+      timeToLiveAttribute: 'ttl', // Searches are forgotten after 90 days
+    });
+
+    // Add Local Secondary Index to list a user's searches most recent first
+    recentSearchesTable.addLocalSecondaryIndex({
+      indexName: 'searchedAtIndex',
+      sortKey: { name: 'searchedAt', type: dynamodb.AttributeType.STRING },
+      projectionType: dynamodb.ProjectionType.ALL,
+    });
+
+    // Table for export jobs
+    // Each item is one export of one user with its status and progress
+    const exportsTable = new dynamodb.Table(this, 'ExportsTable', {
+      partitionKey: { name: 'userId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'exportId', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: cdk.RemovalPolicy.RETAIN,
+      timeToLiveAttribute: 'ttl', // Jobs expire with their files after 7 days
+    });
+
+    // Add Local Secondary Index to list a user's exports newest first
+    exportsTable.addLocalSecondaryIndex({
+      indexName: 'createdAtIndex',
+      sortKey: { name: 'createdAt', type: dynamodb.AttributeType.STRING },
+      projectionType: dynamodb.ProjectionType.ALL,
+    });
+
+    // Queue of export jobs waiting for the worker
+    // Messages that fail three times end up in the dead-letter queue for inspection
+    const exportDeadLetterQueue = new sqs.Queue(this, 'ExportDeadLetterQueue', {
+      retentionPeriod: cdk.Duration.days(14),
+    });
+
+    const exportQueue = new sqs.Queue(this, 'ExportQueue', {
+      visibilityTimeout: cdk.Duration.minutes(15), // At least the worker's timeout
+      deadLetterQueue: {
+        queue: exportDeadLetterQueue,
+        maxReceiveCount: 3, // Matches MAX_ATTEMPTS of the worker
+      },
+    });
+
+    // Table for import jobs
+    // Each item is one import of one user with its status, progress and counts;
+    // the entries and the per-entry report are kept in the media bucket
+    const importsTable = new dynamodb.Table(this, 'ImportsTable', {
+      partitionKey: { name: 'userId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'importId', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: cdk.RemovalPolicy.RETAIN,
+      timeToLiveAttribute: 'ttl', // Jobs expire with their uploads after 7 days
+    });
+
+    // Add Local Secondary Index to list a user's imports newest first
+    importsTable.addLocalSecondaryIndex({
+      indexName: 'createdAtIndex',
+      sortKey: { name: 'createdAt', type: dynamodb.AttributeType.STRING },
+      projectionType: dynamodb.ProjectionType.ALL,
+    });
+
+    // Table of the entries that were ever imported, by user and their ID in the app they came from
+    // Each points to the post it became, so importing the same entry again is recognized
+    const importedEntriesTable = new dynamodb.Table(this, 'ImportedEntriesTable', {
+      partitionKey: { name: 'userId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'sourceId', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: cdk.RemovalPolicy.RETAIN,
+    });
+
+    // Queue of import steps (preview and commit) waiting for the worker
+    // Messages that fail three times end up in the dead-letter queue for inspection
+    const importDeadLetterQueue = new sqs.Queue(this, 'ImportDeadLetterQueue', {
+      retentionPeriod: cdk.Duration.days(14),
+    });
+
+    const importQueue = new sqs.Queue(this, 'ImportQueue', {
+      visibilityTimeout: cdk.Duration.minutes(15), // At least the worker's timeout
+      deadLetterQueue: {
+        queue: importDeadLetterQueue,
+        maxReceiveCount: 3, // Matches MAX_ATTEMPTS of the worker
+      },
+    });
+
+    // Table for the full-text search index
+    // Postings are keyed by term and post; '#doc' items list each post's terms,
+    // '#suggest:' partitions hold typeahead completions and '#stats' holds the
+    // numbers relevance ranking needs
+    // It can be rebuilt from the blogs table at any time (ReindexSearchFunction)
+    const searchIndexTable = new dynamodb.Table(this, 'SearchIndexTable', {
+      partitionKey: { name: 'term', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'blogId', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: cdk.RemovalPolicy.DESTROY, // Derived data, nothing to keep
+    });
+
     // Get the media bucket from its name
     // The bucket was created in another stack and we're referencing it here
     const mediaBucket = s3.Bucket.fromBucketName(
@@ -84,6 +358,8 @@ export class ApiStack extends cdk.Stack {
           'Authorization',
           'X-Api-Key',
           'X-Amz-Security-Token',
+          'If-Match', // Conditional updates for optimistic concurrency
+          'X-Link-Password', // Password for protected share links
         ],
         allowCredentials: true,
       },
@@ -104,10 +380,59 @@ export class ApiStack extends cdk.Stack {
       environment: {
         // Environment variables available to all functions
         BLOGS_TABLE: blogsTable.tableName,
+        REVISIONS_TABLE: revisionsTable.tableName,
+        SHARES_TABLE: sharesTable.tableName,
+        LINKS_TABLE: linksTable.tableName,
+        COMMENTS_TABLE: commentsTable.tableName,
+        REACTIONS_TABLE: reactionsTable.tableName,
+        BOOKMARKS_TABLE: bookmarksTable.tableName,
+        RECENT_SEARCHES_TABLE: recentSearchesTable.tableName,
+        EXPORTS_TABLE: exportsTable.tableName,
+        IMPORTS_TABLE: importsTable.tableName,
+        IMPORTED_ENTRIES_TABLE: importedEntriesTable.tableName,
         MEDIA_BUCKET: mediaBucket.bucketName,
+        MEDIA_DOMAIN: distributionDomain,
+        MEDIA_KEY_PAIR_ID: mediaKeyPairId,
+        MEDIA_SIGNING_KEY_PARAMETER: mediaSigningKeyParameter,
+        TRASH_RETENTION_DAYS: String(trashRetentionDays),
       },
     };
 
+    // Shared code for Lambda functions
+    // Each directory under backend/layers is available as /opt/<name> (e.g. require('/opt/media'))
+    // The helpers' packages (sanitize-html, ajv, pdfkit, ...) are bundled from their
+    // node_modules, which npm run install:layers fills in before a deploy
+    const sharedLayer = new lambda.LayerVersion(this, 'SharedLayer', {
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/layers')),
+      compatibleRuntimes: [lambda.Runtime.NODEJS_16_X],
+      description: 'Shared helpers for the blog Lambda functions',
+    });
+
+    // Functions with packages of their own (uuid, sharp) are zipped with their
+    // node_modules, which npm run install:functions fills in for Lambda's platform
+    // Without them a function fails as soon as it loads, so the deploy stops here instead
+    const functionsDir = path.join(__dirname, '../../backend/functions');
+    const subdirectories = (dir: string) => fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name);
+    for (const group of subdirectories(functionsDir)) {
+      for (const name of subdirectories(path.join(functionsDir, group))) {
+        const functionDir = path.join(functionsDir, group, name);
+        const packageFile = path.join(functionDir, 'package.json');
+        if (!fs.existsSync(packageFile)) {
+          continue;
+        }
+        const { dependencies = {} } = JSON.parse(fs.readFileSync(packageFile, 'utf8'));
+        const missing = Object.keys(dependencies)
+          .filter(dependency => !fs.existsSync(path.join(functionDir, 'node_modules', dependency)));
+        if (missing.length > 0) {
+          cdk.Annotations.of(this).addError(
+            `backend/functions/${group}/${name} is missing ${missing.join(', ')}; run npm run install:functions`
+          );
+        }
+      }
+    }
+
     // Create Lambda functions for blog operations
     // Each function handles a specific API operation
 
@@ -116,6 +441,7 @@ export class ApiStack extends cdk.Stack {
       ...lambdaConfig,
       handler: 'index.handler', // Entry point in the code
       code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/blog/create')),
+      layers: [sharedLayer], // Validates the request and sanitizes the content
     });
 
     // Function to retrieve a specific blog post
@@ -123,6 +449,7 @@ export class ApiStack extends cdk.Stack {
       ...lambdaConfig,
       handler: 'index.handler',
       code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/blog/get')),
+      layers: [sharedLayer], // Signs image URLs and checks share grants
     });
 
     // Function to list blog posts with filtering and pagination
@@ -130,6 +457,15 @@ export class ApiStack extends cdk.Stack {
       ...lambdaConfig,
       handler: 'index.handler',
       code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/blog/list')),
+      layers: [sharedLayer], // Validates the query and signs image URLs
+    });
+
+    // Function to list the latest public posts from all users
+    const feedFunction = new lambda.Function(this, 'FeedFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/blog/feed')),
+      layers: [sharedLayer], // Validates the query and signs image URLs
     });
 
     // Function to update existing blog posts
@@ -137,6 +473,7 @@ export class ApiStack extends cdk.Stack {
       ...lambdaConfig,
       handler: 'index.handler',
       code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/blog/update')),
+      layers: [sharedLayer], // Validates the request, sanitizes the content, normalizes images and cleans up removed ones
     });
 
     // Function to delete blog posts
@@ -144,6 +481,40 @@ export class ApiStack extends cdk.Stack {
       ...lambdaConfig,
       handler: 'index.handler',
       code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/blog/delete')),
+      layers: [sharedLayer], // Reports when the trashed post will be purged
+    });
+
+    // Function to list the posts in the user's trash
+    const listTrashFunction = new lambda.Function(this, 'ListTrashFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/blog/list-trash')),
+      layers: [sharedLayer], // Validates the query and reports when each post will be purged
+    });
+
+    // Function to restore a post from the trash
+    const restoreTrashedFunction = new lambda.Function(this, 'RestoreTrashedFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/blog/restore-trashed')),
+    });
+
+    // Function to permanently delete a post from the trash right away
+    const purgeTrashedFunction = new lambda.Function(this, 'PurgeTrashedFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/blog/purge-trashed')),
+      layers: [sharedLayer], // Deletes the post, its revisions and its media
+      timeout: cdk.Duration.seconds(30), // Posts with many images take a while to clean up
+    });
+
+    // Function to purge posts that have been in the trash past the retention window
+    const purgeExpiredFunction = new lambda.Function(this, 'PurgeExpiredFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/blog/purge-expired')),
+      layers: [sharedLayer], // Deletes the posts, their revisions and their media
+      timeout: cdk.Duration.minutes(5), // A day's worth of expired posts may take a while
     });
 
     // Function to search across blog posts
@@ -151,14 +522,469 @@ export class ApiStack extends cdk.Stack {
       ...lambdaConfig,
       handler: 'index.handler',
       code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/blog/search')),
+      layers: [sharedLayer], // Validates the query and queries the search index
+      environment: {
+        ...lambdaConfig.environment,
+        SEARCH_INDEX_TABLE: searchIndexTable.tableName,
+      },
+    });
+
+    // Function to complete search prefixes as the user types
+    const suggestSearchFunction = new lambda.Function(this, 'SuggestSearchFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/blog/suggest')),
+      layers: [sharedLayer], // Validates the query and reads the suggestions in the search index
+      environment: {
+        ...lambdaConfig.environment,
+        SEARCH_INDEX_TABLE: searchIndexTable.tableName,
+      },
+    });
+
+    // Function to list the current user's recent searches
+    const listRecentSearchesFunction = new lambda.Function(this, 'ListRecentSearchesFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/recent-searches/list')),
+      layers: [sharedLayer], // Validates the query
+    });
+
+    // Function to forget one or all of the current user's recent searches
+    const clearRecentSearchesFunction = new lambda.Function(this, 'ClearRecentSearchesFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/recent-searches/clear')),
+    });
+
+    // Function to keep the search index up to date from the blogs table stream
+    const indexSearchFunction = new lambda.Function(this, 'IndexSearchFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/blog/index-search')),
+      layers: [sharedLayer], // Analyzes and indexes the posts
+      environment: {
+        ...lambdaConfig.environment,
+        SEARCH_INDEX_TABLE: searchIndexTable.tableName,
+      },
+      timeout: cdk.Duration.seconds(60), // Long posts write many postings
+    });
+
+    // Records of one post are processed in order; a failed batch is retried
+    // and then split in half until the bad record is isolated
+    if (hasBlogsTableStage(blogsTableStages.stream)) {
+      indexSearchFunction.addEventSource(new lambdaEventSources.DynamoEventSource(blogsTable, {
+        startingPosition: lambda.StartingPosition.TRIM_HORIZON,
+        batchSize: 25,
+        bisectBatchOnError: true,
+        retryAttempts: 5,
+      }));
+    }
+
+    // Function to rebuild the search index from the blogs table (invoked by hand)
+    const reindexSearchFunction = new lambda.Function(this, 'ReindexSearchFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/blog/reindex-search')),
+      layers: [sharedLayer], // Analyzes and indexes the posts
+      environment: {
+        ...lambdaConfig.environment,
+        SEARCH_INDEX_TABLE: searchIndexTable.tableName,
+      },
+      timeout: cdk.Duration.minutes(15), // Walks the whole table
+    });
+
+    // Function to give older posts the status and publishedAt the feed queries by (invoked by hand)
+    // It only exists once the feed's index does, so it can't be run before it
+    const backfillPublishedFunction = hasBlogsTableStage(blogsTableStages.visibilityPublishedAtIndex)
+      ? new lambda.Function(this, 'BackfillPublishedFunction', {
+        ...lambdaConfig,
+        handler: 'index.handler',
+        code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/blog/backfill-published')),
+        timeout: cdk.Duration.minutes(15), // Walks the whole table
+      })
+      : undefined;
+
+    // Function to queue an export of the current user's posts
+    const createExportFunction = new lambda.Function(this, 'CreateExportFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/exports/create')),
+      layers: [sharedLayer], // Validates the request and knows the export formats
+      environment: {
+        ...lambdaConfig.environment,
+        EXPORT_QUEUE_URL: exportQueue.queueUrl,
+      },
+    });
+
+    // Function to get the status of an export (and its download URL once done)
+    const getExportFunction = new lambda.Function(this, 'GetExportFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/exports/get')),
+      layers: [sharedLayer], // Signs the download URLs
     });
 
-    // Function to export blog posts (e.g., to PDF or other formats)
-    const exportBlogsFunction = new lambda.Function(this, 'ExportBlogsFunction', {
+    // Function to list the current user's exports
+    const listExportsFunction = new lambda.Function(this, 'ListExportsFunction', {
       ...lambdaConfig,
       handler: 'index.handler',
-      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/blog/export')),
-      timeout: cdk.Duration.seconds(30), // Export might take longer than standard operations
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/exports/list')),
+      layers: [sharedLayer], // Validates the query and signs the download URLs
+    });
+
+    // Function to build queued exports and store them in the media bucket
+    const exportWorkerFunction = new lambda.Function(this, 'ExportWorkerFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/exports/worker')),
+      layers: [sharedLayer], // Formats the entries
+      memorySize: 1024, // Holds a page of entries, the upload parts and the photos of PDF exports
+      timeout: cdk.Duration.minutes(15), // Large journals take a while to write
+    });
+
+    // One job at a time; a failed job goes back to the queue and is retried
+    exportWorkerFunction.addEventSource(new lambdaEventSources.SqsEventSource(exportQueue, {
+      batchSize: 1,
+    }));
+
+    // Function to start an import and hand out the upload form for its file
+    const createImportFunction = new lambda.Function(this, 'CreateImportFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/imports/create')),
+      layers: [sharedLayer], // Validates the request and knows the file types and limits
+    });
+
+    // Function to queue the uploaded file of an import for reading
+    const previewImportFunction = new lambda.Function(this, 'PreviewImportFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/imports/preview')),
+      layers: [sharedLayer],
+      environment: {
+        ...lambdaConfig.environment,
+        IMPORT_QUEUE_URL: importQueue.queueUrl,
+      },
+    });
+
+    // Function to queue a previewed import for writing
+    const commitImportFunction = new lambda.Function(this, 'CommitImportFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/imports/commit')),
+      layers: [sharedLayer], // Validates the request
+      environment: {
+        ...lambdaConfig.environment,
+        IMPORT_QUEUE_URL: importQueue.queueUrl,
+      },
+    });
+
+    // Function to get the status of an import with its preview or report
+    const getImportFunction = new lambda.Function(this, 'GetImportFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/imports/get')),
+      layers: [sharedLayer],
+    });
+
+    // Function to list the current user's imports
+    const listImportsFunction = new lambda.Function(this, 'ListImportsFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/imports/list')),
+      layers: [sharedLayer], // Validates the query
+    });
+
+    // Function to read uploaded imports and write their entries into the journal
+    const importWorkerFunction = new lambda.Function(this, 'ImportWorkerFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/imports/worker')),
+      layers: [sharedLayer], // Reads the source formats
+      memorySize: 1024, // Holds the entries of the upload and the photos of one entry
+      timeout: cdk.Duration.minutes(15), // Commits that need longer continue in another run
+      ephemeralStorageSize: cdk.Size.mebibytes(2048), // The upload is unpacked from /tmp
+      environment: {
+        ...lambdaConfig.environment,
+        IMPORT_QUEUE_URL: importQueue.queueUrl,
+      },
+    });
+
+    // One step at a time; a failed step goes back to the queue and is retried
+    importWorkerFunction.addEventSource(new lambdaEventSources.SqsEventSource(importQueue, {
+      batchSize: 1,
+    }));
+
+    // Function to list the revision history of a blog post
+    const listRevisionsFunction = new lambda.Function(this, 'ListRevisionsFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/blog/list-revisions')),
+      layers: [sharedLayer], // Validates the query
+    });
+
+    // Function to diff two revisions of a blog post
+    const diffRevisionsFunction = new lambda.Function(this, 'DiffRevisionsFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/blog/diff-revisions')),
+      layers: [sharedLayer], // Validates the query and normalizes images
+    });
+
+    // Function to restore a blog post to an earlier revision
+    const restoreRevisionFunction = new lambda.Function(this, 'RestoreRevisionFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/blog/restore-revision')),
+      layers: [sharedLayer], // Sanitizes the content, normalizes images and cleans up removed ones
+    });
+
+    // Function to publish scheduled posts once their publishAt date has passed
+    const publishScheduledFunction = new lambda.Function(this, 'PublishScheduledFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/blog/publish-scheduled')),
+      timeout: cdk.Duration.seconds(60), // A batch of due posts may take longer than a single request
+    });
+
+    // Function to hand out presigned URLs for direct-to-S3 image uploads
+    const uploadUrlFunction = new lambda.Function(this, 'UploadUrlFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/media/upload-url')),
+      layers: [sharedLayer], // Validates the request
+    });
+
+    // Function to verify uploaded images and attach them to their blog post
+    const confirmUploadFunction = new lambda.Function(this, 'ConfirmUploadFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/media/confirm')),
+      layers: [sharedLayer], // Validates the request and normalizes images
+    });
+
+    // Function to strip metadata from uploaded images and generate renditions
+    const processImageFunction = new lambda.Function(this, 'ProcessImageFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/media/process-image')),
+      memorySize: 1024, // Image decoding and resizing is memory hungry
+      timeout: cdk.Duration.seconds(60), // Large photos take a while to resize
+    });
+
+    // Process every new upload under blogs/
+    // Renditions are written under renditions/, so they don't trigger the function again
+    mediaBucket.addEventNotification(
+      s3.EventType.OBJECT_CREATED,
+      new s3n.LambdaDestination(processImageFunction),
+      { prefix: 'blogs/' }
+    );
+
+    // Run the scheduled publisher every five minutes
+    // This bounds how late a scheduled post can go live
+    new events.Rule(this, 'PublishScheduledRule', {
+      schedule: events.Schedule.rate(cdk.Duration.minutes(5)),
+      targets: [new targets.LambdaFunction(publishScheduledFunction)],
+    });
+
+    // Purge expired trash once a day
+    new events.Rule(this, 'PurgeExpiredRule', {
+      schedule: events.Schedule.rate(cdk.Duration.days(1)),
+      targets: [new targets.LambdaFunction(purgeExpiredFunction)],
+    });
+
+    // Create Lambda functions for sharing
+
+    // Function to share a post with another user
+    const createShareFunction = new lambda.Function(this, 'CreateShareFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/shares/create')),
+      layers: [sharedLayer], // Validates the request and looks the grantee up in Cognito
+      environment: {
+        ...lambdaConfig.environment,
+        USER_POOL_ID: userPoolId,
+      },
+    });
+
+    // Function to turn the old sharedWith lists into share grants (invoked by hand)
+    const migrateSharedWithFunction = new lambda.Function(this, 'MigrateSharedWithFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/shares/migrate-shared-with')),
+      layers: [sharedLayer], // Looks the grantees up in Cognito
+      environment: {
+        ...lambdaConfig.environment,
+        USER_POOL_ID: userPoolId,
+      },
+      timeout: cdk.Duration.minutes(15), // Walks the whole table
+    });
+
+    // Function to list who a post is shared with
+    const listSharesFunction = new lambda.Function(this, 'ListSharesFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/shares/list')),
+      layers: [sharedLayer], // Leaves out expired grants
+    });
+
+    // Function to revoke a share
+    const revokeShareFunction = new lambda.Function(this, 'RevokeShareFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/shares/revoke')),
+    });
+
+    // Function to list the posts shared with the current user
+    const sharedWithMeFunction = new lambda.Function(this, 'SharedWithMeFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/shares/shared-with-me')),
+      layers: [sharedLayer], // Validates the query and signs image URLs
+    });
+
+    // Create Lambda functions for share links
+
+    // Function to create a link to an unlisted post
+    const createLinkFunction = new lambda.Function(this, 'CreateLinkFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/links/create')),
+      layers: [sharedLayer], // Validates the request, generates tokens and hashes passwords
+    });
+
+    // Function to list the links of a post
+    const listLinksFunction = new lambda.Function(this, 'ListLinksFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/links/list')),
+      layers: [sharedLayer], // Leaves out expired links
+    });
+
+    // Function to revoke a link
+    const revokeLinkFunction = new lambda.Function(this, 'RevokeLinkFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/links/revoke')),
+    });
+
+    // Function to open a link (public)
+    const openLinkFunction = new lambda.Function(this, 'OpenLinkFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/links/open')),
+      layers: [sharedLayer], // Checks passwords and signs image URLs
+    });
+
+    // Create Lambda functions for comments
+
+    // Function to list the comments of a post
+    const listCommentsFunction = new lambda.Function(this, 'ListCommentsFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/comments/list')),
+      layers: [sharedLayer], // Applies the access rules of blog/get
+    });
+
+    // Function to write a comment or reply
+    const createCommentFunction = new lambda.Function(this, 'CreateCommentFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/comments/create')),
+      layers: [sharedLayer], // Validates the request and applies the access rules of blog/get
+    });
+
+    // Function to edit a comment
+    const updateCommentFunction = new lambda.Function(this, 'UpdateCommentFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/comments/update')),
+      layers: [sharedLayer], // Validates the request and applies the access rules of blog/get
+    });
+
+    // Function to delete a comment (author, post owner or admin)
+    const deleteCommentFunction = new lambda.Function(this, 'DeleteCommentFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/comments/delete')),
+      layers: [sharedLayer], // Applies the access rules of blog/get and checks for admins
+      environment: {
+        ...lambdaConfig.environment,
+        USER_POOL_ID: userPoolId,
+      },
+    });
+
+    // Function to report a comment to the admins
+    const reportCommentFunction = new lambda.Function(this, 'ReportCommentFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/comments/report')),
+      layers: [sharedLayer], // Applies the access rules of blog/get
+    });
+
+    // Function to list reported comments (admins only)
+    const commentQueueFunction = new lambda.Function(this, 'CommentQueueFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/admin/comment-queue')),
+      layers: [sharedLayer], // Validates the query and checks for admins
+      environment: {
+        ...lambdaConfig.environment,
+        USER_POOL_ID: userPoolId,
+      },
+    });
+
+    // Function to dismiss a report or remove the comment (admins only)
+    const moderateCommentFunction = new lambda.Function(this, 'ModerateCommentFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/admin/moderate-comment')),
+      layers: [sharedLayer], // Validates the request and checks for admins
+      environment: {
+        ...lambdaConfig.environment,
+        USER_POOL_ID: userPoolId,
+      },
+    });
+
+    // Create Lambda functions for reactions and bookmarks
+
+    // Function to react to a post
+    const addReactionFunction = new lambda.Function(this, 'AddReactionFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/reactions/add')),
+      layers: [sharedLayer], // Applies the access rules of blog/get
+    });
+
+    // Function to take back a reaction
+    const removeReactionFunction = new lambda.Function(this, 'RemoveReactionFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/reactions/remove')),
+      layers: [sharedLayer], // Looks the post up like blog/get
+    });
+
+    // Function to bookmark a post
+    const addBookmarkFunction = new lambda.Function(this, 'AddBookmarkFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/bookmarks/add')),
+      layers: [sharedLayer], // Applies the access rules of blog/get
+    });
+
+    // Function to remove a bookmark
+    const removeBookmarkFunction = new lambda.Function(this, 'RemoveBookmarkFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/bookmarks/remove')),
+    });
+
+    // Function to list the current user's bookmarks
+    const listBookmarksFunction = new lambda.Function(this, 'ListBookmarksFunction', {
+      ...lambdaConfig,
+      handler: 'index.handler',
+      code: lambda.Code.fromAsset(path.join(__dirname, '../../backend/functions/bookmarks/list')),
+      layers: [sharedLayer], // Validates the query, signs image URLs and checks share grants
     });
 
     // Grant permissions to Lambda functions
@@ -168,27 +994,240 @@ export class ApiStack extends cdk.Stack {
     blogsTable.grantReadWriteData(createBlogFunction);  // Create needs read/write
     blogsTable.grantReadData(getBlogFunction);          // Get only needs read
     blogsTable.grantReadData(listBlogsFunction);        // List only needs read
+    blogsTable.grantReadData(feedFunction);             // Feed only needs read
     blogsTable.grantReadWriteData(updateBlogFunction);  // Update needs read/write
-    blogsTable.grantReadWriteData(deleteBlogFunction);  // Delete needs read/write
-    blogsTable.grantReadData(searchBlogsFunction);      // Search only needs read
-    blogsTable.grantReadData(exportBlogsFunction);      // Export only needs read
+    blogsTable.grantReadWriteData(deleteBlogFunction);  // Delete moves posts to the trash
+    blogsTable.grantReadData(listTrashFunction);        // Trash only needs read
+    blogsTable.grantReadWriteData(restoreTrashedFunction); // Restore takes posts out of the trash
+    blogsTable.grantReadWriteData(purgeTrashedFunction);   // Purge removes posts for good
+    blogsTable.grantReadWriteData(purgeExpiredFunction);   // Scheduled purge finds and removes expired posts
+    blogsTable.grantReadData(searchBlogsFunction);      // Search loads the matching posts
+    blogsTable.grantReadData(reindexSearchFunction);    // Reindexing scans every post
+    if (backfillPublishedFunction) {
+      blogsTable.grantReadWriteData(backfillPublishedFunction); // Backfill scans every post and updates the older ones
+    }
+    blogsTable.grantReadData(exportWorkerFunction);     // Export worker only needs read
+    blogsTable.grantReadWriteData(importWorkerFunction); // Import worker finds duplicates and writes the imported posts
+    blogsTable.grantReadWriteData(publishScheduledFunction); // Publisher flips the status of due posts
+    blogsTable.grantReadData(listRevisionsFunction);    // History checks ownership
+    blogsTable.grantReadData(diffRevisionsFunction);    // Diff checks ownership
+    blogsTable.grantReadWriteData(restoreRevisionFunction); // Restore writes the old snapshot back
+    blogsTable.grantReadData(uploadUrlFunction);        // Upload URLs are only issued to the post owner
+    blogsTable.grantReadWriteData(confirmUploadFunction); // Confirm attaches the uploaded images
+    blogsTable.grantWriteData(processImageFunction);    // Processing records the image renditions
+    blogsTable.grantReadData(createShareFunction);      // Sharing checks ownership
+    blogsTable.grantReadWriteData(migrateSharedWithFunction); // Migration scans for sharedWith lists and removes them
+    blogsTable.grantReadData(listSharesFunction);       // Listing shares checks ownership
+    blogsTable.grantReadData(revokeShareFunction);      // Revoking checks ownership
+    blogsTable.grantReadData(sharedWithMeFunction);     // Shared with me loads the shared posts
+    blogsTable.grantReadData(createLinkFunction);       // Creating a link checks ownership and visibility
+    blogsTable.grantReadData(listLinksFunction);        // Listing links checks ownership
+    blogsTable.grantReadData(openLinkFunction);         // Opening a link loads the post
+    blogsTable.grantReadData(listCommentsFunction);     // Comments follow the access rules of their post
+    blogsTable.grantReadData(createCommentFunction);
+    blogsTable.grantReadData(updateCommentFunction);
+    blogsTable.grantReadData(deleteCommentFunction);
+    blogsTable.grantReadData(reportCommentFunction);
+    blogsTable.grantReadData(commentQueueFunction);     // The queue shows the post titles
+    blogsTable.grantReadWriteData(addReactionFunction);    // Reacting counts the reaction on the post
+    blogsTable.grantReadWriteData(removeReactionFunction); // and taking it back uncounts it
+    blogsTable.grantReadData(addBookmarkFunction);      // Bookmarking applies the access rules of the post
+    blogsTable.grantReadData(listBookmarksFunction);    // Bookmarks loads the bookmarked posts
+
+    // Grant permissions to the revisions table
+    revisionsTable.grantReadWriteData(createBlogFunction);      // Create records the initial revision
+    revisionsTable.grantReadWriteData(updateBlogFunction);      // Update records each new revision
+    revisionsTable.grantReadData(listRevisionsFunction);        // History only needs read
+    revisionsTable.grantReadData(diffRevisionsFunction);        // Diff only needs read
+    revisionsTable.grantReadWriteData(restoreRevisionFunction); // Restore records a new revision
+    revisionsTable.grantReadWriteData(confirmUploadFunction);   // Attaching images records a new revision
+    revisionsTable.grantReadWriteData(purgeTrashedFunction);    // Purging deletes the revision history
+    revisionsTable.grantReadWriteData(purgeExpiredFunction);    // Scheduled purge does the same
+    revisionsTable.grantReadData(exportWorkerFunction);         // Account archives include the history
+    revisionsTable.grantWriteData(importWorkerFunction);        // Imported posts get their initial revision
+
+    // Grant permissions to the shares table
+    sharesTable.grantReadData(getBlogFunction);          // Get checks the viewer's grant
+    sharesTable.grantWriteData(createShareFunction);     // Sharing writes a grant
+    sharesTable.grantWriteData(migrateSharedWithFunction); // Migration writes the grants
+    sharesTable.grantReadData(listSharesFunction);       // Listing shares only needs read
+    sharesTable.grantWriteData(revokeShareFunction);     // Revoking deletes a grant
+    sharesTable.grantReadData(sharedWithMeFunction);     // Shared with me reads the grantee index
+    sharesTable.grantReadWriteData(purgeTrashedFunction); // Purging deletes the post's grants
+    sharesTable.grantReadWriteData(purgeExpiredFunction); // Scheduled purge does the same
+    sharesTable.grantReadData(exportWorkerFunction);     // Account archives include the sharing settings
+
+    // Grant permissions to the links table
+    linksTable.grantWriteData(createLinkFunction);       // Creating a link writes it
+    linksTable.grantReadData(listLinksFunction);         // Listing links only needs read
+    linksTable.grantWriteData(revokeLinkFunction);       // Revoking deletes a link
+    linksTable.grantReadWriteData(openLinkFunction);     // Opening a link records the access
+    linksTable.grantReadWriteData(purgeTrashedFunction); // Purging deletes the post's links
+    linksTable.grantReadWriteData(purgeExpiredFunction); // Scheduled purge does the same
+    linksTable.grantReadData(exportWorkerFunction);      // Account archives include the share links
+
+    // Grant permissions to the comments table
+    commentsTable.grantReadData(listCommentsFunction);          // Listing comments only needs read
+    commentsTable.grantReadWriteData(createCommentFunction);    // Replies check their parent
+    commentsTable.grantReadWriteData(updateCommentFunction);    // Editing rewrites the content
+    commentsTable.grantReadWriteData(deleteCommentFunction);    // Deleting clears the content
+    commentsTable.grantReadWriteData(reportCommentFunction);    // Reporting puts the comment in the queue
+    commentsTable.grantReadData(commentQueueFunction);          // The queue only needs read
+    commentsTable.grantReadWriteData(moderateCommentFunction);  // Moderation dismisses reports or removes comments
+    commentsTable.grantReadWriteData(purgeTrashedFunction);     // Purging deletes the post's comments
+    commentsTable.grantReadWriteData(purgeExpiredFunction);     // Scheduled purge does the same
+
+    // Grant permissions to the reactions table
+    reactionsTable.grantReadData(getBlogFunction);              // Get shows the viewer's reactions
+    reactionsTable.grantReadWriteData(addReactionFunction);     // Reacting writes the reaction
+    reactionsTable.grantReadWriteData(removeReactionFunction);  // Taking it back deletes it
+    reactionsTable.grantReadWriteData(purgeTrashedFunction);    // Purging deletes the post's reactions
+    reactionsTable.grantReadWriteData(purgeExpiredFunction);    // Scheduled purge does the same
+
+    // Grant permissions to the bookmarks table
+    // Bookmarks of purged posts stay behind; the list leaves them out
+    bookmarksTable.grantReadData(getBlogFunction);              // Get shows whether the viewer bookmarked the post
+    bookmarksTable.grantWriteData(addBookmarkFunction);         // Bookmarking writes the bookmark
+    bookmarksTable.grantWriteData(removeBookmarkFunction);      // Removing deletes it
+    bookmarksTable.grantReadData(listBookmarksFunction);        // Listing bookmarks reads the createdAt index
+
+    // Grant permissions to the recent searches table
+    recentSearchesTable.grantWriteData(searchBlogsFunction);             // Search records each new search
+    recentSearchesTable.grantReadData(listRecentSearchesFunction);       // Listing reads the searchedAt index
+    recentSearchesTable.grantReadWriteData(clearRecentSearchesFunction); // Clearing looks the searches up and deletes them
+
+    // Grant permissions to the exports table and queue
+    // The queue permissions of exportWorkerFunction come with its event source
+    exportsTable.grantReadWriteData(createExportFunction); // Create stores the job (and marks it failed if it can't be queued)
+    exportsTable.grantReadData(getExportFunction);         // Get reads the job
+    exportsTable.grantReadData(listExportsFunction);       // Listing reads the createdAt index
+    exportsTable.grantReadWriteData(exportWorkerFunction); // The worker records status and progress
+    exportQueue.grantSendMessages(createExportFunction);   // Create queues the job
+
+    // Grant permissions to the imports tables and queue
+    // The worker's receive permissions come with its event source
+    importsTable.grantReadWriteData(createImportFunction);          // Create stores the job
+    importsTable.grantReadWriteData(previewImportFunction);         // Preview and commit move the job on
+    importsTable.grantReadWriteData(commitImportFunction);
+    importsTable.grantReadData(getImportFunction);                  // Get reads the job
+    importsTable.grantReadData(listImportsFunction);                // Listing reads the createdAt index
+    importsTable.grantReadWriteData(importWorkerFunction);          // The worker records status and progress
+    importedEntriesTable.grantReadWriteData(importWorkerFunction);  // The worker claims every entry it imports
+    importQueue.grantSendMessages(previewImportFunction);           // Preview and commit queue the step
+    importQueue.grantSendMessages(commitImportFunction);
+    importQueue.grantSendMessages(importWorkerFunction);            // Commits that run out of time queue the rest
+
+    // Grant permissions to the search index
+    // The stream permissions of indexSearchFunction come with its event source
+    searchIndexTable.grantReadData(searchBlogsFunction);        // Search only needs read
+    searchIndexTable.grantReadData(suggestSearchFunction);      // So do suggestions
+    searchIndexTable.grantReadWriteData(indexSearchFunction);   // Indexing writes postings and stats
+    searchIndexTable.grantReadWriteData(reindexSearchFunction); // Reindexing does the same for every post
+
+    // Allow sharing to look up grantees by email
+    const listUsersPolicy = new iam.PolicyStatement({
+      actions: ['cognito-idp:ListUsers'],
+      resources: [userPool.userPoolArn],
+    });
+    createShareFunction.addToRolePolicy(listUsersPolicy);
+    migrateSharedWithFunction.addToRolePolicy(listUsersPolicy);
+
+    // Allow comment moderation to check whether the caller is an admin
+    const adminGroupPolicy = new iam.PolicyStatement({
+      actions: ['cognito-idp:AdminListGroupsForUser'],
+      resources: [userPool.userPoolArn],
+    });
+    deleteCommentFunction.addToRolePolicy(adminGroupPolicy);
+    commentQueueFunction.addToRolePolicy(adminGroupPolicy);
+    moderateCommentFunction.addToRolePolicy(adminGroupPolicy);
 
     // Grant permissions to the media bucket
-    mediaBucket.grantReadWrite(createBlogFunction);     // Create needs to upload images
-    mediaBucket.grantRead(getBlogFunction);             // Get needs to read images
-    mediaBucket.grantReadWrite(updateBlogFunction);     // Update might change images
-    mediaBucket.grantReadWrite(deleteBlogFunction);     // Delete needs to remove images
-    mediaBucket.grantReadWrite(exportBlogsFunction);    // Export needs to read images and possibly create temporary files
+    mediaBucket.grantRead(getBlogFunction);             // Get presigns image URLs (fallback when CloudFront signing is off)
+    mediaBucket.grantRead(listBlogsFunction);           // List presigns image URLs as well
+    mediaBucket.grantRead(feedFunction);                // So does the feed
+    mediaBucket.grantRead(sharedWithMeFunction);        // And the shared with me list
+    mediaBucket.grantRead(openLinkFunction);            // And share links
+    mediaBucket.grantRead(listBookmarksFunction);       // And bookmarks
+    mediaBucket.grantRead(updateBlogFunction);          // Update lists the renditions of removed images
+    mediaBucket.grantDelete(updateBlogFunction);        // and deletes them with the originals
+    mediaBucket.grantRead(purgeTrashedFunction);        // Purge lists the post's media
+    mediaBucket.grantDelete(purgeTrashedFunction);      // and deletes it
+    mediaBucket.grantRead(purgeExpiredFunction);        // Scheduled purge does the same
+    mediaBucket.grantDelete(purgeExpiredFunction);
+    mediaBucket.grantRead(exportWorkerFunction);        // The export worker reads the photos (and lists the uploads for archives)
+    mediaBucket.grantPut(exportWorkerFunction);         // and uploads the finished files
+    mediaBucket.grantRead(getExportFunction);           // Export download URLs act with the signer's permissions
+    mediaBucket.grantRead(listExportsFunction);
+    mediaBucket.grantPut(createImportFunction);         // Presigned import uploads act with the signer's permissions
+    mediaBucket.grantRead(previewImportFunction);       // Preview checks that the file was uploaded
+    mediaBucket.grantRead(getImportFunction);           // Get reads the preview or report
+    mediaBucket.grantReadWrite(importWorkerFunction);   // The worker reads the upload, writes the report and uploads the photos
+    mediaBucket.grantPut(uploadUrlFunction);            // Presigned uploads act with the signer's permissions
+    mediaBucket.grantRead(confirmUploadFunction);       // Confirm checks the uploaded objects
+    mediaBucket.grantDelete(confirmUploadFunction);     // and removes the ones that break the upload rules
+    mediaBucket.grantRead(restoreRevisionFunction);     // Restore skips images that no longer exist
+    mediaBucket.grantDelete(restoreRevisionFunction);   // and removes the ones the restored revision drops
+    mediaBucket.grantReadWrite(processImageFunction);   // Processing rewrites originals, stores renditions and removes non-images
+
+    // Allow the functions that sign media URLs to read the signing key
+    const mediaSigningKeyPolicy = new iam.PolicyStatement({
+      actions: ['ssm:GetParameter'],
+      resources: [
+        cdk.Stack.of(this).formatArn({
+          service: 'ssm',
+          resource: 'parameter',
+          resourceName: mediaSigningKeyParameter.substring(1),
+        }),
+      ],
+    });
+    getBlogFunction.addToRolePolicy(mediaSigningKeyPolicy);
+    listBlogsFunction.addToRolePolicy(mediaSigningKeyPolicy);
+    feedFunction.addToRolePolicy(mediaSigningKeyPolicy);
+    sharedWithMeFunction.addToRolePolicy(mediaSigningKeyPolicy);
+    openLinkFunction.addToRolePolicy(mediaSigningKeyPolicy);
+    listBookmarksFunction.addToRolePolicy(mediaSigningKeyPolicy);
 
     // Create API Gateway resources and methods
     // This defines the API structure and routes
     const blogsResource = api.root.addResource('blogs');
     const blogResource = blogsResource.addResource('{blogId}');
+    const trashResource = blogsResource.addResource('trash');
+    const restoreTrashedResource = blogResource.addResource('restore');
+    const purgeTrashedResource = blogResource.addResource('purge');
+    const sharesResource = blogResource.addResource('shares');
+    const sharedWithMeResource = blogsResource.addResource('shared');
+    const linksResource = blogResource.addResource('links');
+    const linkResource = linksResource.addResource('{token}');
+    const commentsResource = blogResource.addResource('comments');
+    const commentResource = commentsResource.addResource('{commentId}');
+    const reportCommentResource = commentResource.addResource('report');
+    const reactionResource = blogResource.addResource('reactions').addResource('{emoji}');
+    const bookmarkResource = blogResource.addResource('bookmark');
     const searchResource = blogsResource.addResource('search');
-    const exportResource = blogsResource.addResource('export');
+    const suggestResource = searchResource.addResource('suggest');
+    const revisionsResource = blogResource.addResource('revisions');
+    const revisionDiffResource = revisionsResource.addResource('diff');
+    const revisionResource = revisionsResource.addResource('{rev}');
+    const restoreRevisionResource = revisionResource.addResource('restore');
+    const feedResource = api.root.addResource('feed');
+    const openLinkResource = api.root.addResource('s').addResource('{token}');
+    const mediaResource = api.root.addResource('media');
+    const meResource = api.root.addResource('me');
+    const myBookmarksResource = meResource.addResource('bookmarks');
+    const myRecentSearchesResource = meResource.addResource('recent-searches');
+    const exportsResource = api.root.addResource('exports');
+    const exportResource = exportsResource.addResource('{exportId}');
+    const importsResource = api.root.addResource('imports');
+    const importResource = importsResource.addResource('{importId}');
+    const previewImportResource = importResource.addResource('preview');
+    const commitImportResource = importResource.addResource('commit');
+    const adminCommentsResource = api.root.addResource('admin').addResource('comments');
+    const moderateCommentResource = adminCommentsResource.addResource('{blogId}').addResource('{commentId}');
+    const uploadUrlResource = mediaResource.addResource('upload-url');
+    const confirmUploadResource = mediaResource.addResource('confirm');
 
     // Common method options with Cognito authorizer
-    // This ensures all API endpoints require authentication
+    // This ensures API endpoints require authentication (the public feed and share links opt out below)
     const methodOptions = {
       authorizer,
       authorizationType: apigateway.AuthorizationType.COGNITO,
@@ -201,8 +1240,51 @@ export class ApiStack extends cdk.Stack {
     blogResource.addMethod('GET', new apigateway.LambdaIntegration(getBlogFunction), methodOptions);
     blogResource.addMethod('PUT', new apigateway.LambdaIntegration(updateBlogFunction), methodOptions);
     blogResource.addMethod('DELETE', new apigateway.LambdaIntegration(deleteBlogFunction), methodOptions);
+    trashResource.addMethod('GET', new apigateway.LambdaIntegration(listTrashFunction), methodOptions);
+    restoreTrashedResource.addMethod('POST', new apigateway.LambdaIntegration(restoreTrashedFunction), methodOptions);
+    purgeTrashedResource.addMethod('POST', new apigateway.LambdaIntegration(purgeTrashedFunction), methodOptions);
+    sharesResource.addMethod('GET', new apigateway.LambdaIntegration(listSharesFunction), methodOptions);
+    sharesResource.addMethod('POST', new apigateway.LambdaIntegration(createShareFunction), methodOptions);
+    sharesResource.addMethod('DELETE', new apigateway.LambdaIntegration(revokeShareFunction), methodOptions);
+    sharedWithMeResource.addMethod('GET', new apigateway.LambdaIntegration(sharedWithMeFunction), methodOptions);
+    linksResource.addMethod('GET', new apigateway.LambdaIntegration(listLinksFunction), methodOptions);
+    linksResource.addMethod('POST', new apigateway.LambdaIntegration(createLinkFunction), methodOptions);
+    linkResource.addMethod('DELETE', new apigateway.LambdaIntegration(revokeLinkFunction), methodOptions);
+    commentsResource.addMethod('GET', new apigateway.LambdaIntegration(listCommentsFunction), methodOptions);
+    commentsResource.addMethod('POST', new apigateway.LambdaIntegration(createCommentFunction), methodOptions);
+    commentResource.addMethod('PUT', new apigateway.LambdaIntegration(updateCommentFunction), methodOptions);
+    commentResource.addMethod('DELETE', new apigateway.LambdaIntegration(deleteCommentFunction), methodOptions);
+    reportCommentResource.addMethod('POST', new apigateway.LambdaIntegration(reportCommentFunction), methodOptions);
+    reactionResource.addMethod('PUT', new apigateway.LambdaIntegration(addReactionFunction), methodOptions);
+    reactionResource.addMethod('DELETE', new apigateway.LambdaIntegration(removeReactionFunction), methodOptions);
+    bookmarkResource.addMethod('PUT', new apigateway.LambdaIntegration(addBookmarkFunction), methodOptions);
+    bookmarkResource.addMethod('DELETE', new apigateway.LambdaIntegration(removeBookmarkFunction), methodOptions);
+    myBookmarksResource.addMethod('GET', new apigateway.LambdaIntegration(listBookmarksFunction), methodOptions);
+    adminCommentsResource.addMethod('GET', new apigateway.LambdaIntegration(commentQueueFunction), methodOptions);
+    moderateCommentResource.addMethod('POST', new apigateway.LambdaIntegration(moderateCommentFunction), methodOptions);
     searchResource.addMethod('GET', new apigateway.LambdaIntegration(searchBlogsFunction), methodOptions);
-    exportResource.addMethod('GET', new apigateway.LambdaIntegration(exportBlogsFunction), methodOptions);
+    suggestResource.addMethod('GET', new apigateway.LambdaIntegration(suggestSearchFunction), methodOptions);
+    myRecentSearchesResource.addMethod('GET', new apigateway.LambdaIntegration(listRecentSearchesFunction), methodOptions);
+    myRecentSearchesResource.addMethod('DELETE', new apigateway.LambdaIntegration(clearRecentSearchesFunction), methodOptions);
+    exportsResource.addMethod('GET', new apigateway.LambdaIntegration(listExportsFunction), methodOptions);
+    exportsResource.addMethod('POST', new apigateway.LambdaIntegration(createExportFunction), methodOptions);
+    exportResource.addMethod('GET', new apigateway.LambdaIntegration(getExportFunction), methodOptions);
+    importsResource.addMethod('GET', new apigateway.LambdaIntegration(listImportsFunction), methodOptions);
+    importsResource.addMethod('POST', new apigateway.LambdaIntegration(createImportFunction), methodOptions);
+    importResource.addMethod('GET', new apigateway.LambdaIntegration(getImportFunction), methodOptions);
+    previewImportResource.addMethod('POST', new apigateway.LambdaIntegration(previewImportFunction), methodOptions);
+    commitImportResource.addMethod('POST', new apigateway.LambdaIntegration(commitImportFunction), methodOptions);
+    revisionsResource.addMethod('GET', new apigateway.LambdaIntegration(listRevisionsFunction), methodOptions);
+    revisionDiffResource.addMethod('GET', new apigateway.LambdaIntegration(diffRevisionsFunction), methodOptions);
+    restoreRevisionResource.addMethod('POST', new apigateway.LambdaIntegration(restoreRevisionFunction), methodOptions);
+    uploadUrlResource.addMethod('POST', new apigateway.LambdaIntegration(uploadUrlFunction), methodOptions);
+    confirmUploadResource.addMethod('POST', new apigateway.LambdaIntegration(confirmUploadFunction), methodOptions);
+
+    // The public feed is open to everyone, so it has no authorizer
+    feedResource.addMethod('GET', new apigateway.LambdaIntegration(feedFunction));
+
+    // Share links are opened by people without an account; the token (and password) is the check
+    openLinkResource.addMethod('GET', new apigateway.LambdaIntegration(openLinkFunction));
 
     // Store API endpoint in SSM Parameter Store
     // This allows other stacks or the frontend to reference the API URL
@@ -223,5 +1305,82 @@ export class ApiStack extends cdk.Stack {
       value: blogsTable.tableName,
       description: 'DynamoDB table name for blogs',
     });
+
+    new cdk.CfnOutput(this, 'RevisionsTableName', {
+      value: revisionsTable.tableName,
+      description: 'DynamoDB table name for blog revisions',
+    });
+
+    new cdk.CfnOutput(this, 'SharesTableName', {
+      value: sharesTable.tableName,
+      description: 'DynamoDB table name for share grants',
+    });
+
+    new cdk.CfnOutput(this, 'LinksTableName', {
+      value: linksTable.tableName,
+      description: 'DynamoDB table name for share links',
+    });
+
+    new cdk.CfnOutput(this, 'CommentsTableName', {
+      value: commentsTable.tableName,
+      description: 'DynamoDB table name for comments',
+    });
+
+    new cdk.CfnOutput(this, 'SearchIndexTableName', {
+      value: searchIndexTable.tableName,
+      description: 'DynamoDB table name for the search index',
+    });
+
+    new cdk.CfnOutput(this, 'ReindexSearchFunctionName', {
+      value: reindexSearchFunction.functionName,
+      description: 'Invoke once after deploying to index existing posts',
+    });
+
+    new cdk.CfnOutput(this, 'MigrateSharedWithFunctionName', {
+      value: migrateSharedWithFunction.functionName,
+      description: 'Invoke once after upgrading to turn sharedWith lists into share grants',
+    });
+
+    if (backfillPublishedFunction) {
+      new cdk.CfnOutput(this, 'BackfillPublishedFunctionName', {
+        value: backfillPublishedFunction.functionName,
+        description: 'Invoke once after upgrading so older posts appear in the public feed',
+      });
+    }
+
+    new cdk.CfnOutput(this, 'ReactionsTableName', {
+      value: reactionsTable.tableName,
+      description: 'DynamoDB table name for reactions',
+    });
+
+    new cdk.CfnOutput(this, 'BookmarksTableName', {
+      value: bookmarksTable.tableName,
+      description: 'DynamoDB table name for bookmarks',
+    });
+
+    new cdk.CfnOutput(this, 'RecentSearchesTableName', {
+      value: recentSearchesTable.tableName,
+      description: 'DynamoDB table name for recent searches',
+    });
+
+    new cdk.CfnOutput(this, 'ExportsTableName', {
+      value: exportsTable.tableName,
+      description: 'DynamoDB table name for export jobs',
+    });
+
+    new cdk.CfnOutput(this, 'ExportDeadLetterQueueUrl', {
+      value: exportDeadLetterQueue.queueUrl,
+      description: 'Export jobs that failed every attempt',
+    });
+
+    new cdk.CfnOutput(this, 'ImportsTableName', {
+      value: importsTable.tableName,
+      description: 'DynamoDB table name for import jobs',
+    });
+
+    new cdk.CfnOutput(this, 'ImportDeadLetterQueueUrl', {
+      value: importDeadLetterQueue.queueUrl,
+      description: 'Import steps that failed every attempt',
+    });
   }
 }
@@ -54,6 +54,18 @@ export class FixedBlogStack extends cdk.Stack {
           ],
           // Clean up incomplete multipart uploads
           abortIncompleteMultipartUploadAfter: cdk.Duration.days(7),
+        },
+        {
+          // Export files are only kept for a week (the jobs expire with them)
+          prefix: 'exports/',
+          expiration: cdk.Duration.days(7),
+          noncurrentVersionExpiration: cdk.Duration.days(1),
+        },
+        {
+          // Import uploads and their previews go with the import jobs after a week
+          prefix: 'imports/',
+          expiration: cdk.Duration.days(7),
+          noncurrentVersionExpiration: cdk.Duration.days(1),
         }
       ],
     });
@@ -66,6 +78,36 @@ export class FixedBlogStack extends cdk.Stack {
     // Grant read access to the media bucket for CloudFront
     mediaBucket.grantRead(mediaOAI);
 
+    // Key group for signed media URLs
+    // The media bucket holds private journal images, so /media/* only serves signed URLs.
+    // Generate the key pair once and store both halves in SSM before deploying:
+    //   openssl genrsa -out media-key.pem 2048
+    //   openssl rsa -pubout -in media-key.pem -out media-key.pub.pem
+    //   /blog/media/signingPublicKey  (String)       <- media-key.pub.pem
+    //   /blog/media/signingPrivateKey (SecureString) <- media-key.pem, read by the media layer
+    const mediaSigningKey = new cloudfront.PublicKey(this, 'MediaSigningKey', {
+      encodedKey: ssm.StringParameter.valueForStringParameter(this, '/blog/media/signingPublicKey'),
+      comment: 'Verifies signed URLs for blog media',
+    });
+
+    const mediaKeyGroup = new cloudfront.KeyGroup(this, 'MediaKeyGroup', {
+      items: [mediaSigningKey],
+    });
+
+    // Media URLs look like /media/blogs/{blogId}/... but the objects are stored without
+    // the /media prefix, so strip it before the request reaches the bucket
+    const stripMediaPrefix = new cloudfront.Function(this, 'StripMediaPrefixFunction', {
+      code: cloudfront.FunctionCode.fromInline(`
+        function handler(event) {
+          var request = event.request;
+          // The behavior only matches /media/*, so the first occurrence is the prefix
+          request.uri = request.uri.replace('/media/', '/');
+          return request;
+        }
+      `),
+      comment: 'Maps /media/* requests onto media bucket keys',
+    });
+
     // CloudFront distribution for website
     const distribution = new cloudfront.Distribution(this, 'Distribution', {
       defaultBehavior: {
@@ -81,6 +123,12 @@ export class FixedBlogStack extends cdk.Stack {
             originAccessIdentity: mediaOAI
           }),
           viewerProtocolPolicy: cloudfront.ViewerProtocolPolicy.REDIRECT_TO_HTTPS,
+          trustedKeyGroups: [mediaKeyGroup], // Only signed URLs from the API are served
+          cachePolicy: cloudfront.CachePolicy.CACHING_OPTIMIZED, // Signature query strings aren't part of the cache key
+          functionAssociations: [{
+            function: stripMediaPrefix,
+            eventType: cloudfront.FunctionEventType.VIEWER_REQUEST,
+          }],
         },
       },
       defaultRootObject: 'index.html',
@@ -223,6 +271,13 @@ export class FixedBlogStack extends cdk.Stack {
       description: 'CloudFront distribution domain name',
     });
 
+    // Store the key pair ID the API uses to sign media URLs
+    new ssm.StringParameter(this, 'MediaKeyPairIdParameter', {
+      parameterName: '/blog/media/keyPairId',
+      stringValue: mediaSigningKey.publicKeyId,
+      description: 'CloudFront public key ID for signed media URLs',
+    });
+
     // Store CloudFront distribution ID for invalidations
     new ssm.StringParameter(this, 'CloudFrontDistributionIdParameter', {
       parameterName: '/blog/distribution/id',
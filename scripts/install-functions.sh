@@ -0,0 +1,18 @@
+#!/bin/bash
+# Script to install the dependencies of the Lambda functions
+# Functions that need packages of their own (uuid, sharp) have a package.json;
+# CDK zips each function directory as it is, node_modules included. sharp ships
+# native binaries, so packages are installed for Lambda's platform (linux x64)
+# whatever machine this runs on. aws-sdk comes with the Lambda runtime, so the
+# functions list it as a dev dependency and it's left out here
+# This script runs as part of npm run install:all
+
+set -e  # Exit on error
+
+ROOT_DIR="$(cd "$(dirname "$0")/.." && pwd)"
+
+for PACKAGE in "$ROOT_DIR"/backend/functions/*/*/package.json; do
+  FUNCTION_DIR="$(dirname "$PACKAGE")"
+  echo "Installing dependencies of the ${FUNCTION_DIR#"$ROOT_DIR"/backend/functions/} function..."
+  (cd "$FUNCTION_DIR" && npm install --omit=dev --no-package-lock --no-audit --no-fund --platform=linux --arch=x64)
+done
@@ -0,0 +1,16 @@
+#!/bin/bash
+# Script to install the dependencies of the shared Lambda layer
+# Each helper in backend/layers has its own package.json; its packages go into
+# its own node_modules, which CDK bundles with the layer. aws-sdk comes with the
+# Lambda runtime, so the layers list it as a dev dependency and it's left out here
+# This script runs as part of npm run install:all
+
+set -e  # Exit on error
+
+ROOT_DIR="$(cd "$(dirname "$0")/.." && pwd)"
+
+for PACKAGE in "$ROOT_DIR"/backend/layers/*/package.json; do
+  LAYER_DIR="$(dirname "$PACKAGE")"
+  echo "Installing dependencies of the $(basename "$LAYER_DIR") layer..."
+  (cd "$LAYER_DIR" && npm install --omit=dev --no-package-lock --no-audit --no-fund)
+done
@@ -0,0 +1,11 @@
+#!/bin/bash
+# Script to copy the request schemas of the validation layer into the frontend
+# The React forms check their values against the same schemas as the API
+# This script runs before npm start, build and test in frontend/
+
+set -e  # Exit on error
+
+ROOT_DIR="$(cd "$(dirname "$0")/.." && pwd)"
+
+mkdir -p "$ROOT_DIR/frontend/src/validation"
+cp "$ROOT_DIR/backend/layers/validation/schemas.json" "$ROOT_DIR/frontend/src/validation/schemas.json"